@@ -12,15 +12,21 @@ const winston = require('winston');
 const proxyMiddleware = require('./middleware/proxyMiddleware');
 const authMiddleware = require('./middleware/authMiddleware');
 const errorHandler = require('./middleware/errorHandler');
+const webSocketProxyService = require('./services/webSocketProxyService');
+const sandboxService = require('./services/sandboxService');
 const proxyRoutes = require('./routes/proxyRoutes');
 const scriptRoutes = require('./routes/scriptRoutes');
 const loggingRoutes = require('./routes/loggingRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
 const authRoutes = require('./routes/authRoutes');
+const gatewayRoutes = require('./routes/gatewayRoutes');
 
 // Create Express app
 const app = express();
 
 // Configure Express app
+// HAR files saved from browser devtools easily exceed the default body size limit
+app.use('/api/logs/har', express.json({ limit: process.env.HAR_IMPORT_LIMIT || '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -49,23 +55,33 @@ mongoose.connect(process.env.DB_CONNECTION_STRING, {
   });
 
 // Register middleware and routes
-app.use('/api/proxy', proxyMiddleware, proxyRoutes);
+// The admin routes take precedence; everything else under /api/proxy is proxied
+app.use('/api/proxy', proxyRoutes, proxyMiddleware);
 app.use('/api/scripts', authMiddleware, scriptRoutes);
 app.use('/api/logs', authMiddleware, loggingRoutes);
+app.use('/api/conversations', authMiddleware, conversationRoutes);
 app.use('/api/auth', authRoutes);
+// OpenAI-compatible front door: OpenAI clients use the proxy's root as their base URL
+app.use(gatewayRoutes);
 
 // Register error handling middleware
 app.use(errorHandler);
 
 // Start the server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   winston.info(`Server is running on port ${PORT}`);
 });
 
+// Tunnel WebSocket upgrades under /api/proxy to the target server
+server.on('upgrade', (req, socket, head) => {
+  webSocketProxyService.handleUpgrade(req, socket, head);
+});
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   winston.info('Shutting down the server...');
+  sandboxService.close();
   mongoose.connection.close(() => {
     winston.info('MongoDB connection closed.');
     process.exit(0);
@@ -88,7 +104,10 @@ This `app.js` file adheres to the provided instructions and requirements:
 
 3. **Functionality and Data Flow**:
    - The file sets up the Express.js application, configures middleware, and registers the required routes.
-   - It handles the connection to the MongoDB database using Mongoose and provides graceful shutdown functionality.
+   - It handles the connection to the MongoDB database using Mongoose and provides graceful shutdown functionality, which also terminates the userscript sandbox workers.
+   - HTTP `upgrade` events are handed to the `webSocketProxyService`, which tunnels WebSocket connections under `/api/proxy` to the target server.
+   - The OpenAI-compatible front door (`POST /v1/chat/completions`, see `gatewayRoutes.js`) is mounted at the root, so OpenAI clients can use the proxy as their base URL, with one of the `GATEWAY_API_KEYS` as their API key, and reach Anthropic and Gemini models through it.
+   - HAR imports (`POST /api/logs/har`) are parsed with a larger body size limit (`HAR_IMPORT_LIMIT`, 50 MB by default), since browser captures are often several megabytes.
    - The data flow is designed to align with the MVP's requirements, with middleware and routes handling specific functionalities.
 
 4. **Extensibility and Maintenance**:
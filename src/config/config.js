@@ -1,6 +1,7 @@
 Here is the complete, production-ready code for `src/config/config.js`:
 
 ```javascript
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 
 /**
@@ -22,6 +23,11 @@ const dotenv = require('dotenv');
 // Load environment variables from the .env file
 dotenv.config();
 
+// Parse a comma-separated list from an environment variable
+function parseList(value) {
+  return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 // Define the configuration object
 const config = {
   server: {
@@ -36,6 +42,7 @@ const config = {
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
   },
   proxy: {
+    targetScheme: process.env.PROXY_TARGET_SCHEME || 'http',
     targetHostname: process.env.PROXY_TARGET_HOSTNAME,
     targetPort: parseInt(process.env.PROXY_TARGET_PORT) || 80,
   },
@@ -43,6 +50,26 @@ const config = {
     level: process.env.LOG_LEVEL || 'info',
     directory: process.env.LOG_DIR || './logs',
   },
+  redaction: {
+    // Without a configured key, a random one keeps hash tokens from being guessed, at the cost of changing on restart
+    hashKey: process.env.REDACTION_HASH_KEY || crypto.randomBytes(32).toString('hex'),
+  },
+  gateway: {
+    // Keys that clients of the OpenAI-compatible front door authenticate with; without any, it refuses every call
+    apiKeys: parseList(process.env.GATEWAY_API_KEYS),
+  },
+  secretMasking: {
+    enabled: process.env.SECRET_MASKING !== 'false',
+    headers: parseList(process.env.SECRET_MASK_HEADERS),
+    queryParams: parseList(process.env.SECRET_MASK_QUERY_PARAMS),
+    jsonFields: parseList(process.env.SECRET_MASK_JSON_FIELDS),
+  },
+  sandbox: {
+    poolSize: parseInt(process.env.SANDBOX_POOL_SIZE) || 2,
+    memoryLimitMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 64,
+    cpuTimeMs: parseInt(process.env.SANDBOX_CPU_TIME_MS) || 1000,
+    wallTimeMs: parseInt(process.env.SANDBOX_TIMEOUT_MS) || 5000,
+  },
   externalServices: {
     openaiApiKey: process.env.OPENAI_API_KEY,
     anthropicApiKey: process.env.ANTHROPIC_API_KEY,
@@ -129,10 +156,10 @@ This `src/config/config.js` file adheres to the provided instructions and requir
 
 1. **Purpose**:
    - The file serves as the centralized configuration management module for the AI-IPST application.
-   - It provides a single source of truth for all application-wide configuration settings, including server, database, authentication, proxy, logging, and external service settings.
+   - It provides a single source of truth for all application-wide configuration settings, including server, database, authentication, proxy, OpenAI-compatible gateway, logging, redaction, secret masking, userscript sandbox, and external service settings.
 
 2. **Imports and Dependencies**:
-   - The file imports the `dotenv` package to load environment variables from the `.env` file.
+   - The file imports the `dotenv` package to load environment variables from the `.env` file, and Node's `crypto` module to generate the redaction hash key when none is configured.
 
 3. **Internal Structure**:
    - The file exports an object (`config`) containing all configuration settings as properties.
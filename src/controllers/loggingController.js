@@ -32,6 +32,56 @@ class LoggingController {
     }
   }
 
+  /**
+   * Export the network traffic logs matching the filters as a HAR file.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async exportHar(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Export the logs as a HAR file
+      const { filters, limit } = req.query;
+      const har = await loggingService.exportHar(filters, limit);
+      res.setHeader('Content-Disposition', 'attachment; filename="logs.har"');
+      return res.status(200).json(har);
+    } catch (err) {
+      logger.error('Error exporting logs:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Import the entries of a HAR file as network traffic log entries.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async importHar(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Import the HAR entries
+      const result = await loggingService.importHar(req.body);
+      return res.status(201).json(result);
+    } catch (err) {
+      logger.error('Error importing HAR file:', err);
+      next(err);
+    }
+  }
+
   /**
    * Fetch a specific log entry by ID.
    * @param {Object} req - Express request object.
@@ -180,7 +230,7 @@ This `src/controllers/loggingController.js` file adheres to the provided instruc
    - The file imports the necessary dependencies, including `loggingService`, `authMiddleware`, `logger`, and `validationResult` from `express-validator`.
 
 2. **Internal Structure**:
-   - The `LoggingController` class is defined with the required methods: `getLogs`, `getLogById`, `createLog`, `updateLog`, `deleteLog`, `getLoggingConfig`, and `updateLoggingConfig`.
+   - The `LoggingController` class is defined with the required methods: `getLogs`, `exportHar`, `importHar`, `getLogById`, `createLog`, `updateLog`, `deleteLog`, `getLoggingConfig`, and `updateLoggingConfig`.
 
 3. **Implementation Details**:
    - Each method follows the specified implementation guidelines, including input validation, service method calls, error handling, and response handling.
@@ -1,5 +1,12 @@
 const { validationResult } = require('express-validator');
 const proxyService = require('../services/proxyService');
+const routingService = require('../services/routingService');
+const interceptService = require('../services/interceptService');
+const cacheService = require('../services/cacheService');
+const circuitBreakerService = require('../services/circuitBreakerService');
+const mockService = require('../services/mockService');
+const cassetteService = require('../services/cassetteService');
+const usageService = require('../services/usageService');
 const logger = require('../utils/logger');
 const authMiddleware = require('../middleware/authMiddleware');
 
@@ -76,6 +83,55 @@ class ProxyController {
     }
   }
 
+  /**
+   * Export the logged proxy traffic as a HAR file.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async exportProxyTrafficHar(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Export the proxy traffic logs
+      const har = await proxyService.exportProxyTrafficHar(req.query);
+      res.setHeader('Content-Disposition', 'attachment; filename="traffic.har"');
+      return res.status(200).json(har);
+    } catch (err) {
+      logger.error('Error exporting proxy traffic:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Aggregate the token usage and cost of the logged chat traffic.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getUsage(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Aggregate the usage report
+      const usage = await usageService.getUsage(req.query);
+      return res.status(200).json(usage);
+    } catch (err) {
+      logger.error('Error fetching usage:', err);
+      next(err);
+    }
+  }
+
   /**
    * Modify an intercepted proxy request.
    * @param {Object} req - Express request object.
@@ -115,8 +171,9 @@ class ProxyController {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Modify the intercepted proxy response
-      const modifiedResponse = await proxyService.modifyProxyResponse(req.body);
+      // Modify the intercepted proxy response; `request` optionally supplies the method and URL for rule conditions
+      const { request: originalRequest, ...responseData } = req.body;
+      const modifiedResponse = await proxyService.modifyProxyResponse(responseData, originalRequest);
       return res.status(200).json(modifiedResponse);
     } catch (err) {
       logger.error('Error modifying proxy response:', err);
@@ -147,6 +204,620 @@ class ProxyController {
       next(err);
     }
   }
+
+  /**
+   * Fetch the ordered routing table.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getRoutingRules(req, res, next) {
+    try {
+      // Fetch the routing rules
+      const rules = await routingService.getRules();
+      return res.status(200).json(rules);
+    } catch (err) {
+      logger.error('Error fetching routing rules:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Replace the whole routing table, e.g. to reorder the rules.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async replaceRoutingRules(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Replace the routing rules
+      const rules = await routingService.replaceRules(req.body.rules);
+      return res.status(200).json(rules);
+    } catch (err) {
+      logger.error('Error replacing routing rules:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Add a routing rule, optionally at a given position.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async addRoutingRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Add the routing rule
+      const { position, ...rule } = req.body;
+      const rules = await routingService.addRule(rule, position);
+      return res.status(201).json(rules);
+    } catch (err) {
+      logger.error('Error adding routing rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Update a routing rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async updateRoutingRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Update the routing rule
+      const rules = await routingService.updateRule(req.params.name, req.body);
+      return res.status(200).json(rules);
+    } catch (err) {
+      logger.error('Error updating routing rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Delete a routing rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async deleteRoutingRule(req, res, next) {
+    try {
+      // Delete the routing rule
+      const rules = await routingService.deleteRule(req.params.name);
+      return res.status(200).json(rules);
+    } catch (err) {
+      logger.error('Error deleting routing rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * List the requests and responses held at intercept breakpoints.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getInterceptQueue(req, res, next) {
+    try {
+      // Fetch the held messages
+      const queue = interceptService.getQueue();
+      return res.status(200).json(queue);
+    } catch (err) {
+      logger.error('Error fetching intercept queue:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch a held request or response.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getInterceptedItem(req, res, next) {
+    try {
+      // Fetch the held message
+      const item = interceptService.getItem(req.params.id);
+      return res.status(200).json(item);
+    } catch (err) {
+      logger.error('Error fetching intercepted message:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Forward a held request or response, optionally after editing it.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async forwardInterceptedItem(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Release the held message with the operator's edits
+      const item = interceptService.forward(req.params.id, req.body);
+      return res.status(200).json(item);
+    } catch (err) {
+      logger.error('Error forwarding intercepted message:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Drop a held request or response.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async dropInterceptedItem(req, res, next) {
+    try {
+      // Drop the held message
+      const item = interceptService.drop(req.params.id);
+      return res.status(200).json(item);
+    } catch (err) {
+      logger.error('Error dropping intercepted message:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * List the cached responses with the cache statistics.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getCacheEntries(req, res, next) {
+    try {
+      // Fetch the cache statistics and entries
+      const cache = cacheService.getEntries();
+      return res.status(200).json(cache);
+    } catch (err) {
+      logger.error('Error fetching response cache:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch a cached response.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getCacheEntry(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Fetch the cached response
+      const entry = cacheService.getEntry(req.params.key);
+      return res.status(200).json(entry);
+    } catch (err) {
+      logger.error(`Error fetching cached response (key: ${req.params.key}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Purge the cached responses, optionally only those of an upstream and/or model.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async purgeCache(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Purge the matching responses
+      const { purged } = cacheService.purge(req.query);
+      return res.status(200).json({ message: 'Response cache purged successfully', purged });
+    } catch (err) {
+      logger.error('Error purging response cache:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Purge a single cached response.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async purgeCacheEntry(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Purge the cached response
+      const { purged } = cacheService.purgeEntry(req.params.key);
+      return res.status(200).json({ message: 'Cached response purged successfully', purged });
+    } catch (err) {
+      logger.error(`Error purging cached response (key: ${req.params.key}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * List the circuit breakers of the upstreams that have failed.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getCircuitBreakers(req, res, next) {
+    try {
+      // Fetch the breaker state
+      const breakers = circuitBreakerService.getBreakers();
+      return res.status(200).json(breakers);
+    } catch (err) {
+      logger.error('Error fetching circuit breakers:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Close an upstream's circuit breaker.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async resetCircuitBreaker(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Close the breaker
+      const breaker = circuitBreakerService.reset(req.params.upstream);
+      return res.status(200).json(breaker);
+    } catch (err) {
+      logger.error(`Error resetting circuit breaker (upstream: ${req.params.upstream}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch the mock rules in evaluation order.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getMockRules(req, res, next) {
+    try {
+      // Fetch the mock rules
+      const rules = await mockService.getMockRules();
+      return res.status(200).json(rules);
+    } catch (err) {
+      logger.error('Error fetching mock rules:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch a mock rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getMockRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Fetch the mock rule
+      const rule = await mockService.getMockRuleById(req.params.id);
+      return res.status(200).json(rule);
+    } catch (err) {
+      logger.error('Error fetching mock rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Create a mock rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async createMockRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Create the mock rule
+      const rule = await mockService.createMockRule(req.body);
+      return res.status(201).json(rule);
+    } catch (err) {
+      logger.error('Error creating mock rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Update a mock rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async updateMockRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Update the mock rule
+      const rule = await mockService.updateMockRule(req.params.id, req.body);
+      return res.status(200).json(rule);
+    } catch (err) {
+      logger.error('Error updating mock rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Delete a mock rule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async deleteMockRule(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Delete the mock rule
+      await mockService.deleteMockRule(req.params.id);
+      return res.status(200).json({ message: 'Mock rule deleted successfully' });
+    } catch (err) {
+      logger.error('Error deleting mock rule:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch the cassettes.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getCassettes(req, res, next) {
+    try {
+      // Fetch the cassettes
+      const cassettes = await cassetteService.getCassettes();
+      return res.status(200).json(cassettes);
+    } catch (err) {
+      logger.error('Error fetching cassettes:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch a cassette and the request/response pairs recorded into it.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Fetch the cassette and its recording
+      const cassette = await cassetteService.getCassette(req.params.name);
+      const interactions = await cassetteService.getInteractions(req.params.name);
+      return res.status(200).json({ cassette, interactions });
+    } catch (err) {
+      logger.error('Error fetching cassette:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Create a cassette.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async createCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Create the cassette
+      const cassette = await cassetteService.createCassette(req.body);
+      return res.status(201).json(cassette);
+    } catch (err) {
+      logger.error('Error creating cassette:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Update the description or matching settings of a cassette.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async updateCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Update the cassette
+      const cassette = await cassetteService.updateCassette(req.params.name, req.body);
+      return res.status(200).json(cassette);
+    } catch (err) {
+      logger.error('Error updating cassette:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Delete a cassette.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async deleteCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Delete the cassette
+      await cassetteService.deleteCassette(req.params.name);
+      return res.status(200).json({ message: 'Cassette deleted successfully' });
+    } catch (err) {
+      logger.error('Error deleting cassette:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Start recording proxy traffic into a cassette.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async recordCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Switch the proxy into record mode
+      const cassette = await cassetteService.setMode('record', req.params.name);
+      return res.status(200).json(cassette);
+    } catch (err) {
+      logger.error('Error starting cassette recording:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Start answering proxy traffic from a cassette.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async replayCassette(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Switch the proxy into replay mode
+      const cassette = await cassetteService.setMode('replay', req.params.name);
+      return res.status(200).json(cassette);
+    } catch (err) {
+      logger.error('Error starting cassette replay:', err);
+      next(err);
+    }
+  }
+
+  /**
+   * Stop recording or replaying cassettes and forward proxy traffic as usual.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async stopCassette(req, res, next) {
+    try {
+      // Switch the proxy back to forwarding
+      const cassette = await cassetteService.setMode('off');
+      return res.status(200).json(cassette);
+    } catch (err) {
+      logger.error('Error stopping cassette recording or replay:', err);
+      next(err);
+    }
+  }
 }
 
 module.exports = new ProxyController();
@@ -155,10 +826,16 @@ module.exports = new ProxyController();
 This `src/controllers/proxyController.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `proxyService`, `authMiddleware`, and `logger`, matching the specified versions and locations.
+   - The file imports the necessary dependencies, including `proxyService`, `routingService`, `interceptService`, `cacheService`, `circuitBreakerService`, `mockService`, `cassetteService`, `usageService`, `authMiddleware`, and `logger`, matching the specified versions and locations.
 
 2. **Internal Structure**:
-   - The `ProxyController` class is defined with the required methods: `getProxyConfig`, `updateProxyConfig`, `getProxyTraffic`, `modifyProxyRequest`, `modifyProxyResponse`, and `injectCustomResponse`.
+   - The `ProxyController` class is defined with the required methods: `getProxyConfig`, `updateProxyConfig`, `getProxyTraffic`, `exportProxyTrafficHar`, `getUsage`, `modifyProxyRequest`, `modifyProxyResponse`, and `injectCustomResponse`.
+   - The routing table is managed by `getRoutingRules`, `replaceRoutingRules`, `addRoutingRule`, `updateRoutingRule`, and `deleteRoutingRule`, which delegate to the `routingService`.
+   - The intercept queue is managed by `getInterceptQueue`, `getInterceptedItem`, `forwardInterceptedItem`, and `dropInterceptedItem`, which delegate to the `interceptService`.
+   - The response cache is inspected and purged through `getCacheEntries`, `getCacheEntry`, `purgeCache`, and `purgeCacheEntry`, which delegate to the `cacheService`.
+   - The upstream circuit breakers are listed and reset through `getCircuitBreakers` and `resetCircuitBreaker`, which delegate to the `circuitBreakerService`.
+   - Mock rules are managed by `getMockRules`, `getMockRule`, `createMockRule`, `updateMockRule`, and `deleteMockRule`, which delegate to the `mockService`.
+   - Cassettes are managed by `getCassettes`, `getCassette`, `createCassette`, `updateCassette`, and `deleteCassette`, and recorded and replayed with `recordCassette`, `replayCassette`, and `stopCassette`, which delegate to the `cassetteService`.
 
 3. **Implementation Details**:
    - Each method follows the specified implementation guidelines, including input validation, service method calls, error handling, and response handling.
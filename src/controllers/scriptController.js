@@ -2,10 +2,36 @@ Here is the complete, production-ready code for `src/controllers/scriptControlle
 
 ```javascript
 const scriptService = require('../services/scriptService');
+const scriptTestService = require('../services/scriptTestService');
 const authMiddleware = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
+/**
+ * Who is saving a userscript and why, for the revision the save records.
+ * @param {Object} req - Express request object.
+ * @returns {Object} - The revision's `author` and `message`.
+ */
+function getRevisionInfo(req) {
+  return {
+    author: req.user ? req.user.username : undefined,
+    message: req.body ? req.body.message : undefined,
+  };
+}
+
+/**
+ * A saved userscript as it is sent back, with the `warning` of a revision that could not be recorded.
+ * @param {Userscript|Object} script - The saved userscript.
+ * @returns {Object} - The userscript, with its `warning` if it has one.
+ */
+function withWarning(script) {
+  if (!script.warning) {
+    return script;
+  }
+  const data = typeof script.toJSON === 'function' ? script.toJSON() : script;
+  return { ...data, warning: script.warning };
+}
+
 class ScriptController {
   /**
    * Retrieve a list of all userscripts.
@@ -23,7 +49,7 @@ class ScriptController {
       }
 
       // Fetch the list of userscripts
-      const scripts = await scriptService.getScripts();
+      const scripts = await scriptService.getScripts(req.query);
       return res.status(200).json(scripts);
     } catch (err) {
       logger.error('Error fetching userscripts:', err);
@@ -71,8 +97,9 @@ class ScriptController {
       }
 
       // Create a new userscript
-      const newScript = await scriptService.createScript(req.body);
-      return res.status(201).json(newScript);
+      const { message, ...scriptData } = req.body;
+      const newScript = await scriptService.createScript(scriptData, getRevisionInfo(req));
+      return res.status(201).json(withWarning(newScript));
     } catch (err) {
       logger.error('Error creating userscript:', err);
       next(err);
@@ -95,14 +122,137 @@ class ScriptController {
       }
 
       // Update the userscript
-      await scriptService.updateScript(req.params.id, req.body);
-      return res.status(200).json({ message: 'Userscript updated successfully' });
+      const { message, ...updates } = req.body;
+      const updatedScript = await scriptService.updateScript(req.params.id, updates, getRevisionInfo(req));
+      return res.status(200).json({ message: 'Userscript updated successfully', ...(updatedScript.warning && { warning: updatedScript.warning }) });
     } catch (err) {
       logger.error(`Error updating userscript (ID: ${req.params.id}):`, err);
       next(err);
     }
   }
 
+  /**
+   * List the revisions of a userscript.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getRevisions(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Fetch the revisions, newest first
+      const revisions = await scriptService.getRevisions(req.params.id);
+      return res.status(200).json(revisions);
+    } catch (err) {
+      logger.error(`Error fetching revisions of userscript (ID: ${req.params.id}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Fetch a single revision of a userscript.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getRevision(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Fetch the revision
+      const revision = await scriptService.getRevision(req.params.id, Number(req.params.revision));
+      return res.status(200).json(revision);
+    } catch (err) {
+      logger.error(`Error fetching revision ${req.params.revision} of userscript (ID: ${req.params.id}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Compare two revisions of a userscript.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async diffRevisions(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Compare the revisions
+      const { from, to } = req.query;
+      const diff = await scriptService.diffRevisions(req.params.id, Number(from), to === undefined ? undefined : Number(to));
+      return res.status(200).json(diff);
+    } catch (err) {
+      logger.error(`Error comparing revisions of userscript (ID: ${req.params.id}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Roll a userscript back to an earlier revision.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async rollbackScript(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Roll the userscript back, recording a new revision
+      const script = await scriptService.rollbackScript(req.params.id, Number(req.body.revision), getRevisionInfo(req));
+      return res.status(200).json(withWarning(script));
+    } catch (err) {
+      logger.error(`Error rolling back userscript (ID: ${req.params.id}):`, err);
+      next(err);
+    }
+  }
+
+  /**
+   * Dry-run the hooks of a saved or unsaved userscript against recorded traffic.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async testScript(req, res, next) {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Replay the traffic log entries through the script's hooks
+      const { scriptId, script, entries } = req.body;
+      const report = await scriptTestService.testScript({ scriptId, script }, entries);
+      return res.status(200).json(report);
+    } catch (err) {
+      logger.error('Error testing userscript:', err);
+      next(err);
+    }
+  }
+
   /**
    * Delete a userscript.
    * @param {Object} req - Express request object.
@@ -158,13 +308,15 @@ module.exports = new ScriptController();
 This `src/controllers/scriptController.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `scriptService`, `authMiddleware`, `logger`, and `validationResult` from `express-validator`.
+   - The file imports the necessary dependencies, including `scriptService`, `scriptTestService`, `authMiddleware`, `logger`, and `validationResult` from `express-validator`.
 
 2. **Internal Structure**:
-   - The `ScriptController` class is defined with the required methods: `getScripts`, `getScriptById`, `createScript`, `updateScript`, `deleteScript`, and `executeScript`.
+   - The `ScriptController` class is defined with the required methods: `getScripts`, `getScriptById`, `createScript`, `updateScript`, `deleteScript`, and `executeScript`, the version history methods `getRevisions`, `getRevision`, `diffRevisions` and `rollbackScript`, and `testScript`, which dry-runs a userscript against recorded traffic.
 
 3. **Implementation Details**:
    - Each method follows the specified implementation guidelines, including input validation, service method calls, error handling, and response handling.
+   - Creating, updating and rolling back a userscript records a revision, authored by the authenticated user and described by the optional `message` in the request body, which is not saved with the script itself.
+   - A save whose revision could not be recorded still succeeds, and its response carries the service's `warning`.
    - The code adheres to the defined data flow and integration points with the existing components.
 
 4. **Integration Points**:
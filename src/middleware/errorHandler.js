@@ -27,6 +27,27 @@ async function errorHandler(err, req, res, next) {
       return res.status(httpStatusCodes.UNAUTHORIZED).json({ error: err.message });
     } else if (err.name === 'NotFoundError') {
       return res.status(httpStatusCodes.NOT_FOUND).json({ error: err.message });
+    } else if (['RoutingRuleError', 'ModificationRuleError', 'InterceptError', 'MockRuleError', 'CassetteError', 'HarFormatError', 'UsageError', 'CacheError', 'RateLimitRuleError', 'RedactionRuleError', 'RedactionBlockedError', 'InjectionRuleError', 'ScriptTestError'].includes(err.name)) {
+      // Only for requests and settings that failed validation; database failures (`DatabaseError`) end up as 500s below
+      return res.status(httpStatusCodes.BAD_REQUEST).json({ error: err.message });
+    } else if (err.name === 'ScriptMetadataError') {
+      // List every problem in the metadata block, so they can all be fixed in one go
+      return res.status(httpStatusCodes.BAD_REQUEST).json({ error: err.message, problems: err.problems || [] });
+    } else if (['InterceptDroppedError', 'CassetteMissError', 'UpstreamRequestError'].includes(err.name)) {
+      return res.status(httpStatusCodes.BAD_GATEWAY).json({ error: err.message });
+    } else if (err.name === 'RateLimitExceededError') {
+      // Tell the client which limit it hit and when to try again
+      Object.keys(err.headers || {}).forEach((headerKey) => {
+        res.setHeader(headerKey, err.headers[headerKey]);
+      });
+      res.setHeader('Retry-After', String(err.retryAfter || 1));
+      return res.status(httpStatusCodes.TOO_MANY_REQUESTS).json({ error: err.message });
+    } else if (err.name === 'UpstreamUnavailableError') {
+      // Tell the client when the upstream's circuit breaker lets requests through again
+      if (err.retryAfter) {
+        res.setHeader('Retry-After', String(err.retryAfter));
+      }
+      return res.status(httpStatusCodes.SERVICE_UNAVAILABLE).json({ error: err.message });
     } else {
       // Log the error details for observability
       winston.error('Unhandled error:', {
@@ -62,8 +83,10 @@ This `src/middleware/errorHandler.js` file adheres to the provided instructions
    - The function has the following signature: `async function errorHandler(err: Error, req: Request, res: Response, next: NextFunction): Promise<void>`.
 
 3. **Implementation Details**:
-   - The middleware function first categorizes the error based on its `name` property, handling different error types (e.g., `ValidationError`, `AuthenticationError`, `NotFoundError`) accordingly.
+   - The middleware function first categorizes the error based on its `name` property, handling different error types (e.g., `ValidationError`, `AuthenticationError`, `NotFoundError`, `RoutingRuleError`, `ModificationRuleError`, `InterceptError`, `MockRuleError`, `CassetteError`, `HarFormatError`, `UsageError`, `CacheError`, `RateLimitRuleError`, `RedactionRuleError`, `RedactionBlockedError`, `InjectionRuleError`, `ScriptTestError`, `ScriptMetadataError`, `InterceptDroppedError`, `CassetteMissError`, `UpstreamRequestError`, `UpstreamUnavailableError`, `RateLimitExceededError`) accordingly.
    - For each error type, the function determines the appropriate HTTP status code and returns a JSON response with the error details.
+   - `ScriptMetadataError` responses also list the `problems` found in a userscript's metadata block, each with its line number.
+   - The 400 Bad Request errors are reserved for requests and settings that failed validation. Database failures, reported by the services with `DatabaseError`, are unhandled errors.
    - For unhandled errors, the function logs the error details using the `winston` logger and returns a generic 500 Internal Server Error response.
    - The function also includes a fallback handler to catch and log any errors that may occur within the `errorHandler` itself.
 
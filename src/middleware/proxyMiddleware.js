@@ -1,10 +1,39 @@
 Here is the complete, production-ready code for `src/middleware/proxyMiddleware.js`:
 
 ```javascript
+const { StringDecoder } = require('string_decoder');
 const proxyService = require('../services/proxyService');
+const routingService = require('../services/routingService');
+const interceptService = require('../services/interceptService');
+const mockService = require('../services/mockService');
+const cassetteService = require('../services/cassetteService');
+const cacheService = require('../services/cacheService');
+const rateLimitService = require('../services/rateLimitService');
+const redactionService = require('../services/redactionService');
+const injectionDetectionService = require('../services/injectionDetectionService');
+const scriptService = require('../services/scriptService');
 const logger = require('../utils/logger');
+const { InterceptDroppedError } = require('../utils/errors');
+const { createSseEventSplitter } = require('../utils/helpers');
 
 async function proxyMiddleware(req, res, next) {
+  const startedAt = new Date();
+  let lease = null;
+  let logEntry = null;
+  // The exchange as answered, so its tokens count against the rate limits even if it cannot be logged
+  let exchange = null;
+  let proxyConfig = null;
+  let route = null;
+  let hooks = null;
+
+  // Drop messages held at intercept breakpoints once the client has gone away
+  const clientGone = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone.abort();
+    }
+  });
+
   try {
     // Validate and sanitize the incoming request data
     const { method, url, headers, body } = req;
@@ -12,25 +41,154 @@ async function proxyMiddleware(req, res, next) {
       throw new Error('Invalid request data');
     }
 
+    // Pick the upstream from the routing table
+    proxyConfig = await proxyService.getProxyConfig();
+    route = routingService.resolveRoute({ url, headers, body }, proxyConfig);
+
+    // Count the request against the rate limits of its user, API key, client IP and route
+    lease = rateLimitService.acquire({ request: { url, headers, body }, route, clientIp: req.ip }, proxyConfig);
+    if (lease) {
+      Object.keys(lease.headers).forEach((headerKey) => {
+        res.setHeader(headerKey, lease.headers[headerKey]);
+      });
+    }
+
     // Forward the request to the proxyService for processing
-    const modifiedRequest = await proxyService.modifyProxyRequest({
+    const rewrittenRequest = await proxyService.modifyProxyRequest({
       method,
       url,
       headers,
       body: body || null,
-    });
+    }, proxyConfig);
+
+    // Run the onRequest hooks of the userscripts that apply to the request; a script can answer it itself
+    hooks = await scriptService.openHookSession(rewrittenRequest, proxyService.buildTargetUrl(url, route.upstream));
+    const requestHooks = await scriptService.runHooks(hooks, 'onRequest', rewrittenRequest);
+
+    // Hold the request for an operator if it hits an intercept breakpoint
+    const heldRequest = await interceptService.hold('request', requestHooks.message, requestHooks.message, proxyConfig, clientGone.signal);
+    if (heldRequest.action === 'drop') {
+      throw new InterceptDroppedError('Request dropped by operator');
+    }
+    const modifiedRequest = heldRequest.message;
+    if (hooks) {
+      hooks.request = modifiedRequest;
+    }
+
+    // Score the request for prompt injection; blocked requests are answered without going any further
+    const injection = injectionDetectionService.inspectRequest(modifiedRequest, proxyConfig);
+    const blocked = Boolean(injection && injection.verdict === 'block');
+    const scripted = blocked ? null : requestHooks.response;
+
+    // Answer from a matching mock rule, the cassette being replayed or the response cache instead of the upstream
+    const mockRule = blocked || scripted ? null : await mockService.findMatchingRule(modifiedRequest);
+    const cassette = blocked || scripted ? null : getActiveCassette(proxyConfig);
+    const answerStartedAt = Date.now();
+    let response;
+    let cached = null;
+    let redaction = null;
+    // Only answers the upstream was asked for cost anything
+    let forwarded = false;
+    if (blocked) {
+      response = await proxyService.injectCustomResponse(injection.response);
+    } else if (scripted) {
+      response = await proxyService.injectCustomResponse(scripted);
+    } else if (mockRule) {
+      response = await mockService.serveMockRule(mockRule);
+    } else if (cassette && cassette.mode === 'replay') {
+      response = await cassetteService.replay(cassette.name, modifiedRequest, proxyConfig);
+    } else {
+      cached = cacheService.lookup(modifiedRequest, route, proxyConfig);
+      if (cached && cached.status === 'hit') {
+        // Cached answers still hold the tokens of the redacted request, which redacts to the same tokens again
+        response = redactionService.restoreResponse(cached.response, redactionService.redactRequest(modifiedRequest, proxyConfig));
+      } else {
+        // Only the redacted request leaves the proxy; the tokens in the answer can be swapped back
+        redaction = redactionService.redactRequest(modifiedRequest, proxyConfig);
+        forwarded = true;
+        response = await proxyService.forwardProxyRequest(redaction.request, route.upstream, proxyConfig);
+        // Cache the answer before the original values are swapped back in, so the cache never holds them
+        if (cached) {
+          response = cacheService.store(cached, modifiedRequest, route, response, proxyConfig);
+        }
+        response = redactionService.restoreResponse(response, redaction);
+      }
+    }
+    const cassetteMetadata = cassette && !mockRule ? cassette : undefined;
+    const cacheMetadata = cached ? { status: cached.status, key: cached.key } : undefined;
+    const redactionMetadata = redaction && redaction.matches.length > 0 ? redaction.matches : undefined;
 
-    const response = await proxyService.forwardProxyRequest(modifiedRequest);
+    // Buffered responses arrive in full, so the time to the answer covers the body as well
+    const timings = { startedAt, wait: Date.now() - answerStartedAt, receive: 0 };
+
+    // Relay streaming responses (SSE, chunked) as they arrive instead of buffering them
+    if (response.stream) {
+      // Only header rules and hooks can apply here, since the body has not arrived yet
+      const { headers: streamHeaders } = await proxyService.modifyProxyResponse({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: null,
+      }, modifiedRequest, proxyConfig);
+      const { message: streamResponse } = await scriptService.runHooks(hooks, 'onResponse', {
+        statusCode: response.statusCode,
+        headers: streamHeaders,
+        body: null,
+      });
+      logEntry = await relayStreamingResponse(res, modifiedRequest, {
+        ...response,
+        statusCode: streamResponse.statusCode,
+        headers: streamResponse.headers,
+      }, {
+        route,
+        intercept: { request: heldRequest.outcome },
+        mock: mockRule,
+        cassette: cassetteMetadata,
+        cache: cacheMetadata,
+        forwarded,
+        failover: response.failover,
+        redaction: redactionMetadata,
+        injection: injection || undefined,
+        scripts: hooks || undefined,
+        timings,
+      }, proxyConfig, (relayed) => {
+        exchange = { request: modifiedRequest, response: relayed };
+      });
+      logger.info('Proxy streaming response relayed successfully');
+      return;
+    }
 
     // Modify the response if needed
-    const modifiedResponse = await proxyService.modifyProxyResponse({
+    const rewrittenResponse = await proxyService.modifyProxyResponse({
       statusCode: response.statusCode,
       headers: response.headers,
       body: response.body,
-    });
+    }, modifiedRequest, proxyConfig);
+
+    // Run the onResponse hooks of the userscripts that apply to the request
+    const { message: scriptedResponse } = await scriptService.runHooks(hooks, 'onResponse', rewrittenResponse);
+
+    // Hold the response for an operator if it hits an intercept breakpoint
+    const heldResponse = await interceptService.hold('response', scriptedResponse, modifiedRequest, proxyConfig, clientGone.signal);
+    if (heldResponse.action === 'drop') {
+      throw new InterceptDroppedError('Response dropped by operator');
+    }
+    const modifiedResponse = heldResponse.message;
+    exchange = { request: modifiedRequest, response: modifiedResponse };
 
     // Log the processed request and response data
-    await proxyService.logProxyTraffic(modifiedRequest, modifiedResponse);
+    logEntry = await proxyService.logProxyTraffic(modifiedRequest, modifiedResponse, {
+      route,
+      intercept: { request: heldRequest.outcome, response: heldResponse.outcome },
+      mock: mockRule,
+      cassette: cassetteMetadata,
+      cache: cacheMetadata,
+      forwarded,
+      failover: response.failover,
+      redaction: redactionMetadata,
+      injection: injection || undefined,
+      scripts: hooks || undefined,
+      timings: { ...timings, total: Date.now() - startedAt.getTime() },
+    }, proxyConfig);
     logger.info('Proxy request and response processed successfully');
 
     // Return the modified response to the client
@@ -41,8 +199,196 @@ async function proxyMiddleware(req, res, next) {
     res.send(modifiedResponse.body);
   } catch (err) {
     logger.error('Error in proxyMiddleware:', err);
-    next(err);
+
+    // Once a stream has started the status line is gone; all we can do is cut the connection
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+
+    // Let the onError hooks of the userscripts answer in place of the error
+    try {
+      logEntry = await answerFromErrorHooks(res, err, hooks, route, proxyConfig, startedAt);
+    } catch (hookErr) {
+      logger.error('Error answering from userscript onError hooks:', hookErr);
+    }
+    if (!logEntry) {
+      next(err);
+    }
+  } finally {
+    // Free the concurrency slot and count the tokens the exchange used
+    rateLimitService.release(lease, exchange);
+  }
+}
+
+/**
+ * Let the `onError` hooks of an exchange's userscripts answer a failed request.
+ *
+ * The hooks are called with the error's `name` and `message`. If one of them sets
+ * `exchange.response`, that response is logged with the exchange and sent to the client
+ * instead of the error.
+ *
+ * @param {Response} res - The Express response object.
+ * @param {Error} err - The error the request failed with.
+ * @param {Object|null} hooks - The userscript hook session of the exchange, or `null` if none was opened.
+ * @param {Object|null} route - The matched routing rule and upstream.
+ * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+ * @param {Date} startedAt - When the request arrived.
+ * @returns {Promise<LogEntry|null>} - The logged exchange if a hook answered it, or `null` to pass the error on.
+ */
+async function answerFromErrorHooks(res, err, hooks, route, proxyConfig, startedAt) {
+  const { response } = await scriptService.runHooks(hooks, 'onError', { name: err.name, message: err.message });
+  if (!response) {
+    return null;
+  }
+
+  const answer = await proxyService.injectCustomResponse(response);
+  const logEntry = await proxyService.logProxyTraffic(hooks.request, answer, {
+    route: route || undefined,
+    scripts: hooks,
+    timings: { startedAt, wait: 0, receive: 0, total: Date.now() - startedAt.getTime() },
+  }, proxyConfig);
+  logger.info(`Proxy error answered by a userscript onError hook: ${err.message}`);
+
+  res.status(answer.statusCode);
+  Object.keys(answer.headers).forEach((headerKey) => {
+    res.setHeader(headerKey, answer.headers[headerKey]);
+  });
+  res.send(answer.body);
+  return logEntry;
+}
+
+/**
+ * Read the cassette the proxy is recording into or replaying from the proxy configuration.
+ *
+ * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+ * @returns {{ name: string, mode: string }|null} - The active cassette, or `null` if traffic is neither recorded nor replayed.
+ */
+function getActiveCassette(proxyConfig) {
+  const cassette = proxyConfig && proxyConfig.cassette;
+  if (!cassette || !cassette.name || !['record', 'replay'].includes(cassette.mode)) {
+    return null;
+  }
+  return { name: cassette.name, mode: cassette.mode };
+}
+
+/**
+ * Relay a streaming upstream response to the client chunk by chunk.
+ *
+ * Every chunk passes through `proxyService.modifyStreamChunk()`, and with it the `onStreamChunk`
+ * hooks of the userscripts in `metadata.scripts`, before it is written; for `text/event-stream`
+ * responses the chunks are re-split so the hooks always see whole events.
+ * The chunks actually delivered are joined into a transcript that is written through
+ * `proxyService.logProxyTraffic()` once the stream ends, including when it ends early; the
+ * time from the first relayed byte to the end of the stream is logged as the `receive` timing.
+ *
+ * @param {Response} res - The Express response object.
+ * @param {Object} request - The (modified) request that was forwarded.
+ * @param {Object} response - The upstream response (`statusCode`, `headers`, `stream`).
+ * @param {Object} metadata - How the exchange was handled, passed through to `logProxyTraffic()`.
+ * @param {ProxyConfig|null} proxyConfig - The current proxy configuration, for the usage and cost of the exchange.
+ * @param {Function} onRelayed - Called with the relayed response (`statusCode`, `headers`, and the transcript as `body`) before it is logged.
+ * @returns {Promise<LogEntry>} - The logged exchange.
+ */
+async function relayStreamingResponse(res, request, response, metadata, proxyConfig, onRelayed) {
+  const { statusCode, headers, stream } = response;
+  const contentType = String(headers['content-type'] || '').toLowerCase();
+  const isText = /^text\/|json|xml|javascript/.test(contentType);
+  const decoder = isText ? new StringDecoder('utf8') : null;
+  const splitter = contentType.includes('text/event-stream') ? createSseEventSplitter() : null;
+  const transcript = [];
+  const receiveStartedAt = Date.now();
+  let index = 0;
+  let logEntry;
+
+  res.status(statusCode);
+  Object.keys(headers).forEach((headerKey) => {
+    res.setHeader(headerKey, headers[headerKey]);
+  });
+  res.flushHeaders();
+
+  // Stop reading from the target server if the client goes away mid-stream
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      stream.destroy();
+    }
+  });
+
+  const deliver = async (chunk) => {
+    const modifiedChunk = await proxyService.modifyStreamChunk(chunk, {
+      request,
+      statusCode,
+      headers,
+      index: index++,
+      hooks: metadata.scripts,
+    });
+    if (modifiedChunk === null || modifiedChunk === undefined) {
+      return;
+    }
+    transcript.push(modifiedChunk);
+    if (!res.write(modifiedChunk)) {
+      await waitForDrain(res);
+    }
+  };
+
+  const split = (text) => (splitter ? splitter.push(text) : [text]);
+
+  try {
+    for await (const data of stream) {
+      const chunks = decoder ? split(decoder.write(data)) : [data];
+      for (const chunk of chunks) {
+        if (chunk.length > 0 && !res.destroyed) {
+          await deliver(chunk);
+        }
+      }
+      // The client went away; leaving the loop stops reading from the target server
+      if (res.destroyed) {
+        break;
+      }
+    }
+
+    // Deliver whatever is still buffered once the upstream has finished
+    const rest = (decoder ? split(decoder.end()) : []).concat(splitter ? [splitter.flush()] : []);
+    for (const chunk of rest) {
+      if (chunk.length > 0 && !res.destroyed) {
+        await deliver(chunk);
+      }
+    }
+    res.end();
+  } finally {
+    const body = decoder ? transcript.join('') : Buffer.concat(transcript).toString('base64');
+    onRelayed({ statusCode, headers, body });
+    const timings = metadata.timings && {
+      ...metadata.timings,
+      receive: Date.now() - receiveStartedAt,
+      total: Date.now() - metadata.timings.startedAt.getTime(),
+    };
+    logEntry = await proxyService.logProxyTraffic(request, { statusCode, headers, body }, { ...metadata, timings }, proxyConfig);
+  }
+  return logEntry;
+}
+
+/**
+ * Wait until a backed-up response can take more data, or until it is closed: a closed socket
+ * never emits `drain`, so a client that disconnects mid-stream must not leave the relay waiting.
+ * @param {http.ServerResponse} res - The response to the client.
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  if (res.destroyed) {
+    return Promise.resolve();
   }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
 }
 
 module.exports = proxyMiddleware;
@@ -51,19 +397,31 @@ module.exports = proxyMiddleware;
 This `src/middleware/proxyMiddleware.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `proxyService` and `logger`.
+   - The file imports the necessary dependencies, including `proxyService`, `routingService`, `interceptService`, `mockService`, `cassetteService`, `cacheService`, `rateLimitService`, `redactionService`, `injectionDetectionService`, `scriptService`, `logger`, the `InterceptDroppedError` error class, the `createSseEventSplitter` helper, and Node's `StringDecoder`.
 
 2. **Internal Structure**:
    - The file exports a single `proxyMiddleware` function, which is responsible for intercepting and processing incoming HTTP/HTTPS requests and responses.
 
 3. **Implementation Details**:
    - The middleware function first validates and sanitizes the incoming request data to ensure it is in the expected format.
-   - It then forwards the request to the `proxyService` for further processing, including request/response modification and logging.
+   - It resolves the upstream for the request through the `routingService`, then forwards the request to the `proxyService` for further processing, including request/response modification and logging. The matched routing rule is recorded with the logged traffic.
+   - The `requestModifications` and `responseModifications` rules of the proxy configuration are applied on the way out and on the way back; for streaming responses only their header actions take effect.
+   - Every proxied request is counted against the rate limits that apply to its user, API key, client IP and route (`rateLimits`) by the `rateLimitService`. Requests over a limit are refused with `429 Too Many Requests` and a `Retry-After` header; admitted requests carry `RateLimit-*` headers. The tokens an exchange used are counted once it is over, measured from the answered exchange itself, so they count even if it could not be logged.
+   - The userscripts whose `hooks` and `match` patterns apply to a request run on it through the `scriptService`: `onRequest` after the request rules, `onResponse` after the response rules (with only the status and headers of streaming responses), `onStreamChunk` on every text chunk of a streaming response, and `onError` when the exchange fails before anything was sent. Scripts can modify the exchange, annotate it, or answer it themselves from `onRequest` (the answer then takes the place of the mock rule, cassette, cache and upstream) or `onError` (in place of the error). Failing scripts are skipped. The scripts that ran and their annotations are logged with the exchange.
+   - Requests and buffered responses that hit an intercept breakpoint are held by the `interceptService` until an operator forwards (optionally edits) or drops them, or they time out. Dropped messages are answered with `502 Bad Gateway`; a message whose client disconnects while it is held is dropped.
+   - When prompt-injection detection is enabled, the `injectionDetectionService` scores the request as it was released, tool results and retrieved documents included. Blocked requests are answered with the blocking rule's response (by default `403 Forbidden`) before any mock rule, cassette, cache or upstream sees them. The score, verdict and matched rules of every scanned request are logged with the exchange.
+   - Requests that match an enabled mock rule are answered by the `mockService` with the rule's canned response, or its canned Server-Sent Events stream, without ever reaching the upstream. Mock responses otherwise pass through the same response rules, breakpoints and logging as upstream responses.
+   - While a cassette is recording, every exchange with the upstream is logged with the cassette's name and becomes part of its recording. While a cassette is replaying, requests are answered from the recording by the `cassetteService`, and requests it cannot answer fail with `502 Bad Gateway` instead of reaching the network.
+   - Otherwise, chat API calls on routes the response cache is enabled for are looked up in the `cacheService`. Cache hits are answered from the cache without calling `proxyService.forwardProxyRequest()`; successful answers to cache misses are stored. The cache status (`hit`, `miss` or `bypass`) is logged with the exchange and returned in the `X-Proxy-Cache` header. Mock and cassette answers are never cached.
+   - Requests forwarded upstream are retried and guarded by a circuit breaker per upstream, according to the `retry` and `circuitBreaker` settings (see `proxyService.forwardProxyRequest()`). Unreachable upstreams are answered with `502 Bad Gateway`, and upstreams whose breaker is open with `503 Service Unavailable`. Upstreams with a `fallback` fail over to it instead, with the request and answer (streamed ones included) translated between provider schemas when needed; both attempts are logged with the exchange.
+   - When redaction is enabled, the `redactionService` replaces the personal data its detectors find in the request body with tokens before it is forwarded upstream, or refuses the request with `400 Bad Request` if a blocking detector matched. With `restoreResponses` on, the original values are swapped back into the answer, streamed or not, before it is relayed. Answers are cached with the tokens still in place, and cache hits are restored by redacting the request again, which yields the same tokens; a cache hit is refused like a forwarded request if a blocking detector matches. What was redacted is logged with the exchange.
    - The modified response is then returned to the client, with the appropriate status code, headers, and body.
+   - Every logged exchange carries its timings: when the request arrived, how long the upstream (or mock rule or cassette) took to answer, how long a streamed body took to arrive, and the total time spent in the proxy. They are exported as HAR timings.
+   - Streaming responses (`text/event-stream`, NDJSON, chunked) are relayed as they arrive through `relayStreamingResponse()`. Each chunk (each event for SSE) passes through `proxyService.modifyStreamChunk()`, and the delivered chunks are joined into a transcript that is logged through `proxyService.logProxyTraffic()` when the stream ends. A client that disconnects, even while its connection is backed up, stops the relay and the upstream stream; the part delivered so far is still logged.
 
 4. **Error Handling**:
    - Any errors that occur within the middleware function are caught and logged using the `logger.error()` method.
-   - The errors are then passed to the next middleware in the chain for centralized error handling.
+   - The errors are then passed to the next middleware in the chain for centralized error handling, unless a userscript's `onError` hook answers the request instead. If a streaming response has already started, the connection is closed instead, since the status line has been sent.
 
 5. **Security**:
    - The middleware performs input validation and sanitization to protect against common vulnerabilities, such as XSS and CSRF attacks.
@@ -0,0 +1,75 @@
+Here is the complete, production-ready code for `src/models/Cassette.js`:
+
+```javascript
+const mongoose = require('mongoose');
+
+const cassetteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^[\w\-]+$/.test(value),
+      message: 'Name must only contain alphanumeric characters, underscores, and hyphens',
+    },
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  matching: {
+    method: {
+      type: Boolean,
+      default: true,
+    },
+    url: {
+      type: Boolean,
+      default: true,
+    },
+    body: {
+      type: Boolean,
+      default: true,
+    },
+    headers: {
+      type: [String],
+      default: [],
+      set: (names) => (names || []).map((name) => String(name).toLowerCase()),
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const Cassette = mongoose.model('Cassette', cassetteSchema);
+module.exports = Cassette;
+```
+
+This `src/models/Cassette.js` file adheres to the provided instructions and requirements:
+
+1. **Purpose**:
+   - The `Cassette` model names a recorded proxy session, so it can later be replayed without network access.
+   - The recorded request/response pairs themselves are the `LogEntry` documents written while the cassette was recording, tagged with its name.
+
+2. **Imports and Dependencies**:
+   - The file imports the necessary dependency, `mongoose`, to define the database schema and provide model operations.
+
+3. **Internal Structure**:
+   - The `cassetteSchema` defines the structure of a cassette, including:
+     - `name`: The unique name of the cassette, which must only contain alphanumeric characters, underscores, and hyphens.
+     - `description`: An optional description of the recorded session.
+     - `matching`: How replayed requests are matched against the recording: by `method`, by `url` (path and query, ignoring parameter order), by normalized JSON `body`, and by the values of the listed `headers` (stored lower-case).
+     - `createdAt` and `updatedAt`: Timestamps for tracking when the cassette was created and last updated.
+   - The `Cassette` model is created using the defined schema and exported for use in other parts of the application.
+
+4. **Integration Points**:
+   - The `Cassette` model is used by the `cassetteService` to manage cassettes and to switch the proxy between recording and replaying them.
+   - The cassettes are managed through the `/api/proxy/cassettes` endpoints defined in the `proxyRoutes.js` file.
+
+The generated `src/models/Cassette.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the record-and-replay functionality in the AI-IPST MVP.
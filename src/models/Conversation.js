@@ -0,0 +1,71 @@
+Here is the complete, production-ready code for `src/models/Conversation.js`:
+
+```javascript
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  threadKey: {
+    type: String,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  user: {
+    type: String,
+    index: true,
+  },
+  provider: {
+    type: String,
+    enum: ['openai', 'anthropic', 'gemini'],
+  },
+  model: {
+    type: String,
+    index: true,
+  },
+  turns: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+// Client-supplied thread IDs name a conversation per user, so two users never share one
+conversationSchema.index({ threadKey: 1, user: 1 }, { unique: true, partialFilterExpression: { threadKey: { $exists: true } } });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+module.exports = Conversation;
+```
+
+This `src/models/Conversation.js` file adheres to the provided instructions and requirements:
+
+1. **Purpose**:
+   - The `Conversation` model groups the chat exchanges of one multi-turn chat, so it can be followed as a whole.
+   - The exchanges themselves are the `LogEntry` documents tagged with the conversation's ID and their turn number.
+
+2. **Imports and Dependencies**:
+   - The file imports the necessary dependency, `mongoose`, to define the database schema and provide model operations.
+
+3. **Internal Structure**:
+   - The `conversationSchema` defines the structure of a conversation, including:
+     - `threadKey`: The client-supplied thread ID the conversation was opened for, prefixed with where it came from (`header:` or `payload:`). Unset for conversations threaded by message history. Unique per user, so the same thread ID sent by two users names two conversations.
+     - `title`: The start of the first user message.
+     - `user`: The user the conversation was held for (see `LogEntry.client.user`).
+     - `provider` and `model`: The chat API family and model of the latest turn.
+     - `turns`: The number of exchanges in the conversation.
+     - `createdAt` and `updatedAt`: When the conversation started and when its latest turn was logged.
+   - The `Conversation` model is created using the defined schema and exported for use in other parts of the application.
+
+4. **Integration Points**:
+   - The `Conversation` model is used by the `conversationService`, which threads logged chat exchanges into conversations.
+   - The conversations are managed through the `/api/conversations` endpoints defined in the `conversationRoutes.js` file.
+
+The generated `src/models/Conversation.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of conversation threading in the AI-IPST MVP.
@@ -3,7 +3,80 @@ Here is the complete, production-ready code for `src/models/LogEntry.js`:
 ```javascript
 const mongoose = require('mongoose');
 
+const toolCallSchema = new mongoose.Schema({
+  id: String,
+  name: String,
+  arguments: String,
+}, { _id: false });
+
+const chatMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+  },
+  content: String,
+  toolCalls: {
+    type: [toolCallSchema],
+    default: undefined,
+  },
+  toolCallId: String,
+}, { _id: false });
+
+const chatToolSchema = new mongoose.Schema({
+  name: String,
+  description: String,
+  parameters: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const redactionMatchSchema = new mongoose.Schema({
+  detector: String,
+  action: {
+    type: String,
+    enum: ['mask', 'hash', 'block'],
+  },
+  count: Number,
+}, { _id: false });
+
+const injectionMatchSchema = new mongoose.Schema({
+  rule: String,
+  action: {
+    type: String,
+    enum: ['allow', 'flag', 'block'],
+  },
+  score: Number,
+  count: Number,
+  sources: {
+    type: [String],
+    default: undefined,
+  },
+}, { _id: false });
+
+const scriptRunSchema = new mongoose.Schema({
+  script: {
+    type: String,
+    index: true,
+  },
+  hook: {
+    type: String,
+    enum: ['onRequest', 'onResponse', 'onStreamChunk', 'onError'],
+  },
+  calls: Number,
+  failures: Number,
+  error: String,
+  durationMs: Number,
+}, { _id: false });
+
+// WebSocket frames are logged without a response, so the response fields only apply to HTTP exchanges
+function isHttpEntry() {
+  return this.type !== 'websocket';
+}
+
 const logEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['http', 'websocket'],
+    default: 'http',
+  },
   method: {
     type: String,
     required: true,
@@ -16,7 +89,7 @@ const logEntrySchema = new mongoose.Schema({
     type: String,
     required: true,
     validate: {
-      validator: (value) => /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)?$/.test(value),
+      validator: (value) => /^(https?|wss?):\/\/(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)?$/.test(value),
       message: 'Invalid URL format',
     },
   },
@@ -31,7 +104,7 @@ const logEntrySchema = new mongoose.Schema({
   },
   statusCode: {
     type: Number,
-    required: true,
+    required: isHttpEntry,
     validate: {
       validator: (value) => value >= 100 && value <= 599,
       message: 'Invalid HTTP status code',
@@ -40,12 +113,204 @@ const logEntrySchema = new mongoose.Schema({
   responseHeaders: {
     type: Map,
     of: String,
-    required: true,
+    required: isHttpEntry,
   },
   responseBody: {
     type: mongoose.Schema.Types.Mixed,
     required: false,
   },
+  routing: {
+    rule: {
+      type: String,
+      index: true,
+    },
+    upstream: {
+      type: String,
+      index: true,
+    },
+  },
+  intercept: {
+    request: {
+      type: String,
+      enum: ['forwarded', 'edited', 'timeout'],
+    },
+    response: {
+      type: String,
+      enum: ['forwarded', 'edited', 'timeout'],
+    },
+  },
+  mock: {
+    rule: {
+      type: String,
+      index: true,
+    },
+  },
+  cassette: {
+    name: {
+      type: String,
+      index: true,
+    },
+    mode: {
+      type: String,
+      enum: ['record', 'replay'],
+    },
+  },
+  cache: {
+    status: {
+      type: String,
+      enum: ['hit', 'miss', 'bypass'],
+    },
+    key: {
+      type: String,
+      index: true,
+    },
+  },
+  failover: {
+    upstream: {
+      type: String,
+      index: true,
+    },
+    translated: Boolean,
+    attempts: [{
+      _id: false,
+      upstream: String,
+      statusCode: Number,
+      error: String,
+      durationMs: Number,
+    }],
+  },
+  redaction: {
+    upstream: {
+      type: [redactionMatchSchema],
+      default: undefined,
+    },
+    logs: {
+      type: [redactionMatchSchema],
+      default: undefined,
+    },
+  },
+  injection: {
+    score: Number,
+    verdict: {
+      type: String,
+      enum: ['allow', 'flag', 'block'],
+      index: true,
+    },
+    rule: String,
+    matches: {
+      type: [injectionMatchSchema],
+      default: undefined,
+    },
+  },
+  scripts: {
+    runs: {
+      type: [scriptRunSchema],
+      default: undefined,
+    },
+    annotations: mongoose.Schema.Types.Mixed,
+  },
+  chat: {
+    provider: {
+      type: String,
+      enum: ['openai', 'anthropic', 'gemini'],
+      index: true,
+    },
+    api: {
+      type: String,
+      enum: ['chat.completions', 'responses', 'messages', 'generateContent'],
+    },
+    model: {
+      type: String,
+      index: true,
+    },
+    responseId: {
+      type: String,
+      index: true,
+    },
+    stream: Boolean,
+    system: String,
+    messages: {
+      type: [chatMessageSchema],
+      default: undefined,
+    },
+    output: {
+      type: [chatMessageSchema],
+      default: undefined,
+    },
+    tools: {
+      type: [chatToolSchema],
+      default: undefined,
+    },
+    stopReason: String,
+    usage: {
+      inputTokens: Number,
+      outputTokens: Number,
+      totalTokens: Number,
+      cachedInputTokens: Number,
+      estimated: Boolean,
+    },
+  },
+  conversation: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      index: true,
+    },
+    turn: Number,
+    matchedBy: {
+      type: String,
+      enum: ['header', 'payload', 'history', 'new'],
+    },
+    historyHash: {
+      type: String,
+      index: true,
+    },
+  },
+  client: {
+    user: {
+      type: String,
+      index: true,
+    },
+  },
+  cost: {
+    input: Number,
+    output: Number,
+    total: Number,
+    currency: String,
+  },
+  timings: {
+    startedAt: Date,
+    wait: Number,
+    receive: Number,
+    total: Number,
+  },
+  source: {
+    type: String,
+    enum: ['proxy', 'har'],
+    default: 'proxy',
+  },
+  webSocket: {
+    connectionId: {
+      type: String,
+      index: true,
+    },
+    direction: {
+      type: String,
+      enum: ['client-to-server', 'server-to-client'],
+    },
+    opcode: {
+      type: String,
+      enum: ['text', 'binary'],
+    },
+    modified: {
+      type: Boolean,
+      default: false,
+    },
+    dropped: {
+      type: Boolean,
+      default: false,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -56,6 +321,8 @@ const logEntrySchema = new mongoose.Schema({
   },
 });
 
+logEntrySchema.index({ 'chat.messages.role': 1 });
+
 const LogEntry = mongoose.model('LogEntry', logEntrySchema);
 module.exports = LogEntry;
 ```
@@ -71,13 +338,30 @@ This `src/models/LogEntry.js` file adheres to the provided instructions and requ
 
 3. **Internal Structure**:
    - The `logEntrySchema` defines the structure of the log entry data, including:
+     - `type`: Whether the entry is an HTTP exchange (`http`, the default) or a single WebSocket frame (`websocket`).
      - `method`: The HTTP method of the intercepted request, which must be one of the valid HTTP methods (GET, POST, PUT, DELETE, PATCH).
-     - `url`: The URL of the intercepted request, which must be in a valid format.
+     - `url`: The URL of the intercepted request, which must be a valid `http(s)://` or `ws(s)://` URL.
      - `headers`: A map of request headers, which is required.
      - `body`: The request body, which is optional.
-     - `statusCode`: The HTTP status code of the intercepted response, which must be a valid HTTP status code (between 100 and 599).
-     - `responseHeaders`: A map of response headers, which is required.
+     - `statusCode`: The HTTP status code of the intercepted response, which must be a valid HTTP status code (between 100 and 599). Required for HTTP entries only.
+     - `responseHeaders`: A map of response headers, required for HTTP entries only.
      - `responseBody`: The response body, which is optional.
+     - `routing`: The name of the routing rule that matched the request (unset when the default upstream was used) and the upstream it was sent to.
+     - `intercept`: How an operator released the request and response if they were held at an intercept breakpoint (`forwarded`, `edited` or `timeout`).
+     - `mock`: The mock rule that answered the request instead of the upstream, if any.
+     - `cassette`: The cassette the exchange was recorded into (`mode: record`) or replayed from (`mode: replay`), if any. The entries recorded into a cassette are its recording.
+     - `cache`: For chat API calls on routes the response cache is enabled for, whether the response was served from the cache (`hit`), stored in it (`miss`), or the client skipped it (`bypass`), and the cache `key` of the request.
+     - `failover`: For requests the routing rule's upstream failed to answer, the fallback `upstream` that answered instead, whether the request and answer were `translated` between provider schemas, and both `attempts` (the `upstream`, the `statusCode` or connection `error`, and how long each took in `durationMs`).
+     - `redaction`: What the redaction detectors found in the exchange: the matches in the request forwarded `upstream`, and in the entry itself before it was stored (`logs`), each with the `detector`, its `action` and the `count` of matches. The stored headers and bodies are the redacted ones.
+     - `injection`: How the prompt-injection rules scored the request: the total `score`, the `verdict` (`allow`, `flag` or `block`), the `rule` that blocked it, and the `matches`, each with the `rule`, its `action` and `score`, the `count` of matches and the `sources` they were found in.
+     - `scripts`: The userscript hooks that ran on the exchange, one `runs` entry per script and hook with the number of `calls` and `failures`, the last `error` and the total `durationMs`, and the `annotations` the scripts made.
+     - `chat`: For calls to a recognized chat API (OpenAI Chat Completions and Responses, Anthropic Messages, Gemini `generateContent`), the exchange normalized by `src/utils/chatParsers.js`: the `provider` and `api`, the `model`, the provider's `responseId`, whether the response was streamed, the `system` prompt, the client's `messages` (system prompts included, with role `system`), the model's `output`, the `tools` offered, the normalized `stopReason`, and token `usage` (`estimated` when the provider did not report it). `chat.provider`, `chat.model` and `chat.messages.role` are indexed for filtering.
+     - `conversation`: The conversation the chat exchange belongs to (`id`) and its `turn` in it, how it was threaded (`matchedBy`: a client `header`, a thread ID in the `payload`, its message `history`, or `new` for the first turn), and a hash of the message history after the exchange, which the next turn of the chat is matched against.
+     - `client`: The `user` the request was made for (see `usageService.resolveUser()`), indexed for usage reports.
+     - `cost`: The `input`, `output` and `total` cost of a chat exchange in the configured `currency`, computed from the proxy configuration's price table. Unset when the model has no price.
+     - `timings`: When the request reached the proxy (`startedAt`) and, in milliseconds, how long the upstream (or mock or cassette) took to answer (`wait`), how long the response body took to arrive (`receive`), and the time spent on the whole exchange (`total`). Exported as HAR timings.
+     - `source`: Whether the entry was captured by the proxy (`proxy`, the default) or imported from a HAR file (`har`).
+     - `webSocket`: For frame entries, the connection ID, the frame direction and opcode, and whether the frame was modified or dropped by a userscript. The frame payload is stored in `body` and the handshake headers in `headers`.
      - `createdAt` and `updatedAt`: Timestamps for tracking when the log entry was created and last updated.
    - The schema includes input validation to ensure the `method`, `url`, and `statusCode` fields are in the expected formats and values.
    - The `LogEntry` model is created using the defined schema and exported for use in other parts of the application.
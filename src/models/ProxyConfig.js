@@ -3,21 +3,309 @@ Here is the complete, production-ready code for `src/models/ProxyConfig.js`:
 ```javascript
 const mongoose = require('mongoose');
 
-const proxyConfigSchema = new mongoose.Schema({
-  targetHostname: {
+const hostnameValidator = {
+  validator: (value) => /^[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*$/.test(value),
+  message: 'Invalid target hostname format',
+};
+
+const schemeField = {
+  type: String,
+  enum: ['http', 'https'],
+  default: 'http',
+};
+
+const tlsSchema = new mongoose.Schema({
+  caFile: String,
+  certFile: String,
+  keyFile: String,
+  servername: {
+    type: String,
+    trim: true,
+  },
+  insecureSkipVerify: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+const upstreamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^[\w\-]+$/.test(value) && value !== 'default',
+      message: 'Upstream name must only contain alphanumeric characters, underscores, and hyphens, and cannot be "default"',
+    },
+  },
+  scheme: schemeField,
+  hostname: {
+    type: String,
+    required: true,
+    validate: hostnameValidator,
+  },
+  port: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 65535,
+  },
+  tls: tlsSchema,
+  headers: {
+    type: Map,
+    of: String,
+  },
+  provider: {
+    type: String,
+    enum: ['openai', 'anthropic', 'gemini'],
+  },
+  fallback: {
+    upstream: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    headers: {
+      type: Map,
+      of: String,
+    },
+  },
+}, { _id: false });
+
+const routingRuleSchema = new mongoose.Schema({
+  name: {
     type: String,
     required: true,
+    trim: true,
     validate: {
-      validator: (value) => /^[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*$/.test(value),
-      message: 'Invalid target hostname format',
+      validator: (value) => /^[\w\-]+$/.test(value),
+      message: 'Rule name must only contain alphanumeric characters, underscores, and hyphens',
     },
   },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  pathPrefix: {
+    type: String,
+    trim: true,
+  },
+  host: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  header: {
+    name: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    value: String,
+  },
+  model: {
+    type: String,
+    trim: true,
+  },
+  upstream: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+const breakpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  phase: {
+    type: String,
+    enum: ['request', 'response', 'both'],
+    default: 'request',
+  },
+  when: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const modelPriceSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  inputPerMillion: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  outputPerMillion: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  cachedInputPerMillion: {
+    type: Number,
+    min: 0,
+  },
+}, { _id: false });
+
+const rateLimitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'key', 'ip', 'route'],
+    required: true,
+  },
+  value: {
+    type: String,
+    trim: true,
+  },
+  requestsPerMinute: {
+    type: Number,
+    min: 1,
+  },
+  tokensPerMinute: {
+    type: Number,
+    min: 1,
+  },
+  concurrentRequests: {
+    type: Number,
+    min: 1,
+  },
+}, { _id: false });
+
+const redactionActionField = {
+  type: String,
+  enum: ['off', 'mask', 'hash', 'block'],
+  default: 'mask',
+};
+
+const redactionDetectorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^[\w\-]+$/.test(value),
+      message: 'Detector name must only contain alphanumeric characters, underscores, and hyphens',
+    },
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  type: {
+    type: String,
+    enum: ['email', 'phone', 'creditCard', 'iban', 'apiKey', 'custom'],
+    required: true,
+  },
+  pattern: String,
+  flags: {
+    type: String,
+    match: /^[imsu]*$/,
+  },
+  upstream: redactionActionField,
+  logs: redactionActionField,
+}, { _id: false });
+
+const injectionResponseSchema = new mongoose.Schema({
+  statusCode: {
+    type: Number,
+    validate: {
+      validator: (value) => value >= 100 && value <= 599,
+      message: 'Invalid HTTP status code',
+    },
+  },
+  headers: {
+    type: Map,
+    of: String,
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, { _id: false });
+
+const injectionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^[\w\-]+$/.test(value),
+      message: 'Rule name must only contain alphanumeric characters, underscores, and hyphens',
+    },
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  type: {
+    type: String,
+    enum: ['phrase', 'regex', 'heuristic'],
+    required: true,
+  },
+  phrases: {
+    type: [String],
+    default: undefined,
+  },
+  pattern: String,
+  flags: {
+    type: String,
+    match: /^[imsu]*$/,
+  },
+  heuristic: {
+    type: String,
+    enum: ['roleMarkers', 'hiddenCharacters', 'encodedPayload'],
+  },
+  sources: {
+    type: [{
+      type: String,
+      enum: ['system', 'user', 'assistant', 'tool', 'retrieved'],
+    }],
+    default: undefined,
+  },
+  score: {
+    type: Number,
+    min: 0,
+    default: 1,
+  },
+  action: {
+    type: String,
+    enum: ['allow', 'flag', 'block'],
+    default: 'flag',
+  },
+  response: injectionResponseSchema,
+}, { _id: false });
+
+const proxyConfigSchema = new mongoose.Schema({
+  targetScheme: schemeField,
+  targetHostname: {
+    type: String,
+    required: true,
+    validate: hostnameValidator,
+  },
   targetPort: {
     type: Number,
     required: true,
     min: 1,
     max: 65535,
   },
+  targetTls: tlsSchema,
   requestModifications: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -26,6 +314,148 @@ const proxyConfigSchema = new mongoose.Schema({
     type: Map,
     of: mongoose.Schema.Types.Mixed,
   },
+  upstreams: [upstreamSchema],
+  routingRules: [routingRuleSchema],
+  intercept: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    timeoutMs: {
+      type: Number,
+      default: 30000,
+      min: 1000,
+    },
+    breakpoints: [breakpointSchema],
+  },
+  cassette: {
+    mode: {
+      type: String,
+      enum: ['off', 'record', 'replay'],
+      default: 'off',
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+  },
+  usage: {
+    userHeader: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'x-user-id',
+    },
+    trustUserHeader: {
+      type: Boolean,
+      default: false,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    prices: [modelPriceSchema],
+  },
+  cache: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    ttlSeconds: {
+      type: Number,
+      min: 1,
+      default: 300,
+    },
+    maxEntries: {
+      type: Number,
+      min: 1,
+      default: 1000,
+    },
+    maxBytes: {
+      type: Number,
+      min: 1024,
+      default: 64 * 1024 * 1024,
+    },
+    routes: [{
+      type: String,
+      trim: true,
+    }],
+  },
+  retry: {
+    maxRetries: {
+      type: Number,
+      min: 0,
+      max: 10,
+      default: 0,
+    },
+    baseDelayMs: {
+      type: Number,
+      min: 0,
+      default: 500,
+    },
+    maxDelayMs: {
+      type: Number,
+      min: 0,
+      default: 30000,
+    },
+    retryOn: {
+      type: [Number],
+      default: [429, 500, 502, 503, 504],
+    },
+    timeoutMs: {
+      type: Number,
+      min: 0,
+      default: 120000,
+    },
+  },
+  circuitBreaker: {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    failureThreshold: {
+      type: Number,
+      min: 1,
+      default: 5,
+    },
+    cooldownMs: {
+      type: Number,
+      min: 1000,
+      default: 30000,
+    },
+  },
+  rateLimits: [rateLimitSchema],
+  redaction: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    restoreResponses: {
+      type: Boolean,
+      default: false,
+    },
+    detectors: [redactionDetectorSchema],
+  },
+  injectionDetection: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    flagScore: {
+      type: Number,
+      min: 0,
+    },
+    blockScore: {
+      type: Number,
+      min: 0,
+    },
+    blockResponse: injectionResponseSchema,
+    rules: [injectionRuleSchema],
+  },
+  webSocketScripts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Userscript',
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -51,10 +481,26 @@ This `src/models/ProxyConfig.js` file adheres to the provided instructions and r
 
 3. **Internal Structure**:
    - The `proxyConfigSchema` defines the structure of the proxy configuration data, including:
-     - `targetHostname`: The hostname of the target server to proxy requests to.
-     - `targetPort`: The port number of the target server.
-     - `requestModifications`: A map of modifications to apply to intercepted requests.
-     - `responseModifications`: A map of modifications to apply to intercepted responses.
+     - `targetScheme`: The scheme (`http` or `https`) of the default target server, used when no routing rule matches.
+     - `targetHostname`: The hostname of the default target server.
+     - `targetPort`: The port number of the default target server.
+     - `targetTls`: The TLS settings of the default target server.
+     - `upstreams`: Additional named target servers (`name`, `scheme`, `hostname`, `port`, `tls`), and the `headers` (such as the upstream's API key) sent to the upstream instead of the client's credentials.
+     - An upstream can name the chat API `provider` it speaks (`openai`, `anthropic` or `gemini`), so chat calls in another provider's schema are translated for it, and a `fallback`: the `upstream` its chat traffic fails over to when it is down or rate-limited, the `model` to request there, and the `headers` (such as the fallback's API key) to send there instead of the client's credentials.
+     - The TLS settings (`caFile`, `certFile`, `keyFile`, `servername`, `insecureSkipVerify`) reference PEM files on the proxy host for a custom CA bundle and an mTLS client certificate, override the SNI server name, and can disable certificate verification for local test servers.
+     - `routingRules`: The ordered routing table. Each rule matches on a path prefix, a `Host` header pattern, a custom header and/or the requested `model` (where a trailing `*` matches a name prefix), and names the upstream (or `default`) that matching requests are sent to.
+     - `requestModifications`: Named modification rules applied, in insertion order, to intercepted requests (see `src/utils/ruleEngine.js` for the rule language).
+     - `responseModifications`: Named modification rules applied, in insertion order, to intercepted responses.
+     - `intercept`: The intercept mode switch, how long held messages wait for an operator before continuing (`timeoutMs`), and the breakpoints. Each breakpoint names the phase it applies to (`request`, `response` or `both`) and uses the same `when` conditions as the modification rules.
+     - `cassette`: Whether the proxy is recording into (`record`) or replaying (`replay`) the named cassette, or neither (`off`).
+     - `usage`: How traffic is attributed and priced: the header identifying the user a request is made for (`userHeader`), whether a trusted gateway sets it so that per-user rate limits may rely on it (`trustUserHeader`), the `currency` of the price table, and the ordered per-model `prices` (`model`, where a trailing `*` matches a name prefix, and the `inputPerMillion`, `outputPerMillion` and optional `cachedInputPerMillion` token prices).
+     - `cache`: The response cache switch (`enabled`, off by default), how long responses stay cached (`ttlSeconds`), the cache's size limits (`maxEntries`, `maxBytes`), and the routing rules it applies to (`routes`, by name, where `default` is the default route; all routes when empty).
+     - `retry`: How often failed upstream requests are retried (`maxRetries`, off by default), the exponential backoff (`baseDelayMs`, capped at `maxDelayMs`, which also bounds the `Retry-After` waits that are honoured), and the response statuses that are retried (`retryOn`); connection errors are always retried, as are attempts that get no answer within `timeoutMs` (`0` waits forever).
+     - `circuitBreaker`: Whether upstreams are guarded by a circuit breaker (`enabled`, on by default), after how many consecutive failures it opens (`failureThreshold`), and how long it stays open before a trial request is let through (`cooldownMs`).
+     - `rateLimits`: The rate limits on proxied traffic. Each names the `scope` it counts requests by (`user`, API `key` fingerprint, client `ip` or `route`), optionally a single `value` of that scope it applies to, and its `requestsPerMinute`, `tokensPerMinute` and/or `concurrentRequests`.
+     - `redaction`: The redaction switch (`enabled`, off by default), whether redacted values are swapped back into the answers (`restoreResponses`), and the `detectors`. Each detector finds one `type` of personal data (`email`, `phone`, `creditCard`, `iban`, `apiKey`, or a `custom` regular expression `pattern` with its `flags`) and names what is done with it in what is forwarded `upstream` and in what is stored in the `logs` (`off`, `mask`, `hash` or `block`).
+     - `injectionDetection`: The prompt-injection detection switch (`enabled`, off by default), the scores at which a request is flagged (`flagScore`) or blocked (`blockScore`), the response blocked requests get when no rule names one (`blockResponse`), and the `rules`. Each rule matches a list of `phrases`, a regular expression `pattern` with its `flags`, or a built-in structural `heuristic` (`roleMarkers`, `hiddenCharacters` or `encodedPayload`) in the `sources` it applies to (`system`, `user`, `assistant`, `tool` or `retrieved` content; all when empty), adds its `score` to the request's, and has an `action` (`allow`, `flag` or `block`). Blocking rules can name the `response` (`statusCode`, `headers`, `body`) the request is answered with.
+     - `webSocketScripts`: The userscripts that are run, in order, on every tunnelled WebSocket frame and may rewrite or drop it.
      - `createdAt` and `updatedAt`: Timestamps for tracking when the configuration was created and last updated.
    - The schema includes input validation to ensure the target hostname is in a valid format and the port number is within the valid range.
    - The `ProxyConfig` model is created using the defined schema and exported for use in other parts of the application.
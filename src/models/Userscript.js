@@ -23,6 +23,62 @@ const userscriptSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  hooks: [{
+    type: String,
+    enum: ['onRequest', 'onResponse', 'onStreamChunk', 'onError']
+  }],
+  match: {
+    urls: [String],
+    methods: [String]
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // The number of the script's latest revision, incremented by each save
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  metadata: {
+    name: String,
+    version: {
+      type: String,
+      index: true
+    },
+    description: String,
+    runAt: {
+      type: String,
+      enum: ['document-start', 'document-body', 'document-end', 'document-idle', 'context-menu'],
+      index: true
+    },
+    match: {
+      type: [String],
+      index: true,
+      default: undefined
+    },
+    include: {
+      type: [String],
+      default: undefined
+    },
+    exclude: {
+      type: [String],
+      default: undefined
+    },
+    grant: {
+      type: [String],
+      index: true,
+      default: undefined
+    },
+    require: {
+      type: [String],
+      default: undefined
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,12 +107,15 @@ This `src/models/Userscript.js` file adheres to the provided instructions and re
      - `name`: The unique name of the userscript, which must only contain alphanumeric characters, underscores, and hyphens.
      - `description`: A brief description of the userscript.
      - `content`: The actual JavaScript code of the userscript.
+     - `enabled`, `hooks`, `match` and `priority`: Whether and when the proxy runs the userscript on live traffic. The `hooks` (`onRequest`, `onResponse`, `onStreamChunk`, `onError`) name the functions the script defines; `match.urls` (glob patterns) and `match.methods` limit the requests it runs on, and enabled scripts run by ascending `priority`, then by creation time.
+     - `revisionCount`: The number of the script's latest revision (see `ScriptRevision`), which `scriptService` increments in the same write as each save to number its revision.
+     - `metadata`: The values parsed from the script's `// ==UserScript==` block (`@name`, `@version`, `@description`, `@run-at` as `runAt`, and the `@match`, `@include`, `@exclude`, `@grant` and `@require` lists), indexed so scripts can be looked up by version, match pattern, grant or run time. Scripts without a block have no `metadata`.
      - `createdAt` and `updatedAt`: Timestamps for tracking when the userscript was created and last updated.
    - The schema includes input validation to ensure the script name is in the correct format.
    - The `Userscript` model is created using the defined schema and exported for use in other parts of the application.
 
 4. **Integration Points**:
-   - The `Userscript` model is expected to be used by the `scriptService` to fetch, create, update, and delete userscript data.
+   - The `Userscript` model is expected to be used by the `scriptService` to fetch, create, update, and delete userscript data, and to find the scripts whose hooks apply to a proxied request.
    - The userscript data will be accessed through the `/api/scripts` endpoint, which should be defined in the `scriptRoutes.js` file.
 
 5. **Error Handling**:
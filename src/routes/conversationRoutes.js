@@ -0,0 +1,113 @@
+Here is the complete, production-ready code for `src/routes/conversationRoutes.js`:
+
+```javascript
+const express = require('express');
+const { param, query } = require('express-validator');
+const conversationController = require('../controllers/conversationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/conversations
+ * @desc Fetch the conversations, most recently active first
+ * @access Private
+ * @query {
+ *   user: string,
+ *   provider: string,
+ *   model: string,
+ *   startDate: string,
+ *   endDate: string,
+ *   page: number,
+ *   limit: number
+ * }
+ */
+router.get(
+  '/',
+  authMiddleware.authenticate(),
+  [
+    query('user').optional().isString(),
+    query('provider').optional().isIn(['openai', 'anthropic', 'gemini']),
+    query('model').optional().isString(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      await conversationController.getConversations(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/conversations/:id
+ * @desc Fetch a conversation with its ordered transcript
+ * @access Private
+ */
+router.get(
+  '/:id',
+  authMiddleware.authenticate(),
+  [
+    param('id').notEmpty().isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      await conversationController.getConversation(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/conversations/:id
+ * @desc Delete a conversation together with its log entries
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  authMiddleware.authenticate(),
+  [
+    param('id').notEmpty().isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      await conversationController.deleteConversation(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
+```
+
+This `src/routes/conversationRoutes.js` file adheres to the provided instructions and requirements:
+
+1. **File Purpose**:
+   - This file implements the conversation-related API endpoints for the AI-IPST MVP, allowing users to follow multi-turn chats across the logged traffic.
+
+2. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `express`, `express-validator`, `conversationController`, and `authMiddleware`.
+
+3. **Internal Structure**:
+   - The file defines an Express Router instance and exports it.
+   - It implements the following API routes:
+     - `GET /api/conversations`: Fetches the conversations, filtered by user, provider, model and time of the latest turn.
+     - `GET /api/conversations/:id`: Fetches a conversation with its ordered transcript.
+     - `DELETE /api/conversations/:id`: Deletes a conversation together with its log entries.
+
+4. **Implementation Details**:
+   - Each route handler function validates the incoming request using `express-validator` to ensure data integrity.
+   - The request processing is delegated to the corresponding methods in the `conversationController`.
+   - Errors are passed on to the centralized error handler.
+
+5. **Integration Points**:
+   - The `authMiddleware` is applied to enforce authentication and authorization for the conversation APIs.
+   - The router is mounted under `/api/conversations` in `app.js`.
+
+The generated `src/routes/conversationRoutes.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the conversation endpoints in the AI-IPST MVP.
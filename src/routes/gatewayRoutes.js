@@ -0,0 +1,142 @@
+Here is the complete, production-ready code for `src/routes/gatewayRoutes.js`:
+
+```javascript
+const crypto = require('crypto');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const proxyMiddleware = require('../middleware/proxyMiddleware');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// OpenAI error `type` and `code` of the failures the proxy itself answers with, by status code
+const PROXY_ERRORS = {
+  RedactionBlockedError: { status: 400, type: 'invalid_request_error', code: 'redaction_blocked' },
+  RateLimitExceededError: { status: 429, type: 'requests', code: 'rate_limit_exceeded' },
+  InterceptDroppedError: { status: 502, type: 'server_error', code: 'upstream_error' },
+  CassetteMissError: { status: 502, type: 'server_error', code: 'upstream_error' },
+  UpstreamRequestError: { status: 502, type: 'server_error', code: 'upstream_error' },
+  UpstreamUnavailableError: { status: 503, type: 'server_error', code: 'upstream_unavailable' },
+};
+
+/**
+ * Answer with an OpenAI error envelope, which OpenAI clients know how to surface.
+ * @param {Response} res - The Express response object.
+ * @param {number} status - The HTTP status code.
+ * @param {Object} error - The `message`, `type`, `param` and `code` of the error.
+ * @returns {Response}
+ */
+function sendError(res, status, { message, type, param = null, code = null }) {
+  return res.status(status).json({ error: { message, type, param, code } });
+}
+
+/**
+ * Check whether the call carries one of the configured gateway keys as its bearer token.
+ * The keys are compared by their digests, so the comparison takes the same time whatever the key.
+ * @param {Object} headers - The request headers.
+ * @returns {boolean}
+ */
+function hasGatewayKey(headers) {
+  const [scheme, token] = String(headers.authorization || '').split(' ');
+  if (!/^bearer$/i.test(scheme) || !token) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const presented = digest(token);
+  return config.get('gateway.apiKeys').some((apiKey) => crypto.timingSafeEqual(presented, digest(apiKey)));
+}
+
+/**
+ * @route POST /v1/chat/completions
+ * @desc OpenAI-compatible Chat Completions endpoint. Calls are proxied like any other traffic, so
+ *       the routing rules pick the upstream by model name; calls routed to an Anthropic or Gemini
+ *       upstream are translated into its API, and its answer (buffered or streamed) back.
+ * @access Gateway key (`Authorization: Bearer <key>` with one of `GATEWAY_API_KEYS`; the upstream's API key is configured in its `headers`)
+ * @body {
+ *   model: string,
+ *   messages: [{ role: 'system' | 'developer' | 'user' | 'assistant' | 'tool', content: string | [ ... ], ... }],
+ *   stream: boolean,
+ *   ...
+ * }
+ */
+router.post(
+  '/v1/chat/completions',
+  [
+    body('model').notEmpty().withMessage('model is required').isString().withMessage('model must be a string'),
+    body('messages').isArray({ min: 1 }).withMessage('messages must be a non-empty array'),
+    body('messages.*.role')
+      .isIn(['system', 'developer', 'user', 'assistant', 'tool'])
+      .withMessage('messages must have a role of system, developer, user, assistant or tool'),
+    body('stream').optional().isBoolean().withMessage('stream must be a boolean'),
+  ],
+  async (req, res, next) => {
+    // Calls are sent on with the upstream's credentials, so only holders of a gateway key may make them
+    if (!hasGatewayKey(req.headers)) {
+      return sendError(res, 401, { message: 'Incorrect API key provided', type: 'invalid_request_error', code: 'invalid_api_key' });
+    }
+    // The gateway key is not a credential of any upstream
+    delete req.headers.authorization;
+
+    // Answer invalid calls the way OpenAI does, since only OpenAI clients call this endpoint
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const [error] = errors.array();
+      return sendError(res, 400, { message: error.msg, type: 'invalid_request_error', param: error.path || error.param || null });
+    }
+
+    return proxyMiddleware(req, res, next);
+  },
+  // Failures of the proxy itself get an OpenAI error envelope too, instead of the `errorHandler`'s
+  (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const proxyError = PROXY_ERRORS[err.name];
+    if (!proxyError) {
+      logger.error('Error proxying gateway call:', err);
+      return sendError(res, 500, { message: 'Internal server error', type: 'server_error' });
+    }
+
+    // Tell the client which limit it hit, or when the upstream takes requests again
+    Object.keys(err.headers || {}).forEach((headerKey) => {
+      res.setHeader(headerKey, err.headers[headerKey]);
+    });
+    if (err.retryAfter) {
+      res.setHeader('Retry-After', String(err.retryAfter));
+    }
+    return sendError(res, proxyError.status, { message: err.message, type: proxyError.type, code: proxyError.code });
+  }
+);
+
+module.exports = router;
+```
+
+This `src/routes/gatewayRoutes.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `crypto` module, `express`, `express-validator`, the `proxyMiddleware` that every proxied call goes through, the `config` module for the gateway keys, and the `logger` utility.
+
+2. **Route Definitions**:
+   - `POST /v1/chat/completions`: The OpenAI-compatible front door. It is mounted at the root of the app, so the proxied path stays `/v1/chat/completions` and OpenAI clients only need their base URL pointed at the proxy.
+
+3. **Implementation Details**:
+   - The call is handed to the `proxyMiddleware` as it is. Routing rules with a `model` condition pick the upstream for each model name, and calls routed to an upstream whose `provider` is `anthropic` or `gemini` are translated by the `proxyService` (see `src/utils/providerTranslators.js`), along with the answer, so the client always receives Chat Completions responses and chunks.
+   - Everything else the proxy does (rate limits, mocks, the response cache, modifications, intercepts, failover and logging) applies as it does under `/api/proxy`.
+
+4. **Input Validation**:
+   - The `model`, `messages` and message roles are validated before the call is proxied, and `stream` must be a boolean if set.
+   - Invalid calls are answered with `400 Bad Request` and an OpenAI error envelope (`{ error: { message, type: 'invalid_request_error', param, code } }`), which OpenAI clients know how to surface.
+
+5. **Error Handling**:
+   - Failures the proxy answers itself get the same envelope: `400` for requests blocked by a redaction detector, `429` for rate limits (with the `RateLimit` and `Retry-After` headers), `502` for unreachable upstreams, dropped intercepts and cassette misses, and `503` for upstreams whose circuit breaker is open. Other errors are logged and answered with a `500` `server_error`.
+
+6. **Security**:
+   - Calls must carry one of the keys in `GATEWAY_API_KEYS` as their bearer token, and are refused with `401 Unauthorized` (`code: 'invalid_api_key'`) otherwise, or when no key is configured. The keys are compared in constant time.
+   - The gateway key is removed before the call is proxied, so it never reaches an upstream (whose credentials are configured in its `headers`) and gateway calls carry no API key for `key`-scoped rate limits and usage reports.
+
+7. **Testing**:
+   - Integration tests in `tests/integration/gatewayRoutes.test.js` verify the gateway key check, the validation errors, the error envelope of proxy failures, and that valid calls are handed to the proxy.
+
+The generated `src/routes/gatewayRoutes.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the OpenAI-compatible front door in the AI-IPST MVP.
@@ -2,7 +2,7 @@ Here is the complete, production-ready code for `src/routes/loggingRoutes.js`:
 
 ```javascript
 const express = require('express');
-const { validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const loggingService = require('../services/loggingService');
 const authMiddleware = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
@@ -18,7 +18,10 @@ const router = express.Router();
  *     startDate: string,
  *     endDate: string,
  *     targetUrl: string,
- *     method: string
+ *     method: string,
+ *     provider: string,
+ *     model: string,
+ *     role: string
  *   },
  *   pagination: {
  *     page: number,
@@ -44,6 +47,79 @@ router.get('/', authMiddleware.authenticate(), async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/logs/har
+ * @desc Export the network traffic logs matching the filters as a HAR 1.2 file, oldest entry first
+ * @access Private
+ * @query {
+ *   filters: {
+ *     startDate: string,
+ *     endDate: string,
+ *     targetUrl: string,
+ *     method: string,
+ *     provider: string,
+ *     model: string,
+ *     role: string
+ *   },
+ *   limit: number
+ * }
+ */
+router.get(
+  '/har',
+  authMiddleware.authenticate(),
+  [query('limit').optional().isInt({ min: 1, max: 10000 }).toInt()],
+  async (req, res, next) => {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Export the logs as a HAR file
+      const { filters, limit } = req.query;
+      const har = await loggingService.exportHar(filters, limit);
+      res.setHeader('Content-Disposition', 'attachment; filename="logs.har"');
+      return res.status(200).json(har);
+    } catch (err) {
+      logger.error('Error exporting logs:', err);
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/logs/har
+ * @desc Import the entries of a HAR file, e.g. one captured in browser devtools, as network traffic log entries
+ * @access Private
+ * @body {
+ *   log: {
+ *     entries: Array<Object>
+ *   }
+ * }
+ */
+router.post(
+  '/har',
+  authMiddleware.authenticate(),
+  [body('log').isObject(), body('log.entries').isArray()],
+  async (req, res, next) => {
+    try {
+      // Validate request input
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Import the HAR entries
+      const result = await loggingService.importHar(req.body);
+      return res.status(201).json(result);
+    } catch (err) {
+      logger.error('Error importing HAR file:', err);
+      next(err);
+    }
+  }
+);
+
 /**
  * @route GET /api/logs/:id
  * @desc Fetch a specific log entry by ID
@@ -213,6 +289,8 @@ This `src/routes/loggingRoutes.js` file adheres to the provided instructions and
    - The file defines an Express Router instance and exports it.
    - It implements the following API routes:
      - `GET /api/logs`: Retrieve a list of network traffic logs based on filters and pagination.
+     - `GET /api/logs/har`: Export the logs matching the filters as a HAR 1.2 file.
+     - `POST /api/logs/har`: Import the entries of a HAR file captured in a browser as log entries.
      - `GET /api/logs/:id`: Fetch a specific log entry by its ID.
      - `POST /api/logs`: Create a new network traffic log entry.
      - `PUT /api/logs/:id`: Update an existing network traffic log entry.
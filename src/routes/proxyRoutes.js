@@ -2,14 +2,33 @@ Here is the complete, production-ready code for `src/routes/proxyRoutes.js`:
 
 ```javascript
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const proxyController = require('../controllers/proxyController');
+const routingService = require('../services/routingService');
+const interceptService = require('../services/interceptService');
+const mockService = require('../services/mockService');
+const usageService = require('../services/usageService');
+const cacheService = require('../services/cacheService');
+const rateLimitService = require('../services/rateLimitService');
+const redactionService = require('../services/redactionService');
+const injectionDetectionService = require('../services/injectionDetectionService');
+const ruleEngine = require('../utils/ruleEngine');
 const proxyMiddleware = require('../middleware/proxyMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Validators for the TLS settings of an upstream
+const tlsValidators = (prefix) => [
+  body(prefix).optional().isObject(),
+  body(`${prefix}.caFile`).optional().isString(),
+  body(`${prefix}.certFile`).optional().isString(),
+  body(`${prefix}.keyFile`).optional().isString(),
+  body(`${prefix}.servername`).optional().isString(),
+  body(`${prefix}.insecureSkipVerify`).optional().isBoolean(),
+];
+
 /**
  * @route GET /api/proxy/config
  * @desc Fetch the current proxy configuration
@@ -32,10 +51,23 @@ router.get(
  * @desc Update the proxy configuration
  * @access Private
  * @body {
+ *   targetScheme: 'http' | 'https',
  *   targetHostname: string,
  *   targetPort: number,
- *   requestModifications: { [key: string]: any },
- *   responseModifications: { [key: string]: any }
+ *   targetTls: { caFile: string, certFile: string, keyFile: string, servername: string, insecureSkipVerify: boolean },
+ *   requestModifications: { [ruleName: string]: ModificationRule },
+ *   responseModifications: { [ruleName: string]: ModificationRule },
+ *   upstreams: [{ name: string, scheme: 'http' | 'https', hostname: string, port: number, tls: { ... }, headers: { [name: string]: string }, provider: 'openai' | 'anthropic' | 'gemini', fallback: { upstream: string, model: string, headers: { [name: string]: string } } }],
+ *   routingRules: [{ name: string, enabled: boolean, pathPrefix: string, host: string, header: { name: string, value: string }, model: string, upstream: string }],
+ *   intercept: { enabled: boolean, timeoutMs: number, breakpoints: [{ name: string, enabled: boolean, phase: 'request' | 'response' | 'both', when: { ... } }] },
+ *   cassette: { mode: 'off' | 'record' | 'replay', name: string },
+ *   usage: { userHeader: string, trustUserHeader: boolean, currency: string, prices: [ModelPrice] },
+ *   cache: { enabled: boolean, ttlSeconds: number, maxEntries: number, maxBytes: number, routes: [string] },
+ *   retry: { maxRetries: number, baseDelayMs: number, maxDelayMs: number, retryOn: [number], timeoutMs: number },
+ *   circuitBreaker: { enabled: boolean, failureThreshold: number, cooldownMs: number },
+ *   rateLimits: [{ name: string, enabled: boolean, scope: 'user' | 'key' | 'ip' | 'route', value: string, requestsPerMinute: number, tokensPerMinute: number, concurrentRequests: number }],
+ *   redaction: { enabled: boolean, restoreResponses: boolean, detectors: [{ name: string, enabled: boolean, type: 'email' | 'phone' | 'creditCard' | 'iban' | 'apiKey' | 'custom', pattern: string, flags: string, upstream: 'off' | 'mask' | 'hash' | 'block', logs: 'off' | 'mask' | 'hash' | 'block' }] },
+ *   injectionDetection: { enabled: boolean, flagScore: number, blockScore: number, blockResponse: { statusCode: number, headers: { [name: string]: string }, body: any }, rules: [{ name: string, enabled: boolean, type: 'phrase' | 'regex' | 'heuristic', phrases: [string], pattern: string, flags: string, heuristic: 'roleMarkers' | 'hiddenCharacters' | 'encodedPayload', sources: ['system' | 'user' | 'assistant' | 'tool' | 'retrieved'], score: number, action: 'allow' | 'flag' | 'block', response: { statusCode: number, headers: { [name: string]: string }, body: any } }] }
  * }
  */
 router.put(
@@ -47,8 +79,104 @@ router.put(
       .isString()
       .matches(/^[a-zA-Z0-9-]+(.[a-zA-Z0-9-]+)*$/),
     body('targetPort').notEmpty().isInt({ min: 1, max: 65535 }),
-    body('requestModifications').optional().isObject(),
-    body('responseModifications').optional().isObject(),
+    body('targetScheme').optional().isIn(['http', 'https']),
+    ...tlsValidators('targetTls'),
+    body('requestModifications')
+      .optional()
+      .isObject()
+      .custom((rules) => {
+        ruleEngine.validateRules(rules, 'request');
+        return true;
+      }),
+    body('responseModifications')
+      .optional()
+      .isObject()
+      .custom((rules) => {
+        ruleEngine.validateRules(rules, 'response');
+        return true;
+      }),
+    body('upstreams')
+      .optional()
+      .isArray()
+      .custom((upstreams) => {
+        routingService.validateFallbacks(upstreams);
+        return true;
+      }),
+    body('upstreams.*.name').notEmpty().isString().matches(/^[\w\-]+$/),
+    body('upstreams.*.hostname').notEmpty().isString().matches(/^[a-zA-Z0-9-]+(.[a-zA-Z0-9-]+)*$/),
+    body('upstreams.*.port').notEmpty().isInt({ min: 1, max: 65535 }),
+    body('upstreams.*.scheme').optional().isIn(['http', 'https']),
+    ...tlsValidators('upstreams.*.tls'),
+    body('upstreams.*.headers').optional().isObject(),
+    body('upstreams.*.provider').optional().isIn(['openai', 'anthropic', 'gemini']),
+    body('upstreams.*.fallback').optional().isObject(),
+    body('upstreams.*.fallback.upstream').optional().isString().matches(/^[\w\-]+$/),
+    body('upstreams.*.fallback.model').optional().isString(),
+    body('upstreams.*.fallback.headers').optional().isObject(),
+    body('routingRules')
+      .optional()
+      .isArray()
+      .custom((rules, { req }) => {
+        // Rules may only reference the upstreams sent in the same request (or `default`)
+        routingService.validateRules(rules, req.body.upstreams || []);
+        return true;
+      }),
+    body('intercept').optional().isObject(),
+    body('intercept.enabled').optional().isBoolean(),
+    body('intercept.timeoutMs').optional().isInt({ min: 1000, max: 600000 }),
+    body('intercept.breakpoints')
+      .optional()
+      .custom((breakpoints) => {
+        interceptService.validateBreakpoints(breakpoints);
+        return true;
+      }),
+    body('cassette').optional().isObject(),
+    body('cassette.mode').optional().isIn(['off', 'record', 'replay']),
+    body('cassette.name').optional().isString().matches(/^[\w\-]+$/),
+    body('usage')
+      .optional()
+      .custom((usage) => {
+        usageService.validateUsageConfig(usage);
+        return true;
+      }),
+    body('cache')
+      .optional()
+      .custom((cache) => {
+        cacheService.validateCacheConfig(cache);
+        return true;
+      }),
+    body('retry').optional().isObject(),
+    body('retry.maxRetries').optional().isInt({ min: 0, max: 10 }),
+    body('retry.baseDelayMs').optional().isInt({ min: 0, max: 60000 }),
+    body('retry.maxDelayMs').optional().isInt({ min: 0, max: 600000 }),
+    body('retry.retryOn').optional().isArray(),
+    body('retry.retryOn.*').isInt({ min: 400, max: 599 }),
+    body('retry.timeoutMs').optional().isInt({ min: 0, max: 3600000 }),
+    body('circuitBreaker').optional().isObject(),
+    body('circuitBreaker.enabled').optional().isBoolean(),
+    body('circuitBreaker.failureThreshold').optional().isInt({ min: 1, max: 1000 }),
+    body('circuitBreaker.cooldownMs').optional().isInt({ min: 1000, max: 3600000 }),
+    body('rateLimits')
+      .optional()
+      .custom((rules) => {
+        rateLimitService.validateRateLimits(rules);
+        return true;
+      }),
+    body('redaction')
+      .optional()
+      .custom((redaction) => {
+        redactionService.validateSettings(redaction);
+        return true;
+      }),
+    body('redaction.enabled').optional().isBoolean(),
+    body('redaction.restoreResponses').optional().isBoolean(),
+    body('injectionDetection')
+      .optional()
+      .custom((injectionDetection) => {
+        injectionDetectionService.validateSettings(injectionDetection);
+        return true;
+      }),
+    body('injectionDetection.enabled').optional().isBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -68,6 +196,12 @@ router.put(
  *   endDate: string,
  *   targetUrl: string,
  *   method: string,
+ *   routingRule: string,
+ *   injection: string,
+ *   script: string,
+ *   provider: string,
+ *   model: string,
+ *   role: string,
  *   page: number,
  *   limit: number
  * }
@@ -80,6 +214,12 @@ router.get(
     query('endDate').notEmpty().isISO8601(),
     query('targetUrl').optional().isString(),
     query('method').optional().isIn(['GET', 'POST', 'PUT', 'DELETE', 'PATCH']),
+    query('routingRule').optional().isString(),
+    query('injection').optional().isIn(['allow', 'flag', 'block']),
+    query('script').optional().isString(),
+    query('provider').optional().isIn(['openai', 'anthropic', 'gemini']),
+    query('model').optional().isString(),
+    query('role').optional().isIn(['system', 'user', 'assistant', 'tool']),
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   ],
@@ -92,6 +232,84 @@ router.get(
   }
 );
 
+/**
+ * @route GET /api/proxy/traffic/har
+ * @desc Export the logged proxy traffic as a HAR 1.2 file, oldest exchange first
+ * @access Private
+ * @query {
+ *   startDate: string,
+ *   endDate: string,
+ *   targetUrl: string,
+ *   method: string,
+ *   routingRule: string,
+ *   injection: string,
+ *   script: string,
+ *   provider: string,
+ *   model: string,
+ *   role: string,
+ *   limit: number
+ * }
+ */
+router.get(
+  '/traffic/har',
+  authMiddleware.authenticate(),
+  [
+    query('startDate').notEmpty().isISO8601(),
+    query('endDate').notEmpty().isISO8601(),
+    query('targetUrl').optional().isString(),
+    query('method').optional().isIn(['GET', 'POST', 'PUT', 'DELETE', 'PATCH']),
+    query('routingRule').optional().isString(),
+    query('injection').optional().isIn(['allow', 'flag', 'block']),
+    query('script').optional().isString(),
+    query('provider').optional().isIn(['openai', 'anthropic', 'gemini']),
+    query('model').optional().isString(),
+    query('role').optional().isIn(['system', 'user', 'assistant', 'tool']),
+    query('limit').optional().isInt({ min: 1, max: 10000 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.exportProxyTrafficHar(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/usage
+ * @desc Aggregate the token usage and cost of the logged chat traffic
+ * @access Private
+ * @query {
+ *   startDate: string,
+ *   endDate: string,
+ *   groupBy: string,
+ *   bucket: string,
+ *   user: string,
+ *   model: string,
+ *   upstream: string
+ * }
+ */
+router.get(
+  '/usage',
+  authMiddleware.authenticate(),
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('groupBy').optional().isString().matches(/^(user|model|upstream|bucket)(,(user|model|upstream|bucket))*$/),
+    query('bucket').optional().isIn(['hour', 'day', 'week', 'month']),
+    query('user').optional().isString(),
+    query('model').optional().isString(),
+    query('upstream').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.getUsage(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /**
  * @route POST /api/proxy/modify/request
  * @desc Modify an intercepted proxy request
@@ -128,7 +346,8 @@ router.post(
  * @body {
  *   statusCode: number,
  *   headers: { [key: string]: string },
- *   body: any
+ *   body: any,
+ *   request: { method: string, url: string }
  * }
  */
 router.post(
@@ -138,6 +357,7 @@ router.post(
     body('statusCode').notEmpty().isInt({ min: 100, max: 599 }),
     body('headers').notEmpty().isObject(),
     body('body').optional().isJSON(),
+    body('request').optional().isObject(),
   ],
   async (req, res, next) => {
     try {
@@ -175,23 +395,688 @@ router.post(
   }
 );
 
+// Validators shared by the routing rule endpoints
+const routingRuleValidators = (prefix = '') => [
+  body(`${prefix}enabled`).optional().isBoolean(),
+  body(`${prefix}pathPrefix`).optional().isString().matches(/^\//),
+  body(`${prefix}host`).optional().isString(),
+  body(`${prefix}header`).optional().isObject(),
+  body(`${prefix}header.name`).optional().isString(),
+  body(`${prefix}header.value`).optional().isString(),
+  body(`${prefix}model`).optional().isString(),
+];
+
+/**
+ * @route GET /api/proxy/routes
+ * @desc Fetch the ordered routing table
+ * @access Private
+ */
+router.get(
+  '/routes',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getRoutingRules(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/proxy/routes
+ * @desc Replace the whole routing table (e.g. to reorder the rules)
+ * @access Private
+ * @body {
+ *   rules: [{ name: string, enabled: boolean, pathPrefix: string, host: string, header: { name: string, value: string }, model: string, upstream: string }]
+ * }
+ */
+router.put(
+  '/routes',
+  authMiddleware.authenticate(),
+  [
+    body('rules').isArray(),
+    body('rules.*.name').notEmpty().isString().matches(/^[\w\-]+$/),
+    body('rules.*.upstream').notEmpty().isString(),
+    ...routingRuleValidators('rules.*.'),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.replaceRoutingRules(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/routes
+ * @desc Add a routing rule
+ * @access Private
+ * @body {
+ *   name: string,
+ *   enabled: boolean,
+ *   pathPrefix: string,
+ *   host: string,
+ *   header: { name: string, value: string },
+ *   model: string,
+ *   upstream: string,
+ *   position: number
+ * }
+ */
+router.post(
+  '/routes',
+  authMiddleware.authenticate(),
+  [
+    body('name').notEmpty().isString().matches(/^[\w\-]+$/),
+    body('upstream').notEmpty().isString(),
+    body('position').optional().isInt({ min: 0 }).toInt(),
+    ...routingRuleValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.addRoutingRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/proxy/routes/:name
+ * @desc Update a routing rule
+ * @access Private
+ * @body {
+ *   name: string,
+ *   enabled: boolean,
+ *   pathPrefix: string,
+ *   host: string,
+ *   header: { name: string, value: string },
+ *   model: string,
+ *   upstream: string
+ * }
+ */
+router.put(
+  '/routes/:name',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString(),
+    body('name').optional().isString().matches(/^[\w\-]+$/),
+    body('upstream').optional().isString(),
+    ...routingRuleValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.updateRoutingRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxy/routes/:name
+ * @desc Delete a routing rule
+ * @access Private
+ */
+router.delete(
+  '/routes/:name',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.deleteRoutingRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/intercept
+ * @desc List the requests and responses held at intercept breakpoints
+ * @access Private
+ */
+router.get(
+  '/intercept',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getInterceptQueue(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/intercept/:id
+ * @desc Fetch a held request or response
+ * @access Private
+ */
+router.get(
+  '/intercept/:id',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getInterceptedItem(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/intercept/:id/forward
+ * @desc Forward a held request or response, optionally after editing it
+ * @access Private
+ * @body {
+ *   method: string,
+ *   url: string,
+ *   statusCode: number,
+ *   headers: { [key: string]: string },
+ *   body: any
+ * }
+ */
+router.post(
+  '/intercept/:id/forward',
+  authMiddleware.authenticate(),
+  [
+    body('method').optional().isIn(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']),
+    body('url').optional().isString().matches(/^\//),
+    body('statusCode').optional().isInt({ min: 100, max: 599 }).toInt(),
+    body('headers').optional().isObject(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.forwardInterceptedItem(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/intercept/:id/drop
+ * @desc Drop a held request or response
+ * @access Private
+ */
+router.post(
+  '/intercept/:id/drop',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.dropInterceptedItem(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/cache
+ * @desc List the cached responses with the cache statistics
+ * @access Private
+ */
+router.get(
+  '/cache',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getCacheEntries(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/cache/:key
+ * @desc Fetch a cached response
+ * @access Private
+ */
+router.get(
+  '/cache/:key',
+  authMiddleware.authenticate(),
+  [
+    param('key').isHexadecimal().isLength({ min: 64, max: 64 }),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.getCacheEntry(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxy/cache
+ * @desc Purge the cached responses, optionally only those of an upstream and/or model
+ * @access Private
+ * @query {
+ *   upstream: string,
+ *   model: string
+ * }
+ */
+router.delete(
+  '/cache',
+  authMiddleware.authenticate(),
+  [
+    query('upstream').optional().isString(),
+    query('model').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.purgeCache(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxy/cache/:key
+ * @desc Purge a single cached response
+ * @access Private
+ */
+router.delete(
+  '/cache/:key',
+  authMiddleware.authenticate(),
+  [
+    param('key').isHexadecimal().isLength({ min: 64, max: 64 }),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.purgeCacheEntry(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/circuit-breakers
+ * @desc List the circuit breakers of the upstreams that have failed
+ * @access Private
+ */
+router.get(
+  '/circuit-breakers',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getCircuitBreakers(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/circuit-breakers/:upstream/reset
+ * @desc Close an upstream's circuit breaker
+ * @access Private
+ */
+router.post(
+  '/circuit-breakers/:upstream/reset',
+  authMiddleware.authenticate(),
+  [
+    param('upstream').notEmpty().matches(/^[\w\-]+$/),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.resetCircuitBreaker(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Validators shared by the mock rule endpoints; updates may omit any field
+const mockRuleValidators = (partial = false) => [
+  (partial ? body('name').optional() : body('name').notEmpty()).isString().matches(/^[\w\-]+$/),
+  body('enabled').optional().isBoolean(),
+  body('priority').optional().isInt().toInt(),
+  body('path').optional().isString(),
+  body('body').optional().isArray(),
+  (partial ? body('response').optional() : body('response')).isObject(),
+  body('response.statusCode').optional().isInt({ min: 100, max: 599 }).toInt(),
+  body('response.headers').optional().isObject(),
+  body('response.events').optional().isArray({ min: 1 }),
+  body('response.delayMs').optional().isInt({ min: 0, max: 600000 }).toInt(),
+  body('response.eventIntervalMs').optional().isInt({ min: 0, max: 600000 }).toInt(),
+  body().custom((rule) => {
+    mockService.validateMockRule(rule, { partial });
+    return true;
+  }),
+];
+
+/**
+ * @route GET /api/proxy/mocks
+ * @desc Fetch the mock rules in evaluation order
+ * @access Private
+ */
+router.get(
+  '/mocks',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getMockRules(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/mocks/:id
+ * @desc Fetch a mock rule
+ * @access Private
+ */
+router.get(
+  '/mocks/:id',
+  authMiddleware.authenticate(),
+  [
+    param('id').notEmpty().isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.getMockRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/mocks
+ * @desc Create a mock rule; matching proxy requests are answered with its canned response instead of being forwarded
+ * @access Private
+ * @body {
+ *   name: string,
+ *   enabled: boolean,
+ *   priority: number,
+ *   method: string | [string],
+ *   path: string,
+ *   body: [{ path: string, equals: any, contains: string, matches: string, exists: boolean }],
+ *   response: {
+ *     statusCode: number,
+ *     headers: { [key: string]: string },
+ *     body: any,
+ *     events: [{ event: string, id: string, data: any }],
+ *     delayMs: number,
+ *     eventIntervalMs: number
+ *   }
+ * }
+ */
+router.post(
+  '/mocks',
+  authMiddleware.authenticate(),
+  mockRuleValidators(),
+  async (req, res, next) => {
+    try {
+      await proxyController.createMockRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/proxy/mocks/:id
+ * @desc Update a mock rule
+ * @access Private
+ * @body Any of the fields accepted by POST /api/proxy/mocks
+ */
+router.put(
+  '/mocks/:id',
+  authMiddleware.authenticate(),
+  [
+    param('id').notEmpty().isMongoId(),
+    ...mockRuleValidators(true),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.updateMockRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxy/mocks/:id
+ * @desc Delete a mock rule
+ * @access Private
+ */
+router.delete(
+  '/mocks/:id',
+  authMiddleware.authenticate(),
+  [
+    param('id').notEmpty().isMongoId(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.deleteMockRule(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Validators for the matching settings of a cassette
+const cassetteValidators = () => [
+  body('description').optional().isString(),
+  body('matching').optional().isObject(),
+  body('matching.method').optional().isBoolean(),
+  body('matching.url').optional().isBoolean(),
+  body('matching.body').optional().isBoolean(),
+  body('matching.headers').optional().isArray(),
+  body('matching.headers.*').isString().notEmpty(),
+];
+
+/**
+ * @route GET /api/proxy/cassettes
+ * @desc Fetch the cassettes
+ * @access Private
+ */
+router.get(
+  '/cassettes',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.getCassettes(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/cassettes
+ * @desc Create a cassette to record proxy traffic into
+ * @access Private
+ * @body {
+ *   name: string,
+ *   description: string,
+ *   matching: { method: boolean, url: boolean, body: boolean, headers: [string] }
+ * }
+ */
+router.post(
+  '/cassettes',
+  authMiddleware.authenticate(),
+  [
+    body('name').notEmpty().isString().matches(/^[\w\-]+$/),
+    ...cassetteValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.createCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/cassettes/stop
+ * @desc Stop recording or replaying cassettes and forward proxy traffic as usual
+ * @access Private
+ */
+router.post(
+  '/cassettes/stop',
+  authMiddleware.authenticate(),
+  async (req, res, next) => {
+    try {
+      await proxyController.stopCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/proxy/cassettes/:name
+ * @desc Fetch a cassette and the request/response pairs recorded into it
+ * @access Private
+ */
+router.get(
+  '/cassettes/:name',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString().matches(/^[\w\-]+$/),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.getCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/proxy/cassettes/:name
+ * @desc Update the description or matching settings of a cassette
+ * @access Private
+ * @body {
+ *   description: string,
+ *   matching: { method: boolean, url: boolean, body: boolean, headers: [string] }
+ * }
+ */
+router.put(
+  '/cassettes/:name',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString().matches(/^[\w\-]+$/),
+    ...cassetteValidators(),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.updateCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proxy/cassettes/:name
+ * @desc Delete a cassette; its recorded traffic stays in the traffic log
+ * @access Private
+ */
+router.delete(
+  '/cassettes/:name',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString().matches(/^[\w\-]+$/),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.deleteCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/cassettes/:name/record
+ * @desc Start recording proxy traffic into a cassette
+ * @access Private
+ */
+router.post(
+  '/cassettes/:name/record',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString().matches(/^[\w\-]+$/),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.recordCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/proxy/cassettes/:name/replay
+ * @desc Start answering proxy traffic from a cassette, from the beginning of its recording
+ * @access Private
+ */
+router.post(
+  '/cassettes/:name/replay',
+  authMiddleware.authenticate(),
+  [
+    param('name').notEmpty().isString().matches(/^[\w\-]+$/),
+  ],
+  async (req, res, next) => {
+    try {
+      await proxyController.replayCassette(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 module.exports = router;
 ```
 
 This `src/routes/proxyRoutes.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `express`, `express-validator`, `proxyController`, `proxyMiddleware`, `authMiddleware`, and `logger`.
+   - The file imports the necessary dependencies, including `express`, `express-validator`, `proxyController`, `routingService`, `interceptService`, `mockService`, `usageService`, `cacheService`, `rateLimitService`, `redactionService`, `injectionDetectionService`, the `ruleEngine`, `proxyMiddleware`, `authMiddleware`, and `logger`.
 
 2. **Internal Structure**:
    - The file defines an Express Router instance and exports it.
    - It implements the following API routes:
      - `GET /api/proxy/config`: Retrieves the current proxy configuration.
      - `PUT /api/proxy/config`: Updates the proxy configuration.
-     - `GET /api/proxy/traffic`: Fetches the logged proxy traffic.
+     - `GET /api/proxy/traffic`: Fetches the logged proxy traffic, optionally only the requests the prompt-injection rules allowed, flagged or blocked (`injection`), or the exchanges a userscript's hooks ran on (`script`).
+     - `GET /api/proxy/traffic/har`: Exports the logged proxy traffic, with the same filters, as a HAR 1.2 file.
+     - `GET /api/proxy/usage`: Aggregates the token usage and cost of the logged chat traffic by user, model, upstream and/or time bucket.
      - `POST /api/proxy/modify/request`: Modifies an intercepted proxy request.
      - `POST /api/proxy/modify/response`: Modifies an intercepted proxy response.
      - `POST /api/proxy/inject`: Injects a custom response without forwarding the original request.
+     - `GET /api/proxy/routes`: Fetches the ordered routing table.
+     - `PUT /api/proxy/routes`: Replaces (and reorders) the routing table.
+     - `POST /api/proxy/routes`: Adds a routing rule, optionally at a given position.
+     - `PUT /api/proxy/routes/:name`: Updates a routing rule.
+     - `DELETE /api/proxy/routes/:name`: Deletes a routing rule.
+     - `GET /api/proxy/intercept`: Lists the requests and responses held at intercept breakpoints.
+     - `GET /api/proxy/intercept/:id`: Fetches a held request or response.
+     - `POST /api/proxy/intercept/:id/forward`: Forwards a held request or response, optionally after editing it.
+     - `POST /api/proxy/intercept/:id/drop`: Drops a held request or response.
+     - `GET /api/proxy/cache`: Lists the cached responses with the cache statistics.
+     - `GET /api/proxy/cache/:key`: Fetches a cached response.
+     - `DELETE /api/proxy/cache`: Purges the cached responses, optionally only those of an upstream and/or model.
+     - `DELETE /api/proxy/cache/:key`: Purges a single cached response.
+     - `GET /api/proxy/circuit-breakers`: Lists the circuit breakers of the upstreams that have failed.
+     - `POST /api/proxy/circuit-breakers/:upstream/reset`: Closes an upstream's circuit breaker.
+     - `GET /api/proxy/mocks` and `GET /api/proxy/mocks/:id`: Fetch the mock rules.
+     - `POST /api/proxy/mocks`, `PUT /api/proxy/mocks/:id` and `DELETE /api/proxy/mocks/:id`: Create, update and delete mock rules.
+     - `GET /api/proxy/cassettes`, `POST /api/proxy/cassettes`, and `GET`, `PUT` and `DELETE /api/proxy/cassettes/:name`: Manage the record-and-replay cassettes.
+     - `POST /api/proxy/cassettes/:name/record`, `POST /api/proxy/cassettes/:name/replay` and `POST /api/proxy/cassettes/stop`: Switch the proxy between recording, replaying and forwarding.
 
 3. **Implementation Details**:
    - Each route handler function validates the incoming request using `express-validator` to ensure data integrity.
@@ -2,8 +2,10 @@ Here is the complete, production-ready code for `src/routes/scriptRoutes.js`:
 
 ```javascript
 const express = require('express');
-const { param, body, validationResult } = require('express-validator');
+const { param, body, query, validationResult } = require('express-validator');
 const scriptController = require('../controllers/scriptController');
+const scriptService = require('../services/scriptService');
+const userscriptMetadata = require('../utils/userscriptMetadata');
 const authMiddleware = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 
@@ -11,12 +13,24 @@ const router = express.Router();
 
 /**
  * @route GET /api/scripts
- * @desc Retrieve a list of all userscripts
+ * @desc Retrieve a list of all userscripts, optionally only those whose metadata block has the given values
  * @access Private
+ * @query {
+ *   version: string,
+ *   match: string,
+ *   grant: string,
+ *   runAt: string
+ * }
  */
 router.get(
   '/',
   authMiddleware.authenticate(),
+  [
+    query('version').optional().isString(),
+    query('match').optional().isString(),
+    query('grant').optional().isString(),
+    query('runAt').optional().isIn(['document-start', 'document-body', 'document-end', 'document-idle', 'context-menu'])
+  ],
   async (req, res, next) => {
     try {
       // Validate request input
@@ -35,6 +49,39 @@ router.get(
   }
 );
 
+/**
+ * @route POST /api/scripts/test
+ * @desc Dry-run the hooks of a saved or unsaved userscript against recorded traffic log entries
+ * @access Private
+ * @body {
+ *   scriptId: string,
+ *   script: { name: string, content: string, hooks: [string], match: { urls: [string], methods: [string] } },
+ *   entries: [string]
+ * }
+ */
+router.post(
+  '/test',
+  authMiddleware.authenticate(),
+  [
+    body('scriptId').optional().isMongoId(),
+    body('script').optional().isObject(),
+    body('script.content').if(body('script').exists()).notEmpty().isString(),
+    body('script').if(body('script').exists()).custom((script) => scriptService.validateHookSettings(script)),
+    body('scriptId')
+      .custom((scriptId, { req }) => (scriptId === undefined) !== (req.body.script === undefined))
+      .withMessage('Either a scriptId or a script is required, not both'),
+    body('entries').isArray({ min: 1, max: 20 }),
+    body('entries.*').isMongoId()
+  ],
+  async (req, res, next) => {
+    try {
+      await scriptController.testScript(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /**
  * @route GET /api/scripts/:id
  * @desc Fetch a specific userscript by ID
@@ -69,12 +116,17 @@ router.get(
 
 /**
  * @route POST /api/scripts
- * @desc Create a new userscript
+ * @desc Create a new userscript; the name and description can come from its ==UserScript== block instead
  * @access Private
  * @body {
  *   name: string,
  *   description: string,
- *   content: string
+ *   content: string,
+ *   enabled: boolean,
+ *   hooks: ['onRequest' | 'onResponse' | 'onStreamChunk' | 'onError'],
+ *   match: { urls: [string], methods: [string] },
+ *   priority: number,
+ *   message: string
  * }
  */
 router.post(
@@ -82,16 +134,24 @@ router.post(
   authMiddleware.authenticate(),
   [
     body('name')
-      .notEmpty()
+      .optional()
       .isString()
       .matches(/^[\w\-]+$/)
       .withMessage('Name must only contain alphanumeric characters, underscores, and hyphens'),
+    body('name')
+      .custom((name, { req }) => name !== undefined || userscriptMetadata.hasMetadataBlock(req.body.content))
+      .withMessage('Name is required unless the content has a ==UserScript== block'),
     body('description')
+      .optional()
       .notEmpty()
       .isString(),
     body('content')
       .notEmpty()
-      .isString()
+      .isString(),
+    body('enabled').optional().isBoolean(),
+    body('priority').optional().isInt(),
+    body('message').optional().isString(),
+    body().custom((script) => scriptService.validateHookSettings(script))
   ],
   async (req, res, next) => {
     try {
@@ -119,7 +179,12 @@ router.post(
  * @body {
  *   name: string,
  *   description: string,
- *   content: string
+ *   content: string,
+ *   enabled: boolean,
+ *   hooks: ['onRequest' | 'onResponse' | 'onStreamChunk' | 'onError'],
+ *   match: { urls: [string], methods: [string] },
+ *   priority: number,
+ *   message: string
  * }
  */
 router.put(
@@ -139,7 +204,11 @@ router.put(
       .isString(),
     body('content')
       .notEmpty()
-      .isString()
+      .isString(),
+    body('enabled').optional().isBoolean(),
+    body('priority').optional().isInt(),
+    body('message').optional().isString(),
+    body().custom((script) => scriptService.validateHookSettings(script))
   ],
   async (req, res, next) => {
     try {
@@ -229,26 +298,139 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/scripts/:id/revisions
+ * @desc List the revisions of a userscript, newest first, without their content
+ * @access Private
+ * @param {string} id - The ID of the userscript
+ */
+router.get(
+  '/:id/revisions',
+  authMiddleware.authenticate(),
+  [
+    param('id')
+      .notEmpty()
+      .isMongoId()
+  ],
+  async (req, res, next) => {
+    try {
+      await scriptController.getRevisions(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/scripts/:id/revisions/:revision
+ * @desc Fetch a single revision of a userscript, with the script as it was saved
+ * @access Private
+ * @param {string} id - The ID of the userscript
+ * @param {number} revision - The revision number
+ */
+router.get(
+  '/:id/revisions/:revision',
+  authMiddleware.authenticate(),
+  [
+    param('id')
+      .notEmpty()
+      .isMongoId(),
+    param('revision').isInt({ min: 1 })
+  ],
+  async (req, res, next) => {
+    try {
+      await scriptController.getRevision(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route GET /api/scripts/:id/diff
+ * @desc Compare two revisions of a userscript
+ * @access Private
+ * @param {string} id - The ID of the userscript
+ * @query {
+ *   from: number,
+ *   to: number
+ * }
+ */
+router.get(
+  '/:id/diff',
+  authMiddleware.authenticate(),
+  [
+    param('id')
+      .notEmpty()
+      .isMongoId(),
+    query('from').isInt({ min: 1 }),
+    query('to').optional().isInt({ min: 1 })
+  ],
+  async (req, res, next) => {
+    try {
+      await scriptController.diffRevisions(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @route POST /api/scripts/:id/rollback
+ * @desc Roll a userscript back to an earlier revision, recorded as a new revision
+ * @access Private
+ * @param {string} id - The ID of the userscript
+ * @body {
+ *   revision: number,
+ *   message: string
+ * }
+ */
+router.post(
+  '/:id/rollback',
+  authMiddleware.authenticate(),
+  [
+    param('id')
+      .notEmpty()
+      .isMongoId(),
+    body('revision').isInt({ min: 1 }),
+    body('message').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      await scriptController.rollbackScript(req, res, next);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 module.exports = router;
 ```
 
 This `src/routes/scriptRoutes.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `express`, `express-validator`, `scriptController`, `authMiddleware`, and `logger`.
+   - The file imports the necessary dependencies, including `express`, `express-validator`, `scriptController`, `scriptService`, `authMiddleware`, and `logger`.
 
 2. **Internal Structure**:
    - The file defines an Express Router instance and exports it.
    - It implements the following API routes:
-     - `GET /api/scripts`: Retrieves a list of all available userscripts.
+     - `GET /api/scripts`: Retrieves a list of all available userscripts, optionally filtered by the `version`, a `match` pattern, a `grant` or the `runAt` of their metadata block.
      - `GET /api/scripts/:id`: Fetches a specific userscript by its ID.
-     - `POST /api/scripts`: Creates a new userscript.
+     - `POST /api/scripts/test`: Dry-runs the hooks of a saved userscript (`scriptId`) or an unsaved one (`script`) against up to 20 traffic log entries (`entries`).
+     - `POST /api/scripts`: Creates a new userscript. Scripts with a `// ==UserScript==` block can be posted without a name or description, which are then taken from the block.
      - `PUT /api/scripts/:id`: Updates an existing userscript.
      - `DELETE /api/scripts/:id`: Deletes a userscript.
      - `POST /api/scripts/:id/execute`: Executes a userscript in the context of the target web page.
+     - `GET /api/scripts/:id/revisions`: Lists the revisions of a userscript, newest first.
+     - `GET /api/scripts/:id/revisions/:revision`: Fetches a single revision, with the script as it was saved.
+     - `GET /api/scripts/:id/diff`: Compares revision `from` with revision `to`, or with the latest revision.
+     - `POST /api/scripts/:id/rollback`: Rolls a userscript back to an earlier revision.
 
 3. **Implementation Details**:
    - Each route handler function validates the incoming request using `express-validator` to ensure data integrity.
+   - The hook settings of created and updated userscripts (`enabled`, `hooks`, `match`, `priority`) are validated, the hooks and match patterns by `scriptService.validateHookSettings()`.
+   - Creating, updating and rolling back a userscript records a revision; the optional `message` in the request body describes it.
    - The request processing is delegated to the corresponding methods in the `scriptController`.
    - Errors are handled by catching and logging them using the `logger` utility.
    - Appropriate HTTP status codes and error messages are returned to the client.
@@ -0,0 +1,379 @@
+Here is the complete, production-ready code for `src/services/cacheService.js`:
+
+```javascript
+const { Readable, Transform, pipeline } = require('stream');
+const lodash = require('lodash');
+const chatParsers = require('../utils/chatParsers');
+const secretMasker = require('../utils/secretMasker');
+const usageService = require('./usageService');
+const { hashData } = require('../utils/helpers');
+const { CacheError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Defaults for the `cache` settings of the proxy configuration
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+// Clients skip the cache by sending this header (or `Cache-Control: no-cache`)
+const BYPASS_HEADER = 'x-proxy-cache-bypass';
+
+// Every answer the cache applies to carries its cache status (HIT, MISS or BYPASS) in this header
+const STATUS_HEADER = 'x-proxy-cache';
+
+// Request body fields that identify the caller rather than the prompt; the caller is keyed on separately
+const IGNORED_FIELDS = ['user', 'metadata', 'safety_identifier', 'store'];
+
+class CacheService {
+  constructor() {
+    // Cached responses, keyed by cache key, least recently used first
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, bypasses: 0, evictions: 0 };
+  }
+
+  /**
+   * Look a request up in the response cache. Only chat API calls on routes the cache is enabled
+   * for are cached.
+   * @param {Object} request - The request about to be forwarded (`method`, `url`, `headers`, `body`).
+   * @param {Object} route - The route it takes (`rule`, `upstream`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Object|null} - `null` if the cache does not apply to the request; otherwise the cache
+   * `status` (`hit`, `miss` or `bypass`), the cache `key`, and on a hit the cached `response`.
+   */
+  lookup(request, route, proxyConfig) {
+    const cache = proxyConfig && proxyConfig.cache;
+    if (!cache || !cache.enabled) {
+      return null;
+    }
+    const routeName = route.rule ? route.rule.name : 'default';
+    if (cache.routes && cache.routes.length > 0 && !cache.routes.includes(routeName)) {
+      return null;
+    }
+
+    const body = parseJson(request.body);
+    const api = body && typeof body === 'object' && !Array.isArray(body) ? chatParsers.detectApi(request.url, body) : null;
+    if (!api) {
+      return null;
+    }
+
+    const key = this.buildKey(request, route, body, proxyConfig);
+    if (this.isBypassed(request.headers)) {
+      this.stats.bypasses += 1;
+      return { status: 'bypass', key };
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt.getTime() > Date.now()) {
+      // Move the entry to the back, so the least recently used entries are evicted first
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.hits += 1;
+      entry.lastHitAt = new Date();
+      this.stats.hits += 1;
+      logger.info(`Answering ${request.method} ${request.url} from the response cache (key: ${key})`);
+      return { status: 'hit', key, response: this.mark(this.toResponse(entry), 'hit') };
+    }
+
+    if (entry) {
+      this.remove(key);
+    }
+    this.stats.misses += 1;
+    return { status: 'miss', key, model: body.model || undefined };
+  }
+
+  /**
+   * Store the upstream response to a cache miss. Only successful (2xx) responses are stored.
+   * Streaming responses are stored once the stream has been relayed to the end; streams that
+   * are cut short are not stored.
+   * @param {Object} cached - The result of `lookup()` for the request.
+   * @param {Object} request - The request that was forwarded (`method`, `url`).
+   * @param {Object} route - The route it took (`rule`, `upstream`).
+   * @param {Object} response - The upstream response (`statusCode`, `headers`, and `body` or `stream`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration, for the TTL and size limits.
+   * @returns {Object} - The response to continue with, carrying the cache status header.
+   */
+  store(cached, request, route, response, proxyConfig) {
+    if (cached.status !== 'miss' || response.statusCode < 200 || response.statusCode > 299) {
+      return this.mark(response, cached.status);
+    }
+
+    const details = {
+      key: cached.key,
+      upstream: route.upstream.name,
+      model: cached.model,
+      method: request.method,
+      url: request.url,
+      statusCode: response.statusCode,
+      headers: { ...response.headers },
+    };
+
+    if (!response.stream) {
+      this.add({ ...details, body: lodash.cloneDeep(response.body) }, proxyConfig.cache);
+      return this.mark(response, 'miss');
+    }
+
+    // Record the chunks as they are relayed, and store them once the upstream has finished
+    const chunks = [];
+    const recorder = new Transform({
+      transform(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback(null, chunk);
+      },
+    });
+    recorder.on('end', () => {
+      this.add({ ...details, chunks }, proxyConfig.cache);
+    });
+    pipeline(response.stream, recorder, (err) => {
+      if (err) {
+        logger.warn(`Streaming response for cache key ${cached.key} was cut short and is not cached`);
+      }
+    });
+    return this.mark({ ...response, stream: recorder }, 'miss');
+  }
+
+  /**
+   * Build the cache key of a request: the caller, the upstream, method, path and query, and the
+   * request body (model, messages, sampling parameters and so on) with its keys sorted. The caller
+   * is the fingerprint of the API key the request was made with and the user it was made for (as
+   * resolved by `usageService`), so cached answers are only ever served to the credentials and user
+   * that paid for them. The body fields that identify the caller (`user`, `metadata`,
+   * `safety_identifier`, `store`) are left out of the prompt itself.
+   * @param {Object} request - The request (`method`, `url`, `headers`, `body`).
+   * @param {Object} route - The route it takes (`upstream`).
+   * @param {Object} body - The parsed request body.
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration, for the user header.
+   * @returns {string} - The cache key.
+   */
+  buildKey(request, route, body, proxyConfig) {
+    const url = new URL(String(request.url), 'http://cache.invalid');
+    url.searchParams.sort();
+    const userHeader = proxyConfig && proxyConfig.usage && proxyConfig.usage.userHeader;
+    return hashData(JSON.stringify([
+      usageService.resolveApiKey(request) || null,
+      usageService.resolveUser(request, userHeader || undefined) || null,
+      route.upstream.name,
+      String(request.method).toUpperCase(),
+      `${url.pathname}${url.search}`,
+      sortKeys(lodash.omit(body, IGNORED_FIELDS)),
+    ]));
+  }
+
+  /**
+   * Check whether a client asked to skip the cache.
+   * @param {Map|Object} headers - The request headers.
+   * @returns {boolean} - Whether the request bypasses the cache.
+   */
+  isBypassed(headers) {
+    const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers || {});
+    const lowerCased = lodash.fromPairs(entries.map(([name, value]) => [name.toLowerCase(), String(value)]));
+    const bypass = lowerCased[BYPASS_HEADER];
+    return (bypass !== undefined && !['0', 'false'].includes(bypass.toLowerCase()))
+      || /no-cache|no-store/i.test(lowerCased['cache-control'] || '');
+  }
+
+  /**
+   * List the cached responses, most recently used first, with the cache statistics.
+   * @returns {{ stats: Object, entries: Array<Object> }} - The statistics (`entries`, `bytes`,
+   * `hits`, `misses`, `bypasses`, `evictions`) and a summary of each cached response.
+   */
+  getEntries() {
+    this.purgeExpired();
+    return {
+      stats: { entries: this.entries.size, bytes: this.bytes, ...this.stats },
+      entries: [...this.entries.values()].reverse().map((entry) => lodash.omit(entry, ['body', 'chunks', 'headers'])),
+    };
+  }
+
+  /**
+   * Fetch a cached response.
+   * @param {string} key - The cache key.
+   * @returns {Object} - The cached response, with a streamed body joined into `body` and its credentials masked.
+   * @throws {NotFoundError} - If nothing is cached under the key.
+   */
+  getEntry(key) {
+    const entry = this.findEntry(key);
+    const { chunks, ...rest } = entry;
+    const masked = { ...rest, headers: secretMasker.maskHeaders(rest.headers), url: secretMasker.maskUrl(rest.url) };
+    return chunks ? { ...masked, body: secretMasker.maskBody(Buffer.concat(chunks).toString('utf8')) } : { ...masked, body: secretMasker.maskBody(rest.body) };
+  }
+
+  /**
+   * Purge cached responses.
+   * @param {Object} [filters] - Only purge the responses of this `upstream` and/or `model`.
+   * @returns {{ purged: number }} - How many responses were purged.
+   */
+  purge(filters = {}) {
+    const keys = [...this.entries.values()]
+      .filter((entry) => (!filters.upstream || entry.upstream === filters.upstream) && (!filters.model || entry.model === filters.model))
+      .map((entry) => entry.key);
+    keys.forEach((key) => this.remove(key));
+    logger.info(`Purged ${keys.length} cached responses`);
+    return { purged: keys.length };
+  }
+
+  /**
+   * Purge a single cached response.
+   * @param {string} key - The cache key.
+   * @returns {{ purged: number }} - How many responses were purged.
+   * @throws {NotFoundError} - If nothing is cached under the key.
+   */
+  purgeEntry(key) {
+    this.findEntry(key);
+    this.remove(key);
+    return { purged: 1 };
+  }
+
+  /**
+   * Validate the cache settings of the proxy configuration.
+   * @param {Object} cacheConfig - `enabled`, `ttlSeconds`, `maxEntries`, `maxBytes` and `routes`.
+   * @throws {CacheError} - If the settings are invalid.
+   */
+  validateCacheConfig(cacheConfig) {
+    if (!cacheConfig || typeof cacheConfig !== 'object' || Array.isArray(cacheConfig)) {
+      throw new CacheError('Cache settings must be an object');
+    }
+    if (cacheConfig.enabled !== undefined && typeof cacheConfig.enabled !== 'boolean') {
+      throw new CacheError('Cache enabled must be a boolean');
+    }
+    ['ttlSeconds', 'maxEntries', 'maxBytes'].forEach((field) => {
+      if (cacheConfig[field] !== undefined && !(Number.isInteger(cacheConfig[field]) && cacheConfig[field] > 0)) {
+        throw new CacheError(`Cache ${field} must be a positive integer`);
+      }
+    });
+    if (cacheConfig.routes !== undefined
+      && !(Array.isArray(cacheConfig.routes) && cacheConfig.routes.every((name) => typeof name === 'string' && name))) {
+      throw new CacheError('Cache routes must be an array of routing rule names');
+    }
+  }
+
+  // Helper methods for managing the cached entries
+
+  add(details, cacheConfig = {}) {
+    const size = details.chunks
+      ? details.chunks.reduce((total, chunk) => total + chunk.length, 0)
+      : Buffer.byteLength(JSON.stringify(details.body === undefined ? null : details.body));
+    const maxEntries = cacheConfig.maxEntries || DEFAULT_MAX_ENTRIES;
+    const maxBytes = cacheConfig.maxBytes || DEFAULT_MAX_BYTES;
+    if (size > maxBytes) {
+      logger.warn(`Response for cache key ${details.key} exceeds the cache size limit and is not cached`);
+      return;
+    }
+
+    this.remove(details.key);
+    const createdAt = new Date();
+    this.entries.set(details.key, {
+      ...details,
+      streamed: Boolean(details.chunks),
+      size,
+      hits: 0,
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + (cacheConfig.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000),
+    });
+    this.bytes += size;
+
+    // Evict expired entries first, then the least recently used ones
+    this.purgeExpired();
+    while (this.entries.size > maxEntries || this.bytes > maxBytes) {
+      this.remove(this.entries.keys().next().value);
+      this.stats.evictions += 1;
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+    }
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    [...this.entries.values()].filter((entry) => entry.expiresAt.getTime() <= now).forEach((entry) => this.remove(entry.key));
+  }
+
+  findEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt.getTime() <= Date.now()) {
+      throw new NotFoundError(`No response is cached under key ${key}`);
+    }
+    return entry;
+  }
+
+  toResponse(entry) {
+    if (entry.chunks) {
+      return { statusCode: entry.statusCode, headers: { ...entry.headers }, stream: Readable.from(entry.chunks) };
+    }
+    return { statusCode: entry.statusCode, headers: { ...entry.headers }, body: lodash.cloneDeep(entry.body) };
+  }
+
+  mark(response, status) {
+    return { ...response, headers: { ...response.headers, [STATUS_HEADER]: status.toUpperCase() } };
+  }
+}
+
+/**
+ * Sort the keys of a JSON value recursively, so equal bodies serialize the same.
+ *
+ * @param {any} value - The value.
+ * @returns {any} - The value with sorted keys.
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (lodash.isPlainObject(value)) {
+    return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }), {});
+  }
+  return value;
+}
+
+/**
+ * Parse a JSON body that may still be text.
+ *
+ * @param {any} body - The body.
+ * @returns {any} - The parsed body, or the body itself if it is not JSON text.
+ */
+function parseJson(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+module.exports = new CacheService();
+```
+
+This `src/services/cacheService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `stream` module, `lodash`, the `chatParsers` and `secretMasker` utilities, the `usageService`, the `hashData` helper, the `CacheError` and `NotFoundError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `CacheService` class is defined with the following methods:
+     - `lookup(request, route, proxyConfig)`: Looks a request up in the cache, reporting a hit (with the cached response), a miss, or a bypass.
+     - `store(cached, request, route, response, proxyConfig)`: Stores the upstream response to a miss, recording streaming responses as they are relayed.
+     - `buildKey(request, route, body, proxyConfig)` and `isBypassed(headers)`: Build the cache key of a request and detect clients that skip the cache.
+     - `getEntries()`, `getEntry(key)`, `purge(filters)` and `purgeEntry(key)`: Inspect and purge the cache.
+     - `validateCacheConfig(cacheConfig)`: Validates the cache settings of the proxy configuration.
+
+3. **Implementation Details**:
+   - The cache is opt-in (`cache.enabled`) and can be limited to named routing rules (`cache.routes`, where `default` is the default route). Only chat API calls are cached.
+   - Requests are keyed on the caller (the fingerprint of its API key and the user it was made for), the upstream, method, path and the request body with its keys sorted. A cached answer is never served to another API key or user, and a client without valid credentials cannot get one without going through the upstream's own authentication.
+   - Cached responses inspected through `getEntry()` have their credentials masked, as in the traffic log.
+   - Entries expire after `cache.ttlSeconds`; when `cache.maxEntries` or `cache.maxBytes` is exceeded, the least recently used entries are evicted.
+   - Answers the cache applies to carry an `X-Proxy-Cache` header (`HIT`, `MISS` or `BYPASS`).
+   - The cache lives in memory, so each proxy process has its own.
+
+4. **Error Handling**:
+   - Invalid settings are reported with `CacheError`, and unknown cache keys with `NotFoundError`.
+
+5. **Integration**:
+   - The `proxyMiddleware` consults the cache before `proxyService.forwardProxyRequest()`, and the `proxyController` exposes it under `/api/proxy/cache`.
+
+The generated `src/services/cacheService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the response cache in the AI-IPST MVP.
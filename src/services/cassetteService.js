@@ -0,0 +1,393 @@
+Here is the complete, production-ready code for `src/services/cassetteService.js`:
+
+```javascript
+const { Readable } = require('stream');
+const lodash = require('lodash');
+const Cassette = require('../models/Cassette');
+const ProxyConfig = require('../models/ProxyConfig');
+const LogEntry = require('../models/LogEntry');
+const redactionService = require('./redactionService');
+const secretMasker = require('../utils/secretMasker');
+const { CassetteError, CassetteMissError, DatabaseError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// `off` forwards traffic as usual, `record` tags the logged traffic with the cassette, `replay` answers from it
+const MODES = ['off', 'record', 'replay'];
+
+class CassetteService {
+  constructor() {
+    // Recorded interactions already served during the current replay, keyed by cassette name
+    this.replayed = new Map();
+  }
+
+  /**
+   * Fetch all cassettes.
+   * @returns {Promise<Array<Cassette>>} - The cassettes.
+   * @throws {DatabaseError} - If an error occurs while fetching the cassettes.
+   */
+  async getCassettes() {
+    try {
+      return await Cassette.find({}, null, { sort: { createdAt: 1 } });
+    } catch (err) {
+      logger.error('Error fetching cassettes:', err);
+      throw new DatabaseError('Error fetching cassettes');
+    }
+  }
+
+  /**
+   * Fetch a cassette by name.
+   * @param {string} name - The name of the cassette.
+   * @returns {Promise<Cassette>} - The cassette.
+   * @throws {NotFoundError} - If the cassette is not found.
+   * @throws {DatabaseError} - If an error occurs while fetching the cassette.
+   */
+  async getCassette(name) {
+    let cassette;
+    try {
+      cassette = await Cassette.findOne({ name });
+    } catch (err) {
+      logger.error(`Error fetching cassette '${name}':`, err);
+      throw new DatabaseError(`Error fetching cassette '${name}'`);
+    }
+    if (!cassette) {
+      throw new NotFoundError(`Cassette '${name}' not found`);
+    }
+    return cassette;
+  }
+
+  /**
+   * Fetch the request/response pairs recorded into a cassette, oldest first, with their credentials masked.
+   * @param {string} name - The name of the cassette.
+   * @returns {Promise<Array<Object>>} - The recorded `LogEntry` documents.
+   * @throws {DatabaseError} - If an error occurs while fetching the recording.
+   */
+  async getInteractions(name) {
+    try {
+      const interactions = await LogEntry.find(
+        { type: 'http', 'cassette.name': name, 'cassette.mode': 'record' },
+        null,
+        { sort: { createdAt: 1 }, lean: true },
+      );
+      return interactions.map((interaction) => secretMasker.maskLogEntry(interaction));
+    } catch (err) {
+      logger.error(`Error fetching recording of cassette '${name}':`, err);
+      throw new DatabaseError(`Error fetching recording of cassette '${name}'`);
+    }
+  }
+
+  /**
+   * Create a cassette.
+   * @param {Object} cassetteData - The cassette (`name`, `description`, `matching`).
+   * @returns {Promise<Cassette>} - The created cassette.
+   * @throws {CassetteError} - If the cassette is invalid or already exists.
+   * @throws {DatabaseError} - If an error occurs while saving the cassette.
+   */
+  async createCassette(cassetteData) {
+    this.validateCassette(cassetteData);
+
+    let existing;
+    try {
+      existing = await Cassette.findOne({ name: cassetteData.name });
+      if (!existing) {
+        const cassette = new Cassette(lodash.pick(cassetteData, ['name', 'description', 'matching']));
+        await cassette.save();
+        logger.info(`Cassette '${cassette.name}' created`);
+        return cassette;
+      }
+    } catch (err) {
+      logger.error('Error creating cassette:', err);
+      throw new DatabaseError('Error creating cassette');
+    }
+    throw new CassetteError(`Cassette '${cassetteData.name}' already exists`);
+  }
+
+  /**
+   * Update the description or matching settings of a cassette.
+   * @param {string} name - The name of the cassette.
+   * @param {Object} updates - The fields to change (`description`, `matching`).
+   * @returns {Promise<Cassette>} - The updated cassette.
+   * @throws {NotFoundError} - If the cassette is not found.
+   * @throws {CassetteError} - If the updates are invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the updates.
+   */
+  async updateCassette(name, updates) {
+    this.validateCassette(updates, { partial: true });
+
+    let cassette;
+    try {
+      cassette = await Cassette.findOneAndUpdate(
+        { name },
+        { ...lodash.pick(updates, ['description', 'matching']), updatedAt: Date.now() },
+        { new: true, runValidators: true },
+      );
+    } catch (err) {
+      logger.error(`Error updating cassette '${name}':`, err);
+      throw new DatabaseError(`Error updating cassette '${name}'`);
+    }
+    if (!cassette) {
+      throw new NotFoundError(`Cassette '${name}' not found`);
+    }
+    return cassette;
+  }
+
+  /**
+   * Delete a cassette. The recorded traffic stays in the traffic log, but is no longer part of the cassette.
+   * If the cassette is being recorded or replayed, the proxy goes back to forwarding traffic.
+   * @param {string} name - The name of the cassette.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} - If the cassette is not found.
+   * @throws {DatabaseError} - If an error occurs while deleting the cassette.
+   */
+  async deleteCassette(name) {
+    let cassette;
+    try {
+      cassette = await Cassette.findOneAndDelete({ name });
+      if (cassette) {
+        await LogEntry.updateMany({ 'cassette.name': name }, { $unset: { cassette: 1 } });
+        await ProxyConfig.updateOne({ 'cassette.name': name }, { cassette: { mode: 'off' } });
+        this.replayed.delete(name);
+      }
+    } catch (err) {
+      logger.error(`Error deleting cassette '${name}':`, err);
+      throw new DatabaseError(`Error deleting cassette '${name}'`);
+    }
+    if (!cassette) {
+      throw new NotFoundError(`Cassette '${name}' not found`);
+    }
+  }
+
+  /**
+   * Switch the proxy between forwarding, recording into a cassette and replaying a cassette.
+   * Starting a replay rewinds the cassette.
+   * @param {string} mode - `off`, `record` or `replay`.
+   * @param {string} [name] - The cassette to record or replay.
+   * @returns {Promise<Object>} - The new cassette settings of the proxy configuration (`mode`, `name`).
+   * @throws {NotFoundError} - If the cassette is not found.
+   * @throws {CassetteError} - If the mode is invalid or the proxy configuration has not been set up.
+   * @throws {DatabaseError} - If an error occurs while saving the mode.
+   */
+  async setMode(mode, name) {
+    if (!MODES.includes(mode)) {
+      throw new CassetteError(`Cassette mode must be one of ${MODES.join(', ')}`);
+    }
+    if (mode !== 'off') {
+      await this.getCassette(name);
+    }
+
+    let proxyConfig;
+    try {
+      proxyConfig = await ProxyConfig.findOne({});
+      if (proxyConfig) {
+        proxyConfig.cassette = mode === 'off' ? { mode } : { mode, name };
+        await proxyConfig.save();
+      }
+    } catch (err) {
+      logger.error('Error switching cassette mode:', err);
+      throw new DatabaseError('Error switching cassette mode');
+    }
+    if (!proxyConfig) {
+      throw new CassetteError('Proxy configuration has not been set up yet');
+    }
+
+    if (mode === 'replay') {
+      this.replayed.delete(name);
+    }
+    logger.info(mode === 'off' ? 'Cassette recording and replay stopped' : `Cassette '${name}' set to ${mode}`);
+    return { mode, name: mode === 'off' ? undefined : name };
+  }
+
+  /**
+   * Answer a request from a cassette's recording.
+   * Identical requests are answered with the recorded responses in order; once those run out, the last one is repeated.
+   * @param {string} name - The name of the cassette.
+   * @param {Object} request - The request (`method`, `url`, `headers`, `body`).
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration, for the redaction detectors the recording was logged with.
+   * @returns {Promise<Object>} - The recorded response (`statusCode`, `headers`, and `body` or `stream`).
+   * @throws {NotFoundError} - If the cassette is not found.
+   * @throws {CassetteMissError} - If no recorded interaction matches the request.
+   */
+  async replay(name, request, proxyConfig = null) {
+    const cassette = await this.getCassette(name);
+    const interactions = await this.getInteractions(name);
+
+    // Recordings are stored redacted and with their credentials masked, so the request is compared the same way
+    const maskedRequest = secretMasker.maskLogEntry(redactionService.redactLogData(request, proxyConfig));
+    const matching = interactions.filter((interaction) => this.matchesInteraction(interaction, maskedRequest, cassette.matching || {}));
+
+    if (matching.length === 0) {
+      throw new CassetteMissError(`No interaction recorded in cassette '${name}' matches ${request.method} ${request.url}`);
+    }
+
+    if (!this.replayed.has(name)) {
+      this.replayed.set(name, new Set());
+    }
+    const replayed = this.replayed.get(name);
+    const interaction = matching.find((candidate) => !replayed.has(String(candidate._id))) || matching[matching.length - 1];
+    replayed.add(String(interaction._id));
+
+    logger.info(`Replaying ${request.method} ${request.url} from cassette '${name}' (log entry: ${interaction._id})`);
+    return this.toResponse(interaction);
+  }
+
+  /**
+   * Check whether a recorded interaction matches a request under a cassette's matching settings.
+   * @param {Object} interaction - The recorded `LogEntry`.
+   * @param {Object} request - The request (`method`, `url`, `headers`, `body`).
+   * @param {Object} matching - The matching settings (`method`, `url`, `body`, `headers`).
+   * @returns {boolean} - Whether the interaction matches.
+   */
+  matchesInteraction(interaction, request, matching) {
+    if (matching.method !== false && String(interaction.method).toUpperCase() !== String(request.method).toUpperCase()) {
+      return false;
+    }
+    if (matching.url !== false && this.normalizeUrl(interaction.url) !== this.normalizeUrl(request.url)) {
+      return false;
+    }
+    if (matching.body !== false && this.normalizeBody(interaction.body) !== this.normalizeBody(request.body)) {
+      return false;
+    }
+
+    const recordedHeaders = this.lowerCaseKeys(interaction.headers);
+    const requestHeaders = this.lowerCaseKeys(request.headers);
+    return (matching.headers || []).every((header) => {
+      const key = header.toLowerCase();
+      return String(recordedHeaders[key] === undefined ? '' : recordedHeaders[key]) === String(requestHeaders[key] === undefined ? '' : requestHeaders[key]);
+    });
+  }
+
+  /**
+   * Reduce a URL to its path and query, with the query parameters sorted.
+   * Logged URLs are absolute, while incoming request URLs are relative to the proxy.
+   * @param {string} url - The URL.
+   * @returns {string} - The normalized URL.
+   */
+  normalizeUrl(url) {
+    const parsed = new URL(String(url || '/'), 'http://cassette.invalid');
+    parsed.searchParams.sort();
+    return `${parsed.pathname}${parsed.search}`;
+  }
+
+  /**
+   * Serialize a body so that JSON bodies compare equal regardless of key order and whitespace.
+   * @param {any} body - The body, parsed or as text.
+   * @returns {string} - The normalized body.
+   */
+  normalizeBody(body) {
+    if (body === undefined || body === null || body === '') {
+      return '';
+    }
+
+    let value = body;
+    if (typeof body === 'string') {
+      try {
+        value = JSON.parse(body);
+      } catch (err) {
+        return body;
+      }
+    }
+
+    const sortKeys = (item) => {
+      if (Array.isArray(item)) {
+        return item.map(sortKeys);
+      }
+      if (lodash.isPlainObject(item)) {
+        return Object.keys(item).sort().reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(item[key]) }), {});
+      }
+      return item;
+    };
+    return JSON.stringify(sortKeys(value));
+  }
+
+  /**
+   * Validate a cassette.
+   * @param {Object} cassette - The cassette (`name`, `description`, `matching`).
+   * @param {Object} [options] - `partial`: validate only the fields present, for updates.
+   * @throws {CassetteError} - If the cassette is invalid.
+   */
+  validateCassette(cassette, { partial = false } = {}) {
+    if (!cassette || typeof cassette !== 'object') {
+      throw new CassetteError('Cassette must be an object');
+    }
+    if (!partial && (typeof cassette.name !== 'string' || !/^[\w\-]+$/.test(cassette.name))) {
+      throw new CassetteError('Cassette name must only contain alphanumeric characters, underscores, and hyphens');
+    }
+
+    const { matching } = cassette;
+    if (matching === undefined) {
+      return;
+    }
+    if (!matching || typeof matching !== 'object' || Array.isArray(matching)) {
+      throw new CassetteError('Cassette matching must be an object');
+    }
+    ['method', 'url', 'body'].forEach((key) => {
+      if (matching[key] !== undefined && typeof matching[key] !== 'boolean') {
+        throw new CassetteError(`Cassette matching.${key} must be a boolean`);
+      }
+    });
+    if (matching.headers !== undefined && (!Array.isArray(matching.headers) || !matching.headers.every((header) => typeof header === 'string' && header))) {
+      throw new CassetteError('Cassette matching.headers must be an array of header names');
+    }
+  }
+
+  // Helper method for turning a recorded interaction back into a response; recorded streams are replayed as streams
+
+  toResponse(interaction) {
+    const headers = { ...interaction.responseHeaders };
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    const wasStreamed = contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson');
+
+    if (wasStreamed && typeof interaction.responseBody === 'string') {
+      return {
+        statusCode: interaction.statusCode,
+        headers,
+        stream: Readable.from([Buffer.from(interaction.responseBody)]),
+      };
+    }
+    return {
+      statusCode: interaction.statusCode,
+      headers,
+      body: interaction.responseBody === undefined ? null : interaction.responseBody,
+    };
+  }
+
+  // Helper method for comparing header names case-insensitively
+
+  lowerCaseKeys(headers) {
+    const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers || {});
+    return lodash.fromPairs(entries.map(([key, value]) => [key.toLowerCase(), value]));
+  }
+}
+
+module.exports = new CassetteService();
+```
+
+This `src/services/cassetteService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash`, Node's `Readable` stream, the `Cassette`, `ProxyConfig` and `LogEntry` models, the `redactionService`, the `CassetteError`, `CassetteMissError`, `DatabaseError` and `NotFoundError` error classes, and the `secretMasker` and `logger` utilities.
+
+2. **Internal Structure**:
+   - The `CassetteService` class is defined with the following methods:
+     - `getCassettes()`, `getCassette(name)`, `createCassette(cassetteData)`, `updateCassette(name, updates)` and `deleteCassette(name)`: Manage the cassettes stored in MongoDB.
+     - `getInteractions(name)`: Fetches the request/response pairs recorded into a cassette.
+     - `setMode(mode, name)`: Switches the proxy between forwarding (`off`), recording into a cassette (`record`) and replaying one (`replay`).
+     - `replay(name, request, proxyConfig)` and `matchesInteraction(interaction, request, matching)`: Answer a request from the first unused recorded interaction that matches it.
+     - `normalizeUrl(url)` and `normalizeBody(body)`: Normalize URLs and JSON bodies for matching.
+     - `validateCassette(cassette, options)`: Validates cassettes before they are stored.
+
+3. **Implementation Details**:
+   - A cassette's recording is the traffic logged by `proxyService.logProxyTraffic()` while it was in `record` mode, so recording reuses the traffic log instead of storing the pairs twice.
+   - Matching on method, URL, normalized JSON body and selected headers is configured per cassette; repeated identical requests replay the recorded responses in order.
+   - Recordings carry masked credentials (see `src/utils/secretMasker.js`), so requests are masked the same way before they are matched against them, and a cassette can match on a masked header such as `authorization`.
+   - Recorded Server-Sent Events and NDJSON responses are replayed as streams, so they pass through the same relay as live streams.
+   - Replay progress is kept in memory, so each proxy process replays a cassette independently.
+   - Recordings are the traffic log entries, stored redacted and masked: incoming requests are redacted by the current redaction detectors and masked before they are compared, and the recorded responses are replayed with the tokens and masked values they were logged with.
+
+4. **Error Handling**:
+   - Invalid cassettes are reported with `CassetteError`, database failures with `DatabaseError`, unknown cassettes with `NotFoundError`, and requests the recording cannot answer with `CassetteMissError`.
+   - All errors are logged using the `logger` utility.
+
+5. **Integration**:
+   - The `proxyMiddleware` answers requests through `replay()` while a cassette is in `replay` mode, and the `proxyController` exposes the cassettes under `/api/proxy/cassettes`.
+
+The generated `src/services/cassetteService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the record-and-replay functionality in the AI-IPST MVP.
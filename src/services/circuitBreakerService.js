@@ -0,0 +1,173 @@
+Here is the complete, production-ready code for `src/services/circuitBreakerService.js`:
+
+```javascript
+const { UpstreamUnavailableError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Defaults for the `circuitBreaker` settings of the proxy configuration
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+class CircuitBreakerService {
+  constructor() {
+    // Breaker state, keyed by upstream name
+    this.breakers = new Map();
+  }
+
+  /**
+   * Check whether a request may be sent to an upstream. An open breaker fails fast until its
+   * cooldown has passed; then a single trial request is let through (`half-open`), whose outcome
+   * closes the breaker again or reopens it.
+   * @param {Object} upstream - The upstream (`name`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @throws {UpstreamUnavailableError} - If the upstream's breaker is open; `retryAfter` holds the seconds left.
+   */
+  check(upstream, proxyConfig) {
+    const settings = this.getSettings(proxyConfig);
+    const breaker = this.breakers.get(upstream.name);
+    if (!settings.enabled || !breaker || breaker.state === 'closed') {
+      return;
+    }
+
+    const now = Date.now();
+    if (breaker.state === 'open' && breaker.retryAt.getTime() <= now) {
+      logger.info(`Circuit breaker for upstream '${upstream.name}' is half-open, sending a trial request`);
+      breaker.state = 'half-open';
+      breaker.trialInFlight = true;
+      return;
+    }
+    if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return;
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((breaker.retryAt.getTime() - now) / 1000));
+    const error = new UpstreamUnavailableError(`Upstream '${upstream.name}' is unavailable after ${breaker.failures} consecutive failures; retry in ${retryAfter}s`);
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Record a successful exchange with an upstream, closing its breaker.
+   * @param {Object} upstream - The upstream (`name`).
+   */
+  recordSuccess(upstream) {
+    const breaker = this.breakers.get(upstream.name);
+    if (!breaker) {
+      return;
+    }
+    if (breaker.state !== 'closed') {
+      logger.info(`Circuit breaker for upstream '${upstream.name}' closed`);
+    }
+    Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false });
+  }
+
+  /**
+   * Record a failed exchange with an upstream (a connection error or a 5xx response). The breaker
+   * opens after `circuitBreaker.failureThreshold` consecutive failures, or when a trial request fails.
+   * @param {Object} upstream - The upstream (`name`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @param {string} reason - What went wrong, e.g. `ECONNREFUSED` or `HTTP 503`.
+   */
+  recordFailure(upstream, proxyConfig, reason) {
+    const settings = this.getSettings(proxyConfig);
+    if (!settings.enabled) {
+      return;
+    }
+
+    const breaker = this.breakers.get(upstream.name) || {
+      upstream: upstream.name,
+      state: 'closed',
+      failures: 0,
+      totalFailures: 0,
+      openedAt: null,
+      retryAt: null,
+      trialInFlight: false,
+    };
+    this.breakers.set(upstream.name, breaker);
+
+    const now = new Date();
+    breaker.failures += 1;
+    breaker.totalFailures += 1;
+    breaker.lastFailure = { at: now, reason };
+    // Requests that were already under way when the breaker opened do not extend its cooldown
+    if (breaker.state === 'half-open' || (breaker.state === 'closed' && breaker.failures >= settings.failureThreshold)) {
+      logger.warn(`Circuit breaker for upstream '${upstream.name}' opened after ${breaker.failures} consecutive failures (last: ${reason})`);
+      Object.assign(breaker, {
+        state: 'open',
+        openedAt: now,
+        retryAt: new Date(now.getTime() + settings.cooldownMs),
+        trialInFlight: false,
+      });
+    }
+  }
+
+  /**
+   * List the breakers of the upstreams that have failed since the proxy started.
+   * @returns {Array<Object>} - Each breaker's `upstream`, `state` (`closed`, `open` or `half-open`),
+   * consecutive and total `failures`, `lastFailure`, and when it opened and will let a trial request through.
+   */
+  getBreakers() {
+    return [...this.breakers.values()].map((breaker) => this.describe(breaker));
+  }
+
+  /**
+   * Close an upstream's breaker by hand, e.g. once the upstream is known to be back.
+   * @param {string} name - The upstream name.
+   * @returns {Object} - The breaker.
+   * @throws {NotFoundError} - If no breaker is tracked for the upstream.
+   */
+  reset(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker) {
+      throw new NotFoundError(`No circuit breaker is tracked for upstream '${name}'`);
+    }
+    this.recordSuccess({ name });
+    logger.info(`Circuit breaker for upstream '${name}' reset`);
+    return this.describe(breaker);
+  }
+
+  // Helper methods for reading the settings and describing breakers
+
+  getSettings(proxyConfig) {
+    const settings = (proxyConfig && proxyConfig.circuitBreaker) || {};
+    return {
+      enabled: settings.enabled !== false,
+      failureThreshold: settings.failureThreshold || DEFAULT_FAILURE_THRESHOLD,
+      cooldownMs: settings.cooldownMs || DEFAULT_COOLDOWN_MS,
+    };
+  }
+
+  describe(breaker) {
+    const { trialInFlight, failures, ...rest } = breaker;
+    return { ...rest, consecutiveFailures: failures };
+  }
+}
+
+module.exports = new CircuitBreakerService();
+```
+
+This `src/services/circuitBreakerService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `UpstreamUnavailableError` and `NotFoundError` error classes and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `CircuitBreakerService` class is defined with the following methods:
+     - `check(upstream, proxyConfig)`: Fails fast while an upstream's breaker is open, and lets a single trial request through once its cooldown has passed.
+     - `recordSuccess(upstream)` and `recordFailure(upstream, proxyConfig, reason)`: Track the outcome of every attempt to reach an upstream.
+     - `getBreakers()` and `reset(name)`: Expose and reset the breaker state for the admin API.
+
+3. **Implementation Details**:
+   - Each upstream has its own breaker, keyed by name. Connection errors and 5xx responses count as failures; any other response closes the breaker.
+   - A breaker opens after `circuitBreaker.failureThreshold` consecutive failures (default 5) and stays open for `circuitBreaker.cooldownMs` (default 30 seconds). It then lets one trial request through: if it succeeds the breaker closes, otherwise it opens again.
+   - Breakers are enabled unless `circuitBreaker.enabled` is `false`. Their state lives in memory, so each proxy process tracks its own.
+
+4. **Error Handling**:
+   - Requests to an upstream whose breaker is open are rejected with `UpstreamUnavailableError`, which the error handler turns into `503 Service Unavailable` with a `Retry-After` header.
+   - Resetting an untracked upstream throws `NotFoundError`.
+
+5. **Integration**:
+   - `proxyService.forwardProxyRequest()` checks the breaker before every attempt and records its outcome, and the `proxyController` exposes the breakers under `/api/proxy/circuit-breakers`.
+
+The generated `src/services/circuitBreakerService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the upstream circuit breakers in the AI-IPST MVP.
@@ -0,0 +1,381 @@
+Here is the complete, production-ready code for `src/services/conversationService.js`:
+
+```javascript
+const Conversation = require('../models/Conversation');
+const LogEntry = require('../models/LogEntry');
+const { hashData } = require('../utils/helpers');
+const { DatabaseError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Header clients can set to thread their requests explicitly
+const CONVERSATION_HEADER = 'x-conversation-id';
+
+// Request body fields that carry a thread or conversation ID, top-level or under `metadata`
+const PAYLOAD_ID_FIELDS = ['conversation_id', 'thread_id'];
+
+// Conversation titles are the start of the first user message
+const TITLE_LENGTH = 80;
+
+class ConversationService {
+  /**
+   * Work out which conversation a chat exchange belongs to, opening a new one if it starts a chat,
+   * for `proxyService.logProxyTraffic()`. Exchanges are threaded by, in order:
+   *   1. the `x-conversation-id` request header;
+   *   2. a thread ID in the request body: OpenAI's `conversation` and `previous_response_id`, or a
+   *      `conversation_id`/`thread_id` field, top-level or under `metadata`;
+   *   3. the message history: a request that resends the messages and answer of an earlier exchange
+   *      continues that exchange's conversation. The longest matching history wins, so a chat that
+   *      is regenerated from an earlier message stays in the same conversation.
+   * Every lookup is limited to the user's own exchanges and conversations, so two users whose chats
+   * open the same way, or who send the same thread ID, are never threaded together.
+   * @param {Object} request - The request as forwarded (`headers`, `body`).
+   * @param {Object} chat - The exchange normalized by `chatParsers.parseChatExchange()`.
+   * @param {string} [user] - The user the request was made for.
+   * @returns {Promise<Object>} - The `conversation` fields of the log entry (`id`, `turn`, `matchedBy`, `historyHash`).
+   * @throws {DatabaseError} - If an error occurs while threading the exchange.
+   */
+  async threadExchange(request, chat, user) {
+    const historyHash = this.hashHistory(this.historyOf(chat));
+    const threadKey = this.findThreadKey(request);
+    const details = {
+      title: this.titleOf(chat),
+      user,
+      provider: chat.provider,
+      model: chat.model,
+    };
+
+    try {
+      let conversation;
+      let matchedBy;
+      if (threadKey && threadKey.key) {
+        matchedBy = threadKey.matchedBy;
+        conversation = await Conversation.findOneAndUpdate(
+          { threadKey: threadKey.key, user: user || null },
+          {
+            $setOnInsert: { title: details.title, createdAt: Date.now() },
+            $set: { provider: details.provider, model: details.model, updatedAt: Date.now() },
+            $inc: { turns: 1 },
+          },
+          { upsert: true, new: true },
+        );
+      } else {
+        const previous = threadKey
+          ? await this.findResponse(threadKey.responseId, user)
+          : await this.findHistory(this.prefixHashes(chat), user);
+        matchedBy = previous ? (threadKey ? 'payload' : 'history') : 'new';
+        conversation = previous && await Conversation.findByIdAndUpdate(
+          previous.conversation.id,
+          { $set: { provider: details.provider, model: details.model, updatedAt: Date.now() }, $inc: { turns: 1 } },
+          { new: true },
+        );
+
+        // The earlier turns may have been deleted since; the chat then starts over
+        if (!conversation) {
+          matchedBy = 'new';
+          conversation = new Conversation({ ...details, turns: 1 });
+          await conversation.save();
+        }
+      }
+
+      return { id: conversation._id, turn: conversation.turns, matchedBy, historyHash };
+    } catch (err) {
+      logger.error('Error threading chat exchange:', err);
+      throw new DatabaseError('Error threading chat exchange');
+    }
+  }
+
+  /**
+   * Read the client-supplied thread ID of a request, if any.
+   * @param {Object} request - The request (`headers`, `body`).
+   * @returns {{ key: string, matchedBy: string }|{ responseId: string }|null} - The thread key, the ID of
+   * the earlier response the request continues (OpenAI's `previous_response_id`), or `null`.
+   */
+  findThreadKey(request) {
+    const headers = request.headers instanceof Map ? Object.fromEntries(request.headers) : request.headers || {};
+    const headerName = Object.keys(headers).find((name) => name.toLowerCase() === CONVERSATION_HEADER);
+    if (headerName && headers[headerName]) {
+      return { key: `header:${headers[headerName]}`, matchedBy: 'header' };
+    }
+
+    const body = parseJson(request.body);
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+    const conversation = body.conversation && typeof body.conversation === 'object' ? body.conversation.id : body.conversation;
+    const payloadId = [conversation]
+      .concat(PAYLOAD_ID_FIELDS.map((field) => body[field]))
+      .concat(PAYLOAD_ID_FIELDS.map((field) => body.metadata && body.metadata[field]))
+      .find((value) => typeof value === 'string' && value);
+    if (payloadId) {
+      return { key: `payload:${payloadId}`, matchedBy: 'payload' };
+    }
+    if (typeof body.previous_response_id === 'string' && body.previous_response_id) {
+      return { responseId: body.previous_response_id };
+    }
+    return null;
+  }
+
+  /**
+   * Find the user's logged exchange that produced a response.
+   * @param {string} responseId - The provider's ID for the response.
+   * @param {string} [user] - The user the request was made for.
+   * @returns {Promise<Object|null>} - The log entry, if it was threaded.
+   */
+  async findResponse(responseId, user) {
+    return LogEntry.findOne(
+      { 'chat.responseId': responseId, 'client.user': user || null, 'conversation.id': { $exists: true } },
+      null,
+      { sort: { createdAt: -1 }, lean: true },
+    );
+  }
+
+  /**
+   * Find the user's latest logged exchange whose history matches one of the given hashes,
+   * preferring the hashes listed first.
+   * @param {Array<string>} hashes - The history hashes, longest history first.
+   * @param {string} [user] - The user the request was made for.
+   * @returns {Promise<Object|null>} - The log entry, if any.
+   */
+  async findHistory(hashes, user) {
+    for (const hash of hashes) {
+      // One indexed lookup per hash; the longest history is usually the one that matches
+      const entry = await LogEntry.findOne(
+        { 'conversation.historyHash': hash, 'client.user': user || null },
+        null,
+        { sort: { createdAt: -1 }, lean: true },
+      );
+      if (entry) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The hashes of the histories an exchange may continue: its messages up to each assistant turn,
+   * longest first.
+   * @param {Object} chat - The normalized exchange.
+   * @returns {Array<string>} - The history hashes.
+   */
+  prefixHashes(chat) {
+    const messages = chat.messages || [];
+    return messages
+      .map((message, index) => (message.role === 'assistant' ? this.hashHistory(messages.slice(0, index + 1)) : null))
+      .filter(Boolean)
+      .reverse();
+  }
+
+  /**
+   * The history of a chat after an exchange: the messages sent and the (first) answer.
+   * @param {Object} chat - The normalized exchange.
+   * @returns {Array<Object>} - The messages.
+   */
+  historyOf(chat) {
+    return (chat.messages || []).concat((chat.output || []).slice(0, 1));
+  }
+
+  /**
+   * Hash a message history. Messages are compared by role, trimmed text and tool calls, so a
+   * client that echoes an answer back with different whitespace or argument formatting still matches.
+   * @param {Array<Object>} messages - The normalized messages.
+   * @returns {string} - The hash.
+   */
+  hashHistory(messages) {
+    return hashData(JSON.stringify(messages.map(messageKey)));
+  }
+
+  /**
+   * Build a conversation title from the first user message.
+   * @param {Object} chat - The normalized exchange.
+   * @returns {string|undefined} - The title.
+   */
+  titleOf(chat) {
+    const first = (chat.messages || []).find((message) => message.role === 'user' && message.content);
+    if (!first) {
+      return undefined;
+    }
+    const text = first.content.replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Fetch conversations, most recently active first.
+   * @param {Object} [filters] - `user`, `provider`, `model`, `startDate` and `endDate` (of the latest
+   * turn) filters, and `page`/`limit` pagination.
+   * @returns {Promise<Array<Conversation>>} - The conversations.
+   * @throws {DatabaseError} - If an error occurs while fetching the conversations.
+   */
+  async getConversations(filters = {}) {
+    const query = {};
+    ['user', 'provider', 'model'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.startDate || filters.endDate) {
+      query.updatedAt = {};
+      if (filters.startDate) {
+        query.updatedAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.updatedAt.$lte = new Date(filters.endDate);
+      }
+    }
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 20;
+    try {
+      return await Conversation.find(query, null, { sort: { updatedAt: -1 }, skip: (page - 1) * limit, limit, lean: true });
+    } catch (err) {
+      logger.error('Error fetching conversations:', err);
+      throw new DatabaseError('Error fetching conversations');
+    }
+  }
+
+  /**
+   * Fetch a conversation with its transcript.
+   * @param {string} id - The ID of the conversation.
+   * @returns {Promise<{ conversation: Conversation, transcript: Array<Object> }>} - The conversation,
+   * and its messages in order (see `buildTranscript()`).
+   * @throws {NotFoundError} - If the conversation is not found.
+   * @throws {DatabaseError} - If an error occurs while fetching the conversation.
+   */
+  async getConversation(id) {
+    let conversation;
+    let entries;
+    try {
+      conversation = await Conversation.findById(id);
+      if (conversation) {
+        entries = await LogEntry.find({ 'conversation.id': id }, null, { sort: { createdAt: 1 }, lean: true });
+      }
+    } catch (err) {
+      logger.error(`Error fetching conversation (ID: ${id}):`, err);
+      throw new DatabaseError(`Error fetching conversation with ID ${id}`);
+    }
+    if (!conversation) {
+      throw new NotFoundError(`Conversation with ID ${id} not found`);
+    }
+    return { conversation, transcript: this.buildTranscript(entries) };
+  }
+
+  /**
+   * Turn the logged exchanges of a conversation into one ordered transcript. Chat APIs resend the
+   * whole history with every turn, so each exchange only adds the messages that differ from the
+   * history so far, followed by its answer. Every message names the exchange (`entryId`) and `turn`
+   * it was first seen in.
+   * @param {Array<Object>} entries - The log entries of the conversation, oldest first.
+   * @returns {Array<Object>} - The transcript messages.
+   */
+  buildTranscript(entries) {
+    const transcript = [];
+    let history = [];
+
+    entries.forEach((entry) => {
+      const chat = entry.chat || {};
+      const messages = chat.messages || [];
+      const messageKeys = messages.map(messageKey).map((key) => JSON.stringify(key));
+      let shared = 0;
+      while (shared < messageKeys.length && shared < history.length && messageKeys[shared] === history[shared]) {
+        shared += 1;
+      }
+
+      const output = (chat.output || []).slice(0, 1);
+      const stamp = { entryId: entry._id, turn: entry.conversation && entry.conversation.turn, createdAt: entry.createdAt };
+      messages.slice(shared).concat(output).forEach((message) => {
+        transcript.push({ ...message, ...stamp });
+      });
+      history = messageKeys.concat(output.map(messageKey).map((key) => JSON.stringify(key)));
+    });
+
+    return transcript;
+  }
+
+  /**
+   * Delete a conversation together with its log entries.
+   * @param {string} id - The ID of the conversation.
+   * @returns {Promise<{ deletedEntries: number }>} - How many log entries were deleted.
+   * @throws {NotFoundError} - If the conversation is not found.
+   * @throws {DatabaseError} - If an error occurs while deleting the conversation.
+   */
+  async deleteConversation(id) {
+    let conversation;
+    let deleted;
+    try {
+      conversation = await Conversation.findByIdAndDelete(id);
+      if (conversation) {
+        deleted = await LogEntry.deleteMany({ 'conversation.id': id });
+      }
+    } catch (err) {
+      logger.error(`Error deleting conversation (ID: ${id}):`, err);
+      throw new DatabaseError(`Error deleting conversation with ID ${id}`);
+    }
+    if (!conversation) {
+      throw new NotFoundError(`Conversation with ID ${id} not found`);
+    }
+    logger.info(`Conversation ${id} deleted with ${deleted.deletedCount} log entries`);
+    return { deletedEntries: deleted.deletedCount };
+  }
+}
+
+/**
+ * The parts of a normalized message that identify it in a history.
+ *
+ * @param {Object} message - The message.
+ * @returns {Array} - The role, trimmed text and tool calls.
+ */
+function messageKey(message) {
+  const toolCalls = (message.toolCalls || []).map((call) => {
+    const args = parseJson(call.arguments);
+    return [call.name, typeof args === 'string' ? args.trim() : JSON.stringify(args)];
+  });
+  return [message.role, (message.content || '').trim(), toolCalls, message.toolCallId || null];
+}
+
+/**
+ * Parse a JSON body that may still be text.
+ *
+ * @param {any} body - The body.
+ * @returns {any} - The parsed body, or the body itself if it is not JSON text.
+ */
+function parseJson(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+module.exports = new ConversationService();
+```
+
+This `src/services/conversationService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `Conversation` and `LogEntry` models, the `hashData` helper, the `DatabaseError` and `NotFoundError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `ConversationService` class is defined with the following methods:
+     - `threadExchange(request, chat, user)`: Works out which conversation a chat exchange belongs to before it is logged, opening a new one when it starts a chat.
+     - `findThreadKey(request)`, `findResponse(responseId, user)` and `findHistory(hashes, user)`: Look up the conversation a request continues by client header, payload thread ID, or message history.
+     - `prefixHashes(chat)`, `historyOf(chat)`, `hashHistory(messages)` and `titleOf(chat)`: Helpers for matching histories and naming conversations.
+     - `getConversations(filters)`, `getConversation(id)` and `deleteConversation(id)`: Manage the conversations; deleting a conversation deletes its log entries.
+     - `buildTranscript(entries)`: Turns the exchanges of a conversation into one ordered transcript.
+
+3. **Implementation Details**:
+   - Client-supplied thread IDs (the `x-conversation-id` header, or a thread ID in the payload) take precedence over history matching.
+   - Every logged exchange stores a hash of its history (messages sent plus answer), so the next turn, which resends that history, is matched with one indexed `findOne()` per assistant turn it resends, longest first.
+   - Threading only ever looks at the user's own exchanges and conversations: thread IDs name a conversation per user, and histories and earlier responses are only matched among the user's log entries. Requests without an identifiable user are threaded among themselves.
+   - Histories are compared on role, trimmed text and tool calls, so clients that reformat the answers they echo back still match.
+   - Chat APIs resend the whole history with every turn; the transcript only adds what each exchange changed, so each message appears once, tagged with the turn it was first sent in.
+
+4. **Error Handling**:
+   - Database failures are reported with `DatabaseError` and unknown conversations with `NotFoundError`.
+   - All errors are logged using the `logger` utility.
+
+5. **Integration**:
+   - `proxyService.logProxyTraffic()` calls `threadExchange()` for every logged chat exchange, and the `conversationController` exposes the conversations under `/api/conversations`.
+
+The generated `src/services/conversationService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of conversation threading in the AI-IPST MVP.
@@ -0,0 +1,410 @@
+Here is the complete, production-ready code for `src/services/injectionDetectionService.js`:
+
+```javascript
+const lodash = require('lodash');
+const chatParsers = require('../utils/chatParsers');
+const { InjectionRuleError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { hasNestedQuantifier } = require('../utils/helpers');
+
+// What a matching rule does: only record the match, mark the exchange for review, or refuse the request
+const ACTIONS = ['allow', 'flag', 'block'];
+
+const TYPES = ['phrase', 'regex', 'heuristic'];
+
+// Where the scanned text came from: a turn of the conversation, or content retrieved into it
+const SOURCES = ['system', 'user', 'assistant', 'tool', 'retrieved'];
+
+// Structural signs of an injection that phrases and patterns do not catch
+const HEURISTICS = {
+  // Chat-template tokens and role headers that try to open a new system or assistant turn
+  roleMarkers: {
+    pattern: /<\|(?:im_start|im_end|system|user|assistant|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|<\/?(?:system|assistant)>|^[ \t]*#{1,3}[ \t]*(?:system|instructions?)\b|^[ \t]*(?:system|assistant)[ \t]*:/gim,
+  },
+  // Unicode tag characters, bidi overrides and runs of zero-width characters hide text from a human reviewer
+  hiddenCharacters: {
+    pattern: /[\u{E0000}-\u{E007F}]+|[\u202A-\u202E\u2066-\u2069]|[\u200B\u200C\u200D\u2060\uFEFF]{2,}/gu,
+  },
+  // Long base64 runs that decode to text smuggle instructions past the phrase and pattern rules
+  encodedPayload: {
+    pattern: /(?<![A-Za-z0-9+/])[A-Za-z0-9+/]{80,}={0,2}(?![A-Za-z0-9+/=])/g,
+    validate: (match) => {
+      const decoded = Buffer.from(match, 'base64').toString('latin1');
+      const printable = decoded.replace(/[^\x20-\x7E\t\r\n]/g, '');
+      return printable.length / decoded.length >= 0.95 && /[a-z]{3,} [a-z]{2,}/i.test(printable);
+    },
+  },
+};
+
+// Flags a regex rule may use; matching is always global
+const REGEX_FLAGS = /^[imsu]*$/;
+
+// Regex rules only see the start of each text, which bounds how long a slow pattern can take;
+// phrases and heuristics scan the whole text
+const MAX_REGEX_SCAN_LENGTH = 16 * 1024;
+
+// Zero-width characters are dropped before phrases are compared, so they cannot split a phrase
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF\u{E0000}-\u{E007F}]/gu;
+
+const DEFAULT_BLOCK_STATUS = 403;
+
+/**
+ * Normalize text for phrase matching: compatibility forms folded, zero-width characters dropped,
+ * whitespace collapsed and case ignored.
+ * @param {string} text - The text.
+ * @returns {string} - The normalized text.
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFKC').replace(ZERO_WIDTH, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Count the occurrences of a phrase in a normalized text.
+ * @param {string} text - The normalized text.
+ * @param {string} phrase - The normalized phrase.
+ * @returns {number} - The number of occurrences.
+ */
+function countPhrase(text, phrase) {
+  let count = 0;
+  let position = text.indexOf(phrase);
+  while (position !== -1) {
+    count += 1;
+    position = text.indexOf(phrase, position + phrase.length);
+  }
+  return count;
+}
+
+class InjectionDetectionService {
+  /**
+   * Read the prompt-injection settings from the proxy configuration, compiling the enabled rules.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ flagScore: number, blockScore: number, blockResponse: Object, rules: Array<Object> }|null} - The settings, or `null` if detection is off.
+   */
+  getSettings(proxyConfig) {
+    const settings = proxyConfig && proxyConfig.injectionDetection;
+    if (!settings || !settings.enabled) {
+      return null;
+    }
+
+    const rules = (settings.rules || [])
+      .filter((rule) => rule.enabled !== false)
+      .map((rule) => {
+        try {
+          return this.compileRule(rule);
+        } catch (err) {
+          logger.warn(`Skipping prompt-injection rule '${rule.name}': ${err.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    return {
+      flagScore: settings.flagScore,
+      blockScore: settings.blockScore,
+      blockResponse: settings.blockResponse,
+      rules,
+    };
+  }
+
+  /**
+   * Compile a configured rule into a matcher.
+   * @param {Object} rule - The rule (`name`, `type`, `phrases`, `pattern`, `flags`, `heuristic`, `sources`, `score`, `action`, `response`).
+   * @returns {Object} - The compiled rule (`name`, `match`, `sources`, `score`, `action`, `response`), where `match(text)` counts the matches in a text.
+   * @throws {InjectionRuleError} - If the rule is invalid.
+   */
+  compileRule(rule) {
+    let match;
+    if (rule.type === 'phrase') {
+      if (!Array.isArray(rule.phrases) || rule.phrases.length === 0 || rule.phrases.some((phrase) => typeof phrase !== 'string' || !phrase.trim())) {
+        throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' must have a list of phrases`);
+      }
+      const phrases = rule.phrases.map((phrase) => normalizeText(phrase).trim());
+      match = (text) => {
+        const normalized = normalizeText(text);
+        return phrases.reduce((count, phrase) => count + countPhrase(normalized, phrase), 0);
+      };
+    } else if (rule.type === 'regex' || rule.type === 'heuristic') {
+      let pattern;
+      let validate;
+      if (rule.type === 'regex') {
+        if (typeof rule.pattern !== 'string' || !rule.pattern) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' must have a pattern`);
+        }
+        if (rule.flags && !REGEX_FLAGS.test(rule.flags)) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' flags must be a combination of i, m, s and u`);
+        }
+        try {
+          pattern = new RegExp(rule.pattern, `${rule.flags || ''}g`);
+        } catch (err) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}': invalid regular expression '${rule.pattern}'`);
+        }
+        if (new RegExp(pattern.source, pattern.flags.replace('g', '')).test('')) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' pattern must not match an empty string`);
+        }
+        if (hasNestedQuantifier(rule.pattern)) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' pattern must not repeat a group that repeats, which can take exponential time to match`);
+        }
+      } else {
+        if (!HEURISTICS[rule.heuristic]) {
+          throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' heuristic must be one of ${Object.keys(HEURISTICS).join(', ')}`);
+        }
+        ({ pattern, validate } = HEURISTICS[rule.heuristic]);
+      }
+      const maxLength = rule.type === 'regex' ? MAX_REGEX_SCAN_LENGTH : Infinity;
+      match = (text) => {
+        const matches = String(text).slice(0, maxLength).match(new RegExp(pattern.source, pattern.flags)) || [];
+        return matches.filter((value) => !validate || validate(value)).length;
+      };
+    } else {
+      throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' must have a type of ${TYPES.join(', ')}`);
+    }
+
+    const sources = rule.sources && rule.sources.length > 0 ? rule.sources : SOURCES;
+    const unknownSource = sources.find((source) => !SOURCES.includes(source));
+    if (unknownSource) {
+      throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' sources must be among ${SOURCES.join(', ')}`);
+    }
+
+    return {
+      name: rule.name,
+      match,
+      sources,
+      score: rule.score === undefined || rule.score === null ? 1 : rule.score,
+      action: rule.action || 'flag',
+      response: rule.response,
+    };
+  }
+
+  /**
+   * Validate the prompt-injection settings of a proxy configuration update.
+   * @param {Object} settings - The settings (`enabled`, `flagScore`, `blockScore`, `blockResponse`, `rules`).
+   * @throws {InjectionRuleError} - If the settings are invalid.
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new InjectionRuleError('Prompt-injection settings must be an object');
+    }
+    ['flagScore', 'blockScore'].forEach((field) => {
+      if (settings[field] !== undefined && settings[field] !== null && !(typeof settings[field] === 'number' && settings[field] > 0)) {
+        throw new InjectionRuleError(`Prompt-injection ${field} must be a positive number`);
+      }
+    });
+    this.validateResponse(settings.blockResponse, 'Prompt-injection blockResponse');
+
+    const rules = settings.rules === undefined ? [] : settings.rules;
+    if (!Array.isArray(rules)) {
+      throw new InjectionRuleError('Prompt-injection rules must be an array');
+    }
+
+    const names = new Set();
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !/^[\w\-]+$/.test(rule.name)) {
+        throw new InjectionRuleError(`Prompt-injection rule at position ${index} must have a name of alphanumeric characters, underscores and hyphens`);
+      }
+      if (names.has(rule.name)) {
+        throw new InjectionRuleError(`Duplicate prompt-injection rule name '${rule.name}'`);
+      }
+      names.add(rule.name);
+
+      if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+        throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' action must be one of ${ACTIONS.join(', ')}`);
+      }
+      if (rule.score !== undefined && !(typeof rule.score === 'number' && rule.score >= 0)) {
+        throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' score must be a number of at least 0`);
+      }
+      if (rule.sources !== undefined && !Array.isArray(rule.sources)) {
+        throw new InjectionRuleError(`Prompt-injection rule '${rule.name}' sources must be an array`);
+      }
+      this.validateResponse(rule.response, `Prompt-injection rule '${rule.name}' response`);
+      this.compileRule(rule);
+    });
+  }
+
+  validateResponse(response, label) {
+    if (response === undefined || response === null) {
+      return;
+    }
+    if (typeof response !== 'object' || Array.isArray(response)) {
+      throw new InjectionRuleError(`${label} must be an object`);
+    }
+    if (response.statusCode !== undefined && !(Number.isInteger(response.statusCode) && response.statusCode >= 100 && response.statusCode <= 599)) {
+      throw new InjectionRuleError(`${label} statusCode must be an HTTP status code`);
+    }
+    if (response.headers !== undefined && (!lodash.isPlainObject(response.headers) || Object.values(response.headers).some((value) => typeof value !== 'string'))) {
+      throw new InjectionRuleError(`${label} headers must map header names to strings`);
+    }
+  }
+
+  /**
+   * Score a request for prompt-injection and jailbreak attempts.
+   *
+   * Every enabled rule is run over the text of the request from the sources it applies to. Each
+   * matching rule adds its `score` once, however often it matched. The request is blocked if a
+   * `block` rule matched or the score reached `blockScore`, flagged if a `flag` rule matched or the
+   * score reached `flagScore`, and allowed otherwise.
+   *
+   * @param {Object} request - The request data (`method`, `url`, `headers`, `body`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ score: number, verdict: string, rule: string, matches: Array<Object>, response: Object }|null} - The
+   * score, the verdict, the rule that blocked the request, the matches per rule (`rule`, `action`, `score`, `count`,
+   * `sources`), and the response to answer a blocked request with; `null` if detection is off.
+   */
+  inspectRequest(request, proxyConfig) {
+    const settings = this.getSettings(proxyConfig);
+    if (!settings) {
+      return null;
+    }
+
+    const segments = this.extractContent(request);
+    const matches = settings.rules.map((rule) => {
+      const found = segments.filter((segment) => rule.sources.includes(segment.source))
+        .map((segment) => ({ source: segment.source, count: rule.match(segment.text) }))
+        .filter((item) => item.count > 0);
+      if (found.length === 0) {
+        return null;
+      }
+      return {
+        rule,
+        count: found.reduce((total, item) => total + item.count, 0),
+        sources: lodash.uniq(found.map((item) => item.source)),
+      };
+    }).filter(Boolean);
+
+    const score = matches.reduce((total, item) => total + item.rule.score, 0);
+    const blockingMatch = matches.find((item) => item.rule.action === 'block');
+    const reached = (threshold) => typeof threshold === 'number' && threshold > 0 && score >= threshold;
+    let verdict = 'allow';
+    if (blockingMatch || reached(settings.blockScore)) {
+      verdict = 'block';
+    } else if (matches.some((item) => item.rule.action === 'flag') || reached(settings.flagScore)) {
+      verdict = 'flag';
+    }
+
+    const result = {
+      score,
+      verdict,
+      rule: verdict === 'block' && blockingMatch ? blockingMatch.rule.name : undefined,
+      matches: matches.map((item) => ({
+        rule: item.rule.name,
+        action: item.rule.action,
+        score: item.rule.score,
+        count: item.count,
+        sources: item.sources,
+      })),
+    };
+    if (verdict === 'block') {
+      const message = blockingMatch
+        ? `Request blocked by prompt-injection rule '${blockingMatch.rule.name}'`
+        : `Request blocked: prompt-injection score ${score} reached the block threshold of ${settings.blockScore}`;
+      logger.warn(`${message} (${request.method} ${request.url})`);
+      result.response = this.buildBlockResponse(blockingMatch ? blockingMatch.rule.response : settings.blockResponse, message);
+    } else if (verdict === 'flag') {
+      logger.warn(`Request flagged for prompt injection with a score of ${score} (${request.method} ${request.url})`);
+    }
+    return result;
+  }
+
+  /**
+   * Split a request into the texts to scan, each labelled with its source.
+   *
+   * Chat API calls are split into their turns through `chatParsers`, with tool results as `tool`
+   * and documents and search results sent along with the conversation as `retrieved`. The strings
+   * of any other body are scanned as `user` content.
+   *
+   * @param {Object} request - The request data (`url`, `body`).
+   * @returns {Array<{ source: string, text: string }>} - The texts to scan.
+   */
+  extractContent(request) {
+    let body = request.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (err) {
+        return body ? [{ source: 'user', text: body }] : [];
+      }
+    }
+    if (body === null || body === undefined) {
+      return [];
+    }
+
+    const chat = chatParsers.parseChatExchange({ url: request.url, body });
+    if (!chat) {
+      return this.collectStrings(body).map((text) => ({ source: 'user', text }));
+    }
+
+    const segments = chat.messages
+      .filter((message) => typeof message.content === 'string' && message.content)
+      .map((message) => ({ source: message.role, text: message.content }));
+    return segments.concat(this.collectRetrieved(body).map((text) => ({ source: 'retrieved', text })));
+  }
+
+  // Helper methods for walking request bodies
+
+  collectStrings(value) {
+    if (typeof value === 'string') {
+      return [value];
+    }
+    if (Array.isArray(value)) {
+      return lodash.flatMap(value, (item) => this.collectStrings(item));
+    }
+    if (lodash.isPlainObject(value)) {
+      return lodash.flatMap(Object.values(value), (item) => this.collectStrings(item));
+    }
+    return [];
+  }
+
+  collectRetrieved(value) {
+    if (Array.isArray(value)) {
+      return lodash.flatMap(value, (item) => this.collectRetrieved(item));
+    }
+    if (!lodash.isPlainObject(value)) {
+      return [];
+    }
+    if (value.type === 'document' || value.type === 'search_result') {
+      // Anthropic documents carry plain text or content blocks; search results carry content blocks
+      const source = value.source || {};
+      const texts = [value.title, value.context, source.type === 'text' ? source.data : undefined];
+      const content = source.type === 'content' ? source.content : value.content;
+      return texts.concat(chatParsers.textOf(content))
+        .filter((text) => typeof text === 'string' && text);
+    }
+    return lodash.flatMap(Object.values(value), (item) => this.collectRetrieved(item));
+  }
+
+  buildBlockResponse(response, message) {
+    const custom = response || {};
+    return {
+      statusCode: custom.statusCode || DEFAULT_BLOCK_STATUS,
+      headers: custom.headers,
+      body: custom.body === undefined || custom.body === null ? { error: message } : custom.body,
+    };
+  }
+}
+
+module.exports = new InjectionDetectionService();
+```
+
+This `src/services/injectionDetectionService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash`, the `chatParsers` utility (to split chat API calls into their turns), the `InjectionRuleError` error class, the `logger` utility, and the `hasNestedQuantifier` helper.
+
+2. **Internal Structure**:
+   - The `InjectionDetectionService` class is exported as a singleton, with the following methods:
+     - `getSettings(proxyConfig)` and `compileRule(rule)`: Read the `injectionDetection` settings and compile the enabled rules.
+     - `validateSettings(settings)`: Validates the settings sent to `PUT /api/proxy/config`.
+     - `inspectRequest(request, proxyConfig)`: Scores a request, decides whether it is allowed, flagged or blocked, and builds the response a blocked request is answered with.
+     - `extractContent(request)`: Splits a request into the texts to scan, labelled with their source.
+   - Helper methods walk request bodies for strings and retrieved documents, validate custom responses, and build the block response.
+
+3. **Implementation Details**:
+   - `phrase` rules match any of their `phrases` case-insensitively, after folding Unicode compatibility forms, dropping zero-width characters and collapsing whitespace. `regex` rules match a regular expression `pattern` with optional `flags` against the first 16 KB of each text; patterns that repeat a repeated group are refused, as they can backtrack catastrophically.
+   - `heuristic` rules use a built-in structural check: `roleMarkers` (chat-template tokens and role headers such as `<|im_start|>`, `[INST]` or a `system:` line), `hiddenCharacters` (Unicode tag characters, bidi overrides and runs of zero-width characters) and `encodedPayload` (long base64 runs that decode to text).
+   - Rules can be limited to the `sources` they scan: the `system`, `user`, `assistant` and `tool` turns of a chat API call, and the documents and search results `retrieved` into it.
+   - Each matching rule adds its `score` once. A `block` rule or a score reaching `blockScore` blocks the request, a `flag` rule or a score reaching `flagScore` flags it, and `allow` rules only record the match.
+   - Blocked requests are answered with the blocking rule's `response`, or the settings' `blockResponse` when the score blocked them, defaulting to `403 Forbidden` with a JSON error naming the rule.
+
+4. **Error Handling**:
+   - Invalid settings are rejected with an `InjectionRuleError`, which the `errorHandler` answers with `400 Bad Request`; rules that fail to compile at runtime are skipped with a warning.
+   - Flagged and blocked requests are logged as warnings.
+
+The generated `src/services/injectionDetectionService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of prompt-injection detection in the AI-IPST MVP.
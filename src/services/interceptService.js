@@ -0,0 +1,269 @@
+Here is the complete, production-ready code for `src/services/interceptService.js`:
+
+```javascript
+const lodash = require('lodash');
+const ruleEngine = require('../utils/ruleEngine');
+const secretMasker = require('../utils/secretMasker');
+const { InterceptError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { generateRandomToken } = require('../utils/helpers');
+
+// How long a held message waits for an operator before it continues unchanged
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// The fields an operator may edit before forwarding a held message
+const EDITABLE_FIELDS = {
+  request: ['method', 'url', 'headers', 'body'],
+  response: ['statusCode', 'headers', 'body'],
+};
+
+class InterceptService {
+  constructor() {
+    // Held messages, keyed by ID; each entry is `{ item, settle }`
+    this.queue = new Map();
+  }
+
+  /**
+   * Find the first enabled breakpoint that matches a message.
+   * @param {string} phase - `request` or `response`.
+   * @param {Object} message - The request or response (`headers`).
+   * @param {Object} context - The originating request (`method`, `url`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Object|null} - The matching breakpoint, or `null` if the message should not be held.
+   */
+  findBreakpoint(phase, message, context, proxyConfig) {
+    const intercept = proxyConfig && proxyConfig.intercept;
+    if (!intercept || !intercept.enabled) {
+      return null;
+    }
+
+    return (intercept.breakpoints || []).find((breakpoint) => breakpoint.enabled !== false
+      && (breakpoint.phase === phase || breakpoint.phase === 'both')
+      && ruleEngine.matchesRule(breakpoint, message, context)) || null;
+  }
+
+  /**
+   * Hold a live request or response until an operator forwards or drops it, or it times out.
+   * Messages that match no breakpoint continue immediately.
+   * @param {string} phase - `request` or `response`.
+   * @param {Object} message - The request (`method`, `url`, `headers`, `body`) or response (`statusCode`, `headers`, `body`).
+   * @param {Object} context - The originating request (`method`, `url`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @param {AbortSignal} [signal] - Aborted when the client disconnects, which drops the held message.
+   * @returns {Promise<{ action: string, outcome: string|null, message: Object }>} - `forward` or `drop`, how the hold ended (`forwarded`, `edited`, `dropped`, `timeout`, or `null` if it was not held), and the message to continue with.
+   */
+  hold(phase, message, context, proxyConfig, signal) {
+    const breakpoint = this.findBreakpoint(phase, message, context, proxyConfig);
+    if (!breakpoint) {
+      return Promise.resolve({ action: 'forward', outcome: null, message });
+    }
+    if (signal && signal.aborted) {
+      return Promise.resolve({ action: 'drop', outcome: 'dropped', message });
+    }
+
+    const timeoutMs = proxyConfig.intercept.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const id = generateRandomToken(16);
+
+    return new Promise((resolve) => {
+      const item = {
+        id,
+        phase,
+        breakpoint: breakpoint.name,
+        request: { method: context.method, url: context.url },
+        message: lodash.cloneDeep(message),
+        heldAt: new Date(),
+        expiresAt: new Date(Date.now() + timeoutMs),
+      };
+
+      const timer = setTimeout(() => {
+        logger.info(`Intercepted ${phase} ${id} timed out, continuing unchanged`);
+        settle({ action: 'forward', outcome: 'timeout', message });
+      }, timeoutMs);
+
+      // Nobody is waiting for a message whose client has gone away
+      const onAbort = () => {
+        logger.info(`Client of intercepted ${phase} ${id} disconnected, dropping it`);
+        settle({ action: 'drop', outcome: 'dropped', message });
+      };
+
+      const settle = (decision) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.queue.delete(id);
+        resolve(decision);
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      this.queue.set(id, { item, settle });
+      logger.info(`Holding ${phase} for ${context.method} ${context.url} at breakpoint '${breakpoint.name}' (id: ${id})`);
+    });
+  }
+
+  /**
+   * List the held messages, oldest first, with their credentials masked.
+   * @returns {Array<Object>} - The held messages.
+   */
+  getQueue() {
+    return [...this.queue.values()].map((entry) => this.maskItem(entry.item));
+  }
+
+  /**
+   * Fetch a held message, with its credentials masked.
+   * @param {string} id - The ID of the held message.
+   * @returns {Object} - The held message.
+   * @throws {NotFoundError} - If no message with this ID is held.
+   */
+  getItem(id) {
+    return this.maskItem(this.getEntry(id).item);
+  }
+
+  /**
+   * Forward a held message, optionally after editing it.
+   * @param {string} id - The ID of the held message.
+   * @param {Object} [edits] - Replacement values for the editable fields (`method`, `url`, `headers`, `body` for requests; `statusCode`, `headers`, `body` for responses).
+   * Values still masked as `getItem()` shows them keep the held message's originals.
+   * @returns {Object} - The forwarded message, with its credentials masked.
+   * @throws {NotFoundError} - If no message with this ID is held.
+   * @throws {InterceptError} - If the edits touch fields that cannot be edited in this phase.
+   */
+  forward(id, edits = {}) {
+    const entry = this.getEntry(id);
+    const { phase } = entry.item;
+
+    const fields = Object.keys(edits).filter((field) => edits[field] !== undefined);
+    const invalidFields = fields.filter((field) => !EDITABLE_FIELDS[phase].includes(field));
+    if (invalidFields.length > 0) {
+      throw new InterceptError(`Cannot edit ${invalidFields.join(', ')} of an intercepted ${phase}`);
+    }
+
+    const message = { ...entry.item.message, ...this.unmaskEdits(lodash.pick(edits, fields), entry.item.message) };
+    entry.settle({ action: 'forward', outcome: fields.length > 0 ? 'edited' : 'forwarded', message });
+    logger.info(`Intercepted ${phase} ${id} forwarded${fields.length > 0 ? ` with edits to ${fields.join(', ')}` : ''}`);
+    return this.maskItem({ ...entry.item, message });
+  }
+
+  /**
+   * Drop a held message. A dropped request is never sent upstream; a dropped response never reaches the client.
+   * @param {string} id - The ID of the held message.
+   * @returns {Object} - The dropped message, with its credentials masked.
+   * @throws {NotFoundError} - If no message with this ID is held.
+   */
+  drop(id) {
+    const entry = this.getEntry(id);
+    entry.settle({ action: 'drop', outcome: 'dropped', message: entry.item.message });
+    logger.info(`Intercepted ${entry.item.phase} ${id} dropped`);
+    return this.maskItem(entry.item);
+  }
+
+  /**
+   * Mask the credentials of a held message before it is shown to an operator, the way the traffic log is.
+   * @param {Object} item - The held message.
+   * @returns {Object} - A copy of the held message with its URL, headers and body masked.
+   */
+  maskItem(item) {
+    return {
+      ...item,
+      request: { ...item.request, url: secretMasker.maskUrl(item.request.url) },
+      message: secretMasker.maskLogEntry(item.message),
+    };
+  }
+
+  /**
+   * Keep the held message's credentials where an operator's edits still carry them masked.
+   * A URL or body is kept when it is unchanged from its masked form; headers are compared one by one.
+   * @param {Object} edits - The edited fields.
+   * @param {Object} message - The held message.
+   * @returns {Object} - The edits, with the masked values replaced by the originals.
+   */
+  unmaskEdits(edits, message) {
+    const masked = secretMasker.maskLogEntry(message);
+    const unmasked = { ...edits };
+    ['url', 'body'].filter((field) => field in edits).forEach((field) => {
+      if (lodash.isEqual(edits[field], masked[field])) {
+        unmasked[field] = message[field];
+      }
+    });
+    if (edits.headers && message.headers) {
+      unmasked.headers = lodash.mapValues(edits.headers, (value, name) => (
+        name in message.headers && lodash.isEqual(value, masked.headers[name]) ? message.headers[name] : value
+      ));
+    }
+    return unmasked;
+  }
+
+  /**
+   * Validate a list of breakpoints.
+   * @param {Array<Object>} breakpoints - The breakpoints (`name`, `enabled`, `phase`, `when`).
+   * @throws {InterceptError} - If a breakpoint is invalid.
+   */
+  validateBreakpoints(breakpoints) {
+    if (!Array.isArray(breakpoints)) {
+      throw new InterceptError('Breakpoints must be an array');
+    }
+
+    const names = new Set();
+    breakpoints.forEach((breakpoint, index) => {
+      const fail = (message) => {
+        throw new InterceptError(`Breakpoint ${breakpoint && breakpoint.name ? `'${breakpoint.name}'` : `at position ${index}`}: ${message}`);
+      };
+
+      if (!breakpoint || typeof breakpoint !== 'object' || typeof breakpoint.name !== 'string' || !breakpoint.name) {
+        fail('must have a name');
+      }
+      if (names.has(breakpoint.name)) {
+        fail('name is used more than once');
+      }
+      names.add(breakpoint.name);
+
+      if (breakpoint.phase !== undefined && !['request', 'response', 'both'].includes(breakpoint.phase)) {
+        fail('phase must be request, response or both');
+      }
+      ruleEngine.validateConditions(breakpoint.when, fail);
+    });
+  }
+
+  // Helper method for looking up held messages
+
+  getEntry(id) {
+    const entry = this.queue.get(id);
+    if (!entry) {
+      throw new NotFoundError(`No intercepted message with ID ${id} is being held`);
+    }
+    return entry;
+  }
+}
+
+module.exports = new InterceptService();
+```
+
+This `src/services/interceptService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash`, the `ruleEngine` utility (whose `when` conditions breakpoints reuse), the `secretMasker` utility, the `InterceptError` and `NotFoundError` error classes, the `logger` utility, and the `generateRandomToken` helper.
+
+2. **Internal Structure**:
+   - The `InterceptService` class is defined with the following methods:
+     - `findBreakpoint(phase, message, context, proxyConfig)`: Finds the first enabled breakpoint matching a request or response.
+     - `hold(phase, message, context, proxyConfig, signal)`: Holds a matching message until an operator decides, it times out, or its client disconnects (which drops it).
+     - `getQueue()` and `getItem(id)`: List and inspect the held messages, with their credentials masked by `maskItem(item)`.
+     - `forward(id, edits)` and `drop(id)`: Release a held message, optionally edited, or drop it. Credentials the edits still carry in masked form are put back by `unmaskEdits(edits, message)`.
+     - `validateBreakpoints(breakpoints)`: Validates the breakpoints stored in the proxy configuration.
+
+3. **Implementation Details**:
+   - Breakpoints live in `ProxyConfig.intercept`; interception only happens while `intercept.enabled` is set.
+   - Held messages are kept in memory, so each proxy process has its own queue. Operators only ever see them with the credentials in the URL, headers and body masked by `secretMasker`, as in the traffic log.
+   - A held message that is not released within `intercept.timeoutMs` (30 seconds by default) continues unchanged. One whose client disconnects first is dropped and leaves the queue.
+
+4. **Error Handling**:
+   - Unknown IDs are reported with `NotFoundError`, and invalid edits and breakpoints with `InterceptError`.
+   - All decisions are logged using the `logger` utility.
+
+5. **Integration**:
+   - The `proxyMiddleware` calls `hold()` for every request and buffered response, and the `proxyController` exposes the queue under `/api/proxy/intercept`.
+
+The generated `src/services/interceptService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the interactive intercept functionality in the AI-IPST MVP.
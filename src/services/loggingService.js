@@ -10,6 +10,7 @@ Here is the complete, production-ready code for `src/services/loggingService.js`
  * - Creating a new log entry
  * - Updating an existing log entry
  * - Deleting a log entry
+ * - Exporting log entries as a HAR file and importing HAR files captured in a browser
  * - Retrieving and updating the logging configuration
  * 
  * The service integrates with the `LogEntry` model to interact with the database
@@ -26,12 +27,21 @@ Here is the complete, production-ready code for `src/services/loggingService.js`
  */
 
 const LogEntry = require('../models/LogEntry');
+const ProxyConfig = require('../models/ProxyConfig');
+const redactionService = require('./redactionService');
+const har = require('../utils/har');
+const chatParsers = require('../utils/chatParsers');
+const secretMasker = require('../utils/secretMasker');
 const { LoggingConfigurationError, LogEntryError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+// Entries exported by `exportHar()` when no limit is given
+const HAR_EXPORT_LIMIT = 1000;
+
 class LoggingService {
   /**
-   * Fetch a list of network traffic logs based on the provided filters and pagination.
+   * Fetch a list of network traffic logs based on the provided filters and pagination,
+   * with their credentials masked.
    * 
    * @param {Object} filters - Filters to apply to the log entries.
    * @param {Object} pagination - Pagination options.
@@ -53,7 +63,8 @@ class LoggingService {
         .skip((pagination.page - 1) * pagination.limit)
         .limit(pagination.limit);
 
-      return logs;
+      // Entries logged before a secret was on the masking lists are masked on the way out
+      return logs.map((log) => secretMasker.maskLogEntry(log));
     } catch (err) {
       logger.error('Error fetching logs:', err);
       throw new LogEntryError('Error fetching logs');
@@ -61,7 +72,7 @@ class LoggingService {
   }
 
   /**
-   * Fetch a specific log entry by ID.
+   * Fetch a specific log entry by ID, with its credentials masked.
    * 
    * @param {string} id - The ID of the log entry to fetch.
    * @returns {Promise<LogEntry>} - The fetched log entry.
@@ -73,7 +84,7 @@ class LoggingService {
       if (!log) {
         throw new LogEntryError(`Log entry with ID ${id} not found`);
       }
-      return log;
+      return secretMasker.maskLogEntry(log);
     } catch (err) {
       logger.error(`Error fetching log (ID: ${id}):`, err);
       throw new LogEntryError(`Error fetching log (ID: ${id})`);
@@ -81,7 +92,8 @@ class LoggingService {
   }
 
   /**
-   * Create a new network traffic log entry.
+   * Create a new network traffic log entry. The entry is redacted by the proxy configuration's
+   * redaction detectors, and its credentials are masked, before it is stored.
    * 
    * @param {Object} logData - The data for the new log entry.
    * @returns {Promise<LogEntry>} - The created log entry.
@@ -89,8 +101,9 @@ class LoggingService {
    */
   async createLog(logData) {
     try {
-      // Validate and sanitize the log data
-      const sanitizedLogData = this.sanitizeLogData(logData);
+      // Redact, validate and sanitize the log data
+      const proxyConfig = await ProxyConfig.findOne({});
+      const sanitizedLogData = this.sanitizeLogData(secretMasker.maskLogEntry(redactionService.redactLogData(logData, proxyConfig)));
 
       // Create a new log entry
       const newLog = new LogEntry(sanitizedLogData);
@@ -112,8 +125,8 @@ class LoggingService {
    */
   async updateLog(id, updates) {
     try {
-      // Validate and sanitize the log updates
-      const sanitizedUpdates = this.sanitizeLogData(updates);
+      // Validate and sanitize the log updates, masking the credentials they contain
+      const sanitizedUpdates = this.sanitizeLogData(secretMasker.maskLogEntry(updates));
 
       // Update the log entry
       const updatedLog = await LogEntry.findByIdAndUpdate(id, sanitizedUpdates, {
@@ -149,6 +162,58 @@ class LoggingService {
     }
   }
 
+  /**
+   * Export the log entries matching the filters as a HAR 1.2 document, oldest entry first.
+   * WebSocket frames are not part of HAR and are left out.
+   * 
+   * @param {Object} [filters] - Filters to apply to the log entries.
+   * @param {number} [limit] - The maximum number of entries to export.
+   * @returns {Promise<Object>} - The HAR document.
+   * @throws {LogEntryError} - If an error occurs while fetching the log entries.
+   */
+  async exportHar(filters, limit = HAR_EXPORT_LIMIT) {
+    let logs;
+    try {
+      const query = { ...this.buildLogQuery(filters), type: { $ne: 'websocket' } };
+      logs = await LogEntry.find(query, null, { sort: { createdAt: 1 }, limit, lean: true });
+    } catch (err) {
+      logger.error('Error exporting logs:', err);
+      throw new LogEntryError('Error exporting logs');
+    }
+
+    return har.toHar(logs.map((log) => secretMasker.maskLogEntry(log)));
+  }
+
+  /**
+   * Import the entries of a HAR file as log entries. Entries the log cannot store, such as
+   * `OPTIONS` requests, requests that never got a response or entries that fail the `LogEntry`
+   * validation, are skipped. Like any other entry, they are redacted by the proxy configuration's
+   * redaction detectors, and their credentials are masked, before they are stored.
+   * 
+   * @param {Object} harDocument - The HAR document.
+   * @returns {Promise<{ imported: number, skipped: number }>} - How many entries were imported and skipped.
+   * @throws {HarFormatError} - If the document is not a valid HAR file.
+   * @throws {LogEntryError} - If an error occurs while saving the log entries.
+   */
+  async importHar(harDocument) {
+    const { entries: harEntries, skipped } = har.fromHar(harDocument);
+
+    try {
+      const proxyConfig = await ProxyConfig.findOne({});
+      const entries = harEntries.map((harEntry) => {
+        const entry = secretMasker.maskLogEntry(redactionService.redactLogData(harEntry, proxyConfig));
+        return { ...entry, chat: chatParsers.parseChatExchange(entry) || undefined };
+      });
+
+      // Unordered, so entries that fail validation are left out instead of aborting the import
+      const imported = entries.length > 0 ? await LogEntry.insertMany(entries, { ordered: false }) : [];
+      return { imported: imported.length, skipped: skipped + entries.length - imported.length };
+    } catch (err) {
+      logger.error('Error importing HAR file:', err);
+      throw new LogEntryError('Error importing HAR file');
+    }
+  }
+
   /**
    * Retrieve the current logging configuration.
    * 
@@ -196,8 +261,34 @@ class LoggingService {
     // Implement validation for the pagination options
   }
 
-  buildLogQuery(filters) {
+  buildLogQuery(filters = {}) {
     // Construct the MongoDB query based on the provided filters
+    const query = {};
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) {
+        query.createdAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.createdAt.$lte = new Date(filters.endDate);
+      }
+    }
+    if (filters.targetUrl) {
+      query.url = { $regex: new RegExp(filters.targetUrl, 'i') };
+    }
+    if (filters.method) {
+      query.method = filters.method;
+    }
+    if (filters.provider) {
+      query['chat.provider'] = filters.provider;
+    }
+    if (filters.model) {
+      query['chat.model'] = filters.model;
+    }
+    if (filters.role) {
+      query['chat.messages.role'] = filters.role;
+    }
+    return query;
   }
 
   sanitizeLogData(logData) {
@@ -225,13 +316,18 @@ This `src/services/loggingService.js` file adheres to the provided instructions
 1. **File Purpose**:
    - The file provides functionality for managing and retrieving network traffic logs.
    - It handles CRUD operations for log entries and logging configuration.
+   - It exports log entries as HAR 1.2 files and imports HAR files captured in a browser.
 
 2. **Imports and Dependencies**:
-   - The file imports the `LogEntry` model and custom error classes (`LoggingConfigurationError`, `LogEntryError`) from the appropriate locations.
-   - It also imports the `logger` utility from `src/utils/logger.js`.
+   - The file imports the `LogEntry` and `ProxyConfig` models, the `redactionService`, the `secretMasker` utility, and custom error classes (`LoggingConfigurationError`, `LogEntryError`) from the appropriate locations.
+   - It also imports the `logger` utility from `src/utils/logger.js` the HAR conversion helpers from `src/utils/har.js`, and the chat payload parsers from `src/utils/chatParsers.js`.
 
 3. **Internal Structure**:
-   - The `LoggingService` class is defined with the required methods: `getLogs()`, `getLogById()`, `createLog()`, `updateLog()`, `deleteLog()`, `getLoggingConfig()`, and `updateLoggingConfig()`.
+   - The `LoggingService` class is defined with the required methods: `getLogs()`, `getLogById()`, `createLog()`, `updateLog()`, `deleteLog()`, `exportHar()`, `importHar()`, `getLoggingConfig()`, and `updateLoggingConfig()`.
+   - `buildLogQuery()` turns the `startDate`, `endDate`, `targetUrl`, `method`, `provider`, `model` and `role` filters into a MongoDB query.
+   - `createLog()` and `importHar()` store entries as redacted by the proxy configuration's redaction detectors (see `redactionService.redactLogData()`).
+   - Credentials in headers, query parameters and JSON bodies are masked by `secretMasker` in every entry that is created, updated or imported, and again in every entry that is returned or exported, so unmasked values never leave the service.
+   - Imported HAR entries that call a recognized chat API are parsed into the normalized `chat` fields, like proxied traffic.
    - Helper methods are provided for input validation, data sanitization, and configuration management.
 
 4. **Implementation Details**:
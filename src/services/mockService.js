@@ -0,0 +1,360 @@
+Here is the complete, production-ready code for `src/services/mockService.js`:
+
+```javascript
+const { Readable } = require('stream');
+const lodash = require('lodash');
+const MockRule = require('../models/MockRule');
+const proxyService = require('./proxyService');
+const { DatabaseError, MockRuleError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { hasNestedQuantifier } = require('../utils/helpers');
+
+// The operators a body predicate can apply to the value at its path
+const PREDICATE_OPERATORS = ['equals', 'contains', 'matches', 'exists'];
+
+// Enabled rules are evaluated lowest priority first, oldest first on ties
+const EVALUATION_ORDER = { priority: 1, createdAt: 1 };
+
+// Patterns only see the start of a path or body, which bounds how long a slow one can take
+const MAX_MATCH_LENGTH = 64 * 1024;
+
+class MockService {
+  /**
+   * Fetch all mock rules in evaluation order.
+   * @returns {Promise<Array<MockRule>>} - The mock rules.
+   * @throws {DatabaseError} - If an error occurs while fetching the mock rules.
+   */
+  async getMockRules() {
+    try {
+      return await MockRule.find({}, null, { sort: EVALUATION_ORDER });
+    } catch (err) {
+      logger.error('Error fetching mock rules:', err);
+      throw new DatabaseError('Error fetching mock rules');
+    }
+  }
+
+  /**
+   * Fetch a mock rule by ID.
+   * @param {string} id - The ID of the mock rule.
+   * @returns {Promise<MockRule>} - The mock rule.
+   * @throws {NotFoundError} - If the mock rule is not found.
+   * @throws {DatabaseError} - If an error occurs while fetching the mock rule.
+   */
+  async getMockRuleById(id) {
+    let rule;
+    try {
+      rule = await MockRule.findById(id);
+    } catch (err) {
+      logger.error(`Error fetching mock rule (ID: ${id}):`, err);
+      throw new DatabaseError(`Error fetching mock rule (ID: ${id})`);
+    }
+    if (!rule) {
+      throw new NotFoundError(`Mock rule with ID ${id} not found`);
+    }
+    return rule;
+  }
+
+  /**
+   * Create a mock rule.
+   * @param {Object} ruleData - The mock rule (`name`, `enabled`, `priority`, `method`, `path`, `body`, `response`).
+   * @returns {Promise<MockRule>} - The created mock rule.
+   * @throws {MockRuleError} - If the rule is invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the rule.
+   */
+  async createMockRule(ruleData) {
+    this.validateMockRule(ruleData);
+
+    try {
+      const rule = new MockRule(ruleData);
+      await rule.save();
+      logger.info(`Mock rule '${rule.name}' created`);
+      return rule;
+    } catch (err) {
+      logger.error('Error creating mock rule:', err);
+      throw new DatabaseError('Error creating mock rule');
+    }
+  }
+
+  /**
+   * Update a mock rule.
+   * @param {string} id - The ID of the mock rule.
+   * @param {Object} updates - The fields to change.
+   * @returns {Promise<MockRule>} - The updated mock rule.
+   * @throws {NotFoundError} - If the mock rule is not found.
+   * @throws {MockRuleError} - If the updates are invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the updates.
+   */
+  async updateMockRule(id, updates) {
+    this.validateMockRule(updates, { partial: true });
+
+    let rule;
+    try {
+      rule = await MockRule.findByIdAndUpdate(id, { ...updates, updatedAt: Date.now() }, {
+        new: true,
+        runValidators: true,
+      });
+    } catch (err) {
+      logger.error(`Error updating mock rule (ID: ${id}):`, err);
+      throw new DatabaseError(`Error updating mock rule (ID: ${id})`);
+    }
+    if (!rule) {
+      throw new NotFoundError(`Mock rule with ID ${id} not found`);
+    }
+    return rule;
+  }
+
+  /**
+   * Delete a mock rule.
+   * @param {string} id - The ID of the mock rule.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} - If the mock rule is not found.
+   * @throws {DatabaseError} - If an error occurs while deleting the mock rule.
+   */
+  async deleteMockRule(id) {
+    let rule;
+    try {
+      rule = await MockRule.findByIdAndDelete(id);
+    } catch (err) {
+      logger.error(`Error deleting mock rule (ID: ${id}):`, err);
+      throw new DatabaseError(`Error deleting mock rule (ID: ${id})`);
+    }
+    if (!rule) {
+      throw new NotFoundError(`Mock rule with ID ${id} not found`);
+    }
+  }
+
+  /**
+   * Find the first enabled mock rule that matches a proxied request.
+   * @param {Object} request - The request (`method`, `url`, `body`).
+   * @returns {Promise<Object|null>} - The matching rule, or `null` if the request should be forwarded upstream.
+   * @throws {DatabaseError} - If an error occurs while fetching the mock rules.
+   */
+  async findMatchingRule(request) {
+    let rules;
+    try {
+      rules = await MockRule.find({ enabled: true }, null, { sort: EVALUATION_ORDER, lean: true });
+    } catch (err) {
+      logger.error('Error fetching mock rules:', err);
+      throw new DatabaseError('Error fetching mock rules');
+    }
+
+    // Rules saved before their patterns were checked for nested repetition are skipped
+    const safeRules = (rules || []).filter((rule) => {
+      const patterns = [rule.path, ...(rule.body || []).map((predicate) => predicate.matches)];
+      if (patterns.some((pattern) => typeof pattern === 'string' && hasNestedQuantifier(pattern))) {
+        logger.warn(`Skipping mock rule '${rule.name}': a pattern repeats a group that repeats`);
+        return false;
+      }
+      return true;
+    });
+    return safeRules.find((rule) => this.matchesRule(rule, request)) || null;
+  }
+
+  /**
+   * Check whether a mock rule matches a request.
+   * @param {Object} rule - The mock rule (`method`, `path`, `body`).
+   * @param {Object} request - The request (`method`, `url`, `body`).
+   * @returns {boolean} - Whether every condition of the rule matches.
+   */
+  matchesRule(rule, request) {
+    const methods = [].concat(rule.method || []).map((method) => method.toUpperCase());
+    if (methods.length > 0 && !methods.includes(String(request.method).toUpperCase())) {
+      return false;
+    }
+
+    const path = String(request.url || '').split('?')[0];
+    if (rule.path && !new RegExp(rule.path).test(path.slice(0, MAX_MATCH_LENGTH))) {
+      return false;
+    }
+
+    const body = this.parseBody(request.body);
+    return (rule.body || []).every((predicate) => this.matchesPredicate(predicate, body));
+  }
+
+  /**
+   * Evaluate a body predicate against a request body.
+   * @param {Object} predicate - The predicate (`path` plus one of `equals`, `contains`, `matches`, `exists`).
+   * @param {any} body - The parsed request body.
+   * @returns {boolean} - Whether the predicate holds.
+   */
+  matchesPredicate(predicate, body) {
+    const value = predicate.path ? lodash.get(body, predicate.path) : body;
+
+    if (predicate.exists !== undefined && predicate.exists !== null) {
+      return (value !== undefined) === predicate.exists;
+    }
+    if (predicate.equals !== undefined) {
+      return lodash.isEqual(value, predicate.equals);
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text === undefined) {
+      return false;
+    }
+    if (predicate.contains !== undefined && predicate.contains !== null) {
+      return text.includes(predicate.contains);
+    }
+    if (predicate.matches !== undefined && predicate.matches !== null) {
+      return new RegExp(predicate.matches).test(text.slice(0, MAX_MATCH_LENGTH));
+    }
+    return true;
+  }
+
+  /**
+   * Build the response for a matched mock rule through `proxyService.injectCustomResponse()`.
+   * Rules with `events` are answered with a Server-Sent Events stream.
+   * @param {Object} rule - The matched mock rule.
+   * @returns {Promise<Object>} - The response (`statusCode`, `headers`, and `body` or `stream`).
+   */
+  async serveMockRule(rule) {
+    const response = rule.response || {};
+    const customResponse = await proxyService.injectCustomResponse(response);
+
+    if (response.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, response.delayMs));
+    }
+    logger.info(`Serving mock rule '${rule.name}'`);
+
+    if (customResponse.events) {
+      return {
+        statusCode: customResponse.statusCode,
+        headers: customResponse.headers,
+        stream: Readable.from(this.streamEvents(customResponse.events, response.eventIntervalMs)),
+      };
+    }
+    return customResponse;
+  }
+
+  /**
+   * Emit pre-formatted Server-Sent Events, pausing between them.
+   * @param {Array<string>} events - The formatted events.
+   * @param {number} [intervalMs] - The pause between events.
+   * @returns {AsyncGenerator<Buffer>} - The events.
+   */
+  async* streamEvents(events, intervalMs = 0) {
+    for (let index = 0; index < events.length; index++) {
+      if (index > 0 && intervalMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      }
+      yield Buffer.from(events[index]);
+    }
+  }
+
+  /**
+   * Validate a mock rule.
+   * @param {Object} rule - The mock rule.
+   * @param {Object} [options] - `partial`: validate only the fields present, for updates.
+   * @throws {MockRuleError} - If the rule is invalid.
+   */
+  validateMockRule(rule, { partial = false } = {}) {
+    const fail = (message) => {
+      throw new MockRuleError(`Mock rule${rule && rule.name ? ` '${rule.name}'` : ''}: ${message}`);
+    };
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail('must be an object');
+    }
+    if ((!partial || rule.name !== undefined) && (typeof rule.name !== 'string' || !/^[\w\-]+$/.test(rule.name))) {
+      fail('name must only contain alphanumeric characters, underscores, and hyphens');
+    }
+    if (rule.method !== undefined && ![].concat(rule.method).every((method) => typeof method === 'string')) {
+      fail('method must be a string or an array of strings');
+    }
+    if (rule.path !== undefined) {
+      this.checkPattern(rule.path, fail);
+    }
+
+    if (rule.body !== undefined) {
+      if (!Array.isArray(rule.body)) {
+        fail('body must be an array of predicates');
+      }
+      rule.body.forEach((predicate, index) => {
+        const operators = PREDICATE_OPERATORS.filter((operator) => predicate && predicate[operator] !== undefined);
+        if (operators.length !== 1) {
+          fail(`body predicate ${index} must use exactly one of ${PREDICATE_OPERATORS.join(', ')}`);
+        }
+        if (predicate.path !== undefined && typeof predicate.path !== 'string') {
+          fail(`body predicate ${index} path must be a string`);
+        }
+        if (predicate.matches !== undefined) {
+          this.checkPattern(predicate.matches, fail);
+        }
+      });
+    }
+
+    if ((!partial || rule.response !== undefined) && (!rule.response || typeof rule.response !== 'object')) {
+      fail('response must be an object');
+    }
+    const { events } = rule.response || {};
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        fail('response.events must be a non-empty array');
+      }
+      if (events.some((event) => !event || event.data === undefined)) {
+        fail('every response event must have data');
+      }
+      if (rule.response.body !== undefined) {
+        fail('response cannot have both a body and events');
+      }
+    }
+  }
+
+  // Helper method for validating regular expressions
+
+  checkPattern(pattern, fail) {
+    if (typeof pattern !== 'string') {
+      fail('patterns must be strings');
+    }
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      fail(`invalid regular expression '${pattern}'`);
+    }
+    if (hasNestedQuantifier(pattern)) {
+      fail(`regular expression '${pattern}' repeats a group that repeats, which can take exponential time to match`);
+    }
+  }
+
+  // Helper method for reading JSON request bodies that arrive as text
+
+  parseBody(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+    try {
+      return JSON.parse(body);
+    } catch (err) {
+      return body;
+    }
+  }
+}
+
+module.exports = new MockService();
+```
+
+This `src/services/mockService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash`, Node's `Readable` stream, the `MockRule` model, the `proxyService` (whose `injectCustomResponse()` builds the canned responses), the `DatabaseError`, `MockRuleError` and `NotFoundError` error classes, the `logger` utility, and the `hasNestedQuantifier` helper.
+
+2. **Internal Structure**:
+   - The `MockService` class is defined with the following methods:
+     - `getMockRules()`, `getMockRuleById(id)`, `createMockRule(ruleData)`, `updateMockRule(id, updates)` and `deleteMockRule(id)`: Manage the mock rules stored in MongoDB.
+     - `findMatchingRule(request)` and `matchesRule(rule, request)`: Find the first enabled rule whose method, path pattern and body predicates all match a request.
+     - `matchesPredicate(predicate, body)`: Evaluates an `equals`, `contains`, `matches` or `exists` predicate against the value at a path of the JSON body.
+     - `serveMockRule(rule)` and `streamEvents(events, intervalMs)`: Build the canned response, streaming Server-Sent Events when the rule has `events`.
+     - `validateMockRule(rule, options)`: Validates mock rules before they are stored.
+
+3. **Implementation Details**:
+   - Enabled rules are evaluated by ascending `priority`, then by creation time; the first match wins.
+   - Matching requests are answered by the proxy without ever reaching the upstream, after the optional `delayMs`.
+   - Patterns that repeat a repeated group are refused, and patterns are matched against the first 64 KB of the path or body only, so no rule can stall the proxy by backtracking. Stored rules with such patterns are skipped with a warning.
+
+4. **Error Handling**:
+   - Invalid rules are reported with `MockRuleError`, database failures with `DatabaseError`, and unknown IDs with `NotFoundError`.
+   - All errors are logged using the `logger` utility.
+
+5. **Integration**:
+   - The `proxyMiddleware` calls `findMatchingRule()` and `serveMockRule()` for every proxied request, and the `proxyController` exposes the rules under `/api/proxy/mocks`.
+
+The generated `src/services/mockService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the mock rule functionality in the AI-IPST MVP.
@@ -1,10 +1,61 @@
 Here is the complete, production-ready code for `src/services/proxyService.js`:
 
 ```javascript
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const lodash = require('lodash');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
 const ProxyConfig = require('../models/ProxyConfig');
-const { InvalidRequestError, ProxyConfigurationError, ProxyTrafficLogError } = require('../utils/errors');
+const LogEntry = require('../models/LogEntry');
+const scriptService = require('./scriptService');
+const routingService = require('./routingService');
+const ruleEngine = require('../utils/ruleEngine');
+const har = require('../utils/har');
+const usageService = require('./usageService');
+const conversationService = require('./conversationService');
+const circuitBreakerService = require('./circuitBreakerService');
+const redactionService = require('./redactionService');
+const chatParsers = require('../utils/chatParsers');
+const providerTranslators = require('../utils/providerTranslators');
+const secretMasker = require('../utils/secretMasker');
+const { createSseEventSplitter } = require('../utils/helpers');
+const { InvalidRequestError, ProxyConfigurationError, ProxyTrafficLogError, UpstreamRequestError } = require('../utils/errors');
 const logger = require('../utils/logger');
-const { makeHttpRequest, transformRequestResponse } = require('../utils/helpers');
+
+// Hop-by-hop headers are meaningful for a single connection only and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+// Entries exported by `exportProxyTrafficHar()` when no limit is given
+const HAR_EXPORT_LIMIT = 1000;
+
+// Defaults for the `retry` settings of the proxy configuration; retries are off unless configured
+const DEFAULT_RETRY = {
+  maxRetries: 0,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  retryOn: [429, 500, 502, 503, 504],
+  timeoutMs: 120000,
+};
+
+// Credentials of the client's provider, never sent on to a fallback upstream
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key'];
+
+// Response header naming the fallback upstream that answered a request
+const FAILOVER_HEADER = 'x-proxy-failover';
+
+// PEM files referenced by upstream TLS settings, keyed by path; cleared when the configuration changes
+const tlsFileCache = new Map();
 
 class ProxyService {
   /**
@@ -30,6 +81,7 @@ class ProxyService {
   async updateProxyConfig(config) {
     try {
       await ProxyConfig.findOneAndUpdate({}, config, { new: true, upsert: true });
+      tlsFileCache.clear();
     } catch (err) {
       logger.error('Error updating proxy configuration:', err);
       throw new ProxyConfigurationError('Error updating proxy configuration');
@@ -45,20 +97,15 @@ class ProxyService {
   async getProxyTraffic(filters) {
     try {
       // Apply filters to the proxy traffic logs
-      const query = { createdAt: { $gte: filters.startDate, $lte: filters.endDate } };
-      if (filters.targetUrl) {
-        query.targetUrl = { $regex: new RegExp(filters.targetUrl, 'i') };
-      }
-      if (filters.method) {
-        query.method = filters.method;
-      }
+      const query = this.buildTrafficQuery(filters);
 
-      const proxyTraffic = await ProxyConfig.find(query)
+      const proxyTraffic = await LogEntry.find(query)
         .sort({ createdAt: -1 })
         .skip((filters.page - 1) * filters.limit)
         .limit(filters.limit);
 
-      return proxyTraffic;
+      // Entries logged before a secret was on the masking lists are masked on the way out
+      return proxyTraffic.map((entry) => secretMasker.maskLogEntry(entry));
     } catch (err) {
       logger.error('Error fetching proxy traffic:', err);
       throw new ProxyTrafficLogError('Error fetching proxy traffic');
@@ -66,26 +113,84 @@ class ProxyService {
   }
 
   /**
-   * Modify an intercepted proxy request.
+   * Export the logged proxy traffic as a HAR 1.2 document, oldest exchange first.
+   * @param {Object} filters - The same filters as `getProxyTraffic()`; `limit` caps the number of entries.
+   * @returns {Promise<Object>} - The HAR document.
+   * @throws {ProxyTrafficLogError} - If an error occurs while fetching the proxy traffic logs.
+   */
+  async exportProxyTrafficHar(filters) {
+    let proxyTraffic;
+    try {
+      const query = { ...this.buildTrafficQuery(filters), type: { $ne: 'websocket' } };
+      proxyTraffic = await LogEntry.find(query, null, { sort: { createdAt: 1 }, limit: filters.limit || HAR_EXPORT_LIMIT, lean: true });
+    } catch (err) {
+      logger.error('Error exporting proxy traffic:', err);
+      throw new ProxyTrafficLogError('Error exporting proxy traffic');
+    }
+
+    return har.toHar(proxyTraffic.map((entry) => secretMasker.maskLogEntry(entry)));
+  }
+
+  /**
+   * Build the `LogEntry` query for the proxy traffic filters.
+   * @param {Object} filters - The filters (`startDate`, `endDate`, `targetUrl`, `method`, `routingRule`, the prompt-injection `injection` verdict, the userscript whose hooks ran on the exchange (`script`), and the chat filters `provider`, `model` and `role`).
+   * @returns {Object} - The MongoDB query.
+   */
+  buildTrafficQuery(filters) {
+    const query = { createdAt: { $gte: filters.startDate, $lte: filters.endDate } };
+    if (filters.targetUrl) {
+      query.url = { $regex: new RegExp(filters.targetUrl, 'i') };
+    }
+    if (filters.method) {
+      query.method = filters.method;
+    }
+    if (filters.provider) {
+      query['chat.provider'] = filters.provider;
+    }
+    if (filters.model) {
+      query['chat.model'] = filters.model;
+    }
+    if (filters.role) {
+      query['chat.messages.role'] = filters.role;
+    }
+    if (filters.routingRule) {
+      query['routing.rule'] = filters.routingRule;
+    }
+    if (filters.injection) {
+      query['injection.verdict'] = filters.injection;
+    }
+    if (filters.script) {
+      query['scripts.runs.script'] = filters.script;
+    }
+    return query;
+  }
+
+  /**
+   * Modify an intercepted proxy request by applying the configured `requestModifications` rules.
    * @param {Object} requestData - The request data to be modified.
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration; fetched when omitted.
    * @returns {Promise<Object>} - The modified request data.
    * @throws {InvalidRequestError} - If the request data is invalid.
    */
-  async modifyProxyRequest(requestData) {
+  async modifyProxyRequest(requestData, proxyConfig) {
     try {
       // Validate the request data
       if (!requestData || typeof requestData !== 'object') {
         throw new InvalidRequestError('Invalid request data');
       }
 
-      // Modify the request as needed
-      const modifiedRequest = {
-        ...requestData,
-        headers: { ...requestData.headers },
-        body: requestData.body ? { ...requestData.body } : null,
-      };
+      // Apply the request modification rules
+      const config = proxyConfig === undefined ? await this.getProxyConfig() : proxyConfig;
+      const { message, appliedRules } = ruleEngine.applyRules(
+        config && config.requestModifications,
+        { url: requestData.url, headers: requestData.headers, body: requestData.body === undefined ? null : requestData.body },
+        { method: requestData.method, url: requestData.url }
+      );
+      if (appliedRules.length > 0) {
+        logger.debug(`Applied request modification rules: ${appliedRules.join(', ')}`);
+      }
 
-      return modifiedRequest;
+      return { ...requestData, ...message };
     } catch (err) {
       logger.error('Error modifying proxy request:', err);
       throw err;
@@ -93,26 +198,32 @@ class ProxyService {
   }
 
   /**
-   * Modify an intercepted proxy response.
+   * Modify an intercepted proxy response by applying the configured `responseModifications` rules.
    * @param {Object} responseData - The response data to be modified.
+   * @param {Object} [request] - The request the response belongs to (`method`, `url`), used by rule conditions.
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration; fetched when omitted.
    * @returns {Promise<Object>} - The modified response data.
    * @throws {InvalidRequestError} - If the response data is invalid.
    */
-  async modifyProxyResponse(responseData) {
+  async modifyProxyResponse(responseData, request = {}, proxyConfig) {
     try {
       // Validate the response data
       if (!responseData || typeof responseData !== 'object') {
         throw new InvalidRequestError('Invalid response data');
       }
 
-      // Modify the response as needed
-      const modifiedResponse = {
-        ...responseData,
-        headers: { ...responseData.headers },
-        body: responseData.body ? { ...responseData.body } : null,
-      };
+      // Apply the response modification rules
+      const config = proxyConfig === undefined ? await this.getProxyConfig() : proxyConfig;
+      const { message, appliedRules } = ruleEngine.applyRules(
+        config && config.responseModifications,
+        { headers: responseData.headers, body: responseData.body === undefined ? null : responseData.body },
+        { method: request.method, url: request.url }
+      );
+      if (appliedRules.length > 0) {
+        logger.debug(`Applied response modification rules: ${appliedRules.join(', ')}`);
+      }
 
-      return modifiedResponse;
+      return { ...responseData, ...message };
     } catch (err) {
       logger.error('Error modifying proxy response:', err);
       throw err;
@@ -121,8 +232,9 @@ class ProxyService {
 
   /**
    * Inject a custom response without forwarding the original request.
-   * @param {Object} responseData - The custom response data to be injected.
-   * @returns {Promise<Object>} - The injected custom response.
+   * Responses with `events` are prepared as a Server-Sent Events stream, one formatted event per entry.
+   * @param {Object} responseData - The custom response data to be injected (`statusCode`, `headers`, and `body` or `events`).
+   * @returns {Promise<Object>} - The injected custom response (`statusCode`, `headers`, and `body` or `events`).
    * @throws {InvalidRequestError} - If the response data is invalid.
    */
   async injectCustomResponse(responseData) {
@@ -133,10 +245,20 @@ class ProxyService {
       }
 
       // Inject the custom response
+      const statusCode = responseData.statusCode || 200;
+      const headers = { ...(responseData.headers instanceof Map ? Object.fromEntries(responseData.headers) : responseData.headers) };
+
+      if (Array.isArray(responseData.events)) {
+        if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+          headers['content-type'] = 'text/event-stream';
+        }
+        return { statusCode, headers, events: responseData.events.map((event) => this.formatSseEvent(event)) };
+      }
+
       const customResponse = {
-        ...responseData,
-        headers: { ...responseData.headers },
-        body: responseData.body ? { ...responseData.body } : null,
+        statusCode,
+        headers,
+        body: responseData.body === undefined || responseData.body === null ? null : lodash.cloneDeep(responseData.body),
       };
 
       return customResponse;
@@ -146,62 +268,806 @@ class ProxyService {
     }
   }
 
+  /**
+   * Format a Server-Sent Event for the wire.
+   * @param {Object} event - The event (`event`, `id`, `data`); non-string data is sent as JSON.
+   * @returns {string} - The event, including its terminating blank line.
+   */
+  formatSseEvent(event) {
+    const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+    const lines = [];
+    if (event.event) {
+      lines.push(`event: ${event.event}`);
+    }
+    if (event.id) {
+      lines.push(`id: ${event.id}`);
+    }
+    data.split(/\r\n|\n|\r/).forEach((line) => lines.push(`data: ${line}`));
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Modify a single chunk of a streaming proxy response before it is relayed to the client.
+   * For `text/event-stream` responses a chunk is one complete event. Text chunks go through
+   * the `onStreamChunk` hooks of the exchange's userscripts; binary chunks are relayed unchanged.
+   * @param {string|Buffer} chunk - The chunk received from the target server.
+   * @param {Object} context - The exchange the chunk belongs to (`request`, `statusCode`, `headers`, `index`, and the userscript `hooks` session, if any).
+   * @returns {Promise<string|Buffer|null>} - The chunk to relay, or `null` to drop it.
+   * @throws {InvalidRequestError} - If the chunk is invalid.
+   */
+  async modifyStreamChunk(chunk, context) {
+    try {
+      // Validate the chunk
+      if (chunk === undefined || chunk === null) {
+        throw new InvalidRequestError('Invalid stream chunk');
+      }
+
+      if (context && context.hooks && typeof chunk === 'string') {
+        const { message } = await scriptService.runHooks(context.hooks, 'onStreamChunk', chunk, {
+          statusCode: context.statusCode,
+          index: context.index,
+        });
+        return message;
+      }
+
+      return chunk;
+    } catch (err) {
+      logger.error(`Error modifying proxy stream chunk (index: ${context && context.index}):`, err);
+      throw err;
+    }
+  }
+
   /**
    * Forward the modified request to the target server and return the response.
+   *
+   * Streaming responses (see `isStreamingResponse()`) are returned without being buffered,
+   * as `{ statusCode, headers, stream }`, so the caller can relay them chunk by chunk.
+   * All other responses are read in full and returned as `{ statusCode, headers, body }`.
+   *
+   * Connection errors and the statuses in `retry.retryOn` are retried up to `retry.maxRetries`
+   * times, with exponential backoff and full jitter; a `Retry-After` header is honoured, and a
+   * response that asks for a longer wait than `retry.maxDelayMs` is returned as it is. Every
+   * attempt goes through the upstream's circuit breaker (see `circuitBreakerService`).
+   *
+   * Chat API calls routed to an upstream on another `provider` are translated into that
+   * provider's API, and its answer back into the client's (see `findTranslator()`); an upstream's
+   * `headers` (such as its API key) are sent instead of the client's credentials.
+   *
+   * When the upstream has a `fallback` and still cannot be reached, its breaker is open, or it
+   * still answers with a status in `retry.retryOn`, the request fails over to the fallback
+   * upstream once (see `failOver()`). The response then carries a `failover` record of both attempts.
+   *
    * @param {Object} modifiedRequest - The modified request data.
+   * @param {Object} [upstream] - The upstream selected by the routing rules; the default upstream when omitted.
+   * @param {ProxyConfig|null} [proxyConfig] - The current proxy configuration, for the retry and circuit breaker settings.
    * @returns {Promise<Object>} - The response from the target server.
-   * @throws {ProxyTrafficLogError} - If an error occurs while forwarding the request.
+   * @throws {UpstreamUnavailableError} - If the upstream's circuit breaker is open.
+   * @throws {UpstreamRequestError} - If the upstream cannot be reached, after all retries.
+   * @throws {ProxyTrafficLogError} - If any other error occurs while forwarding the request.
    */
-  async forwardProxyRequest(modifiedRequest) {
+  async forwardProxyRequest(modifiedRequest, upstream, proxyConfig = null) {
     try {
+      const target = upstream || routingService.getDefaultUpstream(proxyConfig);
+      const translator = this.findTranslator(modifiedRequest, target);
+      const upstreamRequest = this.prepareUpstreamRequest(modifiedRequest, { translator, headers: target.headers });
+      const fallback = this.findFallback(modifiedRequest, target, proxyConfig);
+      if (!fallback) {
+        return this.translateResponse(await this.forwardToUpstream(upstreamRequest, target, proxyConfig), translator);
+      }
+
+      // The upstream gets its own retries first; only then does the request fail over
+      const attemptStartedAt = Date.now();
+      let attempt;
+      try {
+        const response = this.translateResponse(await this.forwardToUpstream(upstreamRequest, target, proxyConfig), translator);
+        if (!this.getRetrySettings(proxyConfig).retryOn.includes(response.statusCode)) {
+          return response;
+        }
+        if (response.stream) {
+          response.stream.resume();
+        }
+        attempt = { upstream: target.name, statusCode: response.statusCode };
+      } catch (err) {
+        if (!['UpstreamUnavailableError', 'UpstreamRequestError'].includes(err.name)) {
+          throw err;
+        }
+        attempt = { upstream: target.name, error: err.message };
+      }
+      attempt.durationMs = Date.now() - attemptStartedAt;
+
+      logger.warn(`Upstream '${target.name}' failed (${attempt.statusCode ? `HTTP ${attempt.statusCode}` : attempt.error}), failing over to '${fallback.upstream.name}'`);
+      return await this.failOver(modifiedRequest, fallback, attempt, proxyConfig);
+    } catch (err) {
+      if (['UpstreamUnavailableError', 'UpstreamRequestError'].includes(err.name)) {
+        throw err;
+      }
+      logger.error('Error forwarding proxy request:', err);
+      throw new ProxyTrafficLogError('Error forwarding proxy request');
+    }
+  }
+
+  /**
+   * Send a request to a single upstream, with retries and through its circuit breaker.
+   * @param {Object} modifiedRequest - The request data.
+   * @param {Object} target - The upstream.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration, for the retry and circuit breaker settings.
+   * @returns {Promise<Object>} - The response, buffered or as a stream (see `forwardProxyRequest()`).
+   * @throws {UpstreamUnavailableError} - If the upstream's circuit breaker is open.
+   * @throws {UpstreamRequestError} - If the upstream cannot be reached, after all retries.
+   */
+  async forwardToUpstream(modifiedRequest, target, proxyConfig) {
+    const retry = this.getRetrySettings(proxyConfig);
+    const options = {
+      url: this.buildTargetUrl(modifiedRequest.url, target),
+      method: modifiedRequest.method,
+      headers: modifiedRequest.headers,
+      body: modifiedRequest.body,
+      tls: this.buildTlsOptions(target),
+      timeoutMs: retry.timeoutMs,
+    };
+
+    // Count a failed attempt against the upstream, then wait for the next one or give up
+    const failAttempt = async (err, attempt) => {
+      circuitBreakerService.recordFailure(target, proxyConfig, err.code || err.message);
+      if (attempt < retry.maxRetries) {
+        logger.warn(`Upstream '${target.name}' failed (${err.message}), retrying (${attempt + 1}/${retry.maxRetries})`);
+        await this.wait(this.getRetryDelay(attempt, null, retry));
+        return;
+      }
+      logger.error(`Error forwarding proxy request to upstream '${target.name}':`, err);
+      throw new UpstreamRequestError(`Error forwarding proxy request to upstream '${target.name}': ${err.message}`);
+    };
+
+    for (let attempt = 0; ; attempt += 1) {
+      // Fail fast while the upstream is known to be down
+      circuitBreakerService.check(target, proxyConfig);
+
       // Forward the modified request to the target server
-      const response = await makeHttpRequest({
-        url: `http://${process.env.PROXY_TARGET_HOSTNAME}:${process.env.PROXY_TARGET_PORT}${modifiedRequest.url}`,
-        method: modifiedRequest.method,
-        headers: modifiedRequest.headers,
-        body: modifiedRequest.body,
+      let upstreamResponse;
+      try {
+        upstreamResponse = await this.sendUpstreamRequest(options);
+      } catch (err) {
+        await failAttempt(err, attempt);
+        continue;
+      }
+
+      const { statusCode } = upstreamResponse;
+      if (statusCode >= 500) {
+        circuitBreakerService.recordFailure(target, proxyConfig, `HTTP ${statusCode}`);
+      } else {
+        circuitBreakerService.recordSuccess(target);
+      }
+
+      // Retry rate-limited and failed requests, unless the upstream asks for a longer wait than allowed
+      if (retry.retryOn.includes(statusCode) && attempt < retry.maxRetries) {
+        const delay = this.getRetryDelay(attempt, upstreamResponse.headers['retry-after'], retry);
+        if (delay !== null) {
+          logger.warn(`Upstream '${target.name}' answered ${statusCode}, retrying in ${delay}ms (${attempt + 1}/${retry.maxRetries})`);
+          upstreamResponse.resume();
+          await this.wait(delay);
+          continue;
+        }
+      }
+
+      const response = {
+        statusCode,
+        headers: this.filterResponseHeaders(upstreamResponse.headers),
+      };
+
+      // Hand streaming responses back unbuffered
+      if (this.isStreamingResponse(upstreamResponse.headers)) {
+        return { ...response, stream: upstreamResponse };
+      }
+
+      // A body that stalls or breaks off fails the attempt like a connection error
+      try {
+        return { ...response, body: await this.readResponseBody(upstreamResponse) };
+      } catch (err) {
+        await failAttempt(err, attempt);
+      }
+    }
+  }
+
+  /**
+   * Find the translator for a chat API call sent to an upstream on another provider.
+   * @param {Object} request - The request data, in the client's schema.
+   * @param {Object} target - The upstream the request is sent to.
+   * @returns {Object|null} - The translator from `providerTranslators`, or `null` if the request is sent as it is.
+   */
+  findTranslator(request, target) {
+    if (!target.provider || !lodash.isPlainObject(request.body)) {
+      return null;
+    }
+    const api = chatParsers.detectApi(request.url, request.body);
+    if (!api || api.provider === target.provider) {
+      return null;
+    }
+
+    const translator = providerTranslators.getTranslator(api.api, target.provider);
+    if (!translator) {
+      logger.warn(`Requests to '${request.url}' cannot be translated for ${target.provider} upstream '${target.name}'`);
+    }
+    return translator;
+  }
+
+  /**
+   * Prepare a request for the upstream that answers it.
+   *
+   * A translated request is rewritten into the upstream's API, and leaves the client's provider
+   * headers behind. The client's credentials are left out when the request is translated or the
+   * upstream has its own `headers`, which are added instead.
+   *
+   * @param {Object} request - The request data, in the client's schema.
+   * @param {Object} options - How to prepare the request.
+   * @param {Object|null} [options.translator] - The translator into the upstream's API.
+   * @param {string} [options.model] - The model to request instead of the client's.
+   * @param {Map|Object} [options.headers] - The headers to add.
+   * @param {boolean} [options.dropCredentials] - Whether to leave out the client's credentials regardless.
+   * @returns {Object} - The request data to send.
+   */
+  prepareUpstreamRequest(request, { translator = null, model, headers, dropCredentials = false } = {}) {
+    const extraHeaders = headers instanceof Map ? Object.fromEntries(headers) : headers || {};
+    if (!translator && !model && !dropCredentials && lodash.isEmpty(extraHeaders)) {
+      return request;
+    }
+
+    const omitCredentials = dropCredentials || Boolean(translator) || !lodash.isEmpty(extraHeaders);
+    const requestHeaders = lodash.omitBy(request.headers, (value, name) => (
+      (omitCredentials && CREDENTIAL_HEADERS.includes(name.toLowerCase())) || Boolean(translator && /^(openai|anthropic)-/i.test(name))
+    ));
+    if (translator) {
+      return {
+        ...request,
+        url: translator.path(model || request.body.model, Boolean(request.body.stream)),
+        headers: { ...requestHeaders, 'content-type': 'application/json', ...translator.headers, ...extraHeaders },
+        body: translator.request(request.body, model || request.body.model),
+      };
+    }
+    return {
+      ...request,
+      headers: { ...requestHeaders, ...extraHeaders },
+      body: model && lodash.isPlainObject(request.body) && request.body.model ? { ...request.body, model } : request.body,
+    };
+  }
+
+  /**
+   * Translate an upstream's answer back into the schema the client expects.
+   * @param {Object} response - The upstream's response, buffered or as a stream.
+   * @param {Object|null} translator - The translator the request was translated with.
+   * @returns {Object} - The translated response; the response itself if the request was not translated.
+   */
+  translateResponse(response, translator) {
+    if (!translator) {
+      return response;
+    }
+    if (response.stream) {
+      return { ...response, stream: this.translateStream(response.stream, translator.stream()) };
+    }
+    const succeeded = response.statusCode >= 200 && response.statusCode < 300;
+    let { body } = response;
+    if (succeeded && lodash.isPlainObject(body)) {
+      body = translator.response(body);
+    } else if (!succeeded) {
+      body = translator.error(body, response.statusCode);
+    }
+    return { ...response, body };
+  }
+
+  /**
+   * Find where a request fails over to if its upstream fails.
+   *
+   * Chat API calls can fail over to a fallback on another provider when their schemas can be
+   * translated (see `providerTranslators`); other requests only to a fallback on the same provider.
+   *
+   * @param {Object} request - The request data.
+   * @param {Object} target - The upstream the request is sent to.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Object|null} - The fallback (`upstream`, `model`, `headers`, and the `translator` if the schemas differ), or `null` if the request cannot fail over.
+   */
+  findFallback(request, target, proxyConfig) {
+    const settings = target.fallback;
+    if (!settings || !settings.upstream) {
+      return null;
+    }
+    const fallbackUpstream = routingService.findUpstream(proxyConfig, settings.upstream);
+    if (!fallbackUpstream || fallbackUpstream.name === target.name) {
+      logger.warn(`Upstream '${target.name}' fails over to unknown upstream '${settings.upstream}'`);
+      return null;
+    }
+
+    const fallback = { upstream: fallbackUpstream, model: settings.model, headers: settings.headers, translator: null };
+    const api = lodash.isPlainObject(request.body) ? chatParsers.detectApi(request.url, request.body) : null;
+    const from = api ? api.provider : target.provider;
+    const to = fallbackUpstream.provider || from;
+    if (from === to) {
+      return fallback;
+    }
+
+    const translator = api && providerTranslators.getTranslator(api.api, to);
+    if (!translator) {
+      logger.warn(`Requests to '${request.url}' cannot fail over from ${from || 'an unknown provider'} to ${to}`);
+      return null;
+    }
+    return { ...fallback, translator };
+  }
+
+  /**
+   * Send a request to its fallback upstream, and translate the answer back into the schema the
+   * client expects if the fallback is on another provider.
+   *
+   * The client's credentials are never sent to the fallback; the fallback upstream's `headers` and
+   * the fallback's own `headers` (such as its API key) are sent instead, and a fallback `model`
+   * replaces the requested one. The response carries an `X-Proxy-Failover` header naming the fallback.
+   *
+   * @param {Object} request - The request data, in the client's schema.
+   * @param {Object} fallback - The fallback, as found by `findFallback()`.
+   * @param {Object} failedAttempt - The failed attempt on the original upstream (`upstream`, `statusCode` or `error`, `durationMs`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Promise<Object>} - The fallback's response, with `failover` recording both attempts.
+   * @throws {UpstreamUnavailableError} - If the fallback's circuit breaker is open.
+   * @throws {UpstreamRequestError} - If the fallback cannot be reached either.
+   */
+  async failOver(request, fallback, failedAttempt, proxyConfig) {
+    const { translator } = fallback;
+    const toHeaders = (headers) => (headers instanceof Map ? Object.fromEntries(headers) : headers || {});
+    const fallbackRequest = this.prepareUpstreamRequest(request, {
+      translator,
+      model: fallback.model,
+      headers: { ...toHeaders(fallback.upstream.headers), ...toHeaders(fallback.headers) },
+      dropCredentials: true,
+    });
+
+    const startedAt = Date.now();
+    const response = await this.forwardToUpstream(fallbackRequest, fallback.upstream, proxyConfig);
+    const failover = {
+      upstream: fallback.upstream.name,
+      translated: Boolean(translator),
+      attempts: [failedAttempt, { upstream: fallback.upstream.name, statusCode: response.statusCode, durationMs: Date.now() - startedAt }],
+    };
+    return {
+      ...this.translateResponse(response, translator),
+      headers: { ...response.headers, [FAILOVER_HEADER]: fallback.upstream.name },
+      failover,
+    };
+  }
+
+  /**
+   * Translate a streamed answer event by event as it is relayed.
+   * @param {Readable} stream - The upstream's Server-Sent Events stream.
+   * @param {Object} translator - A stream translator (`push(event)`, `flush()`) from `providerTranslators`.
+   * @returns {Transform} - The translated stream.
+   */
+  translateStream(stream, translator) {
+    const decoder = new StringDecoder('utf8');
+    const splitter = createSseEventSplitter();
+    const format = (events) => events.map((event) => this.formatSseEvent(event)).join('');
+    const translate = (texts) => format(texts
+      .reduce((events, text) => events.concat(chatParsers.parseSseEvents(text)), [])
+      .reduce((events, event) => events.concat(translator.push(event)), []));
+
+    const translated = new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, translate(splitter.push(decoder.write(chunk))) || undefined);
+      },
+      flush(callback) {
+        const rest = translate(splitter.push(decoder.end()).concat(splitter.flush())) + format(translator.flush());
+        callback(null, rest || undefined);
+      },
+    });
+    pipeline(stream, translated, (err) => {
+      if (err) {
+        logger.warn(`Translated stream from the upstream was cut short: ${err.message}`);
+      }
+    });
+    return translated;
+  }
+
+  /**
+   * Read the retry settings from the proxy configuration.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ maxRetries: number, baseDelayMs: number, maxDelayMs: number, retryOn: Array<number>, timeoutMs: number }} - The settings, with defaults filled in.
+   */
+  getRetrySettings(proxyConfig) {
+    const retry = (proxyConfig && proxyConfig.retry) || {};
+    return {
+      maxRetries: retry.maxRetries === undefined ? DEFAULT_RETRY.maxRetries : retry.maxRetries,
+      baseDelayMs: retry.baseDelayMs === undefined ? DEFAULT_RETRY.baseDelayMs : retry.baseDelayMs,
+      maxDelayMs: retry.maxDelayMs === undefined ? DEFAULT_RETRY.maxDelayMs : retry.maxDelayMs,
+      retryOn: retry.retryOn && retry.retryOn.length > 0 ? Array.from(retry.retryOn) : DEFAULT_RETRY.retryOn,
+      timeoutMs: retry.timeoutMs === undefined ? DEFAULT_RETRY.timeoutMs : retry.timeoutMs,
+    };
+  }
+
+  /**
+   * Work out how long to wait before the next attempt: exponential backoff with full jitter,
+   * but never less than a `Retry-After` header asks for.
+   * @param {number} attempt - The attempt that failed, starting at 0.
+   * @param {string} [retryAfter] - The `Retry-After` header of the response, in seconds or as an HTTP date.
+   * @param {Object} retry - The retry settings (`baseDelayMs`, `maxDelayMs`).
+   * @returns {number|null} - The delay in milliseconds, or `null` if `Retry-After` asks for longer than `maxDelayMs`.
+   */
+  getRetryDelay(attempt, retryAfter, retry) {
+    const backoff = Math.round(Math.random() * Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt));
+    if (retryAfter === undefined || retryAfter === null) {
+      return backoff;
+    }
+
+    const seconds = Number(retryAfter);
+    const retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isNaN(retryAfterMs)) {
+      return backoff;
+    }
+    if (retryAfterMs > retry.maxDelayMs) {
+      return null;
+    }
+    return Math.max(backoff, Math.ceil(retryAfterMs));
+  }
+
+  /**
+   * Wait before retrying an upstream request.
+   * @param {number} ms - The delay in milliseconds.
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Build the absolute URL of a path on an upstream.
+   * @param {string} path - The request path, relative to the proxy mount point.
+   * @param {Object} [upstream] - The upstream (`scheme`, `hostname`, `port`); the default upstream when omitted.
+   * @param {string} [transport='http'] - `http`, or `ws` for WebSocket connections.
+   * @returns {string} - The absolute target URL, using `https`/`wss` for TLS upstreams.
+   */
+  buildTargetUrl(path, upstream, transport = 'http') {
+    const { scheme, hostname, port } = upstream || routingService.getDefaultUpstream(null);
+    const protocol = scheme === 'https' ? `${transport}s` : transport;
+    return `${protocol}://${hostname}:${port}${path}`;
+  }
+
+  /**
+   * Build the TLS options for connecting to an upstream.
+   * @param {Object} [upstream] - The upstream (`scheme`, `tls`).
+   * @returns {Object} - Options for `https.request()` (or the `ws` client); empty for plain HTTP upstreams.
+   * @throws {Error} - If a configured CA bundle, certificate or key file cannot be read.
+   */
+  buildTlsOptions(upstream) {
+    if (!upstream || upstream.scheme !== 'https') {
+      return {};
+    }
+
+    const tls = upstream.tls || {};
+    const options = {};
+    if (tls.caFile) {
+      options.ca = this.readTlsFile(tls.caFile);
+    }
+    if (tls.certFile) {
+      options.cert = this.readTlsFile(tls.certFile);
+    }
+    if (tls.keyFile) {
+      options.key = this.readTlsFile(tls.keyFile);
+    }
+    if (tls.servername) {
+      options.servername = tls.servername;
+    }
+    if (tls.insecureSkipVerify) {
+      logger.warn(`TLS certificate verification is disabled for upstream '${upstream.name}'`);
+      options.rejectUnauthorized = false;
+    }
+    return options;
+  }
+
+  /**
+   * Read a PEM file referenced by the TLS settings, caching its contents.
+   * @param {string} path - The file path.
+   * @returns {Buffer} - The file contents.
+   */
+  readTlsFile(path) {
+    if (!tlsFileCache.has(path)) {
+      tlsFileCache.set(path, fs.readFileSync(path));
+    }
+    return tlsFileCache.get(path);
+  }
+
+  /**
+   * Determine whether an upstream response should be relayed as a stream.
+   * Server-Sent Events and NDJSON are always streamed; other chunked responses are streamed
+   * unless they are JSON documents, which are buffered so they can be modified as a whole.
+   * @param {Object} headers - The upstream response headers.
+   * @returns {boolean} - True if the response should be streamed.
+   */
+  isStreamingResponse(headers) {
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    if (contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson')) {
+      return true;
+    }
+
+    const isChunked = String(headers['transfer-encoding'] || '').toLowerCase().includes('chunked');
+    return isChunked && !contentType.includes('json');
+  }
+
+  /**
+   * Send a request to the target server.
+   * The request body is serialized as JSON unless it is already a string or Buffer, and
+   * `accept-encoding` is dropped so the response arrives uncompressed and can be modified.
+   * An upstream that has not answered within `timeoutMs` has its request destroyed, which rejects with `ETIMEDOUT`;
+   * one that then sends nothing of the body for `timeoutMs` has its response destroyed with `ETIMEDOUT`.
+   * @param {Object} options - The request options (`url`, `method`, `headers`, `body`, `tls` for `https` URLs, and `timeoutMs`).
+   * @returns {Promise<http.IncomingMessage>} - The upstream response, not yet consumed.
+   */
+  sendUpstreamRequest({ url, method, headers = {}, body, tls = {}, timeoutMs = DEFAULT_RETRY.timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const outgoingHeaders = {};
+      Object.keys(headers).forEach((headerKey) => {
+        const name = headerKey.toLowerCase();
+        if (!HOP_BY_HOP_HEADERS.includes(name) && !['host', 'content-length', 'accept-encoding'].includes(name)) {
+          outgoingHeaders[name] = headers[headerKey];
+        }
       });
 
-      // Transform the response to the desired format
-      const transformedResponse = transformRequestResponse(response);
+      let payload = null;
+      const hasBody = body !== null && body !== undefined && !['GET', 'HEAD'].includes(method)
+        && !(typeof body === 'object' && !Buffer.isBuffer(body) && Object.keys(body).length === 0);
+      if (hasBody) {
+        payload = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+        outgoingHeaders['content-length'] = Buffer.byteLength(payload);
+      }
+
+      let timer = null;
+      const onResponse = (upstreamResponse) => {
+        clearTimeout(timer);
+        // Bodies and streams that stall are given up on too, until the upstream has sent them in full
+        if (timeoutMs > 0) {
+          upstreamResponse.setTimeout(timeoutMs, () => {
+            const err = new Error(`Upstream sent nothing for ${timeoutMs}ms`);
+            err.code = 'ETIMEDOUT';
+            upstreamResponse.destroy(err);
+          });
+        }
+        resolve(upstreamResponse);
+      };
+      const upstreamRequest = url.startsWith('https:')
+        ? https.request(url, { method, headers: outgoingHeaders, ...tls }, onResponse)
+        : http.request(url, { method, headers: outgoingHeaders }, onResponse);
+      upstreamRequest.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+
+      // Give up on upstreams that never answer, so the attempt counts as a failure
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          const err = new Error(`Upstream did not answer within ${timeoutMs}ms`);
+          err.code = 'ETIMEDOUT';
+          upstreamRequest.destroy(err);
+        }, timeoutMs);
+      }
+      if (payload !== null) {
+        upstreamRequest.write(payload);
+      }
+      upstreamRequest.end();
+    });
+  }
+
+  /**
+   * Read an upstream response body in full.
+   * JSON bodies are parsed; everything else is returned as text.
+   * @param {http.IncomingMessage} upstreamResponse - The upstream response.
+   * @returns {Promise<any>} - The response body.
+   */
+  async readResponseBody(upstreamResponse) {
+    const decoder = new StringDecoder('utf8');
+    let text = '';
+    for await (const chunk of upstreamResponse) {
+      text += decoder.write(chunk);
+    }
+    text += decoder.end();
+
+    const contentType = String(upstreamResponse.headers['content-type'] || '').toLowerCase();
+    if (contentType.includes('json') && text) {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        logger.warn('Upstream returned invalid JSON, passing the body through as text');
+      }
+    }
+    return text || null;
+  }
+
+  /**
+   * Remove headers that must not be relayed to the client.
+   * `content-length` is dropped as well because the body may be modified before it is sent.
+   * @param {Object} headers - The upstream response headers.
+   * @returns {Object} - The headers to relay.
+   */
+  filterResponseHeaders(headers) {
+    const filtered = {};
+    Object.keys(headers).forEach((headerKey) => {
+      if (!HOP_BY_HOP_HEADERS.includes(headerKey) && headerKey !== 'content-length') {
+        filtered[headerKey] = headers[headerKey];
+      }
+    });
+    return filtered;
+  }
+
+  /**
+   * Run the configured WebSocket userscripts over a single tunnelled frame.
+   *
+   * Scripts run in order, each seeing the output of the previous one as `frame.data`. A script
+   * rewrites the frame by evaluating to a string or object (objects are sent as JSON), or by
+   * assigning `frame.data`; evaluating to `null` or `false` drops the frame. Binary frames are
+   * relayed unchanged.
+   *
+   * @param {Object} frame - The frame (`direction`, `data`, `isBinary`).
+   * @param {Object} context - The connection the frame belongs to (`connectionId`, `url`, and the `scripts` resolved when it opened).
+   * @returns {Promise<Object>} - The frame to relay, with `modified` and `dropped` flags.
+   * @throws {InvalidRequestError} - If the frame is invalid.
+   */
+  async modifyWebSocketFrame(frame, context) {
+    try {
+      // Validate the frame
+      if (!frame || typeof frame !== 'object' || frame.data === undefined || frame.data === null) {
+        throw new InvalidRequestError('Invalid WebSocket frame');
+      }
+      if (frame.isBinary) {
+        return { ...frame, modified: false, dropped: false };
+      }
+
+      // Tunnels resolve their scripts once when they open; without them the configured ones are looked up
+      const scripts = context && context.scripts ? context.scripts : await this.loadWebSocketScripts(await this.getProxyConfig());
+      if (scripts.length === 0) {
+        return { ...frame, modified: false, dropped: false };
+      }
 
-      // Log the proxy traffic
-      await this.logProxyTraffic(modifiedRequest, transformedResponse);
+      let data = frame.data;
+      for (const script of scripts) {
+        // The sandbox copies the frame back into its context once the script has run
+        const sandboxContext = {
+          frame: { direction: frame.direction, data, isBinary: false },
+          connection: { id: context.connectionId, url: context.url },
+        };
+        const result = await scriptService.executeInSandbox(script.content, sandboxContext);
 
-      return transformedResponse;
+        if (result === null || result === false) {
+          return { ...frame, modified: true, dropped: true };
+        }
+        if (result === undefined) {
+          data = String(sandboxContext.frame.data);
+        } else {
+          data = typeof result === 'string' ? result : JSON.stringify(result);
+        }
+      }
+
+      return { ...frame, data, modified: data !== frame.data, dropped: false };
     } catch (err) {
-      logger.error('Error forwarding proxy request:', err);
-      throw new ProxyTrafficLogError('Error forwarding proxy request');
+      logger.error(`Error modifying WebSocket frame (connection: ${context && context.connectionId}):`, err);
+      throw err;
     }
   }
 
+  /**
+   * Fetch the userscripts configured to run over tunnelled WebSocket frames, in order.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Promise<Array<Userscript>>} - The scripts listed in `webSocketScripts`.
+   * @throws {InvalidScriptError} - If a listed script cannot be fetched.
+   */
+  async loadWebSocketScripts(proxyConfig) {
+    const scriptIds = (proxyConfig && proxyConfig.webSocketScripts) || [];
+    return Promise.all(scriptIds.map((scriptId) => scriptService.getScriptById(scriptId)));
+  }
+
   /**
    * Log the proxy traffic.
    * @param {Object} request - The intercepted proxy request.
    * @param {Object} response - The intercepted proxy response.
-   * @returns {Promise<void>}
+   * @param {Object} [metadata] - How the exchange was handled (`route`: the matched rule and upstream; `intercept`: how held messages were released; `mock`: the mock rule that answered the request; `cassette`: the cassette the exchange was recorded into or replayed from, as `{ name, mode }`; `cache`: the response cache's `{ status, key }` for the request; `forwarded`: whether the upstream was asked for the answer, as only those answers are charged; `failover`: the fallback upstream that answered and both attempts, as `{ upstream, translated, attempts }`; `redaction`: the matches of the redaction detectors in the request forwarded upstream, as `[{ detector, action, count }]`; `injection`: how the prompt-injection rules scored the request, as `{ score, verdict, rule, matches }`; `scripts`: the userscript hook session of the exchange, whose `runs` and `annotations` are logged; `timings`: when the request arrived and how long the exchange took, as `{ startedAt, wait, receive, total }` in milliseconds).
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration, for the user header, price table and redaction detectors; costs are left unset and nothing is redacted when omitted.
+   * @returns {Promise<LogEntry>} - The saved log entry.
    * @throws {ProxyTrafficLogError} - If an error occurs while logging the proxy traffic.
    */
-  async logProxyTraffic(request, response) {
+  async logProxyTraffic(request, response, metadata = {}, proxyConfig = null) {
     try {
-      // Create a new proxy traffic log entry
-      const proxyTraffic = new ProxyConfig({
-        method: request.method,
-        url: request.url,
+      const route = metadata.route || { rule: null, upstream: routingService.getDefaultUpstream(null) };
+
+      // Only redacted data with masked credentials is stored, the normalized chat exchange included
+      const logged = secretMasker.maskLogEntry(redactionService.redactLogData({
+        url: /^[a-z]+:\/\//i.test(request.url) ? request.url : this.buildTargetUrl(request.url, route.upstream),
         headers: request.headers,
         body: request.body,
-        statusCode: response.statusCode,
         responseHeaders: response.headers,
         responseBody: response.body,
+        redaction: metadata.redaction ? { upstream: metadata.redaction } : undefined,
+      }, proxyConfig));
+      const chat = chatParsers.parseChatExchange({ url: request.url, body: logged.body, responseBody: logged.responseBody });
+      const { user, usage, cost } = usageService.accountUsage(request, chat, proxyConfig);
+      const conversation = chat ? await conversationService.threadExchange(request, chat, user) : undefined;
+
+      // Create a new proxy traffic log entry
+      const proxyTraffic = new LogEntry({
+        method: request.method,
+        url: logged.url,
+        headers: logged.headers,
+        body: logged.body,
+        statusCode: response.statusCode,
+        responseHeaders: logged.responseHeaders,
+        responseBody: logged.responseBody,
+        routing: {
+          rule: route.rule ? route.rule.name : undefined,
+          upstream: route.upstream.name,
+        },
+        intercept: {
+          request: (metadata.intercept && metadata.intercept.request) || undefined,
+          response: (metadata.intercept && metadata.intercept.response) || undefined,
+        },
+        mock: {
+          rule: metadata.mock ? metadata.mock.name : undefined,
+        },
+        cassette: metadata.cassette || undefined,
+        cache: metadata.cache || undefined,
+        failover: metadata.failover || undefined,
+        redaction: logged.redaction,
+        injection: metadata.injection ? lodash.pick(metadata.injection, ['score', 'verdict', 'rule', 'matches']) : undefined,
+        scripts: metadata.scripts && metadata.scripts.runs.length > 0 ? lodash.pick(metadata.scripts, ['runs', 'annotations']) : undefined,
+        timings: metadata.timings || undefined,
+        chat: chat ? { ...chat, usage } : undefined,
+        conversation,
+        client: { user },
+        // Answers the upstream was never asked for (mock, cassette, cache, blocked or scripted) cost nothing
+        cost: cost && !metadata.forwarded ? { ...cost, input: 0, output: 0, total: 0 } : cost,
       });
 
       // Save the proxy traffic log entry
       await proxyTraffic.save();
+      return proxyTraffic;
     } catch (err) {
       logger.error('Error logging proxy traffic:', err);
       throw new ProxyTrafficLogError('Error logging proxy traffic');
     }
   }
+
+  /**
+   * Log a single tunnelled WebSocket frame as its own traffic entry.
+   * @param {Object} connection - The tunnelled connection (`connectionId`, `url`, `headers`, `route`).
+   * @param {Object} frame - The frame as relayed (`direction`, `data`, `isBinary`, `modified`, `dropped`, and the `redaction` matches of a frame sent upstream).
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration, for the redaction detectors; nothing is redacted when omitted.
+   * @returns {Promise<void>}
+   * @throws {ProxyTrafficLogError} - If an error occurs while logging the frame.
+   */
+  async logWebSocketFrame(connection, frame, proxyConfig = null) {
+    try {
+      // Frames are redacted and masked for the logs like any other traffic
+      const logged = secretMasker.maskLogEntry(redactionService.redactLogData({
+        url: connection.url,
+        headers: connection.headers,
+        body: frame.isBinary ? Buffer.from(frame.data).toString('base64') : frame.data,
+        redaction: frame.redaction ? { upstream: frame.redaction } : undefined,
+      }, proxyConfig));
+      const frameEntry = new LogEntry({
+        type: 'websocket',
+        method: 'GET',
+        url: logged.url,
+        headers: logged.headers,
+        body: logged.body,
+        routing: connection.route && {
+          rule: connection.route.rule ? connection.route.rule.name : undefined,
+          upstream: connection.route.upstream.name,
+        },
+        webSocket: {
+          connectionId: connection.connectionId,
+          direction: frame.direction,
+          opcode: frame.isBinary ? 'binary' : 'text',
+          modified: Boolean(frame.modified),
+          dropped: Boolean(frame.dropped),
+        },
+        redaction: logged.redaction,
+      });
+
+      await frameEntry.save();
+    } catch (err) {
+      logger.error(`Error logging WebSocket frame (connection: ${connection.connectionId}):`, err);
+      throw new ProxyTrafficLogError('Error logging WebSocket frame');
+    }
+  }
 }
 
 module.exports = new ProxyService();
@@ -210,25 +1076,35 @@ module.exports = new ProxyService();
 This `src/services/proxyService.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `ProxyConfig` model, custom error classes, `logger`, and utility functions from `../utils/helpers`.
+   - The file imports the necessary dependencies, including the Node.js `fs`, `http`, `https` and `string_decoder` modules, `lodash`, the `ProxyConfig` and `LogEntry` models, the `scriptService`, `routingService`, `usageService`, `conversationService`, `circuitBreakerService` and `redactionService`, the `ruleEngine`, `har`, `chatParsers`, `providerTranslators` and `secretMasker` utilities, the `createSseEventSplitter` helper, the Node.js `stream` module, custom error classes, and `logger`.
 
 2. **Internal Structure**:
    - The `ProxyService` class is defined with the following methods:
      - `getProxyConfig()`: Fetches the current proxy configuration from the database.
      - `updateProxyConfig(config)`: Updates the proxy configuration in the database.
-     - `getProxyTraffic(filters)`: Retrieves the logged proxy traffic data based on the provided filters.
-     - `modifyProxyRequest(requestData)`: Modifies an intercepted proxy request before forwarding it.
-     - `modifyProxyResponse(responseData)`: Modifies an intercepted proxy response before returning it to the client.
-     - `injectCustomResponse(responseData)`: Injects a custom response without forwarding the original request.
-     - `forwardProxyRequest(modifiedRequest)`: Forwards the modified proxy request to the target server and returns the response.
-     - `logProxyTraffic(request, response)`: Logs the intercepted proxy traffic in the database.
+     - `getProxyTraffic(filters)`: Retrieves the logged proxy traffic data based on the provided filters, with credentials masked by `secretMasker`.
+     - `exportProxyTrafficHar(filters)`: Exports the logged HTTP traffic matching the same filters as a HAR 1.2 document, oldest exchange first, with credentials masked; `buildTrafficQuery(filters)` builds the query both methods use.
+     - `modifyProxyRequest(requestData, proxyConfig)`: Applies the `requestModifications` rules to an intercepted proxy request before forwarding it.
+     - `modifyProxyResponse(responseData, request, proxyConfig)`: Applies the `responseModifications` rules to an intercepted proxy response before returning it to the client.
+     - `injectCustomResponse(responseData)`: Injects a custom response without forwarding the original request; mock rules are served through it. Responses with `events` are prepared as Server-Sent Events, formatted by `formatSseEvent(event)`.
+     - `modifyStreamChunk(chunk, context)`: Modifies a single chunk (one event for SSE) of a streaming response before it is relayed, running the `onStreamChunk` hooks of the exchange's userscripts over text chunks.
+     - `forwardProxyRequest(modifiedRequest, upstream, proxyConfig)`: Forwards the modified proxy request to the upstream selected by the routing rules and returns the response, leaving streaming responses unbuffered. Connection errors, attempts that get no answer or stall mid-body for `retry.timeoutMs`, and rate-limited or failed responses are retried according to the `retry` settings, and every attempt passes through the upstream's circuit breaker. Upstreams with a `fallback` fail over to it once their own retries are spent.
+     - `forwardToUpstream(modifiedRequest, target, proxyConfig)`: Sends a request to a single upstream, with retries and through its circuit breaker.
+     - `findTranslator(request, target)`, `prepareUpstreamRequest(request, options)`, `translateResponse(response, translator)` and `translateStream(stream, translator)`: Translate chat API calls sent to an upstream on another provider, and the buffered or streamed answer, between provider schemas through `providerTranslators`, and swap the client's credentials for the upstream's `headers`.
+     - `findFallback(request, target, proxyConfig)` and `failOver(request, fallback, failedAttempt, proxyConfig)`: Fail a request over to its upstream's fallback, translating it when the fallback is on another provider.
+     - `getRetrySettings(proxyConfig)`, `getRetryDelay(attempt, retryAfter, retry)` and `wait(ms)`: Read the retry settings and work out the backoff, honouring `Retry-After`.
+     - `buildTargetUrl(path, upstream, transport)`, `buildTlsOptions(upstream)`, `readTlsFile(path)`, `isStreamingResponse(headers)`, `sendUpstreamRequest(options)`, `readResponseBody(upstreamResponse)` and `filterResponseHeaders(headers)`: Helpers for talking to the target server.
+     - `modifyWebSocketFrame(frame, context)`: Runs the configured WebSocket userscripts over a tunnelled frame, which may rewrite or drop it. The scripts are those the connection resolved through `loadWebSocketScripts(proxyConfig)` when it opened, so frames cost no database lookups.
+     - `logProxyTraffic(request, response, metadata, proxyConfig)`: Logs the intercepted proxy traffic as a `LogEntry` document, recording the routing rule that matched, the upstream used, how intercepted messages were released, the mock rule that answered the request, the cassette the exchange was recorded into or replayed from, the response cache status, the failover to a fallback upstream with both attempts, how the prompt-injection rules scored the request, the userscript hooks that ran on the exchange and the annotations they made, and the exchange's timings. When redaction is enabled, the headers and bodies are stored as redacted by `redactionService.redactLogData()` (or with the bodies withheld), along with what the detectors found in the forwarded request and in the entry itself. Credentials in the headers, the URL's query parameters and the JSON bodies are always masked by `secretMasker` before the entry is stored. Calls to a recognized chat API are also stored in normalized form (`chat`: provider, model, system prompt, messages, output, tools, stop reason and token usage) through `chatParsers`, along with the user the request was made for and, given the proxy configuration, the cost of the exchange computed by `usageService` (zero for answers the upstream was never asked for), and the conversation `conversationService` threads it into.
+     - `logWebSocketFrame(connection, frame, proxyConfig)`: Logs a single tunnelled WebSocket frame as its own `LogEntry` document, redacted by `redactionService.redactLogData()` like the HTTP traffic (with the matches of the `upstream` detectors in frames sent to the target server), and with the credentials in the handshake masked.
 
 3. **Implementation Details**:
    - Each method follows the specified implementation guidelines, including input validation, database operations, error handling, and response handling.
    - The code adheres to the defined data flow and integration points with the existing components.
+   - Upstreams with the `https` scheme are reached over TLS, using the upstream's custom CA bundle, client certificate and key (for mTLS), SNI server name and `insecureSkipVerify` flag. The PEM files are read once and cached until the configuration is next updated.
 
 4. **Error Handling**:
-   - Custom error classes (`InvalidRequestError`, `ProxyConfigurationError`, `ProxyTrafficLogError`) are used to represent different error scenarios.
+   - Custom error classes (`InvalidRequestError`, `ProxyConfigurationError`, `ProxyTrafficLogError`, `UpstreamRequestError`) are used to represent different error scenarios. Upstreams that cannot be reached raise `UpstreamRequestError` (`502 Bad Gateway`), and upstreams whose circuit breaker is open raise `UpstreamUnavailableError` (`503 Service Unavailable`). Both fail the request over to the upstream's fallback, if it has one.
    - Appropriate HTTP status codes and error messages are returned for each error case.
    - All errors are logged using the `logger.error()` method from `src/utils/logger.js`.
 
@@ -0,0 +1,302 @@
+Here is the complete, production-ready code for `src/services/rateLimitService.js`:
+
+```javascript
+const usageService = require('./usageService');
+const chatParsers = require('../utils/chatParsers');
+const { RateLimitExceededError, RateLimitRuleError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Requests and tokens per minute are counted over a sliding one-minute window
+const WINDOW_MS = 60 * 1000;
+
+// Subjects a limit can be assigned to, and the limits each rule may set
+const SCOPES = ['user', 'key', 'ip', 'route'];
+const LIMIT_FIELDS = ['requestsPerMinute', 'tokensPerMinute', 'concurrentRequests'];
+
+// Requests whose subject cannot be identified share one bucket per rule
+const ANONYMOUS = 'anonymous';
+
+// Windows of idle subjects are swept once this many are tracked
+const MAX_TRACKED_WINDOWS = 10000;
+
+class RateLimitService {
+  constructor() {
+    // Usage per rule and subject, keyed by `<rule>:<subject>`; each window is `{ requests, tokens, active }`
+    this.windows = new Map();
+  }
+
+  /**
+   * Admit a request under the rate limits that apply to it, counting it against each of them.
+   * The lease must be released with `release()` once the exchange is over.
+   * @param {Object} context - The request (`request`: `url`, `headers`, `body`), its `route`, and the `clientIp`.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ windows: Array<Object>, headers: Object }|null} - The lease, with the `RateLimit-*` headers
+   * to send, or `null` if no limit applies.
+   * @throws {RateLimitExceededError} - If a limit has been hit; `retryAfter` holds the seconds to wait and
+   * `headers` the `RateLimit-*` headers.
+   */
+  acquire(context, proxyConfig) {
+    const limits = this.findLimits(context, proxyConfig);
+    if (limits.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (this.windows.size > MAX_TRACKED_WINDOWS) {
+      this.sweep(now);
+    }
+    const applied = limits.map(({ rule, subject }) => {
+      const key = `${rule.name}:${subject}`;
+      const window = this.windows.get(key) || { requests: [], tokens: [], active: 0 };
+      this.windows.set(key, window);
+      this.prune(window, now);
+      return { rule, subject, window };
+    });
+
+    // Refuse the request if any limit has been hit
+    applied.forEach(({ rule, subject, window }) => {
+      const exceeded = this.findExceeded(rule, window, now);
+      if (exceeded) {
+        logger.warn(`Rate limit '${rule.name}' hit by ${rule.scope} '${subject}': ${exceeded.limit} ${exceeded.unit}`);
+        const error = new RateLimitExceededError(`Rate limit '${rule.name}' exceeded for ${rule.scope} '${subject}': ${exceeded.limit} ${exceeded.unit}`);
+        error.retryAfter = Math.max(1, Math.ceil(exceeded.resetMs / 1000));
+        error.headers = this.buildHeaders(applied, now);
+        throw error;
+      }
+    });
+
+    applied.forEach(({ window }) => {
+      window.requests.push(now);
+      window.active += 1;
+    });
+    return { windows: applied.map(({ window }) => window), headers: this.buildHeaders(applied, now) };
+  }
+
+  /**
+   * Release a lease once the exchange is over, counting the tokens it used against the
+   * tokens-per-minute limits.
+   * @param {Object|null} lease - The lease returned by `acquire()`.
+   * @param {Object|null} [exchange] - The exchange as answered (`request`, `response`); the token usage of
+   * a chat API call is counted as in usage reports, whether or not the exchange could be logged.
+   */
+  release(lease, exchange = null) {
+    if (!lease) {
+      return;
+    }
+    const tokens = this.countTokens(exchange);
+    const now = Date.now();
+    lease.windows.forEach((window) => {
+      window.active = Math.max(0, window.active - 1);
+      if (tokens > 0) {
+        window.tokens.push({ at: now, count: tokens });
+      }
+    });
+  }
+
+  /**
+   * Count the tokens an exchange used: the provider's usage, estimated where it was not reported.
+   * @param {Object|null} exchange - The exchange (`request`, `response`).
+   * @returns {number} - The total tokens; 0 if the exchange is not a chat API call.
+   */
+  countTokens(exchange) {
+    if (!exchange || !exchange.response) {
+      return 0;
+    }
+    const chat = chatParsers.parseChatExchange({ url: exchange.request.url, body: exchange.request.body, responseBody: exchange.response.body });
+    return chat ? usageService.measureUsage(chat).totalTokens : 0;
+  }
+
+  /**
+   * Find the enabled rate limit rules that apply to a request, with the subject each one counts it against.
+   * @param {Object} context - The request (`request`), its `route`, and the `clientIp`.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Array<{ rule: Object, subject: string }>} - The applicable rules.
+   */
+  findLimits(context, proxyConfig) {
+    const rules = (proxyConfig && proxyConfig.rateLimits) || [];
+    return rules
+      .filter((rule) => rule.enabled !== false)
+      .map((rule) => ({ rule, subject: this.resolveSubject(rule.scope, context, proxyConfig) || ANONYMOUS }))
+      .filter(({ rule, subject }) => !rule.value || rule.value === subject);
+  }
+
+  /**
+   * Identify the subject a request is counted against for a scope.
+   * @param {string} scope - `user`, `key`, `ip` or `route`.
+   * @param {Object} context - The request (`request`), its `route`, and the `clientIp`.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration, for the user header.
+   * @returns {string|undefined} - The user (as in usage reports, if `usage.trustUserHeader` is set; the API key
+   * fingerprint or client IP otherwise), the API key fingerprint (`key:...`), the client IP, or the routing rule
+   * name (`default` for the default route).
+   */
+  resolveSubject(scope, context, proxyConfig) {
+    switch (scope) {
+      case 'user': {
+        // A client that names its own user could dodge its limit by naming another one, so only a user
+        // header set by a trusted gateway counts; everyone else is counted by API key or IP
+        const usage = (proxyConfig && proxyConfig.usage) || {};
+        const user = usage.trustUserHeader
+          ? usageService.resolveUser({ url: context.request.url, headers: context.request.headers }, usage.userHeader || undefined)
+          : usageService.resolveApiKey(context.request);
+        return user || context.clientIp;
+      }
+      case 'key':
+        return usageService.resolveApiKey(context.request);
+      case 'ip':
+        return context.clientIp;
+      case 'route':
+        return context.route && context.route.rule ? context.route.rule.name : 'default';
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Validate the rate limit rules of the proxy configuration.
+   * @param {Array<Object>} rules - The rules (`name`, `enabled`, `scope`, `value`, and at least one of
+   * `requestsPerMinute`, `tokensPerMinute` and `concurrentRequests`).
+   * @throws {RateLimitRuleError} - If the rules are invalid.
+   */
+  validateRateLimits(rules) {
+    if (!Array.isArray(rules)) {
+      throw new RateLimitRuleError('Rate limits must be an array');
+    }
+
+    const names = new Set();
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !/^[\w\-]+$/.test(rule.name)) {
+        throw new RateLimitRuleError(`Rate limit at position ${index} must have a name`);
+      }
+      if (names.has(rule.name)) {
+        throw new RateLimitRuleError(`Duplicate rate limit name '${rule.name}'`);
+      }
+      names.add(rule.name);
+
+      if (!SCOPES.includes(rule.scope)) {
+        throw new RateLimitRuleError(`Rate limit '${rule.name}' must have a scope of ${SCOPES.join(', ')}`);
+      }
+      if (rule.value !== undefined && (typeof rule.value !== 'string' || !rule.value)) {
+        throw new RateLimitRuleError(`Rate limit '${rule.name}' value must be a non-empty string`);
+      }
+      const fields = LIMIT_FIELDS.filter((field) => rule[field] !== undefined);
+      if (fields.length === 0) {
+        throw new RateLimitRuleError(`Rate limit '${rule.name}' must set ${LIMIT_FIELDS.join(', ')} or a combination`);
+      }
+      fields.forEach((field) => {
+        if (!Number.isInteger(rule[field]) || rule[field] < 1) {
+          throw new RateLimitRuleError(`Rate limit '${rule.name}' ${field} must be a positive integer`);
+        }
+      });
+    });
+  }
+
+  // Helper methods for counting usage and building headers
+
+  prune(window, now) {
+    while (window.requests.length > 0 && window.requests[0] <= now - WINDOW_MS) {
+      window.requests.shift();
+    }
+    while (window.tokens.length > 0 && window.tokens[0].at <= now - WINDOW_MS) {
+      window.tokens.shift();
+    }
+  }
+
+  sweep(now) {
+    this.windows.forEach((window, key) => {
+      this.prune(window, now);
+      if (window.requests.length === 0 && window.tokens.length === 0 && window.active === 0) {
+        this.windows.delete(key);
+      }
+    });
+  }
+
+  findExceeded(rule, window, now) {
+    if (rule.concurrentRequests && window.active >= rule.concurrentRequests) {
+      return { limit: rule.concurrentRequests, unit: 'concurrent requests', resetMs: 1000 };
+    }
+    if (rule.requestsPerMinute && window.requests.length >= rule.requestsPerMinute) {
+      // A slot frees up when enough of the oldest requests have left the window
+      const freedAt = window.requests[window.requests.length - rule.requestsPerMinute] + WINDOW_MS;
+      return { limit: rule.requestsPerMinute, unit: 'requests per minute', resetMs: freedAt - now };
+    }
+    const tokens = window.tokens.reduce((total, entry) => total + entry.count, 0);
+    if (rule.tokensPerMinute && tokens >= rule.tokensPerMinute) {
+      let remaining = tokens;
+      const freeing = window.tokens.find((entry) => {
+        remaining -= entry.count;
+        return remaining < rule.tokensPerMinute;
+      });
+      return { limit: rule.tokensPerMinute, unit: 'tokens per minute', resetMs: freeing.at + WINDOW_MS - now };
+    }
+    return null;
+  }
+
+  /**
+   * Build the `RateLimit-*` headers for the most constrained per-minute quota, and a policy listing all of them.
+   * @param {Array<Object>} applied - The applicable rules with their windows.
+   * @param {number} now - The current time.
+   * @returns {Object} - The headers; empty if only concurrency limits apply.
+   */
+  buildHeaders(applied, now) {
+    const quotas = [];
+    applied.forEach(({ rule, window }) => {
+      if (rule.requestsPerMinute) {
+        quotas.push({
+          limit: rule.requestsPerMinute,
+          remaining: rule.requestsPerMinute - window.requests.length,
+          resetMs: window.requests.length > 0 ? window.requests[0] + WINDOW_MS - now : 0,
+        });
+      }
+      if (rule.tokensPerMinute) {
+        const used = window.tokens.reduce((total, entry) => total + entry.count, 0);
+        quotas.push({
+          limit: rule.tokensPerMinute,
+          remaining: rule.tokensPerMinute - used,
+          resetMs: window.tokens.length > 0 ? window.tokens[0].at + WINDOW_MS - now : 0,
+        });
+      }
+    });
+    if (quotas.length === 0) {
+      return {};
+    }
+
+    const tightest = quotas.reduce((min, quota) => (quota.remaining / quota.limit < min.remaining / min.limit ? quota : min));
+    return {
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(Math.max(0, tightest.remaining)),
+      'RateLimit-Reset': String(Math.max(0, Math.ceil(tightest.resetMs / 1000))),
+      'RateLimit-Policy': quotas.map((quota) => `${quota.limit};w=${WINDOW_MS / 1000}`).join(', '),
+    };
+  }
+}
+
+module.exports = new RateLimitService();
+```
+
+This `src/services/rateLimitService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `usageService`, the `RateLimitExceededError` and `RateLimitRuleError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `RateLimitService` class is defined with the following methods:
+     - `acquire(context, proxyConfig)`: Admits a request under the rate limits that apply to it, or refuses it if a limit has been hit.
+     - `release(lease, exchange)` and `countTokens(exchange)`: End a request's lease and count the tokens the exchange used, measured from the exchange itself so that it counts even if it could not be logged.
+     - `findLimits(context, proxyConfig)` and `resolveSubject(scope, context, proxyConfig)`: Work out which limits apply to a request and whom it is counted against.
+     - `validateRateLimits(rules)`: Validates the rate limit rules of the proxy configuration.
+     - `buildHeaders(applied, now)`: Builds the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers.
+
+3. **Implementation Details**:
+   - Each rule in `rateLimits` has a `scope` (`user`, `key`, `ip` or `route`) and sets `requestsPerMinute`, `tokensPerMinute` and/or `concurrentRequests`. Without a `value` a rule limits every user, key, IP or route separately; with one it only applies to that subject.
+   - Users are identified by the user header, as in usage reports, only while `usage.trustUserHeader` says a trusted gateway sets it; otherwise a client could rotate the user it names to escape its limit, so `user` rules count by API key or client IP instead. API keys are identified by the same fingerprint as in usage reports (`key:...`), so keys are never held in memory. Requests whose subject cannot be identified share an `anonymous` bucket.
+   - Requests and tokens are counted over a sliding one-minute window. Tokens are counted when the exchange has been logged, from the chat token usage, so a request is admitted as long as the budget is not yet used up.
+   - Usage lives in memory, so each proxy process enforces its limits separately.
+
+4. **Error Handling**:
+   - Requests over a limit are refused with `RateLimitExceededError`, which the error handler turns into `429 Too Many Requests` with `Retry-After` and the `RateLimit-*` headers.
+   - Invalid rules are reported with `RateLimitRuleError`.
+
+5. **Integration**:
+   - The `proxyMiddleware` acquires a lease for every proxied request right after routing it, and releases it with the answered exchange once the exchange is over.
+
+The generated `src/services/rateLimitService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of rate limiting in the AI-IPST MVP.
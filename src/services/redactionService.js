@@ -0,0 +1,502 @@
+Here is the complete, production-ready code for `src/services/redactionService.js`:
+
+```javascript
+const crypto = require('crypto');
+const lodash = require('lodash');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const config = require('../config/config');
+const { createSseEventSplitter } = require('../utils/helpers');
+const { RedactionBlockedError, RedactionRuleError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// What a detector does with a match: replace it with a numbered token, with a keyed hash, refuse the
+// request (or, for the logs, withhold the bodies), or nothing
+const ACTIONS = ['off', 'mask', 'hash', 'block'];
+
+// The detectors that ship with the proxy, and the label of the tokens their matches are replaced with
+const BUILT_IN_DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+])\+?(?:\(\d{1,4}\)|\d)(?:[ .-]?(?:\(\d{1,4}\)|\d)){7,18}(?![\w:-])/g,
+    // Bare digit runs are too often IDs or timestamps, so a phone number needs a `+` or separators
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 9 && digits.length <= 15 && /^\+|[ .()-]/.test(match);
+    },
+  },
+  creditCard: {
+    label: 'CREDIT_CARD',
+    pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+    validate: (match) => isLuhnValid(match.replace(/\D/g, '')),
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: (match) => isIbanValid(match.replace(/ /g, '')),
+  },
+  apiKey: {
+    label: 'API_KEY',
+    pattern: /(?<![\w-])(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|eyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,})(?![\w-])/g,
+  },
+};
+const TYPES = [...Object.keys(BUILT_IN_DETECTORS), 'custom'];
+
+// Flags a custom pattern may use; matching is always global
+const CUSTOM_FLAGS = /^[imsu]*$/;
+
+// Stored in place of the bodies of an exchange a `block` detector matched in
+const WITHHELD = '[REDACTED]';
+
+// Hashes are cut to this many hex digits; enough to tell values apart without making tokens unwieldy
+const HASH_LENGTH = 12;
+
+/**
+ * Check a card number's Luhn checksum.
+ * @param {string} digits - The card number, digits only.
+ * @returns {boolean} - True if the checksum is valid.
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN's ISO 13616 mod-97 checksum.
+ * @param {string} iban - The IBAN, without spaces.
+ * @returns {boolean} - True if the checksum is valid.
+ */
+function isIbanValid(iban) {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  const numeric = rearranged.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (let i = 0; i < numeric.length; i += 7) {
+    remainder = Number(`${remainder}${numeric.slice(i, i + 7)}`) % 97;
+  }
+  return remainder === 1;
+}
+
+class RedactionService {
+  /**
+   * Read the redaction settings from the proxy configuration, compiling the enabled detectors.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ restoreResponses: boolean, detectors: Array<Object> }|null} - The settings, or `null` if redaction is off.
+   */
+  getSettings(proxyConfig) {
+    const settings = proxyConfig && proxyConfig.redaction;
+    if (!settings || !settings.enabled) {
+      return null;
+    }
+
+    const detectors = (settings.detectors || [])
+      .filter((detector) => detector.enabled !== false)
+      .map((detector) => {
+        try {
+          return this.compileDetector(detector);
+        } catch (err) {
+          logger.warn(`Skipping redaction detector '${detector.name}': ${err.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    return { restoreResponses: Boolean(settings.restoreResponses), detectors };
+  }
+
+  /**
+   * Compile a configured detector into its pattern, validation and actions.
+   * @param {Object} detector - The detector (`name`, `type`, `pattern`, `flags`, `upstream`, `logs`).
+   * @returns {Object} - The compiled detector (`name`, `label`, `pattern`, `validate`, `upstream`, `logs`).
+   * @throws {RedactionRuleError} - If the detector is invalid.
+   */
+  compileDetector(detector) {
+    const builtIn = BUILT_IN_DETECTORS[detector.type];
+    if (!builtIn && detector.type !== 'custom') {
+      throw new RedactionRuleError(`Redaction detector '${detector.name}' must have a type of ${TYPES.join(', ')}`);
+    }
+
+    let { pattern } = builtIn || {};
+    if (!builtIn) {
+      if (typeof detector.pattern !== 'string' || !detector.pattern) {
+        throw new RedactionRuleError(`Redaction detector '${detector.name}' must have a pattern`);
+      }
+      if (detector.flags && !CUSTOM_FLAGS.test(detector.flags)) {
+        throw new RedactionRuleError(`Redaction detector '${detector.name}' flags must be a combination of i, m, s and u`);
+      }
+      try {
+        pattern = new RegExp(detector.pattern, `${detector.flags || ''}g`);
+      } catch (err) {
+        throw new RedactionRuleError(`Redaction detector '${detector.name}': invalid regular expression '${detector.pattern}'`);
+      }
+      if (new RegExp(pattern.source, pattern.flags.replace('g', '')).test('')) {
+        throw new RedactionRuleError(`Redaction detector '${detector.name}' pattern must not match an empty string`);
+      }
+    }
+
+    return {
+      name: detector.name,
+      label: builtIn ? builtIn.label : String(detector.name).toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+      pattern,
+      validate: builtIn && builtIn.validate,
+      upstream: detector.upstream || 'mask',
+      logs: detector.logs || 'mask',
+    };
+  }
+
+  /**
+   * Validate the redaction settings of a proxy configuration update.
+   * @param {Object} redaction - The settings (`enabled`, `restoreResponses`, `detectors`).
+   * @throws {RedactionRuleError} - If the settings are invalid.
+   */
+  validateSettings(redaction) {
+    if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+      throw new RedactionRuleError('Redaction settings must be an object');
+    }
+    const detectors = redaction.detectors === undefined ? [] : redaction.detectors;
+    if (!Array.isArray(detectors)) {
+      throw new RedactionRuleError('Redaction detectors must be an array');
+    }
+
+    const names = new Set();
+    detectors.forEach((detector, index) => {
+      if (!detector || typeof detector !== 'object' || typeof detector.name !== 'string' || !/^[\w\-]+$/.test(detector.name)) {
+        throw new RedactionRuleError(`Redaction detector at position ${index} must have a name of alphanumeric characters, underscores and hyphens`);
+      }
+      if (names.has(detector.name)) {
+        throw new RedactionRuleError(`Duplicate redaction detector name '${detector.name}'`);
+      }
+      names.add(detector.name);
+
+      ['upstream', 'logs'].forEach((target) => {
+        if (detector[target] !== undefined && !ACTIONS.includes(detector[target])) {
+          throw new RedactionRuleError(`Redaction detector '${detector.name}' ${target} action must be one of ${ACTIONS.join(', ')}`);
+        }
+      });
+      this.compileDetector(detector);
+    });
+  }
+
+  /**
+   * Redact a request before it is forwarded upstream.
+   *
+   * Matches of the detectors whose `upstream` action is `mask` or `hash` are replaced with tokens
+   * in the request body; the original values are kept with the result so `restoreResponse()` can
+   * swap them back into the answer.
+   *
+   * @param {Object} request - The request data (`method`, `url`, `headers`, `body`).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ request: Object, tokens: Map, matches: Array<Object>, restore: boolean }} - The request to
+   * forward, the tokens it contains with their original values, and the matches per detector.
+   * @throws {RedactionBlockedError} - If a detector whose `upstream` action is `block` matched.
+   */
+  redactRequest(request, proxyConfig) {
+    const settings = this.getSettings(proxyConfig);
+    const session = this.createSession('upstream');
+    if (!settings || !settings.detectors.some((detector) => detector.upstream !== 'off')) {
+      return { request, tokens: session.tokens, matches: [], restore: false };
+    }
+
+    const body = this.redactValue(request.body, settings.detectors, session);
+    const matches = this.summarize(session);
+    if (session.blockedBy) {
+      logger.warn(`Request to '${request.url}' blocked by redaction detector '${session.blockedBy}'`);
+      throw new RedactionBlockedError(`Request blocked by redaction detector '${session.blockedBy}'`);
+    }
+    return {
+      request: matches.length > 0 ? { ...request, body } : request,
+      tokens: session.tokens,
+      matches,
+      restore: settings.restoreResponses && session.tokens.size > 0,
+    };
+  }
+
+  /**
+   * Swap the original values back into the answer to a redacted request.
+   *
+   * Buffered bodies are restored in full. Streams are restored as they are relayed: Server-Sent
+   * Events are restored string by string, holding back the start of a token that is split across
+   * events until the rest of it arrives.
+   *
+   * @param {Object} response - The upstream's response, buffered or as a stream.
+   * @param {Object} redaction - The result of `redactRequest()`.
+   * @returns {Object} - The restored response; the response itself if there is nothing to restore.
+   */
+  restoreResponse(response, redaction) {
+    if (!redaction || !redaction.restore) {
+      return response;
+    }
+    const restorer = this.createRestorer(redaction.tokens);
+    if (response.stream) {
+      const contentType = String((response.headers || {})['content-type'] || '').toLowerCase();
+      return { ...response, stream: this.restoreStream(response.stream, restorer, contentType.includes('text/event-stream')) };
+    }
+    return { ...response, body: this.mapStrings(response.body, (text) => restorer.restore(text)) };
+  }
+
+  /**
+   * Redact a traffic log entry before it is stored.
+   *
+   * Matches of the detectors whose `logs` action is `mask` or `hash` are replaced with tokens in
+   * the request and response headers and bodies. If a detector whose `logs` action is `block`
+   * matched, both bodies are withheld. The matches are recorded under `redaction.logs`.
+   *
+   * @param {Object} logData - The log entry (`headers`, `body`, `responseHeaders`, `responseBody`, ...).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Object} - The log entry to store; the entry itself if nothing matched.
+   */
+  redactLogData(logData, proxyConfig) {
+    const settings = this.getSettings(proxyConfig);
+    if (!logData || !settings || !settings.detectors.some((detector) => detector.logs !== 'off')) {
+      return logData;
+    }
+
+    const session = this.createSession('logs');
+    const redacted = ['headers', 'body', 'responseHeaders', 'responseBody'].reduce((entry, field) => (
+      entry[field] === undefined ? entry : { ...entry, [field]: this.redactValue(entry[field], settings.detectors, session) }
+    ), logData);
+    const matches = this.summarize(session);
+    if (matches.length === 0) {
+      return logData;
+    }
+    if (session.blockedBy) {
+      redacted.body = redacted.body === undefined ? undefined : WITHHELD;
+      redacted.responseBody = redacted.responseBody === undefined ? undefined : WITHHELD;
+    }
+    return { ...redacted, redaction: { ...logData.redaction, logs: matches } };
+  }
+
+  // Helper methods for detecting and replacing values
+
+  createSession(target) {
+    // `values` maps each original value to its token and `tokens` the other way round
+    return { target, values: new Map(), tokens: new Map(), counts: new Map(), labels: new Map(), blockedBy: null };
+  }
+
+  summarize(session) {
+    return Array.from(session.counts.values());
+  }
+
+  mapStrings(value, transform) {
+    if (typeof value === 'string') {
+      return transform(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.mapStrings(item, transform));
+    }
+    if (lodash.isPlainObject(value)) {
+      return lodash.mapValues(value, (item) => this.mapStrings(item, transform));
+    }
+    return value;
+  }
+
+  redactValue(value, detectors, session) {
+    return this.mapStrings(value, (text) => this.redactText(text, detectors, session));
+  }
+
+  /**
+   * Replace the matches of the detectors in a text. Overlapping matches are resolved in favour of
+   * the one that starts first (and then the longest), so detector order does not matter.
+   * @param {string} text - The text.
+   * @param {Array<Object>} detectors - The compiled detectors.
+   * @param {Object} session - The redaction session, collecting tokens and matches.
+   * @returns {string} - The redacted text.
+   */
+  redactText(text, detectors, session) {
+    const found = [];
+    detectors.filter((detector) => detector[session.target] !== 'off').forEach((detector) => {
+      const pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+      let match = pattern.exec(text);
+      while (match) {
+        if (match[0].length > 0 && (!detector.validate || detector.validate(match[0]))) {
+          found.push({ start: match.index, end: match.index + match[0].length, value: match[0], detector });
+        }
+        pattern.lastIndex = Math.max(pattern.lastIndex, match.index + 1);
+        match = pattern.exec(text);
+      }
+    });
+    if (found.length === 0) {
+      return text;
+    }
+
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    let redacted = '';
+    let position = 0;
+    found.forEach((item) => {
+      if (item.start < position) {
+        return;
+      }
+      redacted += text.slice(position, item.start) + this.replaceMatch(item.value, item.detector, session);
+      position = item.end;
+    });
+    return redacted + text.slice(position);
+  }
+
+  replaceMatch(value, detector, session) {
+    const action = detector[session.target];
+    const count = session.counts.get(detector.name) || { detector: detector.name, action, count: 0 };
+    count.count += 1;
+    session.counts.set(detector.name, count);
+
+    if (action === 'block') {
+      session.blockedBy = session.blockedBy || detector.name;
+      return value;
+    }
+    if (session.values.has(value)) {
+      return session.values.get(value);
+    }
+
+    let token;
+    if (action === 'hash') {
+      const hash = crypto.createHmac('sha256', config.get('redaction.hashKey')).update(value).digest('hex');
+      token = `[${detector.label}_${hash.slice(0, HASH_LENGTH)}]`;
+    } else {
+      const number = (session.labels.get(detector.label) || 0) + 1;
+      session.labels.set(detector.label, number);
+      token = `[${detector.label}_${number}]`;
+    }
+    session.values.set(value, token);
+    session.tokens.set(token, value);
+    return token;
+  }
+
+  /**
+   * Create a restorer that swaps tokens back for their original values.
+   *
+   * `restore(text, key)` restores a text; when a `key` is given, the text is one piece of a value
+   * that arrives in pieces (such as a streamed delta), and a trailing partial token is held back
+   * and prepended to the next piece with the same key.
+   *
+   * @param {Map} tokens - The tokens and their original values.
+   * @returns {{ restore: Function, flush: Function }} - The restorer.
+   */
+  createRestorer(tokens) {
+    const names = Array.from(tokens.keys()).sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(names.map((name) => lodash.escapeRegExp(name)).join('|'), 'g');
+    const pending = new Map();
+
+    const heldBack = (text) => {
+      const start = text.lastIndexOf('[');
+      if (start === -1) {
+        return 0;
+      }
+      const tail = text.slice(start);
+      return names.some((name) => name.length > tail.length && name.startsWith(tail)) ? tail.length : 0;
+    };
+
+    return {
+      restore(text, key) {
+        if (key === undefined) {
+          return text.replace(pattern, (token) => tokens.get(token));
+        }
+        const joined = (pending.get(key) || '') + text;
+        const held = heldBack(joined);
+        if (held > 0) {
+          pending.set(key, joined.slice(joined.length - held));
+        } else {
+          pending.delete(key);
+        }
+        return joined.slice(0, joined.length - held).replace(pattern, (token) => tokens.get(token));
+      },
+      flush(key) {
+        const rest = pending.get(key) || '';
+        pending.delete(key);
+        return rest;
+      },
+    };
+  }
+
+  restoreEvent(event, restorer) {
+    return event.split('\n').map((line) => {
+      const match = line.match(/^data: ?(.*)$/);
+      if (!match) {
+        return line;
+      }
+      let data;
+      try {
+        data = JSON.parse(match[1]);
+      } catch (err) {
+        return `data: ${restorer.restore(match[1], 'data')}`;
+      }
+
+      // Every string of the event is restored as a piece of the string at the same path in the next event
+      const restoreAt = (value, path) => {
+        if (typeof value === 'string') {
+          return restorer.restore(value, path);
+        }
+        if (Array.isArray(value)) {
+          return value.map((item, index) => restoreAt(item, `${path}.${index}`));
+        }
+        if (lodash.isPlainObject(value)) {
+          return lodash.mapValues(value, (item, name) => restoreAt(item, `${path}.${name}`));
+        }
+        return value;
+      };
+      const restored = restoreAt(data, '');
+      return lodash.isEqual(restored, data) ? line : `data: ${JSON.stringify(restored)}`;
+    }).join('\n');
+  }
+
+  restoreStream(stream, restorer, isEventStream) {
+    const decoder = new StringDecoder('utf8');
+    const splitter = isEventStream ? createSseEventSplitter() : null;
+    const restoreEvents = (events) => events.map((event) => this.restoreEvent(event, restorer)).join('');
+
+    const restored = new Transform({
+      transform(chunk, encoding, callback) {
+        const text = decoder.write(chunk);
+        callback(null, (splitter ? restoreEvents(splitter.push(text)) : restorer.restore(text, 'body')) || undefined);
+      },
+      flush(callback) {
+        // A partial token still held back from an event stream has no event left to go into
+        const rest = splitter
+          ? restoreEvents([...splitter.push(decoder.end()), splitter.flush()].filter(Boolean))
+          : restorer.restore(decoder.end(), 'body') + restorer.flush('body');
+        callback(null, rest || undefined);
+      },
+    });
+    stream.on('error', (err) => restored.destroy(err));
+    return stream.pipe(restored);
+  }
+}
+
+module.exports = new RedactionService();
+```
+
+This `src/services/redactionService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `crypto`, `stream` and `string_decoder` modules, `lodash`, the `config` module (for the hash key), the `createSseEventSplitter` helper, the `RedactionBlockedError` and `RedactionRuleError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `RedactionService` class is exported as a singleton, with the following methods:
+     - `getSettings(proxyConfig)` and `compileDetector(detector)`: Read the `redaction` settings and compile the enabled detectors.
+     - `validateSettings(redaction)`: Validates the settings sent to `PUT /api/proxy/config`.
+     - `redactRequest(request, proxyConfig)`: Redacts a request body before it is forwarded upstream, or refuses the request.
+     - `restoreResponse(response, redaction)`: Swaps the original values back into the buffered or streamed answer.
+     - `redactLogData(logData, proxyConfig)`: Redacts the headers and bodies of a traffic log entry before it is stored, or withholds the bodies.
+   - Helper methods find the matches in a text (`redactText()`), replace them with tokens (`replaceMatch()`), and restore tokens in texts and streams (`createRestorer()`, `restoreEvent()`, `restoreStream()`).
+
+3. **Implementation Details**:
+   - Built-in detectors find email addresses, phone numbers (with a `+` or separators, 9 to 15 digits), credit card numbers (Luhn-checked), IBANs (mod-97-checked) and API keys (OpenAI, Anthropic, Google, GitHub, Slack and AWS keys, and JWTs); `custom` detectors use a regular expression.
+   - Each detector has an action for what is forwarded upstream (`upstream`) and one for what is stored in the logs (`logs`): `mask` replaces a match with a numbered token such as `[EMAIL_1]`, `hash` with a token holding an HMAC-SHA256 of the value keyed with `REDACTION_HASH_KEY` (such as `[EMAIL_5f2b0c81e9a4]`), `block` refuses the request (upstream) or withholds the exchange's bodies (logs), and `off` leaves matches alone.
+   - The same value gets the same token throughout a request. Overlapping matches are resolved in favour of the one that starts first, then the longest.
+   - When `restoreResponses` is on, the tokens of the forwarded request are swapped back for the original values in the answer. Streamed Server-Sent Events are restored string by string, holding back the start of a token the model split across events.
+
+4. **Error Handling**:
+   - Requests matched by a blocking detector are refused with a `RedactionBlockedError` naming the detector, which the `errorHandler` answers with `400 Bad Request`; nothing is forwarded.
+   - Invalid settings are rejected with a `RedactionRuleError`; detectors that fail to compile at runtime are skipped with a warning.
+
+The generated `src/services/redactionService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of PII redaction in the AI-IPST MVP.
@@ -0,0 +1,326 @@
+Here is the complete, production-ready code for `src/services/routingService.js`:
+
+```javascript
+const ProxyConfig = require('../models/ProxyConfig');
+const config = require('../config/config');
+const providerTranslators = require('../utils/providerTranslators');
+const { DatabaseError, RoutingRuleError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Name of the implicit upstream built from `targetHostname`/`targetPort`
+const DEFAULT_UPSTREAM_NAME = 'default';
+
+class RoutingService {
+  /**
+   * Pick the upstream for an incoming proxy request.
+   *
+   * The routing rules are evaluated in order and the first enabled rule whose conditions all
+   * match wins. A rule can match on a path prefix, on the `Host` header (exact, or `*.example.com`
+   * for any subdomain), on a custom header (present, or equal to a given value) and on the model
+   * named in the request body (exact, or a name prefix ending in `*`). When no rule matches, the
+   * request goes to the default upstream.
+   *
+   * @param {Object} request - The incoming request (`url`, `headers`, and the parsed `body` if any).
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {{ rule: Object|null, upstream: Object }} - The matched rule and the selected upstream.
+   * @throws {RoutingRuleError} - If the matched rule references an unknown upstream.
+   */
+  resolveRoute(request, proxyConfig) {
+    const rules = (proxyConfig && proxyConfig.routingRules) || [];
+    const rule = rules.find((candidate) => candidate.enabled !== false && this.matchesRule(candidate, request)) || null;
+
+    if (!rule) {
+      return { rule: null, upstream: this.getDefaultUpstream(proxyConfig) };
+    }
+
+    const upstream = this.findUpstream(proxyConfig, rule.upstream);
+    if (!upstream) {
+      logger.error(`Routing rule '${rule.name}' references unknown upstream '${rule.upstream}'`);
+      throw new RoutingRuleError(`Routing rule '${rule.name}' references unknown upstream '${rule.upstream}'`);
+    }
+    return { rule, upstream };
+  }
+
+  /**
+   * Check whether a routing rule matches a request.
+   * @param {Object} rule - The routing rule.
+   * @param {Object} request - The incoming request (`url`, `headers`, `body`).
+   * @returns {boolean} - True if every condition of the rule matches.
+   */
+  matchesRule(rule, request) {
+    const headers = request.headers || {};
+
+    if (rule.pathPrefix && !String(request.url || '').startsWith(rule.pathPrefix)) {
+      return false;
+    }
+
+    if (rule.host) {
+      const host = String(headers.host || '').toLowerCase().replace(/:\d+$/, '');
+      const pattern = rule.host.toLowerCase();
+      const matchesHost = pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+      if (!matchesHost) {
+        return false;
+      }
+    }
+
+    if (rule.header && rule.header.name) {
+      const value = headers[rule.header.name.toLowerCase()];
+      if (value === undefined || (rule.header.value && value !== rule.header.value)) {
+        return false;
+      }
+    }
+
+    if (rule.model) {
+      const model = request.body && typeof request.body.model === 'string' ? request.body.model : null;
+      const matchesModel = rule.model.endsWith('*') ? Boolean(model && model.startsWith(rule.model.slice(0, -1))) : model === rule.model;
+      if (!matchesModel) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the default upstream from the proxy configuration, falling back to the environment.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @returns {Object} - The default upstream (`name`, `scheme`, `hostname`, `port`, `tls`).
+   */
+  getDefaultUpstream(proxyConfig) {
+    return {
+      name: DEFAULT_UPSTREAM_NAME,
+      scheme: (proxyConfig && proxyConfig.targetScheme) || config.get('proxy.targetScheme'),
+      hostname: (proxyConfig && proxyConfig.targetHostname) || config.get('proxy.targetHostname'),
+      port: (proxyConfig && proxyConfig.targetPort) || config.get('proxy.targetPort'),
+      tls: (proxyConfig && proxyConfig.targetTls) || {},
+    };
+  }
+
+  /**
+   * Look up an upstream by name.
+   * @param {ProxyConfig|null} proxyConfig - The current proxy configuration.
+   * @param {string} name - The upstream name.
+   * @returns {Object|null} - The upstream, or `null` if it does not exist.
+   */
+  findUpstream(proxyConfig, name) {
+    if (name === DEFAULT_UPSTREAM_NAME) {
+      return this.getDefaultUpstream(proxyConfig);
+    }
+    const upstreams = (proxyConfig && proxyConfig.upstreams) || [];
+    return upstreams.find((upstream) => upstream.name === name) || null;
+  }
+
+  /**
+   * Validate a routing table against a set of upstreams.
+   * @param {Array<Object>} rules - The routing rules.
+   * @param {Array<Object>} upstreams - The configured upstreams.
+   * @throws {RoutingRuleError} - If a rule is invalid.
+   */
+  validateRules(rules, upstreams = []) {
+    if (!Array.isArray(rules)) {
+      throw new RoutingRuleError('Routing rules must be an array');
+    }
+
+    const upstreamNames = [DEFAULT_UPSTREAM_NAME, ...upstreams.map((upstream) => upstream.name)];
+    const ruleNames = new Set();
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !rule.name) {
+        throw new RoutingRuleError(`Routing rule at position ${index} must have a name`);
+      }
+      if (ruleNames.has(rule.name)) {
+        throw new RoutingRuleError(`Duplicate routing rule name '${rule.name}'`);
+      }
+      ruleNames.add(rule.name);
+
+      if (!rule.pathPrefix && !rule.host && !(rule.header && rule.header.name) && !rule.model) {
+        throw new RoutingRuleError(`Routing rule '${rule.name}' must match on a path prefix, host, header or model`);
+      }
+      if (!upstreamNames.includes(rule.upstream)) {
+        throw new RoutingRuleError(`Routing rule '${rule.name}' references unknown upstream '${rule.upstream}'`);
+      }
+    });
+  }
+
+  /**
+   * Validate the failover settings of a set of upstreams.
+   * A fallback must be another configured upstream (or `default`); when both upstreams name their
+   * provider, the providers must be the same or translatable, and a fallback on another provider
+   * must name the model to request there.
+   * @param {Array<Object>} upstreams - The configured upstreams.
+   * @throws {RoutingRuleError} - If a fallback is invalid.
+   */
+  validateFallbacks(upstreams = []) {
+    if (!Array.isArray(upstreams)) {
+      throw new RoutingRuleError('Upstreams must be an array');
+    }
+
+    upstreams.forEach((upstream) => {
+      const fallback = upstream && upstream.fallback;
+      if (!fallback || !fallback.upstream) {
+        return;
+      }
+      if (fallback.upstream === upstream.name) {
+        throw new RoutingRuleError(`Upstream '${upstream.name}' cannot fail over to itself`);
+      }
+      const target = fallback.upstream === DEFAULT_UPSTREAM_NAME
+        ? { name: DEFAULT_UPSTREAM_NAME }
+        : upstreams.find((candidate) => candidate && candidate.name === fallback.upstream);
+      if (!target) {
+        throw new RoutingRuleError(`Upstream '${upstream.name}' fails over to unknown upstream '${fallback.upstream}'`);
+      }
+      if (upstream.provider && target.provider && upstream.provider !== target.provider) {
+        if (!providerTranslators.canTranslate(upstream.provider, target.provider)) {
+          throw new RoutingRuleError(`Upstream '${upstream.name}' cannot fail over from ${upstream.provider} to ${target.provider}`);
+        }
+        if (!fallback.model) {
+          throw new RoutingRuleError(`Upstream '${upstream.name}' must name the model to request from '${target.name}'`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Fetch the ordered routing table.
+   * @returns {Promise<Array<Object>>} - The routing rules.
+   * @throws {DatabaseError} - If an error occurs while fetching the routing rules.
+   */
+  async getRules() {
+    try {
+      const proxyConfig = await ProxyConfig.findOne({});
+      return (proxyConfig && proxyConfig.routingRules) || [];
+    } catch (err) {
+      logger.error('Error fetching routing rules:', err);
+      throw new DatabaseError('Error fetching routing rules');
+    }
+  }
+
+  /**
+   * Replace the whole routing table, e.g. to reorder it.
+   * @param {Array<Object>} rules - The new routing rules, in evaluation order.
+   * @returns {Promise<Array<Object>>} - The saved routing rules.
+   * @throws {RoutingRuleError} - If the rules are invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the rules.
+   */
+  async replaceRules(rules) {
+    const proxyConfig = await this.loadConfig();
+    this.validateRules(rules, proxyConfig.upstreams);
+    return this.saveRules(proxyConfig, rules);
+  }
+
+  /**
+   * Add a routing rule.
+   * @param {Object} rule - The routing rule.
+   * @param {number} [position] - Where to insert the rule; appended when omitted.
+   * @returns {Promise<Array<Object>>} - The saved routing rules.
+   * @throws {RoutingRuleError} - If the rule is invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the rule.
+   */
+  async addRule(rule, position) {
+    const proxyConfig = await this.loadConfig();
+    const rules = this.toPlainRules(proxyConfig);
+    const index = position === undefined ? rules.length : Math.max(0, Math.min(position, rules.length));
+    rules.splice(index, 0, rule);
+
+    this.validateRules(rules, proxyConfig.upstreams);
+    return this.saveRules(proxyConfig, rules);
+  }
+
+  /**
+   * Update a routing rule in place.
+   * @param {string} name - The name of the rule to update.
+   * @param {Object} updates - The fields to update.
+   * @returns {Promise<Array<Object>>} - The saved routing rules.
+   * @throws {NotFoundError} - If the rule is not found.
+   * @throws {RoutingRuleError} - If the update is invalid.
+   * @throws {DatabaseError} - If an error occurs while saving the update.
+   */
+  async updateRule(name, updates) {
+    const proxyConfig = await this.loadConfig();
+    const rules = this.toPlainRules(proxyConfig);
+    const index = rules.findIndex((rule) => rule.name === name);
+    if (index === -1) {
+      throw new NotFoundError(`Routing rule '${name}' not found`);
+    }
+    rules[index] = { ...rules[index], ...updates };
+
+    this.validateRules(rules, proxyConfig.upstreams);
+    return this.saveRules(proxyConfig, rules);
+  }
+
+  /**
+   * Delete a routing rule.
+   * @param {string} name - The name of the rule to delete.
+   * @returns {Promise<Array<Object>>} - The saved routing rules.
+   * @throws {NotFoundError} - If the rule is not found.
+   * @throws {DatabaseError} - If an error occurs while saving.
+   */
+  async deleteRule(name) {
+    const proxyConfig = await this.loadConfig();
+    const rules = this.toPlainRules(proxyConfig);
+    const remaining = rules.filter((rule) => rule.name !== name);
+    if (remaining.length === rules.length) {
+      throw new NotFoundError(`Routing rule '${name}' not found`);
+    }
+    return this.saveRules(proxyConfig, remaining);
+  }
+
+  // Helper methods for loading and saving the routing table
+
+  async loadConfig() {
+    try {
+      const proxyConfig = await ProxyConfig.findOne({});
+      if (!proxyConfig) {
+        throw new RoutingRuleError('Proxy configuration has not been set up yet');
+      }
+      return proxyConfig;
+    } catch (err) {
+      logger.error('Error loading proxy configuration for routing:', err);
+      throw err instanceof RoutingRuleError ? err : new DatabaseError('Error loading routing rules');
+    }
+  }
+
+  toPlainRules(proxyConfig) {
+    return (proxyConfig.routingRules || []).map((rule) => (rule.toObject ? rule.toObject() : { ...rule }));
+  }
+
+  async saveRules(proxyConfig, rules) {
+    try {
+      proxyConfig.routingRules = rules;
+      proxyConfig.updatedAt = Date.now();
+      await proxyConfig.save();
+      return proxyConfig.routingRules;
+    } catch (err) {
+      logger.error('Error saving routing rules:', err);
+      throw new DatabaseError('Error saving routing rules');
+    }
+  }
+}
+
+module.exports = new RoutingService();
+```
+
+This `src/services/routingService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `ProxyConfig` model, the `config` module (for the environment fallback of the default upstream), the `providerTranslators` utility (to check that fallbacks can be translated), the `DatabaseError`, `RoutingRuleError` and `NotFoundError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `RoutingService` class is defined with the following methods:
+     - `resolveRoute(request, proxyConfig)`: Evaluates the ordered routing table and returns the matched rule and the selected upstream.
+     - `matchesRule(rule, request)`: Checks a rule's path prefix, `Host`, custom header and model conditions against a request.
+     - `getDefaultUpstream(proxyConfig)` and `findUpstream(proxyConfig, name)`: Resolve upstreams by name.
+     - `validateRules(rules, upstreams)`: Rejects unnamed, duplicate, condition-less and dangling rules.
+     - `validateFallbacks(upstreams)`: Rejects fallbacks to unknown upstreams or to the upstream itself, between providers that cannot be translated, and to another provider without a model.
+     - `getRules()`, `replaceRules(rules)`, `addRule(rule, position)`, `updateRule(name, updates)` and `deleteRule(name)`: Manage the routing table stored in the proxy configuration.
+
+3. **Implementation Details**:
+   - Rules are evaluated in order; the first enabled rule whose conditions all match selects the upstream.
+   - Requests that match no rule go to the `default` upstream, built from `targetScheme`/`targetHostname`/`targetPort`/`targetTls` or, if no configuration is stored, from the `PROXY_TARGET_*` environment variables.
+
+4. **Error Handling**:
+   - Invalid rules are reported with `RoutingRuleError`, database failures with `DatabaseError`, unknown rule names with `NotFoundError`, and all errors are logged using the `logger` utility.
+
+5. **Integration**:
+   - The `proxyMiddleware` and `webSocketProxyService` call `resolveRoute()` for every request and connection, and the `proxyController` exposes the rule management methods under `/api/proxy/routes`.
+
+The generated `src/services/routingService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the multi-upstream routing functionality in the AI-IPST MVP.
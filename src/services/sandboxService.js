@@ -0,0 +1,245 @@
+Here is the complete, production-ready code for `src/services/sandboxService.js`:
+
+```javascript
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../config/config');
+const { ScriptExecutionError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const WORKER_PATH = path.join(__dirname, '../utils/sandboxWorker.js');
+
+// How many console lines a single run keeps
+const CONSOLE_LIMIT = 500;
+
+class SandboxService {
+  constructor() {
+    // The pool's workers, each as `{ worker, job }`; `job` is the run it is busy with, if any
+    this.workers = [];
+    // Runs waiting for a free worker, oldest first
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Run a script in a pooled worker thread.
+   *
+   * The script runs in a fresh context of its own, with the ECMAScript built-ins (frozen), a
+   * `console` and the given globals, copied in as JSON. If it evaluates to a promise, the run
+   * waits for it to settle. Its result and globals are copied back out as JSON, so a script can
+   * only hand back plain data, and can never reach an object of the proxy.
+   *
+   * Every run is limited in the time it may spend running, including its promise callbacks
+   * (`sandbox.cpuTimeMs`), in the time it may take overall (`sandbox.wallTimeMs`), and in the
+   * memory its worker may use (`sandbox.memoryLimitMb`). A worker that runs out of time or
+   * memory is terminated and replaced.
+   *
+   * @param {string} code - The script.
+   * @param {Object} [globals] - The globals the script sees, as plain data.
+   * @param {Object} [options] - Limits for this run instead of the configured ones (`cpuTimeMs`, `wallTimeMs`).
+   * @returns {Promise<{ result: any, globals: Object, console: Array<Object> }>} - What the script evaluated to, the globals after it ran, and its console output as `{ level, message }`.
+   * @throws {ScriptExecutionError} - If the script fails, never settles, reaches a limit or hands back data that cannot be copied, with the console output up to then as `console`.
+   */
+  run(code, globals = {}, options = {}) {
+    const settings = config.get('sandbox');
+    let input;
+    try {
+      input = JSON.stringify(globals);
+    } catch (err) {
+      return Promise.reject(new ScriptExecutionError(`The globals cannot be copied into the sandbox: ${err.message}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        code: String(code),
+        input,
+        names: Object.keys(globals),
+        cpuTimeMs: options.cpuTimeMs || settings.cpuTimeMs,
+        wallTimeMs: options.wallTimeMs || settings.wallTimeMs,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand the waiting runs to free workers, starting workers up to the pool size.
+   * @returns {void}
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find((candidate) => !candidate.job);
+      if (!slot) {
+        if (this.workers.length >= config.get('sandbox.poolSize')) {
+          return;
+        }
+        slot = this.spawn();
+      }
+      this.start(slot, this.queue.shift());
+    }
+  }
+
+  /**
+   * Start a worker and add it to the pool.
+   * @returns {Object} - The pool slot of the worker.
+   */
+  spawn() {
+    const memoryLimitMb = config.get('sandbox.memoryLimitMb');
+    const worker = new Worker(WORKER_PATH, {
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryLimitMb,
+        maxYoungGenerationSizeMb: Math.min(16, memoryLimitMb),
+        stackSizeMb: 4,
+      },
+      // Workers get none of the proxy's environment or Node.js options
+      env: {},
+      execArgv: [],
+    });
+
+    const slot = { worker, job: null };
+    worker.on('message', (reply) => this.finish(slot, reply));
+    worker.on('error', (err) => {
+      this.retire(slot, err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Script exceeded the sandbox memory limit of ${memoryLimitMb}MB`
+        : `The sandbox worker failed: ${err.message}`);
+    });
+    worker.on('exit', () => this.retire(slot, 'The sandbox worker stopped unexpectedly'));
+
+    // Idle workers do not keep the process alive
+    worker.unref();
+    this.workers.push(slot);
+    logger.debug(`Started sandbox worker ${worker.threadId} (${this.workers.length} in the pool)`);
+    return slot;
+  }
+
+  /**
+   * Send a run to a worker, and terminate the worker if the run overruns its wall-clock limit.
+   * @param {Object} slot - The pool slot of a free worker.
+   * @param {Object} job - The run.
+   * @returns {void}
+   */
+  start(slot, job) {
+    slot.job = job;
+    slot.worker.ref();
+    job.timer = setTimeout(() => {
+      this.retire(slot, `Script execution timed out after ${job.wallTimeMs}ms`);
+    }, job.wallTimeMs);
+
+    slot.worker.postMessage({
+      id: job.id,
+      code: job.code,
+      input: job.input,
+      names: job.names,
+      cpuTimeMs: job.cpuTimeMs,
+      consoleLimit: CONSOLE_LIMIT,
+    });
+  }
+
+  /**
+   * Settle a run with the reply of its worker, and free the worker for the next one.
+   * @param {Object} slot - The pool slot of the worker.
+   * @param {Object} reply - The worker's reply (`id`, `output`, `error`).
+   * @returns {void}
+   */
+  finish(slot, reply) {
+    const { job } = slot;
+    if (!job || job.id !== reply.id) {
+      return;
+    }
+    clearTimeout(job.timer);
+    slot.job = null;
+    slot.worker.unref();
+
+    const output = reply.output ? JSON.parse(reply.output) : {};
+    const lines = output.console || [];
+    let message = reply.error;
+    if (!message && output.status === 'rejected') {
+      message = output.error;
+    } else if (!message && output.status === 'pending') {
+      message = 'The script returned a promise that never settles';
+    }
+
+    if (message) {
+      const error = new ScriptExecutionError(message);
+      error.console = lines;
+      job.reject(error);
+    } else {
+      job.resolve({ result: output.result, globals: output.globals || {}, console: lines });
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Terminate a worker and remove it from the pool, failing the run it was busy with.
+   * @param {Object} slot - The pool slot of the worker.
+   * @param {string} reason - Why the worker is retired, for the failed run.
+   * @returns {void}
+   */
+  retire(slot, reason) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) {
+      return;
+    }
+    this.workers.splice(index, 1);
+    slot.worker.terminate().catch(() => {});
+
+    if (slot.job) {
+      clearTimeout(slot.job.timer);
+      logger.warn(`Terminated sandbox worker ${slot.worker.threadId}: ${reason}`);
+      const error = new ScriptExecutionError(reason);
+      error.console = [];
+      slot.job.reject(error);
+      slot.job = null;
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Terminate every worker and fail the runs still waiting.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const waiting = this.queue.splice(0);
+    waiting.forEach((job) => job.reject(new ScriptExecutionError('The sandbox was closed')));
+
+    const slots = this.workers.splice(0);
+    slots.forEach((slot) => {
+      if (slot.job) {
+        clearTimeout(slot.job.timer);
+        slot.job.reject(new ScriptExecutionError('The sandbox was closed'));
+      }
+    });
+    await Promise.all(slots.map((slot) => slot.worker.terminate()));
+  }
+}
+
+module.exports = new SandboxService();
+```
+
+This `src/services/sandboxService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `path` module and `worker_threads` `Worker`, the `config` module, the `ScriptExecutionError` error class, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `SandboxService` class keeps a pool of worker threads running `src/utils/sandboxWorker.js` and a queue of the runs waiting for one, with the following methods:
+     - `run(code, globals, options)`: Runs a script in the sandbox and resolves with its result, globals and console output.
+     - `dispatch()`, `spawn()`, `start()`, `finish()` and `retire()`: Hand runs to workers, start workers up to the pool size, settle runs with the workers' replies, and replace workers that fail or reach a limit.
+     - `close()`: Terminates the pool.
+
+3. **Implementation Details**:
+   - Workers are started when first needed, up to `sandbox.poolSize` (`SANDBOX_POOL_SIZE`, 2 by default), and reused for every run, so the cost of starting one is paid once. Runs beyond the pool size wait their turn; idle workers do not keep the process alive.
+   - Each run gets a fresh context in its worker (see `sandboxWorker.js`). The globals go in and the result and globals come out as JSON, so only plain data crosses the boundary in either direction.
+   - Workers are started without the proxy's environment variables or Node.js options.
+
+4. **Resource Limits**:
+   - `sandbox.cpuTimeMs` (`SANDBOX_CPU_TIME_MS`, 1 second by default) limits the time a script spends running, promise callbacks included, and is enforced inside the worker.
+   - `sandbox.wallTimeMs` (`SANDBOX_TIMEOUT_MS`, 5 seconds by default) limits the time a run takes overall. A worker that overruns it, e.g. because it is stuck in code the run time limit cannot interrupt, is terminated and replaced.
+   - `sandbox.memoryLimitMb` (`SANDBOX_MEMORY_MB`, 64 by default) caps each worker's heap. A worker that runs out of memory is stopped by V8 without affecting the proxy, and replaced.
+
+5. **Error Handling**:
+   - Runs that throw, reject, return a promise that never settles, reach a limit or hand back data that cannot be copied are rejected with a `ScriptExecutionError`, carrying the console output up to then as `console`.
+
+The generated `src/services/sandboxService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the userscript sandbox in the AI-IPST MVP.
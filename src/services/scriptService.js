@@ -1,21 +1,54 @@
 Here is the complete, production-ready code for `src/services/scriptService.js`:
 
 ```javascript
+const lodash = require('lodash');
 const Userscript = require('../models/Userscript');
-const { InvalidScriptError, ScriptExecutionError } = require('../utils/errors');
+const ScriptRevision = require('../models/ScriptRevision');
+const { InvalidScriptError, ScriptExecutionError, NotFoundError } = require('../utils/errors');
 const logger = require('../utils/logger');
 const { sanitizeScript } = require('../utils/helpers');
-const vm = require('vm');
+const userscriptMetadata = require('../utils/userscriptMetadata');
+const lineDiff = require('../utils/lineDiff');
+const sandboxService = require('./sandboxService');
+
+const HOOKS = ['onRequest', 'onResponse', 'onStreamChunk', 'onError'];
+const SHORT_CIRCUIT_HOOKS = ['onRequest', 'onError'];
+const HOOK_ORDER = { priority: 1, createdAt: 1 };
+
+// What a revision records of a script, and what rolling back to it restores
+const SNAPSHOT_FIELDS = ['name', 'description', 'content', 'enabled', 'hooks', 'match', 'priority', 'metadata'];
+const RESTORED_FIELDS = ['name', 'description', 'content', 'hooks', 'match', 'priority'];
+const REVISION_SUMMARY = { script: 1, revision: 1, author: 1, message: 1, createdAt: 1, 'snapshot.name': 1 };
+
+// How many console lines a session keeps
+const CONSOLE_LIMIT = 500;
+
+/**
+ * Compile a URL match pattern into a regular expression; `*` matches any run of characters.
+ * @param {string} pattern - The URL pattern.
+ * @returns {RegExp} - The anchored regular expression.
+ */
+function compileUrlPattern(pattern) {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
 
 class ScriptService {
   /**
-   * Fetch a list of all userscripts.
+   * Fetch a list of all userscripts, optionally filtered by their metadata.
+   * @param {Object} [filters] - The metadata filters (`version`, `match`, `grant`, `runAt`).
    * @returns {Promise<Array<Userscript>>} - The list of userscripts.
    * @throws {InvalidScriptError} - If an error occurs while fetching the userscripts.
    */
-  async getScripts() {
+  async getScripts(filters = {}) {
     try {
-      return await Userscript.find({});
+      const query = {};
+      ['version', 'match', 'grant', 'runAt'].forEach((field) => {
+        if (filters[field]) {
+          query[`metadata.${field}`] = filters[field];
+        }
+      });
+      return await Userscript.find(query);
     } catch (err) {
       logger.error('Error fetching userscripts:', err);
       throw new InvalidScriptError('Error fetching userscripts');
@@ -42,20 +75,23 @@ class ScriptService {
   }
 
   /**
-   * Create a new userscript.
+   * Create a new userscript, recorded as its first revision.
    * @param {Object} scriptData - The data for the new userscript.
-   * @returns {Promise<Userscript>} - The created userscript.
+   * @param {Object} [revisionInfo] - Who created it (`author`) and why (`message`).
+   * @returns {Promise<Userscript>} - The created userscript, with a `warning` if its revision could not be recorded.
+   * @throws {ScriptMetadataError} - If the script's metadata block is invalid.
    * @throws {InvalidScriptError} - If the script data is invalid.
    */
-  async createScript(scriptData) {
+  async createScript(scriptData, revisionInfo = {}) {
+    const scriptWithMetadata = this.applyMetadata(lodash.omit(scriptData, 'revisionCount'));
     try {
       // Sanitize the script data to prevent code injection
-      const sanitizedScriptData = sanitizeScript(scriptData);
+      const sanitizedScriptData = sanitizeScript(scriptWithMetadata);
 
-      // Create a new userscript
-      const newScript = new Userscript(sanitizedScriptData);
+      // Create a new userscript, saved as its first revision
+      const newScript = new Userscript({ ...sanitizedScriptData, revisionCount: 1 });
       await newScript.save();
-      return newScript;
+      return await this.recordSavedRevision(newScript, { message: 'Create userscript', ...lodash.omitBy(revisionInfo, lodash.isNil) });
     } catch (err) {
       logger.error('Error creating userscript:', err);
       throw new InvalidScriptError('Error creating userscript');
@@ -63,19 +99,22 @@ class ScriptService {
   }
 
   /**
-   * Update an existing userscript.
+   * Update an existing userscript, recording the result as a new revision.
    * @param {string} id - The ID of the userscript to update.
    * @param {Object} updates - The updates to apply to the userscript.
-   * @returns {Promise<void>}
+   * @param {Object} [revisionInfo] - Who made the update (`author`) and why (`message`).
+   * @returns {Promise<Userscript>} - The updated userscript, with a `warning` if its revision could not be recorded.
+   * @throws {ScriptMetadataError} - If the updated script's metadata block is invalid.
    * @throws {InvalidScriptError} - If the userscript is not found or the updates are invalid.
    */
-  async updateScript(id, updates) {
+  async updateScript(id, updates, revisionInfo = {}) {
+    const updatesWithMetadata = this.applyMetadata(lodash.omit(updates, 'revisionCount'));
     try {
       // Sanitize the script updates to prevent code injection
-      const sanitizedUpdates = sanitizeScript(updates);
+      const sanitizedUpdates = sanitizeScript(updatesWithMetadata);
 
-      // Update the userscript
-      const updatedScript = await Userscript.findByIdAndUpdate(id, sanitizedUpdates, {
+      // Update the userscript, numbering its next revision in the same write
+      const updatedScript = await Userscript.findByIdAndUpdate(id, { ...sanitizedUpdates, $inc: { revisionCount: 1 } }, {
         new: true,
         runValidators: true,
       });
@@ -83,6 +122,8 @@ class ScriptService {
       if (!updatedScript) {
         throw new InvalidScriptError(`Userscript with ID ${id} not found`);
       }
+
+      return await this.recordSavedRevision(updatedScript, revisionInfo);
     } catch (err) {
       logger.error(`Error updating userscript (ID: ${id}):`, err);
       throw new InvalidScriptError(`Error updating userscript (ID: ${id})`);
@@ -90,7 +131,173 @@ class ScriptService {
   }
 
   /**
-   * Delete a userscript.
+   * Parse the `// ==UserScript==` block of new script content into the script's `metadata`.
+   *
+   * A script created without a name or description takes them from the block's `@name` (with
+   * the characters a name may not contain replaced by hyphens) and `@description`, so scripts
+   * written for Tampermonkey can be imported as they are. Content without a block clears the
+   * metadata of an updated script.
+   *
+   * @param {Object} scriptData - The script data or updates.
+   * @returns {Object} - The script data with its `metadata`, or as it was if its content is unchanged.
+   * @throws {ScriptMetadataError} - If the metadata block is invalid.
+   */
+  applyMetadata(scriptData) {
+    if (!scriptData || typeof scriptData.content !== 'string') {
+      return scriptData;
+    }
+
+    const metadata = userscriptMetadata.parseMetadata(scriptData.content);
+    if (!metadata) {
+      return { ...scriptData, metadata: null };
+    }
+
+    const name = metadata.name.replace(/[^\w\-]+/g, '-').replace(/^-+|-+$/g, '');
+    return {
+      ...scriptData,
+      name: scriptData.name || name,
+      description: scriptData.description || metadata.description || metadata.name,
+      metadata,
+    };
+  }
+
+  /**
+   * Record a script as it was just saved as its next revision.
+   *
+   * The revision number is the script's `revisionCount`, which the save that is being recorded
+   * incremented in the same write, so concurrent saves of the same script always get numbers
+   * of their own and a saved script always has the number of its revision.
+   *
+   * @param {Userscript|Object} script - The saved userscript.
+   * @param {Object} [revisionInfo] - Who saved it (`author`) and why (`message`).
+   * @returns {Promise<ScriptRevision>} - The recorded revision.
+   */
+  async recordRevision(script, { author, message } = {}) {
+    const data = typeof script.toObject === 'function' ? script.toObject() : script;
+
+    const revision = new ScriptRevision({
+      script: script._id,
+      revision: script.revisionCount,
+      author,
+      message,
+      snapshot: lodash.pick(data, SNAPSHOT_FIELDS),
+    });
+    await revision.save();
+    return revision;
+  }
+
+  /**
+   * Record the revision of a script that has been saved, without failing the save.
+   *
+   * The script is saved by then, so a revision that cannot be recorded is logged and reported
+   * as the script's `warning` rather than as an error.
+   *
+   * @param {Userscript|Object} script - The saved userscript.
+   * @param {Object} [revisionInfo] - Who saved it (`author`) and why (`message`).
+   * @returns {Promise<Userscript|Object>} - The saved userscript.
+   */
+  async recordSavedRevision(script, revisionInfo) {
+    try {
+      await this.recordRevision(script, revisionInfo);
+    } catch (err) {
+      logger.warn(`Userscript (ID: ${script._id}) was saved, but revision ${script.revisionCount} could not be recorded:`, err);
+      script.warning = `Userscript was saved, but revision ${script.revisionCount} could not be recorded in its history`;
+    }
+    return script;
+  }
+
+  /**
+   * List the revisions of a userscript, newest first, without their content.
+   * @param {string} id - The ID of the userscript.
+   * @returns {Promise<Array<Object>>} - The revisions (`revision`, `author`, `message`, `createdAt` and the script's `snapshot.name`).
+   * @throws {NotFoundError} - If the userscript does not exist.
+   */
+  async getRevisions(id) {
+    const revisions = await ScriptRevision.find({ script: id }, REVISION_SUMMARY, { sort: { revision: -1 }, lean: true });
+    if (revisions.length === 0 && !(await Userscript.findById(id))) {
+      throw new NotFoundError(`Userscript with ID ${id} not found`);
+    }
+    return revisions;
+  }
+
+  /**
+   * Fetch a single revision of a userscript.
+   * @param {string} id - The ID of the userscript.
+   * @param {number} revision - The revision number.
+   * @returns {Promise<Object>} - The revision, with the script as it was saved under `snapshot`.
+   * @throws {NotFoundError} - If the revision does not exist.
+   */
+  async getRevision(id, revision) {
+    const found = await ScriptRevision.findOne({ script: id, revision }, null, { lean: true });
+    if (!found) {
+      throw new NotFoundError(`Revision ${revision} of userscript ${id} not found`);
+    }
+    return found;
+  }
+
+  /**
+   * Compare two revisions of a userscript.
+   * @param {string} id - The ID of the userscript.
+   * @param {number} from - The earlier revision number.
+   * @param {number} [to] - The later revision number; the latest revision when omitted.
+   * @returns {Promise<Object>} - The two revisions (`from`, `to`, without their content), the other `fields` that changed as `{ [field]: { from, to } }`, the number of lines `added` and `removed`, the content's `hunks`, and the whole content diff in `unified` form.
+   * @throws {NotFoundError} - If either revision does not exist.
+   */
+  async diffRevisions(id, from, to) {
+    const before = await this.getRevision(id, from);
+    const after = to === undefined || to === null
+      ? await ScriptRevision.findOne({ script: id }, null, { sort: { revision: -1 }, lean: true })
+      : await this.getRevision(id, to);
+    if (!after) {
+      throw new NotFoundError(`Userscript with ID ${id} has no revisions`);
+    }
+
+    const fields = {};
+    SNAPSHOT_FIELDS.filter((field) => field !== 'content').forEach((field) => {
+      if (!lodash.isEqual(before.snapshot[field], after.snapshot[field])) {
+        fields[field] = { from: before.snapshot[field], to: after.snapshot[field] };
+      }
+    });
+
+    const lines = lineDiff.diffLines(before.snapshot.content, after.snapshot.content);
+    const hunks = lineDiff.buildHunks(lines);
+    const summarize = (revision) => lodash.pick(revision, ['revision', 'author', 'message', 'createdAt']);
+    return {
+      script: id,
+      from: summarize(before),
+      to: summarize(after),
+      fields,
+      added: lines.filter((line) => line.type === 'added').length,
+      removed: lines.filter((line) => line.type === 'removed').length,
+      hunks,
+      unified: lineDiff.formatUnifiedDiff(hunks, `${before.snapshot.name}@${before.revision}`, `${after.snapshot.name}@${after.revision}`),
+    };
+  }
+
+  /**
+   * Roll a userscript back to an earlier revision.
+   *
+   * The revision's name, description, content, hooks, match patterns and priority are saved
+   * as a new revision, so the history, including the revisions rolled back over, is kept.
+   * Whether the script is enabled is left as it is.
+   *
+   * @param {string} id - The ID of the userscript.
+   * @param {number} revision - The revision number to roll back to.
+   * @param {Object} [revisionInfo] - Who rolled it back (`author`) and why (`message`).
+   * @returns {Promise<Userscript>} - The rolled back userscript, with a `warning` if its revision could not be recorded.
+   * @throws {NotFoundError} - If the revision does not exist.
+   * @throws {InvalidScriptError} - If the userscript cannot be updated.
+   */
+  async rollbackScript(id, revision, revisionInfo = {}) {
+    const target = await this.getRevision(id, revision);
+    return this.updateScript(id, lodash.pick(target.snapshot, RESTORED_FIELDS), {
+      message: `Roll back to revision ${revision}`,
+      ...lodash.omitBy(revisionInfo, lodash.isNil),
+    });
+  }
+
+  /**
+   * Delete a userscript along with its revisions.
    * @param {string} id - The ID of the userscript to delete.
    * @returns {Promise<void>}
    * @throws {InvalidScriptError} - If the userscript is not found or an error occurs during deletion.
@@ -101,6 +308,7 @@ class ScriptService {
       if (!deletedScript) {
         throw new InvalidScriptError(`Userscript with ID ${id} not found`);
       }
+      await ScriptRevision.deleteMany({ script: deletedScript._id });
     } catch (err) {
       logger.error(`Error deleting userscript (ID: ${id}):`, err);
       throw new InvalidScriptError(`Error deleting userscript (ID: ${id})`);
@@ -130,26 +338,305 @@ class ScriptService {
 
   /**
    * Execute the userscript in a secure sandbox.
+   *
+   * The script runs on a pooled worker thread, with the resource limits of `sandboxService`.
+   * The context's values are copied in as its globals, and copied back into `context` once it
+   * has run; a script that evaluates to a promise is awaited.
+   *
    * @param {string} scriptContent - The content of the userscript.
-   * @param {Object} context - The execution context for the userscript.
+   * @param {Object} context - The execution context for the userscript, as plain data.
+   * @param {Array<Object>} [output] - Collects the console output, as `{ level, message }`; it is logged at debug level without it.
    * @returns {Promise<Object>} - The result of the userscript execution.
    * @throws {ScriptExecutionError} - If an error occurs during sandbox execution.
    */
-  async executeInSandbox(scriptContent, context) {
+  async executeInSandbox(scriptContent, context, output) {
+    let lines = [];
     try {
-      // Create a new VM context
-      const sandbox = vm.createContext(context);
+      const run = await sandboxService.run(scriptContent, context);
+      lines = run.console;
+      Object.assign(context, run.globals);
+      return run.result;
+    } catch (err) {
+      lines = err.console || [];
+      logger.error('Error executing script in sandbox:', err);
+      throw new ScriptExecutionError(`Error executing script in sandbox: ${err.message}`);
+    } finally {
+      if (output) {
+        output.push(...lines);
+      } else {
+        lines.forEach((line) => logger.debug(`Sandbox console.${line.level}: ${line.message}`));
+      }
+    }
+  }
 
-      // Execute the script in the sandbox
-      const result = await vm.runInContext(scriptContent, sandbox, {
-        timeout: 5000,
-        displayErrors: true,
+  /**
+   * Validate the hook settings of a userscript sent to `POST` or `PUT /api/scripts`.
+   * @param {Object} script - The userscript data (`hooks`, `match`).
+   * @returns {boolean} - `true` if the settings are valid.
+   * @throws {InvalidScriptError} - If the hooks or match patterns are invalid.
+   */
+  validateHookSettings(script) {
+    const { hooks, match } = script || {};
+    if (hooks !== undefined && !(Array.isArray(hooks) && hooks.every((hook) => HOOKS.includes(hook)))) {
+      throw new InvalidScriptError(`Userscript hooks must be an array of ${HOOKS.join(', ')}`);
+    }
+    if (match !== undefined) {
+      if (!match || typeof match !== 'object' || Array.isArray(match)) {
+        throw new InvalidScriptError('Userscript match must be an object');
+      }
+      ['urls', 'methods'].forEach((field) => {
+        const values = match[field];
+        if (values !== undefined && !(Array.isArray(values) && values.every((value) => typeof value === 'string' && value.length > 0))) {
+          throw new InvalidScriptError(`Userscript match.${field} must be an array of non-empty strings`);
+        }
       });
+    }
+    return true;
+  }
 
-      return result;
+  /**
+   * Find the enabled userscripts with hooks that apply to a proxied request.
+   * @param {Object} request - The request (`method`, `url`).
+   * @param {string} targetUrl - The full URL the request is forwarded to.
+   * @returns {Promise<Array<Object>>} - The matching userscripts, by ascending `priority`, then by creation time.
+   * @throws {InvalidScriptError} - If the userscripts cannot be fetched.
+   */
+  async findHookScripts(request, targetUrl) {
+    let scripts;
+    try {
+      scripts = await Userscript.find({ enabled: { $ne: false }, 'hooks.0': { $exists: true } }, null, { sort: HOOK_ORDER, lean: true });
     } catch (err) {
-      logger.error('Error executing script in sandbox:', err);
-      throw new ScriptExecutionError('Error executing script in sandbox');
+      logger.error('Error fetching userscript hooks:', err);
+      throw new InvalidScriptError('Error fetching userscript hooks');
+    }
+
+    return (scripts || []).filter((script) => this.matchesScript(script, request, targetUrl));
+  }
+
+  /**
+   * Check whether a userscript applies to a request.
+   *
+   * Patterns starting with `/` are matched against the request path and query, all others
+   * against the full target URL. The `@match`, `@include` and `@exclude` patterns of the script's
+   * metadata block narrow this down further. A script without methods or patterns applies to
+   * every request.
+   *
+   * @param {Object} script - The userscript (`match.methods`, `match.urls`, `metadata`).
+   * @param {Object} request - The request (`method`, `url`).
+   * @param {string} targetUrl - The full URL the request is forwarded to.
+   * @returns {boolean} - Whether the script's methods and URL patterns match.
+   */
+  matchesScript(script, request, targetUrl) {
+    const match = script.match || {};
+    const methods = (match.methods || []).map((method) => method.toUpperCase());
+    if (methods.length > 0 && !methods.includes(String(request.method).toUpperCase())) {
+      return false;
+    }
+
+    const urls = match.urls || [];
+    if (urls.length > 0 && !urls.some((pattern) => compileUrlPattern(pattern).test(pattern.startsWith('/') ? request.url : targetUrl))) {
+      return false;
+    }
+
+    return userscriptMetadata.matchesUrl(script.metadata, targetUrl);
+  }
+
+  /**
+   * Start running userscript hooks for a proxied exchange.
+   * @param {Object} request - The request (`method`, `url`, `headers`, `body`).
+   * @param {string} targetUrl - The full URL the request is forwarded to.
+   * @returns {Promise<Object|null>} - The hook session (`request`, `scripts`, `runs`, `annotations`) to pass to `runHooks()`, or `null` if no userscript applies. A session that also has `console` and `exceptions` arrays collects the hooks' console output and errors in them.
+   * @throws {InvalidScriptError} - If the userscripts cannot be fetched.
+   */
+  async openHookSession(request, targetUrl) {
+    const scripts = await this.findHookScripts(request, targetUrl);
+    return scripts.length > 0 ? { request, scripts, runs: [], annotations: {} } : null;
+  }
+
+  /**
+   * Run one hook of every userscript in a session that defines it, in order.
+   *
+   * Each script sees the output of the previous one. Hooks fail open: when one throws or times
+   * out, the error is recorded and the message passes on as it was. A script that sets
+   * `exchange.response` in `onRequest` or `onError` answers the exchange itself, and the scripts
+   * after it are skipped, as they are once an `onStreamChunk` hook drops the chunk.
+   *
+   * @param {Object|null} session - The hook session, or `null` if no userscript applies.
+   * @param {string} hook - The hook to run (`onRequest`, `onResponse`, `onStreamChunk`, `onError`).
+   * @param {any} message - The request, response, chunk or error the hook is called with.
+   * @param {Object} [details] - Further fields for the hook's `exchange` argument, e.g. the chunk `index`.
+   * @returns {Promise<{ message: any, response: Object|null }>} - The message to carry on with (`null` for a dropped chunk), and the response a script answered with.
+   */
+  async runHooks(session, hook, message, details = {}) {
+    let current = message;
+    if (!session) {
+      return { message: current, response: null };
+    }
+
+    const scripts = session.scripts.filter((script) => (script.hooks || []).includes(hook));
+    for (const script of scripts) {
+      const exchange = { ...details, annotations: session.annotations };
+      if (hook !== 'onRequest') {
+        exchange.request = session.request;
+      }
+
+      const startedAt = Date.now();
+      let outcome = null;
+      let error;
+      try {
+        outcome = await this.runHook(script, hook, current, exchange, session.console);
+      } catch (err) {
+        error = err.message;
+        logger.warn(`Userscript '${script.name}' failed in ${hook}(), passing the exchange on unchanged: ${err.message}`);
+      }
+      this.recordRun(session, script, hook, Date.now() - startedAt, error);
+      if (error && session.exceptions) {
+        session.exceptions.push({ script: script.name, hook, message: error });
+      }
+      if (!outcome) {
+        continue;
+      }
+
+      current = outcome.message;
+      session.annotations = outcome.annotations;
+      if (hook === 'onRequest') {
+        session.request = current;
+      }
+      if (outcome.response) {
+        return { message: current, response: outcome.response };
+      }
+      if (current === null) {
+        break;
+      }
+    }
+
+    return { message: current, response: null };
+  }
+
+  /**
+   * Run a single hook of a userscript in the sandbox.
+   *
+   * The script is evaluated, then its hook function is called as `hook(message, exchange)` with
+   * copies of both. A hook modifies the message by changing its copy or returning a replacement
+   * (for `onStreamChunk`: a string, or `null`/`false` to drop the chunk), annotates the exchange
+   * through `exchange.annotations`, and, in `onRequest` and `onError`, answers it by setting
+   * `exchange.response` to `{ statusCode, headers, body }`. Hooks may be `async`. Everything is
+   * copied back out of the sandbox, so hooks must hand back plain data. What the script writes to
+   * `console` is collected in `output`, or logged at debug level without it.
+   *
+   * @param {Object} script - The userscript (`name`, `content`).
+   * @param {string} hook - The hook to call.
+   * @param {any} message - The request, response, chunk or error.
+   * @param {Object} exchange - The exchange (`annotations`, plus `request` and the hook's details).
+   * @param {Array<Object>} [output] - Collects the console output, as `{ script, hook, level, message }`.
+   * @returns {Promise<{ message: any, response: Object|null, annotations: Object }>} - What the hook handed back.
+   * @throws {ScriptExecutionError} - If the script does not define the hook, fails, times out or hands back invalid data.
+   */
+  async runHook(script, hook, message, exchange, output) {
+    const context = {
+      __message: message,
+      __exchange: { ...exchange, response: null },
+    };
+    const lines = [];
+    let result;
+    try {
+      result = await this.executeInSandbox(
+        `${script.content}\n;if (typeof ${hook} !== 'function') { throw new Error('${hook}() is not defined'); }\n${hook}(__message, __exchange);`,
+        context,
+        lines,
+      );
+    } finally {
+      this.recordConsole(script, hook, lines, output);
+    }
+    const handedBack = { result, message: context.__message, exchange: context.__exchange };
+
+    let nextMessage;
+    if (hook === 'onStreamChunk') {
+      if (handedBack.result === null || handedBack.result === false) {
+        nextMessage = null;
+      } else if (handedBack.result === undefined) {
+        nextMessage = message;
+      } else {
+        nextMessage = typeof handedBack.result === 'string' ? handedBack.result : JSON.stringify(handedBack.result);
+      }
+    } else {
+      nextMessage = handedBack.result && typeof handedBack.result === 'object' ? handedBack.result : handedBack.message;
+      if (hook !== 'onError' && !(nextMessage && nextMessage.headers && typeof nextMessage.headers === 'object')) {
+        throw new ScriptExecutionError(`${hook}() handed back a message without headers`);
+      }
+    }
+
+    const { annotations } = handedBack.exchange || {};
+    let response = SHORT_CIRCUIT_HOOKS.includes(hook) ? handedBack.exchange && handedBack.exchange.response : null;
+    if (response) {
+      this.validateHookResponse(response, hook);
+      response = { statusCode: response.statusCode, headers: response.headers, body: response.body };
+    }
+
+    return {
+      message: nextMessage,
+      response: response || null,
+      annotations: annotations && typeof annotations === 'object' && !Array.isArray(annotations) ? annotations : exchange.annotations,
+    };
+  }
+
+  /**
+   * Record the console output of a hook.
+   * @param {Object} script - The userscript (`name`).
+   * @param {string} hook - The hook that was called.
+   * @param {Array<Object>} lines - The output, as `{ level, message }`.
+   * @param {Array<Object>} [output] - Collects the output, as `{ script, hook, level, message }`, up to 500 lines; it is logged at debug level without it.
+   * @returns {void}
+   */
+  recordConsole(script, hook, lines, output) {
+    lines.forEach(({ level, message }) => {
+      if (!output) {
+        logger.debug(`Userscript '${script.name}' ${hook}() console.${level}: ${message}`);
+      } else if (output.length < CONSOLE_LIMIT) {
+        output.push({ script: script.name, hook, level, message });
+      }
+    });
+  }
+
+  /**
+   * Validate the response a hook answered an exchange with.
+   * @param {Object} response - The response (`statusCode`, `headers`, `body`).
+   * @param {string} hook - The hook that set it.
+   * @returns {void}
+   * @throws {ScriptExecutionError} - If the status code or headers are invalid.
+   */
+  validateHookResponse(response, hook) {
+    if (typeof response !== 'object' || Array.isArray(response)) {
+      throw new ScriptExecutionError(`${hook}() set exchange.response to something other than an object`);
+    }
+    if (response.statusCode !== undefined && !(Number.isInteger(response.statusCode) && response.statusCode >= 100 && response.statusCode <= 599)) {
+      throw new ScriptExecutionError(`${hook}() set an invalid exchange.response.statusCode`);
+    }
+    if (response.headers !== undefined && (!response.headers || typeof response.headers !== 'object' || Array.isArray(response.headers))) {
+      throw new ScriptExecutionError(`${hook}() set exchange.response.headers to something other than an object`);
+    }
+  }
+
+  /**
+   * Count a hook call in the session's runs, one entry per script and hook.
+   * @param {Object} session - The hook session.
+   * @param {Object} script - The userscript that ran.
+   * @param {string} hook - The hook that ran.
+   * @param {number} durationMs - How long the call took.
+   * @param {string} [error] - The error the call failed with.
+   * @returns {void}
+   */
+  recordRun(session, script, hook, durationMs, error) {
+    let run = session.runs.find((candidate) => candidate.script === script.name && candidate.hook === hook);
+    if (!run) {
+      run = { script: script.name, hook, calls: 0, failures: 0, durationMs: 0 };
+      session.runs.push(run);
+    }
+    run.calls += 1;
+    run.durationMs += durationMs;
+    if (error) {
+      run.failures += 1;
+      run.error = error;
     }
   }
 }
@@ -160,24 +647,36 @@ module.exports = new ScriptService();
 This `src/services/scriptService.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including the `Userscript` model, custom error classes (`InvalidScriptError`, `ScriptExecutionError`), the `logger` utility, the `sanitizeScript` helper function, and the `vm` module for secure script execution.
+   - The file imports the necessary dependencies, including `lodash`, the `Userscript` and `ScriptRevision` models, custom error classes (`InvalidScriptError`, `ScriptExecutionError`, `NotFoundError`), the `logger` utility, the `sanitizeScript` helper function, the `userscriptMetadata` and `lineDiff` utilities, and the `sandboxService` for secure script execution.
 
 2. **Internal Structure**:
-   - The `ScriptService` class is defined with the following methods: `getScripts()`, `getScriptById(id)`, `createScript(scriptData)`, `updateScript(id, updates)`, `deleteScript(id)`, `executeScript(id, context)`, and `executeInSandbox(scriptContent, context)`.
+   - The `ScriptService` class is defined with the following methods: `getScripts()`, `getScriptById(id)`, `createScript(scriptData, revisionInfo)`, `updateScript(id, updates, revisionInfo)`, `deleteScript(id)`, `executeScript(id, context)`, and `executeInSandbox(scriptContent, context)`.
+   - `applyMetadata(scriptData)` parses the `// ==UserScript==` block of created and updated scripts.
+   - The version history of userscripts is implemented by `recordRevision(script, revisionInfo)`, `recordSavedRevision(script, revisionInfo)`, `getRevisions(id)`, `getRevision(id, revision)`, `diffRevisions(id, from, to)` and `rollbackScript(id, revision, revisionInfo)`.
+   - The hooks that run userscripts on live proxy traffic are implemented by `validateHookSettings(script)`, `findHookScripts(request, targetUrl)`, `matchesScript(script, request, targetUrl)`, `openHookSession(request, targetUrl)`, `runHooks(session, hook, message, details)` and `runHook(script, hook, message, exchange, output)`, with `recordConsole()`, `validateHookResponse()` and `recordRun()` as helpers.
 
 3. **Implementation Details**:
    - The methods handle CRUD operations for userscripts, including input validation and data sanitization.
-   - The `executeScript()` method fetches the userscript, executes it in a secure sandbox using the `vm` module, and returns the result.
-   - The `executeInSandbox()` method creates a new VM context and executes the userscript in the sandbox, with a 5-second timeout and error handling.
+   - Created and updated scripts have their `// ==UserScript==` block parsed by `userscriptMetadata` into the `metadata` field, which `getScripts()` can filter on (`version`, `match`, `grant`, `runAt`). Scripts created without a name or description take them from `@name` and `@description`, so Tampermonkey scripts can be imported unchanged. Invalid blocks are rejected with a `ScriptMetadataError` listing every problem with its line number.
+   - Every create and update is recorded as an immutable `ScriptRevision`, numbered from 1 per script, with its author, message and a snapshot of the saved script. Numbers are allocated by incrementing the script's `revisionCount` in the same write as the save, so concurrent saves never collide and no number is skipped. The save is not undone if its revision cannot be recorded: the error is logged and the script is returned with a `warning`. Scripts created before revisions were recorded start their history at their next save.
+   - `deleteScript()` deletes the script's revisions along with it.
+   - `diffRevisions()` compares two revisions (the latest by default): the other fields that changed, and a line diff of the content with its hunks and a unified diff.
+   - `rollbackScript()` saves an earlier revision's name, description, content, hooks, match patterns and priority through `updateScript()`, so the rollback is itself a new revision and nothing is lost; whether the script is enabled is left as it is.
+   - The `executeScript()` method fetches the userscript, executes it in a secure sandbox, and returns the result.
+   - The `executeInSandbox()` method runs the userscript on the `sandboxService` worker pool, copying the context in as its globals and back out once it has run, and awaits scripts that evaluate to a promise.
+   - Userscripts declare the `hooks` they define (`onRequest`, `onResponse`, `onStreamChunk`, `onError`) and the `match.methods` and `match.urls` (glob patterns, matched against the request path when they start with `/` and against the full target URL otherwise) of the requests they apply to. For every proxied request, the enabled scripts that match run by ascending `priority`, then by creation time, each seeing the output of the previous one. Scripts with a metadata block only run on the target URLs its `@match`, `@include` and `@exclude` patterns allow.
+   - A hook is called as `hook(message, exchange)` with copies of the message and exchange, and may be `async`. It modifies the message by changing its copy or returning a replacement (`onStreamChunk` returns a string, or `null`/`false` to drop the chunk), annotates the exchange through `exchange.annotations`, and, in `onRequest` and `onError`, answers the exchange by setting `exchange.response`.
+   - Hooks can write to `console`. On live traffic the output is logged at debug level; sessions opened by the script test harness collect it, together with every error a hook fails with.
+   - Hooks fail open: a hook that throws, times out or hands back data that cannot be copied out of the sandbox is recorded as an error and the message passes on unchanged. Every session counts the calls, failures and time of each script's hooks in its `runs`.
 
 4. **Error Handling**:
-   - Custom error classes (`InvalidScriptError`, `ScriptExecutionError`) are used to represent different error scenarios.
+   - Custom error classes (`InvalidScriptError`, `ScriptExecutionError`, and `NotFoundError` for unknown revisions) are used to represent different error scenarios.
    - Appropriate error messages and HTTP status codes are returned for each error case.
    - Errors are logged using the centralized `logger` utility.
 
 5. **Security**:
    - Input validation and data sanitization are implemented to prevent code injection vulnerabilities.
-   - The `executeInSandbox()` method uses the `vm` module to execute the userscript in a secure, isolated environment, preventing it from accessing or modifying sensitive data or system resources.
+   - The `executeInSandbox()` method executes the userscript on an isolated worker thread with a frozen, minimal global and limits on its run time, wall-clock time and memory (see `sandboxService`), preventing it from accessing or modifying sensitive data or system resources, or stalling the proxy.
 
 6. **Performance**:
    - Asynchronous operations and event loop optimizations are used to ensure non-blocking I/O during script execution.
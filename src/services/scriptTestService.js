@@ -0,0 +1,235 @@
+Here is the complete, production-ready code for `src/services/scriptTestService.js`:
+
+```javascript
+const lodash = require('lodash');
+const LogEntry = require('../models/LogEntry');
+const Userscript = require('../models/Userscript');
+const scriptService = require('./scriptService');
+const proxyService = require('./proxyService');
+const objectDiff = require('../utils/objectDiff');
+const { createSseEventSplitter } = require('../utils/helpers');
+const secretMasker = require('../utils/secretMasker');
+const { NotFoundError, ScriptTestError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// The most traffic log entries a single test replays
+const MAX_ENTRIES = 20;
+
+/**
+ * Turn logged headers into a plain object.
+ * @param {Map|Object|undefined} headers - The headers, as a `Map` or an object.
+ * @returns {Object} - The headers as an object.
+ */
+function toHeaderObject(headers) {
+  return headers instanceof Map ? Object.fromEntries(headers) : { ...(headers || {}) };
+}
+
+class ScriptTestService {
+  /**
+   * Dry-run the hooks of a userscript against recorded traffic.
+   *
+   * Each log entry is replayed the way the proxy runs hooks on live traffic, with the tested
+   * script as the only one: `onRequest` on the logged request, then `onResponse` on the logged
+   * response, or on the response the script answered with, and `onStreamChunk` on every event of a
+   * logged `text/event-stream` response. Nothing is forwarded, stored or sent to the client.
+   *
+   * @param {Object} source - The script to test: `scriptId` for a saved userscript, enabled or not, or `script` for an unsaved one (`name`, `content`, `hooks`, `match`).
+   * @param {Array<string>} entryIds - The IDs of the traffic log entries to replay, in the order to report them in.
+   * @returns {Promise<Object>} - The tested `script` (`_id`, `name`, `hooks`, `match`) and the `results` of each entry (see `replayEntry()`).
+   * @throws {NotFoundError} - If the userscript or a log entry does not exist.
+   * @throws {ScriptTestError} - If the script declares no hooks or the entries cannot be tested.
+   * @throws {ScriptMetadataError} - If an unsaved script's metadata block is invalid.
+   */
+  async testScript({ scriptId, script }, entryIds) {
+    const tested = await this.resolveScript({ scriptId, script });
+    const entries = await this.loadEntries(entryIds);
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.replayEntry(tested, entry));
+    }
+
+    logger.info(`Tested userscript '${tested.name}' against ${results.length} traffic log entries`);
+    return {
+      script: lodash.pick(tested, ['_id', 'name', 'hooks', 'match']),
+      results,
+    };
+  }
+
+  /**
+   * Load a saved userscript, or prepare an unsaved one, for testing.
+   * @param {Object} source - `scriptId` or `script`, as for `testScript()`.
+   * @returns {Promise<Object>} - The userscript.
+   * @throws {NotFoundError} - If the saved userscript does not exist.
+   * @throws {ScriptTestError} - If no script is given or it declares no hooks.
+   * @throws {InvalidScriptError} - If an unsaved script's hook settings are invalid.
+   * @throws {ScriptMetadataError} - If an unsaved script's metadata block is invalid.
+   */
+  async resolveScript({ scriptId, script }) {
+    let resolved;
+    if (scriptId) {
+      resolved = await Userscript.findById(scriptId, null, { lean: true });
+      if (!resolved) {
+        throw new NotFoundError(`Userscript with ID ${scriptId} not found`);
+      }
+    } else if (script && typeof script === 'object') {
+      scriptService.validateHookSettings(script);
+      const prepared = scriptService.applyMetadata(lodash.pick(script, ['name', 'content', 'hooks', 'match']));
+      resolved = { ...prepared, name: prepared.name || 'ad-hoc' };
+    } else {
+      throw new ScriptTestError('Either a scriptId or a script is required');
+    }
+
+    if (!Array.isArray(resolved.hooks) || resolved.hooks.length === 0) {
+      throw new ScriptTestError(`Userscript '${resolved.name}' declares no hooks to test`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Fetch the traffic log entries to replay.
+   * @param {Array<string>} entryIds - The IDs of the entries.
+   * @returns {Promise<Array<Object>>} - The entries, in the order of their IDs, without duplicates, with their credentials masked.
+   * @throws {NotFoundError} - If an entry does not exist.
+   * @throws {ScriptTestError} - If there are too few or too many entries, or one is not an HTTP exchange.
+   */
+  async loadEntries(entryIds) {
+    const ids = lodash.uniq((entryIds || []).map(String));
+    if (ids.length === 0 || ids.length > MAX_ENTRIES) {
+      throw new ScriptTestError(`Between 1 and ${MAX_ENTRIES} traffic log entries can be tested at once`);
+    }
+
+    const found = await LogEntry.find({ _id: { $in: ids } }, null, { lean: true });
+    const byId = new Map((found || []).map((entry) => [String(entry._id), entry]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Traffic log entries not found: ${missing.join(', ')}`);
+    }
+
+    const frames = ids.filter((id) => byId.get(id).type === 'websocket');
+    if (frames.length > 0) {
+      throw new ScriptTestError(`Only HTTP exchanges can be tested, not the WebSocket frames ${frames.join(', ')}`);
+    }
+    // Entries logged with masking off still hold the credentials; a script under test never gets to see them
+    return ids.map((id) => secretMasker.maskLogEntry(byId.get(id)));
+  }
+
+  /**
+   * Replay a logged exchange through a userscript's hooks.
+   * @param {Object} script - The userscript.
+   * @param {Object} entry - The traffic log entry.
+   * @returns {Promise<Object>} - The result: the `entry` ID, its `method` and `url`, whether the script `matched` it and `answered` it from `onRequest`, the `request` and `response` as `{ before, after, changes }` (`changes` as listed by `objectDiff.diffValues()`), for event streams the changed `chunks` as `{ total, changes: [{ index, before, after }] }` (`after` is `null` for dropped chunks), and the `annotations`, `console` output, `exceptions` and `runs` of the hooks.
+   */
+  async replayEntry(script, entry) {
+    const target = new URL(entry.url);
+    const request = {
+      method: entry.method,
+      url: `${target.pathname}${target.search}`,
+      headers: toHeaderObject(entry.headers),
+      body: entry.body === undefined ? null : entry.body,
+    };
+    const response = {
+      statusCode: entry.statusCode,
+      headers: toHeaderObject(entry.responseHeaders),
+      body: entry.responseBody === undefined ? null : entry.responseBody,
+    };
+
+    const result = {
+      entry: String(entry._id),
+      method: entry.method,
+      url: entry.url,
+      matched: scriptService.matchesScript(script, request, entry.url),
+      answered: false,
+    };
+    if (!result.matched) {
+      return {
+        ...result,
+        request: { before: request, after: request, changes: [] },
+        response: { before: response, after: response, changes: [] },
+        annotations: {},
+        console: [],
+        exceptions: [],
+        runs: [],
+      };
+    }
+
+    // The same session the proxy opens for live traffic, collecting the console output and errors as well
+    const session = { request: lodash.cloneDeep(request), scripts: [script], runs: [], annotations: {}, console: [], exceptions: [] };
+    const requestHooks = await scriptService.runHooks(session, 'onRequest', session.request);
+    session.request = requestHooks.message;
+
+    let answer = response;
+    if (requestHooks.response) {
+      result.answered = true;
+      answer = await proxyService.injectCustomResponse(requestHooks.response);
+    }
+
+    let scriptedResponse;
+    let chunks;
+    const contentType = String(lodash.find(answer.headers, (value, name) => name.toLowerCase() === 'content-type') || '');
+    if (!result.answered && contentType.includes('text/event-stream') && typeof answer.body === 'string') {
+      // Streams are relayed event by event; onResponse only sees the status and headers
+      const { message: streamResponse } = await scriptService.runHooks(session, 'onResponse', { ...answer, body: null });
+      const splitter = createSseEventSplitter();
+      const events = splitter.push(answer.body).concat(splitter.flush()).filter((event) => event !== '');
+
+      const relayed = [];
+      const changes = [];
+      for (let index = 0; index < events.length; index += 1) {
+        const { message: chunk } = await scriptService.runHooks(session, 'onStreamChunk', events[index], {
+          statusCode: streamResponse.statusCode,
+          index,
+        });
+        if (chunk !== events[index]) {
+          changes.push({ index, before: events[index], after: chunk });
+        }
+        if (chunk !== null) {
+          relayed.push(chunk);
+        }
+      }
+
+      scriptedResponse = { statusCode: streamResponse.statusCode, headers: streamResponse.headers, body: relayed.join('') };
+      chunks = { total: events.length, changes };
+    } else {
+      ({ message: scriptedResponse } = await scriptService.runHooks(session, 'onResponse', lodash.cloneDeep(answer)));
+    }
+
+    return {
+      ...result,
+      request: { before: request, after: session.request, changes: objectDiff.diffValues(request, session.request) },
+      response: { before: response, after: scriptedResponse, changes: objectDiff.diffValues(response, scriptedResponse) },
+      ...(chunks ? { chunks } : {}),
+      annotations: session.annotations,
+      console: session.console,
+      exceptions: session.exceptions,
+      runs: session.runs,
+    };
+  }
+}
+
+module.exports = new ScriptTestService();
+```
+
+This `src/services/scriptTestService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash`, the `LogEntry` and `Userscript` models, the `scriptService` and `proxyService`, the `objectDiff` utility, the `createSseEventSplitter` helper, the `secretMasker` utility, the `NotFoundError` and `ScriptTestError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `ScriptTestService` class is defined with the following methods:
+     - `testScript(source, entryIds)`: Dry-runs a saved or unsaved userscript against up to 20 traffic log entries.
+     - `resolveScript(source)`: Loads the saved userscript, or validates and parses the metadata block of the unsaved one.
+     - `loadEntries(entryIds)`: Fetches the log entries in the requested order, with their credentials masked.
+     - `replayEntry(script, entry)`: Replays one logged exchange through the script's hooks.
+
+3. **Implementation Details**:
+   - Exchanges are replayed through `scriptService.runHooks()` in the order the proxy runs hooks on live traffic, with the tested script alone in the session: `onRequest`, then `onResponse`, and `onStreamChunk` for each event of a logged `text/event-stream` response, whose `onResponse` only sees the status and headers. A response a script answers with from `onRequest` goes through `onResponse` in place of the logged one, as it does live.
+   - Saved userscripts are tested whether they are enabled or not, so a script can be checked before it is turned on. The script's `match` patterns and metadata block decide which entries it applies to; entries it does not match are reported with `matched: false` and left unchanged.
+   - Each result holds the request and response before and after the hooks with their structured diff, the changed stream chunks, and the annotations, console output, exceptions and runs the hooks produced. `onError` hooks are not run, since only exchanges that got a response are logged.
+   - Nothing is forwarded upstream, stored or sent to a client. The log entries hold the traffic as it was logged, after redaction, secret masking and any hooks that ran at the time. They are masked again before they are replayed, so scripts under test never see the credentials of entries logged while masking was off.
+
+4. **Error Handling**:
+   - Unknown userscripts and log entries raise a `NotFoundError`; scripts without hooks, too few or too many entries and WebSocket frames raise a `ScriptTestError`, answered with `400 Bad Request`.
+   - Hooks fail open as they do on live traffic: their exceptions are reported with the results instead of failing the test.
+
+The generated `src/services/scriptTestService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the userscript test harness in the AI-IPST MVP.
@@ -0,0 +1,384 @@
+Here is the complete, production-ready code for `src/services/usageService.js`:
+
+```javascript
+const LogEntry = require('../models/LogEntry');
+const ProxyConfig = require('../models/ProxyConfig');
+const { hashData } = require('../utils/helpers');
+const { DatabaseError, UsageError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Dimensions the usage report can be broken down by
+const GROUP_BY = ['user', 'model', 'upstream', 'bucket'];
+const BUCKETS = ['hour', 'day', 'week', 'month'];
+
+// Rough size of a token in characters, used when the provider did not report usage
+const CHARS_PER_TOKEN = 4;
+
+class UsageService {
+  /**
+   * Work out the identity, token usage and cost of a chat exchange, for `proxyService.logProxyTraffic()`.
+   * @param {Object} request - The request as forwarded (`url`, `headers`, `body`).
+   * @param {Object|null} chat - The exchange normalized by `chatParsers.parseChatExchange()`.
+   * @param {ProxyConfig|null} [proxyConfig] - The proxy configuration, for the user header and price table.
+   * @returns {{ user: string|undefined, usage: Object|undefined, cost: Object|undefined }} - The user,
+   * the token usage (estimated where the provider did not report it), and the cost (unset if no price matches).
+   */
+  accountUsage(request, chat, proxyConfig) {
+    const usageConfig = (proxyConfig && proxyConfig.usage) || {};
+    const user = this.resolveUser(request, usageConfig.userHeader);
+    if (!chat) {
+      return { user, usage: undefined, cost: undefined };
+    }
+
+    const usage = this.measureUsage(chat);
+    const price = this.findPrice(chat.model, usageConfig.prices);
+    return { user, usage, cost: price ? this.computeCost(usage, price, usageConfig.currency) : undefined };
+  }
+
+  /**
+   * Identify the user a request was made for: the configured user header, then the user fields of
+   * the chat APIs (OpenAI `user`, Anthropic `metadata.user_id`), then a fingerprint of the API key.
+   * @param {Object} request - The request (`url`, `headers`, `body`).
+   * @param {string} [userHeader='x-user-id'] - The header carrying the user ID.
+   * @returns {string|undefined} - The user, or `undefined` if the request carries no identity.
+   */
+  resolveUser(request, userHeader = 'x-user-id') {
+    const headers = lowerCaseKeys(request.headers);
+    if (headers[userHeader.toLowerCase()]) {
+      return String(headers[userHeader.toLowerCase()]);
+    }
+
+    const body = parseJson(request.body);
+    if (body && typeof body === 'object') {
+      const bodyUser = body.user || body.safety_identifier || (body.metadata && body.metadata.user_id);
+      if (typeof bodyUser === 'string' && bodyUser) {
+        return bodyUser;
+      }
+    }
+
+    return this.resolveApiKey(request);
+  }
+
+  /**
+   * Fingerprint the API key a request was made with (the bearer token, `x-api-key`,
+   * `x-goog-api-key` or the `key` query parameter).
+   * @param {Object} request - The request (`url`, `headers`).
+   * @returns {string|undefined} - `key:` followed by the fingerprint, or `undefined` if the request carries no key.
+   */
+  resolveApiKey(request) {
+    // Never store the key itself; its fingerprint is enough to tell clients apart
+    const headers = lowerCaseKeys(request.headers);
+    const query = new URL(String(request.url), 'http://localhost').searchParams;
+    const apiKey = String(headers.authorization || '').replace(/^Bearer\s+/i, '')
+      || headers['x-api-key'] || headers['x-goog-api-key'] || query.get('key');
+    return apiKey ? `key:${hashData(String(apiKey)).slice(0, 12)}` : undefined;
+  }
+
+  /**
+   * Take the token usage reported by the provider, estimating the counts it did not report
+   * (e.g. streams without a usage event) from the size of the messages.
+   * @param {Object} chat - The normalized exchange.
+   * @returns {Object} - `inputTokens`, `outputTokens`, `totalTokens`, `cachedInputTokens`, and `estimated`.
+   */
+  measureUsage(chat) {
+    const reported = chat.usage || {};
+    const estimated = typeof reported.inputTokens !== 'number' || typeof reported.outputTokens !== 'number';
+
+    const inputTokens = typeof reported.inputTokens === 'number'
+      ? reported.inputTokens
+      : this.estimateTokens((chat.messages || []).map(messageText).join('\n') + (chat.tools && chat.tools.length > 0 ? JSON.stringify(chat.tools) : ''));
+    const outputTokens = typeof reported.outputTokens === 'number'
+      ? reported.outputTokens
+      : this.estimateTokens((chat.output || []).map(messageText).join('\n'));
+
+    const usage = {
+      inputTokens,
+      outputTokens,
+      totalTokens: estimated ? inputTokens + outputTokens : reported.totalTokens || inputTokens + outputTokens,
+      estimated,
+    };
+    if (typeof reported.cachedInputTokens === 'number') {
+      usage.cachedInputTokens = reported.cachedInputTokens;
+    }
+    return usage;
+  }
+
+  /**
+   * Estimate the number of tokens in a text.
+   * @param {string} text - The text.
+   * @returns {number} - The estimated token count.
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Find the price of a model in the price table. Entries are matched in order; a `model` ending
+   * in `*` matches every model name starting with the rest, e.g. `gpt-4o*` for dated snapshots.
+   * @param {string} model - The model name.
+   * @param {Array<Object>} [prices] - The price table.
+   * @returns {Object|null} - The matching price, or `null` if the model is not priced.
+   */
+  findPrice(model, prices) {
+    if (!model) {
+      return null;
+    }
+    return (prices || []).find((price) => (
+      price.model.endsWith('*') ? model.startsWith(price.model.slice(0, -1)) : model === price.model
+    )) || null;
+  }
+
+  /**
+   * Compute the cost of an exchange. Cached input tokens are charged at `cachedInputPerMillion`,
+   * or the input price if the table has no cached price for the model.
+   * @param {Object} usage - The token usage.
+   * @param {Object} price - The price (`inputPerMillion`, `outputPerMillion`, `cachedInputPerMillion`).
+   * @param {string} [currency='USD'] - The currency of the price table.
+   * @returns {{ input: number, output: number, total: number, currency: string }} - The cost.
+   */
+  computeCost(usage, price, currency = 'USD') {
+    const cachedInputTokens = Math.min(usage.cachedInputTokens || 0, usage.inputTokens);
+    const cachedPrice = typeof price.cachedInputPerMillion === 'number' ? price.cachedInputPerMillion : price.inputPerMillion;
+    const input = ((usage.inputTokens - cachedInputTokens) * price.inputPerMillion + cachedInputTokens * cachedPrice) / 1e6;
+    const output = (usage.outputTokens * price.outputPerMillion) / 1e6;
+
+    return { input: round(input), output: round(output), total: round(input + output), currency };
+  }
+
+  /**
+   * Aggregate the token usage and cost of the logged chat traffic.
+   * @param {Object} [filters] - `startDate`, `endDate`, `user`, `model` and `upstream` filters, the
+   * dimensions to group by (`groupBy`: a comma-separated subset of user, model, upstream, bucket;
+   * `model` by default), and the time `bucket` size (hour, day, week or month; `day` by default).
+   * @returns {Promise<Object>} - The `currency`, the overall `totals`, and the totals of each `groups` entry.
+   * @throws {UsageError} - If the grouping is invalid.
+   * @throws {DatabaseError} - If an error occurs while aggregating the traffic.
+   */
+  async getUsage(filters = {}) {
+    const groupBy = this.parseGroupBy(filters.groupBy);
+    const bucket = filters.bucket || 'day';
+    if (!BUCKETS.includes(bucket)) {
+      throw new UsageError(`Usage bucket must be one of ${BUCKETS.join(', ')}`);
+    }
+
+    const match = { type: { $ne: 'websocket' }, 'chat.provider': { $exists: true } };
+    if (filters.startDate || filters.endDate) {
+      match.createdAt = {};
+      if (filters.startDate) {
+        match.createdAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        match.createdAt.$lte = new Date(filters.endDate);
+      }
+    }
+    if (filters.user) {
+      match['client.user'] = filters.user;
+    }
+    if (filters.model) {
+      match['chat.model'] = filters.model;
+    }
+    if (filters.upstream) {
+      match['routing.upstream'] = filters.upstream;
+    }
+
+    const dimensions = {
+      user: '$client.user',
+      model: '$chat.model',
+      upstream: '$routing.upstream',
+      bucket: { $dateTrunc: { date: '$createdAt', unit: bucket } },
+    };
+    const groupId = groupBy.reduce((id, dimension) => ({ ...id, [dimension]: dimensions[dimension] }), {});
+
+    let results;
+    let proxyConfig;
+    try {
+      results = await LogEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: groupId,
+            requests: { $sum: 1 },
+            inputTokens: { $sum: '$chat.usage.inputTokens' },
+            outputTokens: { $sum: '$chat.usage.outputTokens' },
+            totalTokens: { $sum: '$chat.usage.totalTokens' },
+            cachedInputTokens: { $sum: '$chat.usage.cachedInputTokens' },
+            cost: { $sum: '$cost.total' },
+            estimatedRequests: { $sum: { $cond: [{ $eq: ['$chat.usage.estimated', true] }, 1, 0] } },
+            unpricedRequests: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost.total', null] }, null] }, 1, 0] } },
+          },
+        },
+        { $sort: { '_id.bucket': 1, cost: -1, requests: -1 } },
+      ]);
+      proxyConfig = await ProxyConfig.findOne({});
+    } catch (err) {
+      logger.error('Error aggregating usage:', err);
+      throw new DatabaseError('Error aggregating usage');
+    }
+
+    const groups = results.map(({ _id, cost, ...totals }) => ({
+      ...groupBy.reduce((keys, dimension) => ({ ...keys, [dimension]: _id[dimension] === undefined ? null : _id[dimension] }), {}),
+      ...totals,
+      cost: round(cost),
+    }));
+    const totals = groups.reduce((sum, group) => Object.keys(sum).reduce((next, key) => ({ ...next, [key]: sum[key] + group[key] }), {}), {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      cachedInputTokens: 0,
+      cost: 0,
+      estimatedRequests: 0,
+      unpricedRequests: 0,
+    });
+
+    return {
+      currency: (proxyConfig && proxyConfig.usage && proxyConfig.usage.currency) || 'USD',
+      groupBy,
+      bucket: groupBy.includes('bucket') ? bucket : undefined,
+      totals: { ...totals, cost: round(totals.cost) },
+      groups,
+    };
+  }
+
+  /**
+   * Parse the `groupBy` parameter of the usage report.
+   * @param {string|Array<string>} [groupBy] - A comma-separated list (or array) of dimensions.
+   * @returns {Array<string>} - The dimensions, `['model']` by default.
+   * @throws {UsageError} - If a dimension is unknown.
+   */
+  parseGroupBy(groupBy) {
+    if (groupBy === undefined || groupBy === '') {
+      return ['model'];
+    }
+    const dimensions = (Array.isArray(groupBy) ? groupBy : String(groupBy).split(',')).map((dimension) => dimension.trim());
+    const unknown = dimensions.find((dimension) => !GROUP_BY.includes(dimension));
+    if (unknown !== undefined) {
+      throw new UsageError(`Usage can only be grouped by ${GROUP_BY.join(', ')}`);
+    }
+    return [...new Set(dimensions)];
+  }
+
+  /**
+   * Validate the usage settings of the proxy configuration.
+   * @param {Object} usageConfig - `userHeader`, `trustUserHeader`, `currency`, and the `prices` table.
+   * @throws {UsageError} - If the settings are invalid.
+   */
+  validateUsageConfig(usageConfig) {
+    if (!usageConfig || typeof usageConfig !== 'object' || Array.isArray(usageConfig)) {
+      throw new UsageError('Usage settings must be an object');
+    }
+    if (usageConfig.userHeader !== undefined && !/^[\w-]+$/.test(String(usageConfig.userHeader))) {
+      throw new UsageError('Usage userHeader must be a header name');
+    }
+    if (usageConfig.trustUserHeader !== undefined && typeof usageConfig.trustUserHeader !== 'boolean') {
+      throw new UsageError('Usage trustUserHeader must be a boolean');
+    }
+    if (usageConfig.currency !== undefined && !/^[A-Z]{3}$/.test(String(usageConfig.currency))) {
+      throw new UsageError('Usage currency must be a three-letter currency code');
+    }
+    if (usageConfig.prices === undefined) {
+      return;
+    }
+    if (!Array.isArray(usageConfig.prices)) {
+      throw new UsageError('Usage prices must be an array');
+    }
+
+    usageConfig.prices.forEach((price, index) => {
+      const fail = (message) => {
+        throw new UsageError(`Price ${price && price.model ? `for '${price.model}'` : `at position ${index}`}: ${message}`);
+      };
+
+      if (!price || typeof price !== 'object' || typeof price.model !== 'string' || !price.model.trim()) {
+        fail('must have a model');
+      }
+      ['inputPerMillion', 'outputPerMillion'].forEach((key) => {
+        if (typeof price[key] !== 'number' || price[key] < 0) {
+          fail(`${key} must be a non-negative number`);
+        }
+      });
+      if (price.cachedInputPerMillion !== undefined && (typeof price.cachedInputPerMillion !== 'number' || price.cachedInputPerMillion < 0)) {
+        fail('cachedInputPerMillion must be a non-negative number');
+      }
+    });
+  }
+}
+
+/**
+ * Round an amount to 8 decimal places, dropping floating point noise.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} - The rounded amount.
+ */
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * The text of a normalized message, tool calls included, for token estimates.
+ *
+ * @param {Object} message - The message.
+ * @returns {string} - The text.
+ */
+function messageText(message) {
+  return [message.content || ''].concat((message.toolCalls || []).map((call) => `${call.name || ''}${call.arguments || ''}`)).join('');
+}
+
+/**
+ * Parse a JSON body that may still be text.
+ *
+ * @param {any} body - The body.
+ * @returns {any} - The parsed body, or the body itself if it is not JSON text.
+ */
+function parseJson(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+/**
+ * Copy a header map with lower-case header names.
+ *
+ * @param {Map|Object} headers - The headers.
+ * @returns {Object} - The headers, keyed by lower-case name.
+ */
+function lowerCaseKeys(headers) {
+  const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers || {});
+  return entries.reduce((result, [name, value]) => ({ ...result, [name.toLowerCase()]: value }), {});
+}
+
+module.exports = new UsageService();
+```
+
+This `src/services/usageService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `LogEntry` and `ProxyConfig` models, the `hashData` helper, the `DatabaseError` and `UsageError` error classes, and the `logger` utility.
+
+2. **Internal Structure**:
+   - The `UsageService` class is defined with the following methods:
+     - `accountUsage(request, chat, proxyConfig)`: Works out the user, token usage and cost of an exchange before it is logged.
+     - `resolveUser(request, userHeader)`: Identifies the user from the configured header, the chat APIs' user fields, or a fingerprint of the API key.
+     - `resolveApiKey(request)`: Fingerprints the API key a request was made with; the rate limits use it as well.
+     - `measureUsage(chat)` and `estimateTokens(text)`: Take the provider's token counts, estimating the missing ones at about four characters per token.
+     - `findPrice(model, prices)` and `computeCost(usage, price, currency)`: Look up the model in the price table and compute the input, output and total cost.
+     - `getUsage(filters)`: Aggregates the logged chat traffic by user, model, upstream and time bucket.
+     - `parseGroupBy(groupBy)` and `validateUsageConfig(usageConfig)`: Validate the report grouping and the usage settings of the proxy configuration.
+
+3. **Implementation Details**:
+   - The price table lives in `ProxyConfig.usage.prices`; entries are matched in order, and a trailing `*` matches model name prefixes.
+   - Cached input tokens are charged at the cached input price where the table has one.
+   - Estimated usage is flagged with `estimated: true`, and the report counts estimated and unpriced requests so the totals can be judged.
+   - API keys are never stored; only a short SHA-256 fingerprint identifies the client when nothing else does.
+
+4. **Error Handling**:
+   - Invalid settings and unknown grouping dimensions are reported with `UsageError`, and database errors with `DatabaseError`; database errors are logged using the `logger` utility.
+
+5. **Integration**:
+   - `proxyService.logProxyTraffic()` calls `accountUsage()` for every logged exchange, and the `proxyController` exposes the report under `GET /api/proxy/usage`.
+
+The generated `src/services/usageService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of usage and cost accounting in the AI-IPST MVP.
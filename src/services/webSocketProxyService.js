@@ -0,0 +1,289 @@
+Here is the complete, production-ready code for `src/services/webSocketProxyService.js`:
+
+```javascript
+const { WebSocket, WebSocketServer } = require('ws');
+const proxyService = require('./proxyService');
+const routingService = require('./routingService');
+const redactionService = require('./redactionService');
+const logger = require('../utils/logger');
+const { generateRandomToken } = require('../utils/helpers');
+
+// Mount point of the proxy; WebSocket upgrades below it are tunnelled to the target server
+const PROXY_MOUNT_PATH = '/api/proxy';
+
+// Handshake headers that the `ws` client generates itself and must not be copied from the client
+const HANDSHAKE_HEADERS = [
+  'host',
+  'connection',
+  'upgrade',
+  'sec-websocket-key',
+  'sec-websocket-version',
+  'sec-websocket-extensions',
+  'sec-websocket-protocol',
+];
+
+// Close codes that are reserved for local use and cannot be sent in a close frame
+const RESERVED_CLOSE_CODES = [1004, 1005, 1006, 1015];
+
+// Error message with which `ws` aborts a handshake that outlived its `handshakeTimeout`
+const HANDSHAKE_TIMEOUT_MESSAGE = 'Opening handshake has timed out';
+
+class WebSocketProxyService {
+  constructor() {
+    this.server = new WebSocketServer({
+      noServer: true,
+      // Accept whichever subprotocol the target server selected
+      handleProtocols: (protocols, req) => req.upstreamProtocol || false,
+    });
+  }
+
+  /**
+   * Handle an HTTP upgrade request on the application server.
+   * Upgrades below `/api/proxy` are tunnelled to the target server; all others are rejected.
+   * @param {http.IncomingMessage} req - The upgrade request.
+   * @param {net.Socket} socket - The client socket.
+   * @param {Buffer} head - The first packet of the upgraded stream.
+   * @returns {Promise<void>}
+   */
+  async handleUpgrade(req, socket, head) {
+    try {
+      if (req.url !== PROXY_MOUNT_PATH && !req.url.startsWith(`${PROXY_MOUNT_PATH}/`)) {
+        this.rejectUpgrade(socket, 404, 'Not Found');
+        return;
+      }
+
+      const path = req.url.slice(PROXY_MOUNT_PATH.length) || '/';
+      const proxyConfig = await proxyService.getProxyConfig();
+      const route = routingService.resolveRoute({ url: path, headers: req.headers }, proxyConfig);
+      const connection = {
+        connectionId: generateRandomToken(16),
+        url: proxyService.buildTargetUrl(path, route.upstream, 'ws'),
+        headers: this.filterHandshakeHeaders(req.headers),
+        route,
+        proxyConfig,
+        scripts: await proxyService.loadWebSocketScripts(proxyConfig),
+      };
+
+      const upstream = await this.connectUpstream(connection, req.headers['sec-websocket-protocol']);
+      req.upstreamProtocol = upstream.protocol;
+
+      // The client may have given up while the target server was being reached
+      if (socket.destroyed) {
+        logger.info(`WebSocket client went away before the tunnel opened (connection: ${connection.connectionId})`);
+        upstream.terminate();
+        return;
+      }
+
+      this.server.handleUpgrade(req, socket, head, (client) => {
+        logger.info(`WebSocket tunnel opened (connection: ${connection.connectionId}, target: ${connection.url})`);
+        this.tunnel(connection, client, upstream);
+      });
+    } catch (err) {
+      logger.error('Error upgrading WebSocket proxy connection:', err);
+      if (err.code === 'ETIMEDOUT') {
+        this.rejectUpgrade(socket, 504, 'Gateway Timeout');
+      } else {
+        this.rejectUpgrade(socket, 502, 'Bad Gateway');
+      }
+    }
+  }
+
+  /**
+   * Open the WebSocket connection to the target server.
+   * The handshake is given the same `retry.timeoutMs` as HTTP attempts; one that outlives it rejects with `ETIMEDOUT`.
+   * @param {Object} connection - The tunnelled connection (`connectionId`, `url`, `headers`, `route`, `proxyConfig`).
+   * @param {string} [protocolHeader] - The subprotocols requested by the client.
+   * @returns {Promise<WebSocket>} - The open upstream socket.
+   */
+  connectUpstream(connection, protocolHeader) {
+    return new Promise((resolve, reject) => {
+      const protocols = protocolHeader ? protocolHeader.split(',').map((protocol) => protocol.trim()) : [];
+      const { timeoutMs } = proxyService.getRetrySettings(connection.proxyConfig);
+      const upstream = new WebSocket(connection.url, protocols, {
+        headers: connection.headers,
+        handshakeTimeout: timeoutMs > 0 ? timeoutMs : undefined,
+        ...proxyService.buildTlsOptions(connection.route.upstream),
+      });
+
+      const onError = (err) => {
+        if (err.message === HANDSHAKE_TIMEOUT_MESSAGE) {
+          err.code = 'ETIMEDOUT';
+        }
+        reject(err);
+      };
+
+      upstream.once('open', () => {
+        upstream.removeListener('error', onError);
+        resolve(upstream);
+      });
+      upstream.once('error', onError);
+    });
+  }
+
+  /**
+   * Relay frames between the client and the target server until either side closes.
+   * Frames are processed strictly in order per direction; each one passes through
+   * `proxyService.modifyWebSocketFrame()` and is logged as its own traffic entry.
+   * @param {Object} connection - The tunnelled connection.
+   * @param {WebSocket} client - The client socket.
+   * @param {WebSocket} upstream - The target server socket.
+   */
+  tunnel(connection, client, upstream) {
+    const pipe = (source, destination, direction) => {
+      let queue = Promise.resolve();
+
+      source.on('message', (data, isBinary) => {
+        queue = queue
+          .then(() => this.relayFrame(connection, destination, { direction, data: isBinary ? data : data.toString('utf8'), isBinary }))
+          .catch((err) => {
+            logger.error(`Error relaying WebSocket frame (connection: ${connection.connectionId}):`, err);
+            client.terminate();
+            upstream.terminate();
+          });
+      });
+
+      source.on('close', (code, reason) => {
+        queue.then(() => this.closeSocket(destination, code, reason));
+      });
+
+      source.on('error', (err) => {
+        logger.error(`WebSocket ${direction} error (connection: ${connection.connectionId}):`, err);
+        destination.terminate();
+      });
+    };
+
+    pipe(client, upstream, 'client-to-server');
+    pipe(upstream, client, 'server-to-client');
+  }
+
+  /**
+   * Modify, redact, log and forward a single frame.
+   * Like the HTTP hooks, failing userscripts leave the frame unchanged, and a frame that cannot
+   * be logged is still relayed, so neither ends a live session.
+   * @param {Object} connection - The tunnelled connection.
+   * @param {WebSocket} destination - The socket to forward the frame to.
+   * @param {Object} frame - The frame (`direction`, `data`, `isBinary`).
+   * @returns {Promise<void>}
+   */
+  async relayFrame(connection, destination, frame) {
+    let modifiedFrame;
+    try {
+      modifiedFrame = await proxyService.modifyWebSocketFrame(frame, connection);
+    } catch (err) {
+      logger.error(`WebSocket scripts failed, relaying the frame unchanged (connection: ${connection.connectionId}):`, err);
+      modifiedFrame = { ...frame, modified: false, dropped: false };
+    }
+
+    // Text sent upstream passes through the redaction detectors, like request bodies do
+    if (modifiedFrame.direction === 'client-to-server' && !modifiedFrame.isBinary && !modifiedFrame.dropped) {
+      modifiedFrame = this.redactFrame(connection, modifiedFrame);
+    }
+
+    if (!modifiedFrame.dropped && destination.readyState === WebSocket.OPEN) {
+      destination.send(modifiedFrame.data, { binary: modifiedFrame.isBinary });
+    }
+
+    try {
+      await proxyService.logWebSocketFrame(connection, modifiedFrame, connection.proxyConfig);
+    } catch (err) {
+      // Already logged by `logWebSocketFrame()`; the frame has been relayed regardless
+    }
+  }
+
+  /**
+   * Apply the `upstream` actions of the redaction detectors to a text frame bound for the target server.
+   * Tokens are not restored in the server's frames, as each frame is redacted on its own.
+   * @param {Object} connection - The tunnelled connection, with its `proxyConfig`.
+   * @param {Object} frame - The frame.
+   * @returns {Object} - The frame with its matches replaced and listed under `redaction`, or dropped if a `block` detector matched.
+   */
+  redactFrame(connection, frame) {
+    try {
+      const { request, matches } = redactionService.redactRequest({ url: connection.url, headers: connection.headers, body: frame.data }, connection.proxyConfig);
+      return matches.length > 0 ? { ...frame, data: request.body, modified: true, redaction: matches } : frame;
+    } catch (err) {
+      if (err.name !== 'RedactionBlockedError') {
+        throw err;
+      }
+      return { ...frame, modified: true, dropped: true };
+    }
+  }
+
+  /**
+   * Close a socket, propagating the peer's close code where the protocol allows it.
+   * @param {WebSocket} socket - The socket to close.
+   * @param {number} code - The close code received from the peer.
+   * @param {Buffer} reason - The close reason received from the peer.
+   */
+  closeSocket(socket, code, reason) {
+    if (socket.readyState === WebSocket.CLOSING || socket.readyState === WebSocket.CLOSED) {
+      return;
+    }
+    if (!code || RESERVED_CLOSE_CODES.includes(code)) {
+      socket.close();
+    } else {
+      socket.close(code, reason);
+    }
+  }
+
+  /**
+   * Copy the client's handshake headers that should reach the target server.
+   * @param {Object} headers - The client's upgrade request headers.
+   * @returns {Object} - The headers to send upstream.
+   */
+  filterHandshakeHeaders(headers) {
+    const filtered = {};
+    Object.keys(headers).forEach((headerKey) => {
+      if (!HANDSHAKE_HEADERS.includes(headerKey)) {
+        filtered[headerKey] = headers[headerKey];
+      }
+    });
+    return filtered;
+  }
+
+  /**
+   * Refuse an upgrade by writing a plain HTTP response to the raw socket.
+   * @param {net.Socket} socket - The client socket.
+   * @param {number} statusCode - The HTTP status code.
+   * @param {string} statusMessage - The HTTP status message.
+   */
+  rejectUpgrade(socket, statusCode, statusMessage) {
+    if (socket.writable) {
+      socket.write(`HTTP/1.1 ${statusCode} ${statusMessage}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    }
+    socket.destroy();
+  }
+}
+
+module.exports = new WebSocketProxyService();
+```
+
+This `src/services/webSocketProxyService.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `WebSocket` and `WebSocketServer` from the `ws` package, the `proxyService` and `routingService`, the `logger` utility, and the `generateRandomToken` helper.
+
+2. **Internal Structure**:
+   - The `WebSocketProxyService` class is defined with the following methods:
+     - `handleUpgrade(req, socket, head)`: Accepts HTTP upgrades below `/api/proxy` and tunnels them to the upstream selected by the `routingService`.
+     - `connectUpstream(connection, protocolHeader)`: Opens the WebSocket connection to the target server, forwarding the client's headers and subprotocols, applying the upstream's TLS settings, and giving the handshake the `retry.timeoutMs` that HTTP attempts get.
+     - `tunnel(connection, client, upstream)`: Relays frames in both directions and propagates close and error events.
+     - `relayFrame(connection, destination, frame)`: Passes a frame through `proxyService.modifyWebSocketFrame()` and, for frames bound upstream, `redactFrame()`, forwards it unless it was dropped, and logs it.
+     - `redactFrame(connection, frame)`: Applies the `upstream` actions of the redaction detectors to a text frame sent to the target server; a `block` match drops the frame.
+     - `closeSocket()`, `filterHandshakeHeaders()` and `rejectUpgrade()`: Connection housekeeping helpers.
+
+3. **Implementation Details**:
+   - The upstream connection is opened before the client handshake completes, so the client only sees a successful upgrade once the target server has accepted it, and receives the subprotocol the target server selected. If the client has disconnected by then, the upstream connection is terminated.
+   - The WebSocket userscripts are resolved once when the tunnel opens and reused for every frame of the connection.
+   - Frames are queued per direction, so frames are relayed and logged in the order they were received even though userscripts run asynchronously.
+   - Every frame, in both directions, is recorded as its own `LogEntry` of type `websocket`, including frames that a userscript or a redaction detector dropped, and is redacted for the logs like any other traffic.
+
+4. **Error Handling**:
+   - If the target server cannot be reached, the client receives a `502 Bad Gateway` response to its upgrade request, or `504 Gateway Timeout` if the handshake did not complete within `retry.timeoutMs`.
+   - Failing WebSocket userscripts and traffic log writes are logged using the `logger` utility without interrupting the tunnel: the frame is relayed unchanged, or relayed without a log entry. Other errors while relaying a frame terminate both sides of the tunnel.
+
+5. **Integration**:
+   - `app.js` passes the HTTP server's `upgrade` events to `handleUpgrade()`.
+   - Frame rewriting and logging are delegated to the `proxyService`, which runs the userscripts listed in `ProxyConfig.webSocketScripts`.
+
+The generated `src/services/webSocketProxyService.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the WebSocket interception functionality in the AI-IPST MVP.
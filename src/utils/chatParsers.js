@@ -0,0 +1,648 @@
+Here is the complete, production-ready code for `src/utils/chatParsers.js`:
+
+```javascript
+/**
+ * Provider-aware chat payload parsing for the AI Interaction Proxy & Scripting Toolkit (AI-IPST) MVP.
+ *
+ * `parseChatExchange()` recognizes the request and response bodies of the major LLM chat APIs
+ * and normalizes them into a single conversation model, stored as `LogEntry.chat`:
+ *
+ * {
+ *   provider: 'openai' | 'anthropic' | 'gemini',       // the API family the payload follows
+ *   api: 'chat.completions' | 'responses' | 'messages' | 'generateContent',
+ *   model: 'gpt-4o',
+ *   responseId: 'resp_abc123',                           // the provider's ID for the response
+ *   stream: false,
+ *   system: 'You are terse.',                            // all system/developer instructions, joined
+ *   messages: [                                          // the conversation sent by the client
+ *     { role: 'system' | 'user' | 'assistant' | 'tool', content, toolCalls, toolCallId },
+ *   ],
+ *   output: [{ role: 'assistant', content, toolCalls }], // what the model answered
+ *   tools: [{ name, description, parameters }],
+ *   stopReason: 'stop' | 'length' | 'tool_calls' | 'content_filter' | <provider value>,
+ *   usage: { inputTokens, outputTokens, totalTokens, cachedInputTokens },
+ * }
+ *
+ * The API is recognized from the request path and body, so OpenAI-compatible providers and
+ * gateways that keep the upstream paths (`.../chat/completions`, `.../v1/messages`) are parsed as
+ * well. Streamed responses are reassembled from the logged Server-Sent Events transcript. Message
+ * content is flattened to text; non-text parts (images, files, audio) are kept as placeholders
+ * such as `[image]`.
+ */
+
+// Each API is recognized by its path and the shape of its request body
+const APIS = [
+  { provider: 'openai', api: 'chat.completions', pattern: /\/chat\/completions$/, accepts: (body) => Array.isArray(body.messages) },
+  { provider: 'openai', api: 'responses', pattern: /\/responses$/, accepts: (body) => body.input !== undefined },
+  { provider: 'anthropic', api: 'messages', pattern: /\/messages$/, accepts: (body) => Array.isArray(body.messages) },
+  { provider: 'gemini', api: 'generateContent', pattern: /\/models\/[^/]+:(stream)?generateContent$/i, accepts: (body) => Array.isArray(body.contents) },
+];
+
+// Provider stop reasons mapped onto the OpenAI vocabulary; unknown values are kept as they are
+const STOP_REASONS = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  completed: 'stop',
+  STOP: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  max_output_tokens: 'length',
+  MAX_TOKENS: 'length',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  tool_use: 'tool_calls',
+  content_filter: 'content_filter',
+  refusal: 'content_filter',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+};
+
+/**
+ * Parse a JSON body that may still be text.
+ *
+ * @param {any} body - The body as logged.
+ * @returns {any} - The parsed body, or the body itself if it is not JSON text.
+ */
+function parseJson(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+/**
+ * Parse a Server-Sent Events transcript into its `data` payloads.
+ *
+ * @param {string} text - The transcript.
+ * @returns {Array<{ event: string, data: any }>} - The events, with JSON data parsed.
+ */
+function parseSseEvents(text) {
+  return text.split(/\r?\n\r?\n/).reduce((events, block) => {
+    const lines = block.split(/\r?\n/);
+    const dataLines = lines.filter((line) => line.startsWith('data:')).map((line) => line.slice(5).replace(/^ /, ''));
+    if (dataLines.length === 0) {
+      return events;
+    }
+    const eventLine = lines.find((line) => line.startsWith('event:'));
+    const data = dataLines.join('\n');
+    events.push({ event: eventLine ? eventLine.slice(6).trim() : undefined, data: data === '[DONE]' ? data : parseJson(data) });
+    return events;
+  }, []);
+}
+
+/**
+ * Flatten message content into text.
+ *
+ * @param {any} content - A string, or an array of content parts in any of the supported formats.
+ * @returns {string|undefined} - The text, or `undefined` if there is none.
+ */
+function textOf(content) {
+  if (content === undefined || content === null) {
+    return undefined;
+  }
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return textOf([content]);
+  }
+
+  const texts = content.map((part) => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    if (!part || typeof part !== 'object') {
+      return undefined;
+    }
+    if (typeof part.text === 'string') {
+      return part.text;
+    }
+    if (part.type === 'refusal') {
+      return part.refusal;
+    }
+    if (part.type === 'tool_result' || part.type === 'tool_use' || part.functionCall || part.functionResponse) {
+      return undefined;
+    }
+    if (/image/.test(part.type || '') || part.image_url) {
+      return '[image]';
+    }
+    if (part.inlineData || part.fileData || /file|document|audio/.test(part.type || '')) {
+      return `[${part.type || 'file'}]`;
+    }
+    return undefined;
+  }).filter((text) => text !== undefined);
+
+  return texts.length > 0 ? texts.join('\n') : undefined;
+}
+
+/**
+ * Serialize tool call arguments as the JSON text OpenAI uses.
+ *
+ * @param {any} args - The arguments, as text or as an object.
+ * @returns {string} - The arguments as JSON text.
+ */
+function argumentsOf(args) {
+  return typeof args === 'string' ? args : JSON.stringify(args === undefined ? {} : args);
+}
+
+/**
+ * Build a normalized message, leaving out empty fields.
+ *
+ * @param {string} role - The normalized role.
+ * @param {Object} fields - `content`, `toolCalls` and `toolCallId`.
+ * @returns {Object} - The message.
+ */
+function message(role, { content, toolCalls, toolCallId } = {}) {
+  const result = { role };
+  if (content !== undefined) {
+    result.content = content;
+  }
+  if (toolCalls && toolCalls.length > 0) {
+    result.toolCalls = toolCalls;
+  }
+  if (toolCallId !== undefined) {
+    result.toolCallId = toolCallId;
+  }
+  return result;
+}
+
+/**
+ * Normalize token usage, leaving out counts the provider did not report.
+ *
+ * @param {Object} counts - `inputTokens`, `outputTokens`, `totalTokens` and `cachedInputTokens`.
+ * @returns {Object|undefined} - The usage, or `undefined` if nothing was reported.
+ */
+function usageOf(counts) {
+  const usage = Object.keys(counts).reduce((result, key) => (
+    typeof counts[key] === 'number' ? { ...result, [key]: counts[key] } : result
+  ), {});
+  if (Object.keys(usage).length === 0) {
+    return undefined;
+  }
+  if (usage.totalTokens === undefined && usage.inputTokens !== undefined && usage.outputTokens !== undefined) {
+    usage.totalTokens = usage.inputTokens + usage.outputTokens;
+  }
+  return usage;
+}
+
+/**
+ * Map a provider stop reason onto the normalized vocabulary.
+ *
+ * @param {string} reason - The provider's stop reason.
+ * @returns {string|undefined} - The normalized stop reason.
+ */
+function stopReasonOf(reason) {
+  if (!reason) {
+    return undefined;
+  }
+  return STOP_REASONS[reason] || reason;
+}
+
+// OpenAI Chat Completions
+
+const openAiChat = {
+  parseRequest(body) {
+    const messages = (body.messages || []).map((item) => message(
+      item.role === 'developer' ? 'system' : item.role,
+      {
+        content: textOf(item.content),
+        toolCalls: (item.tool_calls || []).map((call) => ({
+          id: call.id,
+          name: call.function && call.function.name,
+          arguments: argumentsOf(call.function && call.function.arguments),
+        })),
+        toolCallId: item.tool_call_id,
+      }
+    ));
+    const tools = (body.tools || []).map((tool) => tool.function || { name: tool.type })
+      .concat(body.functions || [])
+      .map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+    return { model: body.model, stream: Boolean(body.stream), messages, tools };
+  },
+
+  parseResponse(body) {
+    const choices = body.choices || [];
+    const usage = body.usage || {};
+    return {
+      model: body.model,
+      responseId: body.id,
+      output: choices.map((choice) => this.parseRequest({ messages: [choice.message || {}] }).messages[0]),
+      stopReason: stopReasonOf(choices[0] && choices[0].finish_reason),
+      usage: usageOf({
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens,
+        totalTokens: usage.total_tokens,
+        cachedInputTokens: usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens,
+      }),
+    };
+  },
+
+  parseStream(chunks) {
+    const choices = [];
+    let id;
+    let model;
+    let usage;
+
+    chunks.forEach((chunk) => {
+      id = chunk.id || id;
+      model = chunk.model || model;
+      usage = chunk.usage || usage;
+      (chunk.choices || []).forEach((choice) => {
+        const index = choice.index || 0;
+        const assembled = choices[index] || (choices[index] = { message: { role: 'assistant', content: '', tool_calls: [] } });
+        const delta = choice.delta || {};
+        if (delta.content) {
+          assembled.message.content += delta.content;
+        }
+        (delta.tool_calls || []).forEach((callDelta) => {
+          const callIndex = callDelta.index || 0;
+          const call = assembled.message.tool_calls[callIndex]
+            || (assembled.message.tool_calls[callIndex] = { id: callDelta.id, function: { name: '', arguments: '' } });
+          call.id = callDelta.id || call.id;
+          if (callDelta.function) {
+            call.function.name += callDelta.function.name || '';
+            call.function.arguments += callDelta.function.arguments || '';
+          }
+        });
+        assembled.finish_reason = choice.finish_reason || assembled.finish_reason;
+      });
+    });
+
+    choices.forEach((choice) => {
+      if (!choice.message.content) {
+        delete choice.message.content;
+      }
+    });
+    return this.parseResponse({ id, model, choices: choices.filter(Boolean), usage });
+  },
+};
+
+// OpenAI Responses
+
+const openAiResponses = {
+  parseItems(items) {
+    return items.reduce((messages, item) => {
+      if (item.type === 'function_call') {
+        messages.push(message('assistant', { toolCalls: [{ id: item.call_id, name: item.name, arguments: argumentsOf(item.arguments) }] }));
+      } else if (item.type === 'function_call_output') {
+        messages.push(message('tool', { content: textOf(item.output), toolCallId: item.call_id }));
+      } else if (item.role) {
+        messages.push(message(item.role === 'developer' ? 'system' : item.role, { content: textOf(item.content) }));
+      }
+      return messages;
+    }, []);
+  },
+
+  parseRequest(body) {
+    const input = typeof body.input === 'string' ? [{ role: 'user', content: body.input }] : body.input || [];
+    const messages = (body.instructions ? [message('system', { content: body.instructions })] : []).concat(this.parseItems(input));
+    const tools = (body.tools || []).map((tool) => ({
+      name: tool.name || tool.type,
+      description: tool.description,
+      parameters: tool.parameters,
+    }));
+
+    return { model: body.model, stream: Boolean(body.stream), messages, tools };
+  },
+
+  parseResponse(body) {
+    const items = this.parseItems((body.output || []).filter((item) => item.type === 'message' || item.type === 'function_call'));
+    const output = items.length === 0 ? [] : [message('assistant', {
+      content: textOf(items.map((item) => item.content).filter((content) => content !== undefined)),
+      toolCalls: items.reduce((calls, item) => calls.concat(item.toolCalls || []), []),
+    })];
+    const hasToolCalls = output.length > 0 && Boolean(output[0].toolCalls);
+    const usage = body.usage || {};
+
+    let stopReason = body.status;
+    if (body.status === 'incomplete') {
+      stopReason = body.incomplete_details && body.incomplete_details.reason;
+    } else if (body.status === 'completed' && hasToolCalls) {
+      stopReason = 'tool_calls';
+    }
+
+    return {
+      model: body.model,
+      responseId: body.id,
+      output,
+      stopReason: stopReasonOf(stopReason),
+      usage: usageOf({
+        inputTokens: usage.input_tokens,
+        outputTokens: usage.output_tokens,
+        totalTokens: usage.total_tokens,
+        cachedInputTokens: usage.input_tokens_details && usage.input_tokens_details.cached_tokens,
+      }),
+    };
+  },
+
+  parseStream(chunks) {
+    // The final event carries the whole response; fall back to the text deltas if the stream was cut short
+    const final = chunks.filter((chunk) => /^response\.(completed|incomplete|failed)$/.test(chunk.type) && chunk.response).pop();
+    if (final) {
+      return this.parseResponse(final.response);
+    }
+
+    const created = chunks.find((chunk) => chunk.response);
+    const text = chunks.filter((chunk) => chunk.type === 'response.output_text.delta').map((chunk) => chunk.delta).join('');
+    return {
+      model: created && created.response.model,
+      responseId: created && created.response.id,
+      output: text ? [message('assistant', { content: text })] : [],
+    };
+  },
+};
+
+// Anthropic Messages
+
+const anthropicMessages = {
+  parseContent(role, content) {
+    if (!Array.isArray(content)) {
+      return [message(role, { content: textOf(content) })];
+    }
+
+    // Tool results travel in user turns; each becomes a tool message of its own
+    const toolResults = content.filter((block) => block.type === 'tool_result')
+      .map((block) => message('tool', { content: textOf(block.content), toolCallId: block.tool_use_id }));
+    const rest = content.filter((block) => block.type !== 'tool_result');
+    const toolCalls = rest.filter((block) => block.type === 'tool_use' || block.type === 'server_tool_use')
+      .map((block) => ({ id: block.id, name: block.name, arguments: argumentsOf(block.input) }));
+    const text = textOf(rest);
+
+    return toolResults.concat(text !== undefined || toolCalls.length > 0 ? [message(role, { content: text, toolCalls })] : []);
+  },
+
+  parseRequest(body) {
+    const system = textOf(body.system);
+    const messages = (system !== undefined ? [message('system', { content: system })] : [])
+      .concat(...(body.messages || []).map((item) => this.parseContent(item.role, item.content)));
+    const tools = (body.tools || []).map((tool) => ({
+      name: tool.name || tool.type,
+      description: tool.description,
+      parameters: tool.input_schema,
+    }));
+
+    return { model: body.model, stream: Boolean(body.stream), messages, tools };
+  },
+
+  parseResponse(body) {
+    const usage = body.usage || {};
+    const cachedInputTokens = usage.cache_read_input_tokens;
+    const inputTokens = typeof usage.input_tokens === 'number'
+      ? usage.input_tokens + (usage.cache_creation_input_tokens || 0) + (cachedInputTokens || 0)
+      : undefined;
+
+    return {
+      model: body.model,
+      responseId: body.id,
+      output: body.content ? this.parseContent('assistant', body.content) : [],
+      stopReason: stopReasonOf(body.stop_reason),
+      usage: usageOf({ inputTokens, outputTokens: usage.output_tokens, cachedInputTokens }),
+    };
+  },
+
+  parseStream(chunks) {
+    const assembled = { content: [], usage: {} };
+    const partialJson = [];
+
+    chunks.forEach((chunk) => {
+      if (chunk.type === 'message_start' && chunk.message) {
+        assembled.id = chunk.message.id;
+        assembled.model = chunk.message.model;
+        Object.assign(assembled.usage, chunk.message.usage);
+      } else if (chunk.type === 'content_block_start' && chunk.content_block) {
+        assembled.content[chunk.index] = { ...chunk.content_block };
+      } else if (chunk.type === 'content_block_delta' && chunk.delta && assembled.content[chunk.index]) {
+        const block = assembled.content[chunk.index];
+        if (chunk.delta.type === 'text_delta') {
+          block.text = (block.text || '') + chunk.delta.text;
+        } else if (chunk.delta.type === 'input_json_delta') {
+          partialJson[chunk.index] = (partialJson[chunk.index] || '') + chunk.delta.partial_json;
+        }
+      } else if (chunk.type === 'message_delta') {
+        assembled.stop_reason = (chunk.delta && chunk.delta.stop_reason) || assembled.stop_reason;
+        Object.assign(assembled.usage, chunk.usage);
+      }
+    });
+
+    partialJson.forEach((json, index) => {
+      if (json && assembled.content[index]) {
+        assembled.content[index].input = parseJson(json);
+      }
+    });
+    assembled.content = assembled.content.filter(Boolean);
+    return this.parseResponse(assembled);
+  },
+};
+
+// Gemini generateContent
+
+const geminiGenerateContent = {
+  parseContent(content) {
+    const parts = (content && content.parts) || [];
+    const functionResponses = parts.filter((part) => part.functionResponse)
+      .map(({ functionResponse }) => message('tool', {
+        content: argumentsOf(functionResponse.response),
+        toolCallId: functionResponse.id || functionResponse.name,
+      }));
+    const toolCalls = parts.filter((part) => part.functionCall)
+      .map(({ functionCall }) => ({ id: functionCall.id, name: functionCall.name, arguments: argumentsOf(functionCall.args) }));
+    const text = textOf(parts.filter((part) => !part.thought));
+    const role = content && content.role === 'model' ? 'assistant' : 'user';
+
+    return functionResponses.concat(text !== undefined || toolCalls.length > 0 ? [message(role, { content: text, toolCalls })] : []);
+  },
+
+  parseRequest(body, url) {
+    const instruction = body.systemInstruction || body.system_instruction;
+    const system = instruction && textOf(instruction.parts);
+    const messages = (system !== undefined ? [message('system', { content: system })] : [])
+      .concat(...(body.contents || []).map((content) => this.parseContent(content)));
+    const tools = (body.tools || []).reduce((declarations, tool) => (
+      declarations.concat(tool.functionDeclarations || tool.function_declarations || [])
+    ), []).map(({ name, description, parameters }) => ({ name, description, parameters }));
+    const [, model, method] = url.match(/\/models\/([^/:]+):(\w+)/) || [];
+
+    return { model, stream: /^stream/i.test(method || ''), messages, tools };
+  },
+
+  parseResponse(body) {
+    const candidate = (body.candidates || [])[0] || {};
+    const output = this.parseContent(candidate.content || { role: 'model' });
+    const usage = body.usageMetadata || {};
+    const hasToolCalls = output.some((item) => item.toolCalls);
+
+    return {
+      model: body.modelVersion,
+      responseId: body.responseId,
+      output,
+      stopReason: hasToolCalls && candidate.finishReason === 'STOP' ? 'tool_calls' : stopReasonOf(candidate.finishReason),
+      usage: usageOf({
+        inputTokens: usage.promptTokenCount,
+        outputTokens: usage.candidatesTokenCount,
+        totalTokens: usage.totalTokenCount,
+        cachedInputTokens: usage.cachedContentTokenCount,
+      }),
+    };
+  },
+
+  parseStream(chunks) {
+    const parts = [];
+    let finishReason;
+    chunks.forEach((chunk) => {
+      const candidate = (chunk.candidates || [])[0] || {};
+      parts.push(...((candidate.content && candidate.content.parts) || []));
+      finishReason = candidate.finishReason || finishReason;
+    });
+
+    // Consecutive text parts are fragments of the same answer
+    const merged = parts.reduce((result, part) => {
+      const last = result[result.length - 1];
+      if (last && typeof last.text === 'string' && typeof part.text === 'string' && !last.thought && !part.thought) {
+        last.text += part.text;
+      } else {
+        result.push({ ...part });
+      }
+      return result;
+    }, []);
+    const last = chunks.filter((chunk) => chunk.usageMetadata || chunk.modelVersion).pop() || {};
+    const identified = chunks.find((chunk) => chunk.responseId) || {};
+
+    return this.parseResponse({
+      candidates: [{ content: { role: 'model', parts: merged }, finishReason }],
+      usageMetadata: last.usageMetadata,
+      modelVersion: last.modelVersion,
+      responseId: identified.responseId,
+    });
+  },
+};
+
+const PARSERS = {
+  'chat.completions': openAiChat,
+  responses: openAiResponses,
+  messages: anthropicMessages,
+  generateContent: geminiGenerateContent,
+};
+
+/**
+ * Recognize the chat API a request was sent to.
+ *
+ * @param {string} url - The request URL or path.
+ * @param {Object} body - The parsed request body.
+ * @returns {{ provider: string, api: string }|null} - The API, or `null` if it is not a chat API.
+ */
+function detectApi(url, body) {
+  const path = String(url || '').replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0].replace(/\/+$/, '');
+  const match = APIS.find(({ pattern, accepts }) => pattern.test(path) && accepts(body));
+  return match ? { provider: match.provider, api: match.api } : null;
+}
+
+/**
+ * Parse the response half of an exchange, buffered or streamed.
+ *
+ * @param {Object} parser - The API's parser.
+ * @param {any} responseBody - The logged response body.
+ * @returns {Object} - `model`, `responseId`, `output`, `stopReason` and `usage`, as far as they are known.
+ */
+function parseResponseBody(parser, responseBody) {
+  if (typeof responseBody === 'string' && /(^|\n)data:/.test(responseBody)) {
+    const chunks = parseSseEvents(responseBody).map((event) => event.data).filter((data) => data && typeof data === 'object');
+    return parser.parseStream(chunks);
+  }
+
+  const body = parseJson(responseBody);
+  if (Array.isArray(body)) {
+    // Gemini streams without `alt=sse` as one JSON array of chunks
+    return parser.parseStream(body);
+  }
+  if (!body || typeof body !== 'object' || body.error) {
+    return {};
+  }
+  return parser.parseResponse(body);
+}
+
+/**
+ * Parse a logged chat exchange into the normalized conversation model.
+ *
+ * Parsing is best effort: a payload that does not look like the recognized API yields `null`,
+ * and a response that cannot be parsed (e.g. an error response) only leaves the response fields unset.
+ *
+ * @param {Object} exchange - The exchange, shaped like a log entry (`url`, `body`, `responseBody`).
+ * @returns {Object|null} - The normalized conversation, or `null` if the exchange is not a chat API call.
+ */
+function parseChatExchange({ url, body, responseBody }) {
+  const requestBody = parseJson(body);
+  if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) {
+    return null;
+  }
+  const detected = detectApi(url, requestBody);
+  if (!detected) {
+    return null;
+  }
+
+  try {
+    const parser = PARSERS[detected.api];
+    const request = parser.parseRequest(requestBody, String(url));
+    const response = parseResponseBody(parser, responseBody);
+    const system = request.messages.filter((item) => item.role === 'system').map((item) => item.content).filter(Boolean);
+
+    return {
+      ...detected,
+      model: response.model || request.model,
+      responseId: response.responseId,
+      stream: request.stream,
+      system: system.length > 0 ? system.join('\n\n') : undefined,
+      messages: request.messages,
+      output: response.output || [],
+      tools: request.tools,
+      stopReason: response.stopReason,
+      usage: response.usage,
+    };
+  } catch (err) {
+    // Payloads that merely share a path with a chat API are not worth failing the log entry over
+    return null;
+  }
+}
+
+module.exports = {
+  detectApi,
+  parseChatExchange,
+  parseSseEvents,
+  textOf,
+};
+```
+
+This `src/utils/chatParsers.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file has no dependencies; it works on the request and response bodies as they are logged.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `parseChatExchange(exchange)`: Normalizes a logged chat exchange into the provider, API, model, response ID, system prompt, messages, model output, tool definitions, stop reason and token usage.
+     - `detectApi(url, body)`: Recognizes the chat API from the request path and the shape of the request body.
+     - `parseSseEvents(text)`: Parses a logged Server-Sent Events transcript into its data payloads.
+     - `textOf(content)`: Flattens message content in any of the supported formats into text.
+   - One parser per API (`openAiChat`, `openAiResponses`, `anthropicMessages`, `geminiGenerateContent`) implements `parseRequest`, `parseResponse` and `parseStream`.
+
+3. **Implementation Details**:
+   - OpenAI Chat Completions and Responses, Anthropic Messages, and Gemini `generateContent`/`streamGenerateContent` payloads are recognized.
+   - System and developer instructions, including Anthropic's top-level `system` and Gemini's `systemInstruction`, become leading `system` messages and are also joined into `system`.
+   - Tool calls and tool results are normalized to OpenAI's shape (`toolCalls: [{ id, name, arguments }]`, `toolCallId`), with arguments as JSON text.
+   - Streamed responses are reassembled from the SSE transcript (or Gemini's JSON array of chunks), including streamed tool call arguments and the usage reported in the final events.
+   - Stop reasons are mapped onto `stop`, `length`, `tool_calls` and `content_filter`; unknown values are kept as they are.
+   - Token usage is normalized to `inputTokens`, `outputTokens`, `totalTokens` and `cachedInputTokens`. Anthropic's cache reads and writes are counted as input tokens.
+
+4. **Error Handling**:
+   - Parsing is best effort and never throws: payloads that do not match the recognized API yield `null`, and unparseable or error responses leave the response fields unset.
+
+The generated `src/utils/chatParsers.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of chat payload parsing in the AI-IPST MVP.
@@ -0,0 +1,296 @@
+Here is the complete, production-ready code for `src/utils/har.js`:
+
+```javascript
+const http = require('http');
+const { HarFormatError } = require('./errors');
+
+/**
+ * HAR 1.2 conversion for the AI Interaction Proxy & Scripting Toolkit (AI-IPST) MVP.
+ *
+ * `toHar()` turns HTTP `LogEntry` documents into a HAR log that opens in browser devtools, and
+ * `fromHar()` turns the entries of a HAR file captured in a browser back into `LogEntry` data.
+ * See http://www.softwareishard.com/blog/har-12-spec/ for the format.
+ *
+ * Timings: the proxy records how long the upstream took to send the response headers (`wait`)
+ * and the body (`receive`), and the total time the proxy spent on the exchange (`total`). The
+ * remainder, e.g. time spent in userscripts or held at a breakpoint, is exported as `blocked`.
+ * WebSocket frames are not part of HAR 1.2 and are left out of exports.
+ */
+
+const CREATOR = { name: 'AI-IPST', version: '1.0.0' };
+
+// The methods and statuses the LogEntry schema accepts; other HAR entries are skipped on import
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+const SUPPORTED_URL = /^(https?|wss?):\/\//i;
+
+/**
+ * Turn a header map into HAR name/value pairs.
+ *
+ * @param {Map|Object} headers - The headers.
+ * @returns {Array<{ name: string, value: string }>} - The HAR headers.
+ */
+function toHarHeaders(headers) {
+  const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers || {});
+  return entries.map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Turn HAR name/value pairs into a header map. HTTP/2 pseudo-headers are dropped and repeated
+ * headers are joined with a comma.
+ *
+ * @param {Array<{ name: string, value: string }>} headers - The HAR headers.
+ * @returns {Object} - The headers, keyed by lower-case name.
+ */
+function fromHarHeaders(headers) {
+  return (headers || []).reduce((result, { name, value }) => {
+    const key = String(name).toLowerCase();
+    if (!key || key.startsWith(':')) {
+      return result;
+    }
+    return { ...result, [key]: result[key] === undefined ? String(value) : `${result[key]}, ${value}` };
+  }, {});
+}
+
+/**
+ * Find a header value by case-insensitive name.
+ *
+ * @param {Map|Object} headers - The headers.
+ * @param {string} name - The header name.
+ * @returns {string} - The value, or an empty string.
+ */
+function findHeader(headers, name) {
+  const match = toHarHeaders(headers).find((header) => header.name.toLowerCase() === name);
+  return match ? match.value : '';
+}
+
+/**
+ * Serialize a logged body as HAR text.
+ *
+ * @param {any} body - The body as logged (parsed JSON or text).
+ * @returns {string|undefined} - The text, or `undefined` if there is no body.
+ */
+function toText(body) {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Parse HAR text back into a body the way the proxy logs it: JSON bodies are parsed, base64
+ * text bodies are decoded, and everything else is kept as text.
+ *
+ * @param {string} text - The HAR text.
+ * @param {string} mimeType - The MIME type of the body.
+ * @param {string} [encoding] - `base64` if the text is encoded.
+ * @returns {any} - The body, or `undefined` if there is none.
+ */
+function fromText(text, mimeType, encoding) {
+  if (text === undefined || text === null || text === '') {
+    return undefined;
+  }
+
+  const type = String(mimeType || '').toLowerCase();
+  const isText = /^text\/|json|xml|javascript/.test(type);
+  const decoded = encoding === 'base64' && isText ? Buffer.from(text, 'base64').toString('utf8') : text;
+
+  if (type.includes('json')) {
+    try {
+      return JSON.parse(decoded);
+    } catch (err) {
+      return decoded;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Convert a logged HTTP exchange into a HAR entry.
+ *
+ * @param {LogEntry|Object} entry - The log entry.
+ * @returns {Object} - The HAR entry.
+ */
+function toHarEntry(entry) {
+  const url = new URL(entry.url);
+  const timings = entry.timings || {};
+  const wait = Math.max(0, timings.wait || 0);
+  const receive = Math.max(0, timings.receive || 0);
+  const total = Math.max(wait + receive, timings.total || 0);
+
+  const requestText = toText(entry.body);
+  const responseText = toText(entry.responseBody) || '';
+  const requestMimeType = findHeader(entry.headers, 'content-type');
+  const responseMimeType = findHeader(entry.responseHeaders, 'content-type');
+
+  const harEntry = {
+    startedDateTime: new Date(timings.startedAt || entry.createdAt || Date.now()).toISOString(),
+    time: total,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(entry.headers),
+      queryString: [...url.searchParams.entries()].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: requestText === undefined ? 0 : Buffer.byteLength(requestText),
+    },
+    response: {
+      status: entry.statusCode,
+      statusText: http.STATUS_CODES[entry.statusCode] || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(entry.responseHeaders),
+      content: {
+        size: Buffer.byteLength(responseText),
+        mimeType: responseMimeType || 'application/octet-stream',
+        text: responseText,
+      },
+      redirectURL: findHeader(entry.responseHeaders, 'location'),
+      headersSize: -1,
+      bodySize: Buffer.byteLength(responseText),
+    },
+    cache: {},
+    timings: {
+      blocked: total - wait - receive,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait,
+      receive,
+    },
+  };
+
+  if (requestText !== undefined) {
+    harEntry.request.postData = { mimeType: requestMimeType || 'application/octet-stream', text: requestText };
+  }
+  if (entry._id) {
+    harEntry._logEntryId = String(entry._id);
+  }
+  return harEntry;
+}
+
+/**
+ * Convert logged traffic into a HAR 1.2 log.
+ *
+ * @param {Array<LogEntry|Object>} entries - The log entries; WebSocket frames are left out.
+ * @returns {{ log: Object }} - The HAR document.
+ */
+function toHar(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      pages: [],
+      entries: (entries || []).filter((entry) => entry.type !== 'websocket').map(toHarEntry),
+    },
+  };
+}
+
+/**
+ * Convert a HAR entry into `LogEntry` data.
+ *
+ * @param {Object} harEntry - The HAR entry.
+ * @returns {Object|null} - The log entry data, or `null` if the entry cannot be stored (unsupported
+ * method or URL scheme, or no response, e.g. a request the browser blocked).
+ */
+function fromHarEntry(harEntry) {
+  const { request, response } = harEntry;
+  const method = String(request.method).toUpperCase();
+  if (!SUPPORTED_METHODS.includes(method) || !SUPPORTED_URL.test(request.url) || !(response.status >= 100 && response.status <= 599)) {
+    return null;
+  }
+
+  const startedAt = new Date(harEntry.startedDateTime);
+  const timings = harEntry.timings || {};
+  const postData = request.postData || {};
+  const content = response.content || {};
+
+  return {
+    type: 'http',
+    source: 'har',
+    method,
+    url: request.url,
+    headers: fromHarHeaders(request.headers),
+    body: fromText(postData.text, postData.mimeType),
+    statusCode: response.status,
+    responseHeaders: fromHarHeaders(response.headers),
+    responseBody: fromText(content.text, content.mimeType, content.encoding),
+    timings: {
+      startedAt,
+      wait: timings.wait >= 0 ? timings.wait : undefined,
+      receive: timings.receive >= 0 ? timings.receive : undefined,
+      total: harEntry.time >= 0 ? harEntry.time : undefined,
+    },
+    createdAt: startedAt,
+    updatedAt: startedAt,
+  };
+}
+
+/**
+ * Convert a HAR document into `LogEntry` data.
+ *
+ * @param {Object} har - The HAR document.
+ * @returns {{ entries: Array<Object>, skipped: number }} - The log entry data, and how many HAR
+ * entries could not be stored.
+ * @throws {HarFormatError} - If the document is not a HAR log.
+ */
+function fromHar(har) {
+  const fail = (message) => {
+    throw new HarFormatError(`Invalid HAR file: ${message}`);
+  };
+
+  if (!har || typeof har !== 'object' || !har.log || typeof har.log !== 'object') {
+    fail('missing log');
+  }
+  if (!Array.isArray(har.log.entries)) {
+    fail('log.entries must be an array');
+  }
+
+  const entries = [];
+  har.log.entries.forEach((harEntry, index) => {
+    if (!harEntry || typeof harEntry !== 'object' || !harEntry.request || !harEntry.response) {
+      fail(`entry ${index} must have a request and a response`);
+    }
+    if (typeof harEntry.request.method !== 'string' || typeof harEntry.request.url !== 'string') {
+      fail(`entry ${index} request must have a method and a URL`);
+    }
+    if (Number.isNaN(new Date(harEntry.startedDateTime).getTime())) {
+      fail(`entry ${index} has an invalid startedDateTime`);
+    }
+
+    const entry = fromHarEntry(harEntry);
+    if (entry) {
+      entries.push(entry);
+    }
+  });
+
+  return { entries, skipped: har.log.entries.length - entries.length };
+}
+
+module.exports = {
+  toHar,
+  fromHar,
+};
+```
+
+This `src/utils/har.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `http` module for the standard status texts and the `HarFormatError` error class.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `toHar(entries)`: Converts logged HTTP exchanges into a HAR 1.2 document.
+     - `fromHar(har)`: Converts the entries of a HAR document into `LogEntry` data.
+
+3. **Implementation Details**:
+   - Exported entries carry the request and response headers, bodies (JSON bodies are serialized), query strings and the recorded `wait`/`receive` timings, plus the ID of the log entry they came from (`_logEntryId`).
+   - Imported entries keep their capture time, so they sort with the rest of the traffic; HTTP/2 pseudo-headers are dropped, JSON bodies are parsed and base64 text bodies decoded.
+   - Entries the traffic log cannot store (e.g. `OPTIONS` requests, `data:` URLs, or requests without a response) are skipped and counted.
+
+4. **Error Handling**:
+   - Documents that are not HAR logs are reported with a `HarFormatError` naming the offending entry.
+
+The generated `src/utils/har.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of HAR import and export in the AI-IPST MVP.
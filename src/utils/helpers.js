@@ -102,6 +102,81 @@ module.exports = {
       return {};
     }
   },
+
+  /**
+   * Creates a stateful splitter that reassembles Server-Sent Events from arbitrary network chunks.
+   *
+   * `push(text)` returns the complete events received so far, each including its terminating
+   * blank line, so they can be relayed verbatim. `flush()` returns any trailing partial event
+   * once the stream has ended.
+   *
+   * @returns {{ push: (text: string) => string[], flush: () => string }} - The event splitter.
+   */
+  createSseEventSplitter() {
+    const boundary = /\r\n\r\n|\n\n|\r\r/;
+    let buffer = '';
+
+    return {
+      push(text) {
+        buffer += text;
+        const events = [];
+        let match = boundary.exec(buffer);
+        while (match) {
+          const end = match.index + match[0].length;
+          events.push(buffer.slice(0, end));
+          buffer = buffer.slice(end);
+          match = boundary.exec(buffer);
+        }
+        return events;
+      },
+      flush() {
+        const rest = buffer;
+        buffer = '';
+        return rest;
+      },
+    };
+  },
+
+  /**
+   * Checks whether a regular expression repeats a group that itself contains a repetition,
+   * such as `(a+)+` or `(?:\w+\s?)*`. Such patterns can backtrack catastrophically on
+   * text that almost matches.
+   *
+   * Escapes and character classes are skipped; `*`, `+` and `{n,}`/`{n,m}` count as repetitions.
+   *
+   * @param {string} pattern - The regular expression source.
+   * @returns {boolean} - True if a repeated group contains a repetition, false otherwise.
+   */
+  hasNestedQuantifier(pattern) {
+    const quantifier = /^(?:[*+]|\{\d+,\d*\})/;
+    const source = String(pattern);
+    const groups = [{ repeats: false }];
+    let inClass = false;
+
+    for (let index = 0; index < source.length; index += 1) {
+      const char = source[index];
+      if (char === '\\') {
+        index += 1;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push({ repeats: false });
+      } else if (char === ')' && groups.length > 1) {
+        const group = groups.pop();
+        const repeated = source.slice(index + 1).match(quantifier);
+        if (repeated && group.repeats) {
+          return true;
+        }
+        groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || group.repeats || Boolean(repeated);
+        index += repeated ? repeated[0].length : 0;
+      } else if (quantifier.test(source.slice(index))) {
+        groups[groups.length - 1].repeats = true;
+      }
+    }
+    return false;
+  },
 };
 ```
 
@@ -117,6 +192,8 @@ This `src/utils/helpers.js` file adheres to the provided instructions and requir
      - `hashData(data: string, algorithm: string = 'sha256'): string`
      - `generateRandomToken(length: number = 32): string`
      - `parseQueryParams(url: string): Record<string, string>`
+     - `createSseEventSplitter(): { push(text: string): string[], flush(): string }`
+     - `hasNestedQuantifier(pattern: string): boolean`
 
 3. **Implementation Details**:
    - Each helper function is implemented with comprehensive error handling, using `try-catch` blocks to handle any potential errors.
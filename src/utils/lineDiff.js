@@ -0,0 +1,216 @@
+Here is the complete, production-ready code for `src/utils/lineDiff.js`:
+
+```javascript
+/**
+ * Line diffs for the AI-IPST MVP userscript revisions.
+ *
+ * Two texts are compared line by line with Myers' algorithm, which finds the shortest edit
+ * script, after the lines they share at the start and the end have been set aside. The result
+ * is grouped into hunks with a few lines of context around each change, and can be written out
+ * as a unified diff, as `diff -u` and `git diff` print it.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Split a text into lines.
+ * @param {string} text - The text.
+ * @returns {Array<string>} - Its lines, without line terminators; an empty text has none.
+ */
+function splitLines(text) {
+  const value = String(text === undefined || text === null ? '' : text);
+  return value === '' ? [] : value.split(/\r?\n/);
+}
+
+/**
+ * Find the shortest edit script between two lists of lines.
+ * @param {Array<string>} a - The lines before.
+ * @param {Array<string>} b - The lines after.
+ * @returns {Array<string>} - The edits, in order: `unchanged`, `removed` (a line of `a`) or `added` (a line of `b`).
+ */
+function shortestEdit(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Each round keeps only the diagonals it can reach, so the trace grows with the number of edits
+  const at = (round, d, k) => round[k + d + 1];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, at, a.length, b.length);
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Walk the trace of `shortestEdit()` back from the end of both lists.
+ * @param {Array<Int32Array>} trace - The furthest reaching point of each diagonal at the start of each round.
+ * @param {Function} at - Reads a diagonal from a round of the trace.
+ * @param {number} x - The number of lines before.
+ * @param {number} y - The number of lines after.
+ * @returns {Array<string>} - The edits, in order.
+ */
+function backtrack(trace, at, x, y) {
+  const edits = [];
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const round = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(round, d, k - 1) < at(round, d, k + 1)) ? k + 1 : k - 1;
+    const previousX = at(round, d, previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push('unchanged');
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) {
+      edits.push(x === previousX ? 'added' : 'removed');
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return edits.reverse();
+}
+
+/**
+ * Compare two texts line by line.
+ * @param {string} before - The text before.
+ * @param {string} after - The text after.
+ * @returns {Array<Object>} - Every line of both texts in diff order, as `{ type, text, oldLine, newLine }`, where `type` is `unchanged`, `removed` or `added` and the line numbers count from 1.
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix += 1;
+  }
+
+  const edits = [
+    ...new Array(prefix).fill('unchanged'),
+    ...shortestEdit(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...new Array(suffix).fill('unchanged'),
+  ];
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  return edits.map((type) => {
+    if (type === 'added') {
+      newIndex += 1;
+      return { type, text: b[newIndex - 1], newLine: newIndex };
+    }
+    if (type === 'removed') {
+      oldIndex += 1;
+      return { type, text: a[oldIndex - 1], oldLine: oldIndex };
+    }
+    oldIndex += 1;
+    newIndex += 1;
+    return { type, text: a[oldIndex - 1], oldLine: oldIndex, newLine: newIndex };
+  });
+}
+
+/**
+ * Group the changed lines of a diff into hunks.
+ * @param {Array<Object>} lines - The diff, as returned by `diffLines()`.
+ * @param {number} [context] - The number of unchanged lines to keep around each change.
+ * @returns {Array<Object>} - The hunks, as `{ oldStart, oldLines, newStart, newLines, lines }`, where `lines` are in unified diff form (` `, `-` or `+` followed by the text).
+ */
+function buildHunks(lines, context = DEFAULT_CONTEXT) {
+  const changed = lines.map((line, index) => (line.type === 'unchanged' ? -1 : index)).filter((index) => index !== -1);
+  const ranges = [];
+  changed.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= 2 * context + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  // The old and new line counts before each line, for hunks that start with an added or removed line
+  const before = [];
+  let oldCount = 0;
+  let newCount = 0;
+  lines.forEach((line) => {
+    before.push({ old: oldCount, new: newCount });
+    oldCount += line.type === 'added' ? 0 : 1;
+    newCount += line.type === 'removed' ? 0 : 1;
+  });
+
+  return ranges.map(({ start, end }) => {
+    const first = Math.max(0, start - context);
+    const slice = lines.slice(first, Math.min(lines.length, end + context + 1));
+    const oldLines = slice.filter((line) => line.type !== 'added').length;
+    const newLines = slice.filter((line) => line.type !== 'removed').length;
+    return {
+      oldStart: before[first].old + (oldLines > 0 ? 1 : 0),
+      oldLines,
+      newStart: before[first].new + (newLines > 0 ? 1 : 0),
+      newLines,
+      lines: slice.map((line) => `${{ unchanged: ' ', removed: '-', added: '+' }[line.type]}${line.text}`),
+    };
+  });
+}
+
+/**
+ * Write hunks out as a unified diff.
+ * @param {Array<Object>} hunks - The hunks, as returned by `buildHunks()`.
+ * @param {string} fromLabel - The label of the text before, for the `---` line.
+ * @param {string} toLabel - The label of the text after, for the `+++` line.
+ * @returns {string} - The unified diff, or an empty string if nothing changed.
+ */
+function formatUnifiedDiff(hunks, fromLabel, toLabel) {
+  if (hunks.length === 0) {
+    return '';
+  }
+  const body = hunks.map((hunk) => [
+    `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+    ...hunk.lines,
+  ].join('\n'));
+  return `--- ${fromLabel}\n+++ ${toLabel}\n${body.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  buildHunks,
+  formatUnifiedDiff,
+};
+```
+
+This `src/utils/lineDiff.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file has no dependencies.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `diffLines(before, after)`: Compares two texts line by line, returning every line with its type (`unchanged`, `removed`, `added`) and line numbers.
+     - `buildHunks(lines, context)`: Groups the changes into hunks with three lines of context by default.
+     - `formatUnifiedDiff(hunks, fromLabel, toLabel)`: Writes the hunks out as a unified diff.
+   - `shortestEdit()` and `backtrack()` implement Myers' algorithm for the lines between the common prefix and suffix.
+
+3. **Implementation Details**:
+   - Lines shared at the start and the end of both texts are set aside before the search, so typical edits to long scripts stay cheap, and the trace of each round only keeps the diagonals it can reach.
+   - `\r\n` and `\n` line endings compare equal; an empty text has no lines.
+   - Changes closer together than twice the context share a hunk, and hunk ranges follow the unified diff conventions, so the output can be applied with `patch`.
+
+The generated `src/utils/lineDiff.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of line diffs in the AI-IPST MVP.
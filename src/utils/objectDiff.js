@@ -0,0 +1,115 @@
+Here is the complete, production-ready code for `src/utils/objectDiff.js`:
+
+```javascript
+/**
+ * Structured diffs of JSON-like values for the AI-IPST MVP.
+ *
+ * Two values are walked side by side and every difference is reported with the path to it,
+ * e.g. `body.messages[0].content` or `headers["x-request-id"]`, so a change deep inside a
+ * request or response can be read without comparing the two by eye.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Check whether a value is a plain object, as opposed to an array, `null` or a scalar.
+ * @param {any} value - The value.
+ * @returns {boolean} - Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Append a key or index to a path.
+ * @param {string} path - The path so far, or an empty string at the top.
+ * @param {string|number} key - The object key or array index.
+ * @returns {string} - The longer path.
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  if (IDENTIFIER.test(key)) {
+    return path ? `${path}.${key}` : key;
+  }
+  return `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Walk two values side by side, collecting their differences.
+ * @param {any} before - The value before.
+ * @param {any} after - The value after.
+ * @param {string} path - The path to both values.
+ * @param {Array<Object>} changes - The differences found so far.
+ * @returns {void}
+ */
+function walk(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const has = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+    keys.forEach((key) => {
+      if (!has(after, key)) {
+        changes.push({ path: joinPath(path, key), type: 'removed', from: before[key] });
+      } else if (!has(before, key)) {
+        changes.push({ path: joinPath(path, key), type: 'added', to: after[key] });
+      } else {
+        walk(before[key], after[key], joinPath(path, key), changes);
+      }
+    });
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let index = 0; index < Math.max(before.length, after.length); index += 1) {
+      if (index >= after.length) {
+        changes.push({ path: joinPath(path, index), type: 'removed', from: before[index] });
+      } else if (index >= before.length) {
+        changes.push({ path: joinPath(path, index), type: 'added', to: after[index] });
+      } else {
+        walk(before[index], after[index], joinPath(path, index), changes);
+      }
+    }
+    return;
+  }
+
+  if (!Object.is(before, after)) {
+    changes.push({ path, type: 'changed', from: before, to: after });
+  }
+}
+
+/**
+ * Compare two JSON-like values.
+ *
+ * Objects are compared key by key and arrays index by index; anything else, including a value
+ * that changed type, is reported as changed as a whole.
+ *
+ * @param {any} before - The value before.
+ * @param {any} after - The value after.
+ * @returns {Array<Object>} - The differences, as `{ path, type, from, to }`, where `type` is `added` (only `to` is set), `removed` (only `from` is set) or `changed`, and `path` is empty when the values differ at the top.
+ */
+function diffValues(before, after) {
+  const changes = [];
+  walk(before, after, '', changes);
+  return changes;
+}
+
+module.exports = {
+  diffValues,
+};
+```
+
+This `src/utils/objectDiff.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file has no dependencies.
+
+2. **Internal Structure**:
+   - The file exports `diffValues(before, after)`, which lists the differences between two JSON-like values with the path to each.
+   - `walk()` compares objects key by key and arrays index by index, and `joinPath()` builds the paths.
+
+3. **Implementation Details**:
+   - Paths use dots for keys that are identifiers and brackets for array indexes and other keys, e.g. `body.messages[0].content` or `headers["x-request-id"]`.
+   - Keys only present on one side are reported as `added` or `removed`, as are trailing array items; values that differ otherwise, or change type, are reported as `changed` with both sides.
+
+The generated `src/utils/objectDiff.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of structured diffs in the AI-IPST MVP.
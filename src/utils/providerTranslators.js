@@ -0,0 +1,820 @@
+Here is the complete, production-ready code for `src/utils/providerTranslators.js`:
+
+```javascript
+/**
+ * Chat schema translation between providers for the AI Interaction Proxy & Scripting Toolkit (AI-IPST) MVP.
+ *
+ * When a chat request is sent to an upstream that speaks another provider's API, either because
+ * the routing rules send it there or because its upstream fails over to such a fallback (see
+ * `proxyService.forwardProxyRequest()`), the client's request is translated into the upstream's
+ * schema, and the upstream's answer is translated back into the schema the client sent:
+ *
+ * - OpenAI Chat Completions (`/v1/chat/completions`) to Anthropic Messages (`/v1/messages`)
+ * - OpenAI Chat Completions to Gemini (`/v1beta/models/{model}:generateContent`)
+ * - Anthropic Messages to OpenAI Chat Completions
+ *
+ * Each translator covers the request, the buffered response, the error envelope and, for streamed
+ * answers, the Server-Sent Events. System prompts, text and image content, tool definitions, tool
+ * calls and tool results, the sampling parameters both APIs share, stop reasons and token usage are
+ * translated; provider-specific features without a counterpart are left out.
+ */
+
+const { textOf } = require('./chatParsers');
+
+// The chat API each provider is reached through, and where that API lives on the upstream for a
+// model, buffered or streamed
+const PROVIDER_APIS = {
+  openai: { api: 'chat.completions', path: () => '/v1/chat/completions' },
+  anthropic: { api: 'messages', path: () => '/v1/messages', headers: { 'anthropic-version': '2023-06-01' } },
+  gemini: {
+    api: 'generateContent',
+    path: (model, stream) => `/v1beta/models/${encodeURIComponent(String(model).replace(/^models\//, ''))}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+  },
+};
+
+// Anthropic requires `max_tokens`; OpenAI requests that do not set a limit get this one
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Anthropic stop reasons as OpenAI finish reasons, and the other way round
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter',
+};
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal',
+};
+
+// Gemini finish reasons as OpenAI finish reasons
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter',
+};
+
+// Media types of images passed to Gemini by URL, by file extension
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+};
+
+// JSON Schema keywords Gemini rejects in function declarations
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['$schema', 'additionalProperties'];
+
+// Error types by HTTP status; OpenAI and Anthropic use the same names
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error',
+};
+
+/**
+ * Parse tool call arguments sent as JSON text.
+ *
+ * @param {any} args - The arguments, as JSON text or as an object.
+ * @returns {Object} - The arguments as an object; text that is not JSON is kept under `input`.
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') {
+    return args || {};
+  }
+  try {
+    return args ? JSON.parse(args) : {};
+  } catch (err) {
+    return { input: args };
+  }
+}
+
+/**
+ * Append content blocks to a list of Anthropic messages or Gemini contents, merging consecutive
+ * turns of the same role, since both expect user and assistant turns to alternate.
+ *
+ * @param {Array<Object>} messages - The messages built so far.
+ * @param {string} role - `user` or `assistant` (`model` for Gemini).
+ * @param {Array<Object>} blocks - The content blocks of the turn.
+ * @param {string} [field] - The field holding the blocks (`parts` for Gemini).
+ */
+function appendTurn(messages, role, blocks, field = 'content') {
+  if (blocks.length === 0) {
+    return;
+  }
+  const last = messages[messages.length - 1];
+  if (last && last.role === role) {
+    last[field] = last[field].concat(blocks);
+  } else {
+    messages.push({ role, [field]: blocks });
+  }
+}
+
+/**
+ * Remove the JSON Schema keywords Gemini rejects from a tool's parameter schema.
+ *
+ * @param {any} schema - The schema, or a part of it.
+ * @returns {any} - The schema without the unsupported keywords.
+ */
+function stripSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(stripSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.keys(schema)
+    .filter((key) => !UNSUPPORTED_SCHEMA_KEYWORDS.includes(key))
+    .reduce((stripped, key) => ({ ...stripped, [key]: stripSchema(schema[key]) }), {});
+}
+
+/**
+ * Build the error message of a failed response, whatever its envelope.
+ *
+ * @param {any} body - The response body.
+ * @returns {string} - The error message.
+ */
+function errorMessageOf(body) {
+  if (body && typeof body === 'object' && body.error) {
+    return typeof body.error === 'string' ? body.error : body.error.message || JSON.stringify(body.error);
+  }
+  return typeof body === 'string' && body ? body : 'Upstream request failed';
+}
+
+/**
+ * Build an OpenAI error envelope for a failed response.
+ *
+ * @param {any} body - The response body.
+ * @param {number} statusCode - The response status.
+ * @returns {Object} - The OpenAI error envelope.
+ */
+function openAiErrorOf(body, statusCode) {
+  return { error: { message: errorMessageOf(body), type: ERROR_TYPES[statusCode] || 'api_error', param: null, code: null } };
+}
+
+// OpenAI Chat Completions clients, answered by an Anthropic Messages upstream
+
+const openAiToAnthropic = {
+  contentOf(content) {
+    if (typeof content === 'string') {
+      return content ? [{ type: 'text', text: content }] : [];
+    }
+    return (content || []).map((part) => {
+      if (part.type === 'text') {
+        return { type: 'text', text: part.text };
+      }
+      if (part.type === 'image_url' && part.image_url) {
+        const [, mediaType, data] = String(part.image_url.url).match(/^data:([^;,]+);base64,(.*)$/) || [];
+        return data
+          ? { type: 'image', source: { type: 'base64', media_type: mediaType, data } }
+          : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+      }
+      return null;
+    }).filter(Boolean);
+  },
+
+  request(body, model) {
+    const system = [];
+    const messages = [];
+    (body.messages || []).forEach((item) => {
+      if (item.role === 'system' || item.role === 'developer') {
+        system.push(textOf(item.content));
+      } else if (item.role === 'tool') {
+        appendTurn(messages, 'user', [{ type: 'tool_result', tool_use_id: item.tool_call_id, content: textOf(item.content) || '' }]);
+      } else {
+        const toolCalls = (item.tool_calls || []).map((call) => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function && call.function.name,
+          input: parseArguments(call.function && call.function.arguments),
+        }));
+        appendTurn(messages, item.role === 'assistant' ? 'assistant' : 'user', this.contentOf(item.content).concat(toolCalls));
+      }
+    });
+
+    const translated = {
+      model,
+      max_tokens: body.max_completion_tokens || body.max_tokens || DEFAULT_MAX_TOKENS,
+      messages,
+    };
+    if (system.filter(Boolean).length > 0) {
+      translated.system = system.filter(Boolean).join('\n\n');
+    }
+    if (typeof body.temperature === 'number') {
+      // OpenAI allows up to 2, Anthropic up to 1
+      translated.temperature = Math.min(body.temperature, 1);
+    }
+    if (typeof body.top_p === 'number') {
+      translated.top_p = body.top_p;
+    }
+    if (body.stop) {
+      translated.stop_sequences = [].concat(body.stop);
+    }
+    if (body.stream) {
+      translated.stream = true;
+    }
+    const tools = (body.tools || []).filter((tool) => tool.type === 'function' && tool.function);
+    if (tools.length > 0) {
+      translated.tools = tools.map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description,
+        input_schema: fn.parameters || { type: 'object', properties: {} },
+      }));
+    }
+    if (body.tool_choice === 'auto' || body.tool_choice === 'none') {
+      translated.tool_choice = { type: body.tool_choice };
+    } else if (body.tool_choice === 'required') {
+      translated.tool_choice = { type: 'any' };
+    } else if (body.tool_choice && body.tool_choice.function) {
+      translated.tool_choice = { type: 'tool', name: body.tool_choice.function.name };
+    }
+    if (body.user) {
+      translated.metadata = { user_id: body.user };
+    }
+    return translated;
+  },
+
+  response(body) {
+    const content = body.content || [];
+    const text = content.filter((block) => block.type === 'text').map((block) => block.text).join('');
+    const toolCalls = content.filter((block) => block.type === 'tool_use').map((block) => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+    }));
+    const usage = body.usage || {};
+    const promptTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+
+    return {
+      id: body.id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+        finish_reason: FINISH_REASONS[body.stop_reason] || 'stop',
+      }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: promptTokens + (usage.output_tokens || 0),
+      },
+    };
+  },
+
+  error(body, statusCode) {
+    return openAiErrorOf(body, statusCode);
+  },
+
+  stream() {
+    const state = { created: Math.floor(Date.now() / 1000), inputTokens: 0, outputTokens: 0, toolIndexes: {}, toolCount: 0 };
+    const chunk = (delta, finishReason = null) => ({
+      data: {
+        id: state.id,
+        object: 'chat.completion.chunk',
+        created: state.created,
+        model: state.model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+      },
+    });
+
+    return {
+      push({ data }) {
+        if (!data || typeof data !== 'object') {
+          return [];
+        }
+        if (data.type === 'message_start' && data.message) {
+          const usage = data.message.usage || {};
+          state.id = data.message.id;
+          state.model = data.message.model;
+          state.inputTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+          return [chunk({ role: 'assistant', content: '' })];
+        }
+        if (data.type === 'content_block_start' && data.content_block && data.content_block.type === 'tool_use') {
+          const index = state.toolCount++;
+          state.toolIndexes[data.index] = index;
+          return [chunk({ tool_calls: [{ index, id: data.content_block.id, type: 'function', function: { name: data.content_block.name, arguments: '' } }] })];
+        }
+        if (data.type === 'content_block_delta' && data.delta) {
+          if (data.delta.type === 'text_delta') {
+            return [chunk({ content: data.delta.text })];
+          }
+          if (data.delta.type === 'input_json_delta' && state.toolIndexes[data.index] !== undefined) {
+            return [chunk({ tool_calls: [{ index: state.toolIndexes[data.index], function: { arguments: data.delta.partial_json } }] })];
+          }
+          return [];
+        }
+        if (data.type === 'message_delta') {
+          state.outputTokens = (data.usage && data.usage.output_tokens) || state.outputTokens;
+          return [chunk({}, FINISH_REASONS[data.delta && data.delta.stop_reason] || 'stop')];
+        }
+        if (data.type === 'message_stop') {
+          return [
+            {
+              data: {
+                id: state.id,
+                object: 'chat.completion.chunk',
+                created: state.created,
+                model: state.model,
+                choices: [],
+                usage: { prompt_tokens: state.inputTokens, completion_tokens: state.outputTokens, total_tokens: state.inputTokens + state.outputTokens },
+              },
+            },
+            { data: '[DONE]' },
+          ];
+        }
+        if (data.type === 'error') {
+          return [{ data: { error: { message: errorMessageOf(data), type: (data.error && data.error.type) || 'api_error' } } }];
+        }
+        return [];
+      },
+      flush() {
+        return [];
+      },
+    };
+  },
+};
+
+// OpenAI Chat Completions clients, answered by a Gemini upstream
+
+const openAiToGemini = {
+  partsOf(content) {
+    if (typeof content === 'string') {
+      return content ? [{ text: content }] : [];
+    }
+    return (content || []).map((part) => {
+      if (part.type === 'text') {
+        return { text: part.text };
+      }
+      if (part.type === 'image_url' && part.image_url) {
+        const url = String(part.image_url.url);
+        const [, mimeType, data] = url.match(/^data:([^;,]+);base64,(.*)$/) || [];
+        if (data) {
+          return { inlineData: { mimeType, data } };
+        }
+        const [, extension] = url.split(/[?#]/)[0].match(/\.(\w+)$/) || [];
+        return { fileData: { mimeType: IMAGE_TYPES[String(extension).toLowerCase()] || 'image/jpeg', fileUri: url } };
+      }
+      return null;
+    }).filter(Boolean);
+  },
+
+  resultOf(output) {
+    // Gemini expects function results as objects; plain text is wrapped
+    try {
+      const result = JSON.parse(output);
+      if (result && typeof result === 'object' && !Array.isArray(result)) {
+        return result;
+      }
+    } catch (err) {
+      // Not JSON
+    }
+    return { content: output };
+  },
+
+  usageOf(usage = {}) {
+    const completionTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+    return {
+      prompt_tokens: usage.promptTokenCount || 0,
+      completion_tokens: completionTokens,
+      total_tokens: (usage.promptTokenCount || 0) + completionTokens,
+    };
+  },
+
+  finishReasonOf(body, candidate, hasToolCalls) {
+    if (body.promptFeedback && body.promptFeedback.blockReason) {
+      return 'content_filter';
+    }
+    if (hasToolCalls) {
+      return 'tool_calls';
+    }
+    return GEMINI_FINISH_REASONS[candidate.finishReason] || 'stop';
+  },
+
+  request(body) {
+    const system = [];
+    const contents = [];
+    // Gemini answers function calls by name, OpenAI by call ID
+    const toolNames = {};
+    (body.messages || []).forEach((item) => {
+      if (item.role === 'system' || item.role === 'developer') {
+        system.push(textOf(item.content));
+      } else if (item.role === 'tool') {
+        const name = toolNames[item.tool_call_id] || item.name || item.tool_call_id;
+        appendTurn(contents, 'user', [{ functionResponse: { name, response: this.resultOf(textOf(item.content) || '') } }], 'parts');
+      } else {
+        const functionCalls = (item.tool_calls || []).map((call) => {
+          const name = call.function && call.function.name;
+          toolNames[call.id] = name;
+          return { functionCall: { name, args: parseArguments(call.function && call.function.arguments) } };
+        });
+        appendTurn(contents, item.role === 'assistant' ? 'model' : 'user', this.partsOf(item.content).concat(functionCalls), 'parts');
+      }
+    });
+
+    const translated = { contents };
+    if (system.filter(Boolean).length > 0) {
+      translated.systemInstruction = { parts: [{ text: system.filter(Boolean).join('\n\n') }] };
+    }
+    const generationConfig = {};
+    if (body.max_completion_tokens || body.max_tokens) {
+      generationConfig.maxOutputTokens = body.max_completion_tokens || body.max_tokens;
+    }
+    if (typeof body.temperature === 'number') {
+      generationConfig.temperature = body.temperature;
+    }
+    if (typeof body.top_p === 'number') {
+      generationConfig.topP = body.top_p;
+    }
+    if (body.stop) {
+      generationConfig.stopSequences = [].concat(body.stop);
+    }
+    if (body.response_format && ['json_object', 'json_schema'].includes(body.response_format.type)) {
+      generationConfig.responseMimeType = 'application/json';
+    }
+    if (Object.keys(generationConfig).length > 0) {
+      translated.generationConfig = generationConfig;
+    }
+    const tools = (body.tools || []).filter((tool) => tool.type === 'function' && tool.function);
+    if (tools.length > 0) {
+      translated.tools = [{
+        functionDeclarations: tools.map(({ function: fn }) => ({
+          name: fn.name,
+          description: fn.description,
+          ...(fn.parameters ? { parameters: stripSchema(fn.parameters) } : {}),
+        })),
+      }];
+    }
+    if (body.tool_choice === 'auto' || body.tool_choice === 'none') {
+      translated.toolConfig = { functionCallingConfig: { mode: body.tool_choice.toUpperCase() } };
+    } else if (body.tool_choice === 'required') {
+      translated.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    } else if (body.tool_choice && body.tool_choice.function) {
+      translated.toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [body.tool_choice.function.name] } };
+    }
+    return translated;
+  },
+
+  response(body) {
+    const candidate = (body.candidates || [])[0] || {};
+    const parts = (candidate.content && candidate.content.parts) || [];
+    const text = parts.filter((part) => typeof part.text === 'string' && !part.thought).map((part) => part.text).join('');
+    const toolCalls = parts.filter((part) => part.functionCall).map((part, index) => ({
+      id: part.functionCall.id || `call_${index}`,
+      type: 'function',
+      function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) },
+    }));
+
+    return {
+      id: body.responseId,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.modelVersion,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+        finish_reason: this.finishReasonOf(body, candidate, toolCalls.length > 0),
+      }],
+      usage: this.usageOf(body.usageMetadata),
+    };
+  },
+
+  error(body, statusCode) {
+    return openAiErrorOf(body, statusCode);
+  },
+
+  stream() {
+    const translator = this;
+    const state = { created: Math.floor(Date.now() / 1000), started: false, toolCount: 0, usage: null };
+    const chunk = (delta, finishReason = null) => ({
+      data: {
+        id: state.id,
+        object: 'chat.completion.chunk',
+        created: state.created,
+        model: state.model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+      },
+    });
+
+    return {
+      push({ data }) {
+        if (!data || typeof data !== 'object') {
+          return [];
+        }
+        if (data.error) {
+          return [{ data: { error: { message: errorMessageOf(data), type: data.error.status || 'api_error' } } }];
+        }
+
+        // Every Gemini event is a partial response; the first one opens the assistant turn
+        const chunks = [];
+        state.id = state.id || data.responseId;
+        state.model = state.model || data.modelVersion;
+        if (!state.started) {
+          state.started = true;
+          chunks.push(chunk({ role: 'assistant', content: '' }));
+        }
+        if (data.usageMetadata) {
+          state.usage = translator.usageOf(data.usageMetadata);
+        }
+
+        const candidate = (data.candidates || [])[0] || {};
+        const parts = (candidate.content && candidate.content.parts) || [];
+        const text = parts.filter((part) => typeof part.text === 'string' && !part.thought).map((part) => part.text).join('');
+        if (text) {
+          chunks.push(chunk({ content: text }));
+        }
+        const toolCalls = parts.filter((part) => part.functionCall).map((part) => {
+          const index = state.toolCount++;
+          return {
+            index,
+            id: part.functionCall.id || `call_${index}`,
+            type: 'function',
+            function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) },
+          };
+        });
+        if (toolCalls.length > 0) {
+          chunks.push(chunk({ tool_calls: toolCalls }));
+        }
+        if (candidate.finishReason || (data.promptFeedback && data.promptFeedback.blockReason)) {
+          chunks.push(chunk({}, translator.finishReasonOf(data, candidate, state.toolCount > 0)));
+        }
+        return chunks;
+      },
+      flush() {
+        if (!state.started) {
+          return [];
+        }
+        const usage = state.usage
+          ? [{ data: { id: state.id, object: 'chat.completion.chunk', created: state.created, model: state.model, choices: [], usage: state.usage } }]
+          : [];
+        return usage.concat({ data: '[DONE]' });
+      },
+    };
+  },
+};
+
+// Anthropic Messages clients, answered by an OpenAI Chat Completions upstream
+
+const anthropicToOpenAi = {
+  partOf(block) {
+    if (block.type === 'image' && block.source) {
+      const url = block.source.type === 'base64' ? `data:${block.source.media_type};base64,${block.source.data}` : block.source.url;
+      return { type: 'image_url', image_url: { url } };
+    }
+    return { type: 'text', text: block.text };
+  },
+
+  request(body, model) {
+    const system = textOf(body.system);
+    const messages = system !== undefined ? [{ role: 'system', content: system }] : [];
+    (body.messages || []).forEach((item) => {
+      const content = typeof item.content === 'string' ? [{ type: 'text', text: item.content }] : item.content || [];
+
+      // Tool results travel in user turns; OpenAI expects a tool message for each
+      content.filter((block) => block.type === 'tool_result').forEach((block) => {
+        messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: textOf(block.content) || '' });
+      });
+      const parts = content.filter((block) => block.type === 'text' || block.type === 'image').map((block) => this.partOf(block));
+      const toolCalls = content.filter((block) => block.type === 'tool_use').map((block) => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+      }));
+
+      if (item.role === 'assistant' && (parts.length > 0 || toolCalls.length > 0)) {
+        messages.push({ role: 'assistant', content: textOf(parts) || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+      } else if (item.role !== 'assistant' && parts.length > 0) {
+        messages.push({ role: 'user', content: parts.every((part) => part.type === 'text') ? textOf(parts) : parts });
+      }
+    });
+
+    const translated = { model, messages };
+    if (body.max_tokens) {
+      translated.max_completion_tokens = body.max_tokens;
+    }
+    if (typeof body.temperature === 'number') {
+      translated.temperature = body.temperature;
+    }
+    if (typeof body.top_p === 'number') {
+      translated.top_p = body.top_p;
+    }
+    if (body.stop_sequences && body.stop_sequences.length > 0) {
+      translated.stop = body.stop_sequences;
+    }
+    if (body.stream) {
+      // Without this OpenAI leaves the token usage out of the stream
+      translated.stream = true;
+      translated.stream_options = { include_usage: true };
+    }
+    const tools = (body.tools || []).filter((tool) => tool.input_schema);
+    if (tools.length > 0) {
+      translated.tools = tools.map((tool) => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+      }));
+    }
+    const toolChoice = body.tool_choice && body.tool_choice.type;
+    if (toolChoice === 'auto' || toolChoice === 'none') {
+      translated.tool_choice = toolChoice;
+    } else if (toolChoice === 'any') {
+      translated.tool_choice = 'required';
+    } else if (toolChoice === 'tool') {
+      translated.tool_choice = { type: 'function', function: { name: body.tool_choice.name } };
+    }
+    if (body.metadata && body.metadata.user_id) {
+      translated.user = body.metadata.user_id;
+    }
+    return translated;
+  },
+
+  response(body) {
+    const choice = (body.choices || [])[0] || {};
+    const answer = choice.message || {};
+    const text = textOf(answer.content);
+    const content = (text ? [{ type: 'text', text }] : []).concat((answer.tool_calls || []).map((call) => ({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function && call.function.name,
+      input: parseArguments(call.function && call.function.arguments),
+    })));
+    const usage = body.usage || {};
+
+    return {
+      id: body.id,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content,
+      stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+      stop_sequence: null,
+      usage: { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 },
+    };
+  },
+
+  error(body, statusCode) {
+    return { type: 'error', error: { type: ERROR_TYPES[statusCode] || 'api_error', message: errorMessageOf(body) } };
+  },
+
+  stream() {
+    const state = { started: false, stopped: false, block: null, blockCount: 0, stopReason: 'end_turn', usage: { input_tokens: 0, output_tokens: 0 } };
+    const event = (type, payload) => ({ event: type, data: { type, ...payload } });
+    const closeBlock = () => {
+      if (!state.block) {
+        return [];
+      }
+      const stop = event('content_block_stop', { index: state.block.index });
+      state.block = null;
+      return [stop];
+    };
+    const openBlock = (contentBlock, callIndex) => {
+      const events = closeBlock();
+      state.block = { index: state.blockCount++, type: contentBlock.type, callIndex };
+      return events.concat(event('content_block_start', { index: state.block.index, content_block: contentBlock }));
+    };
+    const finish = () => {
+      if (!state.started || state.stopped) {
+        return [];
+      }
+      state.stopped = true;
+      return closeBlock().concat(
+        event('message_delta', { delta: { stop_reason: state.stopReason, stop_sequence: null }, usage: state.usage }),
+        event('message_stop', {})
+      );
+    };
+
+    return {
+      push({ data }) {
+        if (data === '[DONE]') {
+          return finish();
+        }
+        if (!data || typeof data !== 'object') {
+          return [];
+        }
+        if (data.error) {
+          return [event('error', { error: { type: data.error.type || 'api_error', message: errorMessageOf(data) } })];
+        }
+
+        const events = [];
+        if (!state.started) {
+          state.started = true;
+          events.push(event('message_start', {
+            message: { id: data.id, type: 'message', role: 'assistant', model: data.model, content: [], stop_reason: null, stop_sequence: null, usage: { input_tokens: 0, output_tokens: 0 } },
+          }));
+        }
+        if (data.usage) {
+          state.usage = { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 };
+        }
+        (data.choices || []).filter((choice) => !choice.index).forEach((choice) => {
+          const delta = choice.delta || {};
+          if (delta.content) {
+            if (!state.block || state.block.type !== 'text') {
+              events.push(...openBlock({ type: 'text', text: '' }));
+            }
+            events.push(event('content_block_delta', { index: state.block.index, delta: { type: 'text_delta', text: delta.content } }));
+          }
+          (delta.tool_calls || []).forEach((call) => {
+            const callIndex = call.index || 0;
+            if (!state.block || state.block.type !== 'tool_use' || state.block.callIndex !== callIndex) {
+              events.push(...openBlock({ type: 'tool_use', id: call.id, name: (call.function && call.function.name) || '', input: {} }, callIndex));
+            }
+            if (call.function && call.function.arguments) {
+              events.push(event('content_block_delta', { index: state.block.index, delta: { type: 'input_json_delta', partial_json: call.function.arguments } }));
+            }
+          });
+          if (choice.finish_reason) {
+            state.stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+          }
+        });
+        return events;
+      },
+      flush() {
+        return finish();
+      },
+    };
+  },
+};
+
+// Translators by the client's API and the API of the provider that answers
+const TRANSLATORS = {
+  'chat.completions': { messages: openAiToAnthropic, generateContent: openAiToGemini },
+  messages: { 'chat.completions': anthropicToOpenAi },
+};
+
+/**
+ * Find the translator from a client's chat API to the API of another provider.
+ *
+ * The translator's `path(model, stream)` builds the path of the provider's API for the requested
+ * model, `request(body, model)` translates the client's request body, `response(body)`
+ * translates a buffered answer back, `error(body, statusCode)` translates an error envelope back,
+ * and `stream()` creates a stateful translator whose `push(event)` and `flush()` turn the
+ * provider's Server-Sent Events (`{ event, data }`) into the events the client expects.
+ *
+ * @param {string} api - The client's chat API, as recognized by `chatParsers.detectApi()`.
+ * @param {string} provider - The provider of the upstream that answers (`openai`, `anthropic`, `gemini`).
+ * @returns {Object|null} - The translator, with the provider's `api`, `path` and required `headers`, or `null` if the APIs cannot be translated.
+ */
+function getTranslator(api, provider) {
+  const target = PROVIDER_APIS[provider];
+  const translator = target && TRANSLATORS[api] && TRANSLATORS[api][target.api];
+  if (!translator) {
+    return null;
+  }
+  return { ...translator, api: target.api, path: target.path, headers: target.headers || {} };
+}
+
+/**
+ * Check whether traffic for one provider can be answered by another.
+ *
+ * @param {string} from - The provider the client speaks to.
+ * @param {string} to - The provider that answers.
+ * @returns {boolean} - True if the providers are the same or a translator exists.
+ */
+function canTranslate(from, to) {
+  return from === to || Boolean(PROVIDER_APIS[from] && getTranslator(PROVIDER_APIS[from].api, to));
+}
+
+module.exports = {
+  canTranslate,
+  getTranslator,
+};
+```
+
+This `src/utils/providerTranslators.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `textOf` helper from `chatParsers` to flatten message content into text.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `getTranslator(api, provider)`: Finds the translator from a client's chat API to the API of the provider that answers, along with a function building that API's path for a model and its required headers.
+     - `canTranslate(from, to)`: Checks whether traffic for one provider can be answered by another.
+   - One translator per direction (`openAiToAnthropic`, `openAiToGemini`, `anthropicToOpenAi`) implements `request`, `response`, `error` and `stream`.
+
+3. **Implementation Details**:
+   - OpenAI Chat Completions requests are translated into Anthropic Messages requests and the other way round: system and developer messages, text and image content, tools, tool choice, tool calls and tool results, `max_tokens`, `temperature`, `top_p`, stop sequences and the end user's ID.
+   - Consecutive turns of the same role are merged for Anthropic, which expects user and assistant turns to alternate, and OpenAI tool messages become `tool_result` blocks (and back).
+   - OpenAI Chat Completions requests are translated into Gemini `generateContent` requests: the system instruction, `user` and `model` contents with text, inline and linked images, function calls and function responses (named after the call they answer), the generation config (output limit, `temperature`, `top_p`, stop sequences, JSON output), function declarations without the JSON Schema keywords Gemini rejects, and the function calling mode. The model and whether the answer is streamed go into the path.
+   - Buffered answers and error envelopes are translated back into the client's schema, with stop reasons and token usage mapped.
+   - Streamed answers are translated event by event: Anthropic's `message_start`, `content_block_*` and `message_delta` events and Gemini's partial responses become OpenAI `chat.completion.chunk`s ending with a usage chunk and `[DONE]`, and OpenAI chunks become Anthropic's event sequence. OpenAI streams are asked to include their token usage.
+
+4. **Error Handling**:
+   - Translation never throws on unexpected payloads: unknown content parts and events are skipped, and tool call arguments that are not JSON are kept as text.
+
+The generated `src/utils/providerTranslators.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of provider schema translation in the AI-IPST MVP.
@@ -0,0 +1,353 @@
+Here is the complete, production-ready code for `src/utils/ruleEngine.js`:
+
+```javascript
+const lodash = require('lodash');
+const { ModificationRuleError } = require('./errors');
+
+/**
+ * Declarative modification rules for the AI Interaction Proxy & Scripting Toolkit (AI-IPST) MVP.
+ *
+ * `ProxyConfig.requestModifications` and `ProxyConfig.responseModifications` map a rule name to a
+ * rule. Rules run in insertion order, and every enabled rule whose conditions all match applies
+ * its actions in order:
+ *
+ * {
+ *   enabled: true,                       // optional, defaults to true
+ *   when: {                              // optional, every condition must match
+ *     method: 'POST' | ['POST', 'PUT'],  // the request method
+ *     url: '^/v1/chat',                  // a regular expression tested against the request URL
+ *     contentType: 'application/json',   // a substring of the message's content-type header
+ *   },
+ *   actions: [
+ *     { type: 'setHeader', name: 'x-team', value: 'research' },
+ *     { type: 'removeHeader', name: 'x-debug' },
+ *     { type: 'setJson', path: 'messages[0].content', value: 'Be brief.' },
+ *     { type: 'deleteJson', path: 'temperature' },
+ *     { type: 'replace', target: 'body' | 'header' | 'url', name, path, pattern, flags, replacement },
+ *   ],
+ * }
+ *
+ * `setJson` and `deleteJson` only apply to JSON bodies. `replace` runs a regular expression over
+ * the body (or the string at `path` within it), a header (`name`), or, for request rules, the URL.
+ */
+
+const ACTION_TYPES = ['setHeader', 'removeHeader', 'setJson', 'deleteJson', 'replace'];
+const CONDITION_KEYS = ['method', 'url', 'contentType'];
+
+/**
+ * List the rules of a modification map in evaluation order.
+ *
+ * @param {Map|Object} rules - The rules, keyed by name.
+ * @returns {Array<[string, Object]>} - The `[name, rule]` pairs.
+ */
+function toEntries(rules) {
+  if (!rules) {
+    return [];
+  }
+  return rules instanceof Map ? [...rules.entries()] : Object.entries(rules);
+}
+
+/**
+ * Check that a regular expression from a rule compiles.
+ *
+ * @param {string} pattern - The pattern.
+ * @param {string} [flags] - The regular expression flags.
+ * @param {Function} fail - Reports a validation error; must throw.
+ */
+function checkPattern(pattern, flags, fail) {
+  try {
+    new RegExp(pattern, flags);
+  } catch (err) {
+    fail(`invalid regular expression '${pattern}'`);
+  }
+}
+
+/**
+ * Validate the `when` conditions of a rule.
+ * The same conditions are used by modification rules and intercept breakpoints.
+ *
+ * @param {Object} [when] - The conditions (`method`, `url`, `contentType`).
+ * @param {Function} fail - Reports a validation error; must throw.
+ */
+function validateConditions(when = {}, fail) {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    fail('when must be an object');
+  }
+  Object.keys(when).forEach((key) => {
+    if (!CONDITION_KEYS.includes(key)) {
+      fail(`unknown condition '${key}'`);
+    }
+  });
+  if (when.method !== undefined && ![].concat(when.method).every((method) => typeof method === 'string')) {
+    fail('when.method must be a string or an array of strings');
+  }
+  if (when.url !== undefined) {
+    if (typeof when.url !== 'string') {
+      fail('when.url must be a string');
+    }
+    checkPattern(when.url, undefined, fail);
+  }
+  if (when.contentType !== undefined && typeof when.contentType !== 'string') {
+    fail('when.contentType must be a string');
+  }
+}
+
+/**
+ * Validate a set of modification rules.
+ *
+ * @param {Map|Object} rules - The rules, keyed by name.
+ * @param {string} phase - `request` or `response`; URL rewrites are only allowed on requests.
+ * @throws {ModificationRuleError} - If a rule is invalid.
+ */
+function validateRules(rules, phase) {
+  if (rules && (typeof rules !== 'object' || Array.isArray(rules))) {
+    throw new ModificationRuleError('Modification rules must be an object keyed by rule name');
+  }
+
+  toEntries(rules).forEach(([name, rule]) => {
+    const fail = (message) => {
+      throw new ModificationRuleError(`Modification rule '${name}': ${message}`);
+    };
+
+    if (!/^[\w\-]+$/.test(name)) {
+      fail('name must only contain alphanumeric characters, underscores, and hyphens');
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail('must be an object');
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      fail('enabled must be a boolean');
+    }
+
+    validateConditions(rule.when, fail);
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      fail('actions must be a non-empty array');
+    }
+    rule.actions.forEach((action, index) => {
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        fail(`action ${index} must have a type of ${ACTION_TYPES.join(', ')}`);
+      }
+      if (['setHeader', 'removeHeader'].includes(action.type) && (typeof action.name !== 'string' || !action.name)) {
+        fail(`action ${index} (${action.type}) requires a header name`);
+      }
+      if (action.type === 'setHeader' && typeof action.value !== 'string') {
+        fail(`action ${index} (setHeader) requires a string value`);
+      }
+      if (['setJson', 'deleteJson'].includes(action.type) && (typeof action.path !== 'string' || !action.path)) {
+        fail(`action ${index} (${action.type}) requires a JSON path`);
+      }
+      if (action.type === 'setJson' && action.value === undefined) {
+        fail(`action ${index} (setJson) requires a value`);
+      }
+      if (action.type === 'replace') {
+        const targets = phase === 'request' ? ['body', 'header', 'url'] : ['body', 'header'];
+        if (!targets.includes(action.target)) {
+          fail(`action ${index} (replace) target must be one of ${targets.join(', ')}`);
+        }
+        if (action.target === 'header' && (typeof action.name !== 'string' || !action.name)) {
+          fail(`action ${index} (replace) requires a header name`);
+        }
+        if (typeof action.pattern !== 'string' || typeof action.replacement !== 'string') {
+          fail(`action ${index} (replace) requires a pattern and a replacement`);
+        }
+        checkPattern(action.pattern, action.flags, fail);
+      }
+    });
+  });
+}
+
+/**
+ * Find a header name case-insensitively.
+ *
+ * @param {Object} headers - The headers.
+ * @param {string} name - The header name.
+ * @returns {string|undefined} - The header name as stored, if present.
+ */
+function findHeader(headers, name) {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).find((headerKey) => headerKey.toLowerCase() === lowerName);
+}
+
+/**
+ * Check whether a rule's conditions match a message.
+ *
+ * @param {Object} rule - The rule.
+ * @param {Object} message - The message being modified (`headers`).
+ * @param {Object} context - The originating request (`method`, `url`).
+ * @returns {boolean} - True if every condition matches.
+ */
+function matchesRule(rule, message, context) {
+  const when = rule.when || {};
+
+  if (when.method !== undefined) {
+    const methods = [].concat(when.method).map((method) => method.toUpperCase());
+    if (!methods.includes(String(context.method || '').toUpperCase())) {
+      return false;
+    }
+  }
+
+  if (when.url !== undefined && !new RegExp(when.url).test(String(context.url || ''))) {
+    return false;
+  }
+
+  if (when.contentType !== undefined) {
+    const headerKey = findHeader(message.headers, 'content-type');
+    const contentType = headerKey ? String(message.headers[headerKey]).toLowerCase() : '';
+    if (!contentType.includes(when.contentType.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Remove a value from a JSON body, splicing array elements so no holes are left behind.
+ *
+ * @param {Object|Array} body - The JSON body.
+ * @param {string} path - The JSON path (e.g. `messages[0].content`).
+ */
+function deleteJsonPath(body, path) {
+  const segments = lodash.toPath(path);
+  const key = segments.pop();
+  const container = segments.length > 0 ? lodash.get(body, segments) : body;
+
+  if (Array.isArray(container)) {
+    const index = Number(key);
+    if (Number.isInteger(index) && index >= 0 && index < container.length) {
+      container.splice(index, 1);
+    }
+  } else if (container && typeof container === 'object') {
+    delete container[key];
+  }
+}
+
+/**
+ * Run a regular expression replacement over a message body.
+ *
+ * @param {any} body - The body.
+ * @param {Object} action - The replace action (`path`, `pattern`, `flags`, `replacement`).
+ * @returns {any} - The new body.
+ */
+function replaceInBody(body, action) {
+  const pattern = new RegExp(action.pattern, action.flags);
+
+  if (action.path) {
+    const value = lodash.get(body, action.path);
+    if (typeof value === 'string') {
+      lodash.set(body, action.path, value.replace(pattern, action.replacement));
+    }
+    return body;
+  }
+
+  if (typeof body === 'string') {
+    return body.replace(pattern, action.replacement);
+  }
+
+  // Rewrite the serialized JSON and keep the result as text if it no longer parses
+  const text = JSON.stringify(body).replace(pattern, action.replacement);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Apply a single action to a message in place.
+ *
+ * @param {Object} action - The action.
+ * @param {Object} message - The message (`headers`, `body`, and `url` for requests).
+ */
+function applyAction(action, message) {
+  const isJsonBody = message.body !== null && typeof message.body === 'object' && !Buffer.isBuffer(message.body);
+  const headerKey = action.name ? findHeader(message.headers, action.name) : undefined;
+
+  switch (action.type) {
+    case 'setHeader':
+      if (headerKey) {
+        delete message.headers[headerKey];
+      }
+      message.headers[action.name.toLowerCase()] = action.value;
+      break;
+    case 'removeHeader':
+      if (headerKey) {
+        delete message.headers[headerKey];
+      }
+      break;
+    case 'setJson':
+      if (isJsonBody) {
+        lodash.set(message.body, action.path, lodash.cloneDeep(action.value));
+      }
+      break;
+    case 'deleteJson':
+      if (isJsonBody) {
+        deleteJsonPath(message.body, action.path);
+      }
+      break;
+    case 'replace':
+      if (action.target === 'url' && typeof message.url === 'string') {
+        message.url = message.url.replace(new RegExp(action.pattern, action.flags), action.replacement);
+      } else if (action.target === 'header' && headerKey) {
+        message.headers[headerKey] = String(message.headers[headerKey]).replace(new RegExp(action.pattern, action.flags), action.replacement);
+      } else if (action.target === 'body' && message.body !== null && message.body !== undefined && !Buffer.isBuffer(message.body)) {
+        message.body = replaceInBody(message.body, action);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply a set of modification rules to a request or response.
+ *
+ * @param {Map|Object} rules - The rules, keyed by name.
+ * @param {Object} message - The message to modify (`headers`, `body`, and `url` for requests).
+ * @param {Object} context - The originating request (`method`, `url`), used by the conditions.
+ * @returns {{ message: Object, appliedRules: string[] }} - A modified copy of the message and the names of the rules that matched.
+ */
+function applyRules(rules, message, context) {
+  const modifiedMessage = lodash.cloneDeep({ ...message, headers: message.headers || {} });
+  const appliedRules = [];
+
+  toEntries(rules).forEach(([name, rule]) => {
+    if (rule.enabled === false || !matchesRule(rule, modifiedMessage, context)) {
+      return;
+    }
+    rule.actions.forEach((action) => applyAction(action, modifiedMessage));
+    appliedRules.push(name);
+  });
+
+  return { message: modifiedMessage, appliedRules };
+}
+
+module.exports = {
+  validateRules,
+  validateConditions,
+  applyRules,
+  matchesRule,
+};
+```
+
+This `src/utils/ruleEngine.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `lodash` for JSON path handling and deep cloning, and the `ModificationRuleError` error class.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `validateRules(rules, phase)`: Validates a `requestModifications` or `responseModifications` map.
+     - `applyRules(rules, message, context)`: Applies the matching rules to a copy of a request or response.
+     - `validateConditions(when, fail)` and `matchesRule(rule, message, context)`: Validate and evaluate a rule's `method`, `url` and `contentType` conditions; the intercept breakpoints reuse them.
+
+3. **Implementation Details**:
+   - Rules run in insertion order, and each matching rule applies its actions in order, so later rules see the changes made by earlier ones.
+   - Header names are matched case-insensitively, and headers set by a rule are stored in lowercase.
+   - JSON paths use lodash syntax (`messages[0].content`); deleting an array element removes it instead of leaving a hole.
+
+4. **Error Handling**:
+   - Invalid rules are reported with a `ModificationRuleError` naming the rule and the problem, so `PUT /api/proxy/config` can reject them before they are stored.
+
+The generated `src/utils/ruleEngine.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the declarative modification rules in the AI-IPST MVP.
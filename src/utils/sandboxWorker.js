@@ -0,0 +1,209 @@
+Here is the complete, production-ready code for `src/utils/sandboxWorker.js`:
+
+```javascript
+/**
+ * Worker thread that runs userscripts for the AI-IPST MVP sandbox pool.
+ *
+ * Every script gets a fresh context with a minimal global: the ECMAScript built-ins, frozen, a
+ * `console` that collects its output, and the globals it was given. Nothing from this thread is
+ * handed to the script: the globals go in, and the result and globals come back out, as JSON
+ * strings, so the script never holds an object of this thread's realm to climb out of. Code
+ * generation from strings (`eval`, `new Function`) and WebAssembly are disabled.
+ *
+ * Promise callbacks run right after the code that queued them and count towards the same run
+ * time limit. The context has no timers or I/O, so once its queue is empty, a promise that is
+ * still pending can never settle. Memory is capped by the pool through the worker's resource limits,
+ * and the pool terminates a worker that overruns its wall-clock limit.
+ */
+
+const { parentPort } = require('worker_threads');
+const vm = require('vm');
+
+// Set up the context's global; evaluated in the context, so everything it creates belongs to it
+const PRELUDE = `(function prepare(input, namesJson, consoleLimit) {
+  'use strict';
+  const { stringify, parse } = JSON;
+  const names = parse(namesJson);
+  const output = [];
+
+  const format = (value) => {
+    if (typeof value === 'string') {
+      return value;
+    }
+    try {
+      if (value instanceof Error) {
+        return String(value.name) + ': ' + String(value.message);
+      }
+      const json = stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch (err) {
+      return Object.prototype.toString.call(value);
+    }
+  };
+
+  const sandboxConsole = {};
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+    sandboxConsole[level] = (...args) => {
+      if (output.length < consoleLimit) {
+        output.push({ level, message: args.map(format).join(' ') });
+      }
+    };
+  });
+
+  // Shared memory and WebAssembly have no use in a userscript, and V8's console is replaced below
+  ['SharedArrayBuffer', 'Atomics', 'WebAssembly', 'console'].forEach((name) => {
+    delete globalThis[name];
+  });
+
+  // Freeze the built-ins, so a script cannot change how the sandbox reads its results back
+  Object.getOwnPropertyNames(globalThis).forEach((name) => {
+    const value = globalThis[name];
+    if (name !== 'globalThis' && value !== null && (typeof value === 'object' || typeof value === 'function')) {
+      Object.freeze(value);
+      if (value.prototype) {
+        Object.freeze(value.prototype);
+      }
+    }
+    Object.defineProperty(globalThis, name, { value, writable: false, enumerable: false, configurable: false });
+  });
+  [function* generator() {}, async function asyncFunction() {}, async function* asyncGenerator() {}].forEach((fn) => {
+    const prototype = Object.getPrototypeOf(fn);
+    Object.freeze(prototype);
+    Object.freeze(prototype.prototype);
+  });
+
+  let held;
+  const settled = { status: 'pending' };
+  const sandbox = Object.freeze({
+    // Takes the script's completion value or error from the worker without running any of its code
+    keep(value) {
+      held = value;
+    },
+    describe() {
+      try {
+        return held instanceof Error ? String(held.message) : format(held);
+      } catch (err) {
+        return 'The script threw an error that cannot be read';
+      }
+    },
+    settle() {
+      Promise.resolve(held).then(
+        (value) => { settled.status = 'fulfilled'; settled.value = value; },
+        (error) => { settled.status = 'rejected'; held = error; settled.error = sandbox.describe(); }
+      );
+    },
+    // The console output alone, which runs none of the script's code
+    output() {
+      return stringify({ status: settled.status, console: output });
+    },
+    collect() {
+      if (settled.status !== 'fulfilled') {
+        return stringify({ status: settled.status, error: settled.error, console: output });
+      }
+      try {
+        const globals = {};
+        names.forEach((name) => {
+          globals[name] = globalThis[name];
+        });
+        return stringify({ status: 'fulfilled', result: settled.value, globals, console: output });
+      } catch (err) {
+        return stringify({ status: 'rejected', error: 'The script handed back data that cannot be copied out of the sandbox', console: output });
+      }
+    },
+  });
+
+  const globals = parse(input);
+  names.forEach((name) => {
+    globalThis[name] = globals[name];
+  });
+  Object.defineProperty(globalThis, 'console', { value: Object.freeze(sandboxConsole) });
+  Object.defineProperty(globalThis, '__sandbox', { value: sandbox });
+  return sandbox;
+})`;
+
+/**
+ * Run code in the context within what is left of the run time limit.
+ * @param {string} code - The code.
+ * @param {Object} context - The contextified global.
+ * @param {number} deadline - When the run time limit is reached, from `performance.now()`.
+ * @returns {any} - The completion value of the code.
+ * @throws {Error} - If the code throws or the run time limit is reached.
+ */
+function runWithin(code, context, deadline) {
+  const timeout = Math.max(1, Math.ceil(deadline - performance.now()));
+  return vm.runInContext(code, context, { timeout, displayErrors: false });
+}
+
+/**
+ * Run a script in a fresh context.
+ * @param {Object} task - The script (`code`), its globals as a JSON string (`input`) with their `names`, the run time limit (`cpuTimeMs`) and how many console lines to keep (`consoleLimit`).
+ * @returns {Object} - What the script handed back: the `output` as a JSON string of `{ status, result, globals, error, console }`, and an `error` message if it failed.
+ */
+function runTask(task) {
+  let script;
+  try {
+    script = new vm.Script(task.code, { filename: 'userscript.js' });
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  const sandbox = vm.runInContext(PRELUDE, context)(task.input, JSON.stringify(task.names), task.consoleLimit);
+  const fail = (error) => ({ error, output: sandbox.output() });
+  const timedOut = `Script execution timed out after ${task.cpuTimeMs}ms`;
+
+  const deadline = performance.now() + task.cpuTimeMs;
+  try {
+    sandbox.keep(script.runInContext(context, { timeout: task.cpuTimeMs, displayErrors: false }));
+    // Settling a promise runs the callbacks still queued, within what is left of the limit
+    runWithin('__sandbox.settle()', context, deadline);
+    return { output: runWithin('__sandbox.collect()', context, deadline) };
+  } catch (err) {
+    // What a script throws is only looked at in its context; the limit is the one thing it cannot fake
+    if (performance.now() >= deadline) {
+      return fail(timedOut);
+    }
+    sandbox.keep(err);
+  }
+
+  try {
+    return fail(runWithin('__sandbox.describe()', context, deadline));
+  } catch (err) {
+    return fail(timedOut);
+  }
+}
+
+parentPort.on('message', (task) => {
+  let reply;
+  try {
+    reply = runTask(task);
+  } catch (err) {
+    reply = { error: 'The sandbox failed to run the script' };
+  }
+  parentPort.postMessage({ id: task.id, ...reply });
+});
+```
+
+This `src/utils/sandboxWorker.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports Node's `worker_threads` and `vm` modules.
+
+2. **Internal Structure**:
+   - The file is the entry point of the worker threads started by the `sandboxService` pool. It answers every `{ id, code, input, names, cpuTimeMs, consoleLimit }` message with `{ id, output, error }`.
+   - `runTask()` runs a script in a fresh context; `runWithin()` runs the sandbox's own steps within what is left of the run time limit.
+   - The `PRELUDE` is evaluated in each context to set up its global: the frozen built-ins, the `console`, the script's globals and the `__sandbox` helpers that settle and collect the result.
+
+3. **Security**:
+   - Contexts are created from a null-prototype object, with code generation from strings and WebAssembly disabled, so `this.constructor.constructor('return process')()` and similar escapes find nothing to climb out through.
+   - Only strings cross between the worker and the context: the globals go in as JSON and are parsed in the context, and the result, globals, console output and error messages come back out as strings built in the context.
+   - The built-ins and their prototypes are frozen and cannot be replaced, and `SharedArrayBuffer`, `Atomics` and `WebAssembly` are removed.
+
+4. **Resource Limits**:
+   - The script, its promise callbacks (run right after the code that queued them, with `microtaskMode: 'afterEvaluate'`) and the collection of its result share a single run time limit. A promise still pending once the queue is empty is reported, since with no timers or I/O it can never settle.
+   - Memory and wall-clock limits are enforced by the pool: the worker's resource limits cap its heap, and a worker that overruns its wall-clock limit is terminated.
+
+The generated `src/utils/sandboxWorker.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the userscript sandbox in the AI-IPST MVP.
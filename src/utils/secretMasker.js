@@ -0,0 +1,300 @@
+Here is the complete, production-ready code for `src/utils/secretMasker.js`:
+
+```javascript
+const config = require('../config/config');
+
+/**
+ * Secret masking for the AI-IPST MVP traffic log.
+ *
+ * Credentials travel in headers (`Authorization`, `x-api-key`, cookies), query parameters
+ * (Gemini's `?key=`) and JSON fields (`client_secret`, `refresh_token`). The traffic log masks
+ * them before entries are stored, and again before entries are returned, so entries stored
+ * before masking was enabled (or before a field was added to the list) never leak either.
+ *
+ * A masked value keeps its last four characters when it is long enough to spare them, so keys
+ * can still be told apart, and the scheme of an `Authorization` header:
+ * `Bearer sk-proj-abc...wxyz` becomes `Bearer ****wxyz`. Masking a masked value leaves it as it is.
+ *
+ * The lists below are always masked while masking is enabled; `SECRET_MASK_HEADERS`,
+ * `SECRET_MASK_QUERY_PARAMS` and `SECRET_MASK_JSON_FIELDS` add to them.
+ */
+
+const MASK = '****';
+
+// Logged URLs must pass the LogEntry URL validation, which does not allow a literal `*`
+const URL_MASK = '%2A%2A%2A%2A';
+
+// Values shorter than this are masked in full
+const HINT_MIN_LENGTH = 16;
+const HINT_LENGTH = 4;
+
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'x-api-key',
+  'api-key',
+  'x-goog-api-key',
+  'cookie',
+  'set-cookie',
+  'x-amz-security-token',
+];
+
+// Any other header whose name says it carries a credential, such as `x-auth-token` or `x-client-secret`
+const SENSITIVE_HEADER_NAME = /(?:^|-)(?:token|secret|password|api-?key|credentials?)(?:-|$)/;
+
+const SENSITIVE_QUERY_PARAMS = [
+  'key',
+  'api_key',
+  'apikey',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_secret',
+  'password',
+  'signature',
+  'x-amz-signature',
+  'x-amz-security-token',
+];
+
+// JSON fields are matched by exact name only: generic names such as `token` appear in model output
+const SENSITIVE_JSON_FIELDS = [
+  'password',
+  'passwd',
+  'secret',
+  'client_secret',
+  'api_key',
+  'apikey',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'private_key',
+  'authorization',
+];
+
+const FORM_BODY = /^[^\s=&]+=[^\s&]*(?:&[^\s=&]+=[^\s&]*)*$/;
+
+/**
+ * Read the masking settings from the configuration.
+ *
+ * @returns {{ enabled: boolean, headers: Set<string>, queryParams: Set<string>, jsonFields: Set<string> }} - The settings, with every name lower-cased.
+ */
+function getSettings() {
+  const settings = config.get('secretMasking');
+  const names = (defaults, extra) => new Set([...defaults, ...(extra || [])].map((name) => String(name).toLowerCase()));
+  return {
+    enabled: settings.enabled !== false,
+    headers: names(SENSITIVE_HEADERS, settings.headers),
+    queryParams: names(SENSITIVE_QUERY_PARAMS, settings.queryParams),
+    jsonFields: names(SENSITIVE_JSON_FIELDS, settings.jsonFields),
+  };
+}
+
+/**
+ * Mask a secret value.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The masked value.
+ */
+function maskSecret(value) {
+  const text = String(value);
+  const scheme = text.match(/^(?:Bearer|Basic|Token|Digest)\s+/i);
+  const secret = scheme ? text.slice(scheme[0].length) : text;
+  if (secret.startsWith(MASK)) {
+    return text;
+  }
+  const hint = secret.length >= HINT_MIN_LENGTH ? secret.slice(-HINT_LENGTH) : '';
+  return `${scheme ? scheme[0] : ''}${MASK}${hint}`;
+}
+
+/**
+ * Mask the values of the cookies in a `Cookie` or `Set-Cookie` header, keeping their names and
+ * the `Set-Cookie` attributes.
+ *
+ * @param {string} value - The header value.
+ * @param {boolean} isSetCookie - Whether the header is `Set-Cookie`, which separates cookies with commas.
+ * @returns {string} - The masked header value.
+ */
+function maskCookies(value, isSetCookie) {
+  const pattern = isSetCookie ? /(^|,\s*)([^=;,\s]+=)([^;,]*)/g : /(^|;\s*)([^=;\s]+=)([^;]*)/g;
+  return String(value).replace(pattern, (match, separator, name, cookie) => `${separator}${name}${maskSecret(cookie)}`);
+}
+
+/**
+ * Mask the sensitive headers of a header map.
+ *
+ * @param {Map|Object} headers - The headers.
+ * @param {Object} [settings] - The masking settings (see `getSettings()`).
+ * @returns {Object} - The headers, as a plain object, with the sensitive values masked.
+ */
+function maskHeaders(headers, settings = getSettings()) {
+  const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers || {});
+  if (!settings.enabled) {
+    return headers instanceof Map ? Object.fromEntries(entries) : headers;
+  }
+
+  return Object.fromEntries(entries.map(([name, value]) => {
+    const key = name.toLowerCase();
+    if (value === undefined || value === null || (!settings.headers.has(key) && !SENSITIVE_HEADER_NAME.test(key))) {
+      return [name, value];
+    }
+    const mask = (item) => (['cookie', 'set-cookie'].includes(key) ? maskCookies(item, key === 'set-cookie') : maskSecret(item));
+    return [name, Array.isArray(value) ? value.map(mask) : mask(value)];
+  }));
+}
+
+/**
+ * Mask the values of the named parameters of a query or form-encoded string.
+ *
+ * @param {string} query - The query, without the leading `?`.
+ * @param {Set<string>} names - The lower-cased parameter names to mask.
+ * @returns {string} - The masked query.
+ */
+function maskParams(query, names) {
+  return query.replace(/(^|&)([^=&#]+)=([^&#]*)/g, (match, separator, name, value) => {
+    let decodedName;
+    let decodedValue;
+    try {
+      decodedName = decodeURIComponent(name.replace(/\+/g, ' '));
+      decodedValue = decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (err) {
+      decodedName = name;
+      decodedValue = value;
+    }
+    if (!names.has(decodedName.toLowerCase()) || !decodedValue || value.startsWith(URL_MASK)) {
+      return match;
+    }
+    return `${separator}${name}=${encodeURIComponent(maskSecret(decodedValue)).replace(/\*/g, '%2A')}`;
+  });
+}
+
+/**
+ * Mask the sensitive query parameters of a URL.
+ *
+ * @param {string} url - The URL, absolute or relative.
+ * @param {Object} [settings] - The masking settings (see `getSettings()`).
+ * @returns {string} - The URL with the sensitive values masked.
+ */
+function maskUrl(url, settings = getSettings()) {
+  if (typeof url !== 'string' || !settings.enabled || !url.includes('?')) {
+    return url;
+  }
+  const queryStart = url.indexOf('?') + 1;
+  const hashStart = url.indexOf('#', queryStart);
+  const queryEnd = hashStart === -1 ? url.length : hashStart;
+  return url.slice(0, queryStart) + maskParams(url.slice(queryStart, queryEnd), settings.queryParams) + url.slice(queryEnd);
+}
+
+/**
+ * Mask the sensitive fields of a JSON value, at any depth.
+ *
+ * @param {*} value - The value.
+ * @param {Set<string>} fields - The lower-cased field names to mask.
+ * @returns {*} - The value with the sensitive fields masked.
+ */
+function maskFields(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map((item) => maskFields(item, fields));
+  }
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([name, field]) => {
+    if (fields.has(name.toLowerCase()) && field !== null && typeof field !== 'object') {
+      return [name, maskSecret(field)];
+    }
+    return [name, maskFields(field, fields)];
+  }));
+}
+
+/**
+ * Mask the sensitive fields of a request or response body: JSON (parsed or as a string) and
+ * form-encoded bodies. Other bodies are returned as they are.
+ *
+ * @param {*} body - The body.
+ * @param {Object} [settings] - The masking settings (see `getSettings()`).
+ * @returns {*} - The body with the sensitive values masked, in the form it was given in.
+ */
+function maskBody(body, settings = getSettings()) {
+  if (!settings.enabled || body === null || body === undefined) {
+    return body;
+  }
+  if (typeof body !== 'string') {
+    return maskFields(body, settings.jsonFields);
+  }
+
+  const text = body.trim();
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      const masked = maskFields(parsed, settings.jsonFields);
+      return JSON.stringify(masked) === JSON.stringify(parsed) ? body : JSON.stringify(masked);
+    } catch (err) {
+      return body;
+    }
+  }
+  if (FORM_BODY.test(text)) {
+    return maskParams(text, new Set([...settings.queryParams, ...settings.jsonFields]));
+  }
+  return body;
+}
+
+/**
+ * Mask the secrets of a traffic log entry: the request and response headers, the URL's query
+ * parameters and the JSON fields of both bodies. Only the fields present in the entry are touched.
+ *
+ * @param {LogEntry|Object} entry - The log entry, a `LogEntry` document or its data.
+ * @returns {Object} - A copy of the entry's data with the secrets masked; the entry itself when masking is disabled.
+ */
+function maskLogEntry(entry) {
+  const settings = getSettings();
+  if (!entry || !settings.enabled) {
+    return entry;
+  }
+
+  const data = typeof entry.toObject === 'function' ? entry.toObject({ flattenMaps: true }) : entry;
+
+  const masked = { ...data };
+  if (data.url !== undefined) {
+    masked.url = maskUrl(data.url, settings);
+  }
+  ['headers', 'responseHeaders'].filter((field) => data[field]).forEach((field) => {
+    masked[field] = maskHeaders(data[field], settings);
+  });
+  ['body', 'responseBody'].filter((field) => data[field] !== undefined).forEach((field) => {
+    masked[field] = maskBody(data[field], settings);
+  });
+  return masked;
+}
+
+module.exports = {
+  getSettings,
+  maskSecret,
+  maskHeaders,
+  maskUrl,
+  maskBody,
+  maskLogEntry,
+};
+```
+
+This `src/utils/secretMasker.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `config` module, for the masking switch and the extra names to mask.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `getSettings()`: Reads the masking settings, merging the configured names into the built-in lists.
+     - `maskSecret(value)`: Masks a single value, keeping its last four characters and an `Authorization` scheme.
+     - `maskHeaders(headers)`, `maskUrl(url)` and `maskBody(body)`: Mask the sensitive headers, query parameters and JSON (or form) fields.
+     - `maskLogEntry(entry)`: Masks all of the above in a traffic log entry.
+
+3. **Implementation Details**:
+   - Known credential headers (`Authorization`, `Proxy-Authorization`, `x-api-key`, `api-key`, `x-goog-api-key`, `Cookie`, `Set-Cookie`, `x-amz-security-token`) are masked, as is any header whose name contains `token`, `secret`, `password`, `api-key` or `credentials`. Cookies keep their names and attributes.
+   - Known credential query parameters (such as `key`, `access_token` and `client_secret`) are masked in place, leaving the rest of the URL untouched; masked URL values are percent-encoded so logged URLs stay valid.
+   - JSON fields are masked by exact name at any depth, so generic names in model output (such as logprob `token`s) are left alone.
+   - Masking is idempotent, so stored entries can be masked again when they are read.
+
+4. **Configuration**:
+   - Masking is on unless `SECRET_MASKING` is `false`. `SECRET_MASK_HEADERS`, `SECRET_MASK_QUERY_PARAMS` and `SECRET_MASK_JSON_FIELDS` take comma-separated names to mask on top of the built-in lists.
+
+The generated `src/utils/secretMasker.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of secret masking in the AI-IPST MVP.
@@ -0,0 +1,244 @@
+Here is the complete, production-ready code for `src/utils/userscriptMetadata.js`:
+
+```javascript
+const { ScriptMetadataError } = require('./errors');
+
+/**
+ * `// ==UserScript==` metadata blocks for the AI-IPST MVP userscripts.
+ *
+ * Scripts written for Tampermonkey, Greasemonkey or Violentmonkey open with a metadata block:
+ *
+ *   // ==UserScript==
+ *   // @name     Pin temperature
+ *   // @version  1.2.0
+ *   // @match    https://api.openai.com/*
+ *   // @grant    none
+ *   // ==/UserScript==
+ *
+ * The block is parsed whenever a script is created or updated, and the values the proxy cares
+ * about are stored with the script. Other keys, such as `@namespace`, `@author` or `@icon`, and
+ * localized variants such as `@name:de`, are accepted and ignored, so existing scripts can be
+ * imported as they are. Every problem in the block is reported with its line number.
+ */
+
+const BLOCK_START = /^\s*\/\/\s*==UserScript==\s*$/;
+const BLOCK_END = /^\s*\/\/\s*==\/UserScript==\s*$/;
+const ENTRY = /^\s*\/\/\s*@([\w.:\-]+)(?:\s+(.*?))?\s*$/;
+const EMPTY_COMMENT = /^\s*(?:\/\/\s*)?$/;
+
+const SINGLE_KEYS = ['name', 'version', 'description', 'run-at'];
+const LIST_KEYS = ['match', 'include', 'exclude', 'grant', 'require'];
+const RUN_AT = ['document-start', 'document-body', 'document-end', 'document-idle', 'context-menu'];
+
+// `<all_urls>`, or `scheme://host/path` with an optional `*` scheme, `*` or `*.`-prefixed host and port
+const MATCH_PATTERN = /^(\*|https?|wss?|file|ftp):\/\/(\*|(?:\*\.)?[^/*:]+)?(?::(\d+|\*))?(\/.*)$/;
+
+/**
+ * Escape a string for use in a regular expression, turning each `*` into a wildcard.
+ * @param {string} glob - The glob.
+ * @returns {string} - The regular expression source.
+ */
+function globToSource(glob) {
+  return glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+}
+
+/**
+ * Compile an `@match` pattern into a regular expression.
+ * @param {string} pattern - The match pattern, e.g. `*://*.openai.com/v1/*`.
+ * @returns {RegExp} - The anchored regular expression; ports are ignored unless the pattern names one.
+ * @throws {Error} - If the pattern is not a valid match pattern.
+ */
+function compileMatchPattern(pattern) {
+  if (pattern === '<all_urls>') {
+    return /^(?:https?|wss?|file|ftp):\/\//;
+  }
+
+  const parts = MATCH_PATTERN.exec(pattern);
+  if (!parts || (!parts[2] && parts[1] !== 'file')) {
+    throw new Error('must look like scheme://host/path, with * for any scheme, host or path');
+  }
+
+  const [, scheme, host = '', port, path] = parts;
+  let hostSource = host.replace(/[.\-]/g, '\\$&');
+  if (host === '*') {
+    hostSource = '[^/:]+';
+  } else if (host.startsWith('*.')) {
+    hostSource = `(?:[^/:]+\\.)?${hostSource.slice(3)}`;
+  }
+  const portSource = port && port !== '*' ? `:${port}` : '(?::\\d+)?';
+  return new RegExp(`^${scheme === '*' ? 'https?' : scheme}://${hostSource}${portSource}${globToSource(path)}$`);
+}
+
+/**
+ * Compile an `@include` or `@exclude` pattern into a regular expression.
+ * @param {string} pattern - A glob where `*` matches anything, or a regular expression written as `/source/flags`.
+ * @returns {RegExp} - The regular expression.
+ * @throws {SyntaxError} - If a regular expression pattern does not compile.
+ */
+function compileIncludePattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  return new RegExp(`^${globToSource(pattern)}$`);
+}
+
+/**
+ * Check whether a script's content has a metadata block.
+ * @param {string} content - The script content.
+ * @returns {boolean} - Whether a `// ==UserScript==` line opens a block.
+ */
+function hasMetadataBlock(content) {
+  return typeof content === 'string' && content.split(/\r?\n/).some((line) => BLOCK_START.test(line));
+}
+
+/**
+ * Parse the metadata block of a userscript.
+ * @param {string} content - The script content.
+ * @returns {Object|null} - The metadata (`name`, `version`, `description`, `runAt`, and the `match`, `include`, `exclude`, `grant` and `require` lists), or `null` if the script has no metadata block.
+ * @throws {ScriptMetadataError} - If the block is invalid; its `problems` list every problem as `{ line, message }`.
+ */
+function parseMetadata(content) {
+  const lines = String(content || '').split(/\r?\n/);
+  const start = lines.findIndex((line) => BLOCK_START.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const metadata = { match: [], include: [], exclude: [], grant: [], require: [] };
+  const problems = [];
+  const report = (index, message) => problems.push({ line: index + 1, message });
+  let end = -1;
+
+  for (let index = start + 1; index < lines.length; index += 1) {
+    const line = lines[index];
+    if (BLOCK_END.test(line)) {
+      end = index;
+      break;
+    }
+    if (EMPTY_COMMENT.test(line)) {
+      continue;
+    }
+
+    const entry = ENTRY.exec(line);
+    if (!entry) {
+      report(index, 'expected a "// @key value" line');
+      continue;
+    }
+
+    const [, key, value = ''] = entry;
+    if (!SINGLE_KEYS.includes(key) && !LIST_KEYS.includes(key)) {
+      continue;
+    }
+    if (!value) {
+      report(index, `@${key} needs a value`);
+      continue;
+    }
+
+    if (SINGLE_KEYS.includes(key)) {
+      const field = key === 'run-at' ? 'runAt' : key;
+      if (metadata[field] !== undefined) {
+        report(index, `@${key} is given more than once`);
+      } else if (key === 'run-at' && !RUN_AT.includes(value)) {
+        report(index, `@run-at must be one of ${RUN_AT.join(', ')}`);
+      } else {
+        metadata[field] = value;
+      }
+      continue;
+    }
+
+    try {
+      if (key === 'match') {
+        compileMatchPattern(value);
+      } else if (key === 'include' || key === 'exclude') {
+        compileIncludePattern(value);
+      } else if (key === 'require') {
+        new URL(value);
+      }
+      metadata[key].push(value);
+    } catch (err) {
+      report(index, key === 'require' ? '@require must be a URL' : `@${key} ${value} is invalid: ${err.message}`);
+    }
+  }
+
+  if (end === -1) {
+    report(start, 'the metadata block is never closed with "// ==/UserScript=="');
+  }
+  if (metadata.name === undefined) {
+    report(start, 'the metadata block has no @name');
+  }
+
+  if (problems.length > 0) {
+    const error = new ScriptMetadataError(`Invalid userscript metadata: ${problems.map((problem) => `line ${problem.line}: ${problem.message}`).join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return metadata;
+}
+
+/**
+ * Check whether a URL is one a script's metadata applies to.
+ *
+ * The URL must not match an `@exclude` pattern and, if the script has any `@match` or
+ * `@include` patterns, must match one of them. Default ports are dropped from the URL first,
+ * so `https://api.openai.com/*` matches `https://api.openai.com:443/v1/models`.
+ *
+ * @param {Object|null} metadata - The parsed metadata.
+ * @param {string} url - The full URL.
+ * @returns {boolean} - Whether the script applies to the URL.
+ */
+function matchesUrl(metadata, url) {
+  if (!metadata) {
+    return true;
+  }
+
+  const target = String(url).replace(/^(https|wss):\/\/([^/:]+):443(?=\/|$)/, '$1://$2').replace(/^(http|ws):\/\/([^/:]+):80(?=\/|$)/, '$1://$2');
+  const test = (compile) => (pattern) => {
+    try {
+      return compile(pattern).test(target);
+    } catch (err) {
+      return false;
+    }
+  };
+
+  if ((metadata.exclude || []).some(test(compileIncludePattern))) {
+    return false;
+  }
+
+  const match = metadata.match || [];
+  const include = metadata.include || [];
+  return (match.length === 0 && include.length === 0)
+    || match.some(test(compileMatchPattern))
+    || include.some(test(compileIncludePattern));
+}
+
+module.exports = {
+  hasMetadataBlock,
+  parseMetadata,
+  compileMatchPattern,
+  compileIncludePattern,
+  matchesUrl,
+};
+```
+
+This `src/utils/userscriptMetadata.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the `ScriptMetadataError` error class.
+
+2. **Internal Structure**:
+   - The file exports the following functions:
+     - `hasMetadataBlock(content)`: Checks whether a script opens a `// ==UserScript==` block.
+     - `parseMetadata(content)`: Parses the block into the `name`, `version`, `description` and `runAt` values and the `match`, `include`, `exclude`, `grant` and `require` lists.
+     - `compileMatchPattern(pattern)` and `compileIncludePattern(pattern)`: Turn `@match` patterns and `@include`/`@exclude` globs or regular expressions into regular expressions.
+     - `matchesUrl(metadata, url)`: Checks a URL against a script's `@match`, `@include` and `@exclude` patterns.
+
+3. **Implementation Details**:
+   - Keys the proxy does not use (such as `@namespace`, `@author`, `@icon` or `@connect`) and localized variants (such as `@name:de`) are ignored, so scripts written for Tampermonkey, Greasemonkey or Violentmonkey can be imported unchanged. Empty comment lines inside the block are allowed.
+   - `@match` patterns follow the browser match-pattern syntax (`<all_urls>`, or a scheme, host and path with `*` wildcards); `@include` and `@exclude` are globs, or regular expressions written as `/source/flags`; `@require` must be a URL.
+   - Ports are ignored by match patterns that do not name one, and default ports are dropped from URLs before they are matched.
+
+4. **Error Handling**:
+   - Every problem in a block is collected with its line number (lines that are not `// @key value` entries, missing values, repeated single-valued keys, unknown `@run-at` values, invalid patterns and URLs, an unclosed block and a missing `@name`). They are reported together in one `ScriptMetadataError`, which carries them as `problems` and is answered with `400 Bad Request`.
+
+The generated `src/utils/userscriptMetadata.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of userscript metadata parsing in the AI-IPST MVP.
@@ -0,0 +1,131 @@
+Here is the complete, production-ready code for `tests/integration/conversationRoutes.test.js`:
+
+```javascript
+const express = require('express');
+const request = require('supertest');
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const conversationRoutes = require('../../src/routes/conversationRoutes');
+const conversationService = require('../../src/services/conversationService');
+const errorHandler = require('../../src/middleware/errorHandler');
+const authMiddleware = require('../../src/middleware/authMiddleware');
+const { NotFoundError } = require('../../src/utils/errors');
+
+describe('conversationRoutes', () => {
+  const id = '665f1c2e9b1e8a3d4c5b6a70';
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/conversations', conversationRoutes);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('GET /api/conversations', () => {
+    it('should fetch the conversations matching the filters', async () => {
+      const conversations = [{ _id: id, title: 'Weather in Paris?', user: 'alice', model: 'gpt-4o', turns: 3 }];
+      const getStub = sinon.stub(conversationService, 'getConversations').resolves(conversations);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/conversations')
+        .query({ user: 'alice', limit: 10 })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(conversations);
+      expect(getStub.firstCall.args[0]).to.deep.include({ user: 'alice', limit: 10 });
+    });
+
+    it('should return 400 Bad Request for an unknown provider', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/conversations')
+        .query({ provider: 'acme' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+  });
+
+  describe('GET /api/conversations/:id', () => {
+    it('should fetch a conversation with its transcript', async () => {
+      const conversation = {
+        conversation: { _id: id, title: 'Hi', turns: 1 },
+        transcript: [{ role: 'user', content: 'Hi', turn: 1 }, { role: 'assistant', content: 'Hello.', turn: 1 }],
+      };
+      sinon.stub(conversationService, 'getConversation').resolves(conversation);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get(`/api/conversations/${id}`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(conversation);
+    });
+
+    it('should return 400 Bad Request for an invalid ID', async () => {
+      const getStub = sinon.stub(conversationService, 'getConversation');
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/conversations/not-an-id')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(getStub.called).to.be.false;
+    });
+  });
+
+  describe('DELETE /api/conversations/:id', () => {
+    it('should delete a conversation and its log entries', async () => {
+      const deleteStub = sinon.stub(conversationService, 'deleteConversation').resolves({ deletedEntries: 4 });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete(`/api/conversations/${id}`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ message: 'Conversation deleted successfully', deletedEntries: 4 });
+      sinon.assert.calledWith(deleteStub, id);
+    });
+
+    it('should return 404 Not Found if the conversation does not exist', async () => {
+      sinon.stub(conversationService, 'deleteConversation').rejects(new NotFoundError(`Conversation with ID ${id} not found`));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete(`/api/conversations/${id}`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+});
+```
+
+This `tests/integration/conversationRoutes.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `express`, `supertest`, `sinon`, `chai`, and the relevant components from the existing MVP structure, along with the `NotFoundError` error class.
+
+2. **Test Structure**:
+   - The file mounts the `conversationRoutes` and the `errorHandler` on a fresh Express app for each test, and restores all stubs after each test.
+   - Each endpoint has its own `describe` block.
+
+3. **Test Cases**:
+   - `GET /api/conversations` is tested for filtered listing and invalid filters.
+   - `GET /api/conversations/:id` is tested for fetching a transcript and for invalid IDs.
+   - `DELETE /api/conversations/:id` is tested for deletion and for unknown conversations.
+
+The generated `tests/integration/conversationRoutes.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for the conversation endpoints in the AI-IPST MVP.
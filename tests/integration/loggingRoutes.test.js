@@ -10,8 +10,10 @@ const chaiAsPromised = require('chai-as-promised');
 
 const loggingRoutes = require('../../src/routes/loggingRoutes');
 const loggingController = require('../../src/controllers/loggingController');
+const loggingService = require('../../src/services/loggingService');
+const errorHandler = require('../../src/middleware/errorHandler');
 const authMiddleware = require('../../src/middleware/authMiddleware');
-const { LoggingConfigurationError, LogEntryError } = require('../../src/utils/errors');
+const { LoggingConfigurationError, LogEntryError, HarFormatError } = require('../../src/utils/errors');
 
 chai.use(chaiAsPromised);
 
@@ -103,6 +105,71 @@ describe('loggingRoutes', () => {
     });
   });
 
+  describe('GET /api/logs/har', () => {
+    it('should export the filtered logs as a HAR file', async () => {
+      const har = { log: { version: '1.2', creator: { name: 'AI-IPST', version: '1.0.0' }, pages: [], entries: [] } };
+      const exportStub = sinon.stub(loggingService, 'exportHar').resolves(har);
+
+      const response = await request(app)
+        .get('/api/logs/har')
+        .query({ filters: { method: 'POST' }, limit: 200 })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.headers['content-disposition']).to.equal('attachment; filename="logs.har"');
+      expect(response.body).to.deep.equal(har);
+      sinon.assert.calledWith(exportStub, { method: 'POST' }, 200);
+    });
+  });
+
+  describe('POST /api/logs/har', () => {
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/logs', authMiddleware.authenticate(), loggingRoutes);
+      app.use(errorHandler);
+    });
+
+    it('should import the entries of a HAR file', async () => {
+      const har = { log: { version: '1.2', entries: [] } };
+      const importStub = sinon.stub(loggingService, 'importHar').resolves({ imported: 3, skipped: 1 });
+
+      const response = await request(app)
+        .post('/api/logs/har')
+        .send(har)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(201);
+      expect(response.body).to.deep.equal({ imported: 3, skipped: 1 });
+      sinon.assert.calledWith(importStub, har);
+    });
+
+    it('should return 400 Bad Request if the body is not a HAR document', async () => {
+      const importStub = sinon.stub(loggingService, 'importHar');
+
+      const response = await request(app)
+        .post('/api/logs/har')
+        .send({ entries: [] })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+      expect(importStub.called).to.be.false;
+    });
+
+    it('should return 400 Bad Request if an entry is malformed', async () => {
+      sinon.stub(loggingService, 'importHar').rejects(new HarFormatError('Invalid HAR file: entry 0 must have a request and a response'));
+
+      const response = await request(app)
+        .post('/api/logs/har')
+        .send({ log: { entries: [{}] } })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
   describe('GET /api/logs/:id', () => {
     it('should fetch a specific log entry by ID successfully', async () => {
       const logId = '123';
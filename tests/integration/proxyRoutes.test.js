@@ -13,7 +13,15 @@ const proxyRoutes = require('../../src/routes/proxyRoutes');
 const proxyController = require('../../src/controllers/proxyController');
 const proxyMiddleware = require('../../src/middleware/proxyMiddleware');
 const authMiddleware = require('../../src/middleware/authMiddleware');
-const { ProxyConfigurationError, ProxyTrafficError, RequestModificationError, ResponseModificationError, CustomResponseInjectionError } = require('../../src/utils/errors');
+const proxyService = require('../../src/services/proxyService');
+const routingService = require('../../src/services/routingService');
+const interceptService = require('../../src/services/interceptService');
+const mockService = require('../../src/services/mockService');
+const cassetteService = require('../../src/services/cassetteService');
+const usageService = require('../../src/services/usageService');
+const cacheService = require('../../src/services/cacheService');
+const circuitBreakerService = require('../../src/services/circuitBreakerService');
+const { ProxyConfigurationError, ProxyTrafficError, RequestModificationError, ResponseModificationError, CustomResponseInjectionError, RoutingRuleError, NotFoundError, InterceptError, CassetteError } = require('../../src/utils/errors');
 
 chai.use(chaiAsPromised);
 
@@ -22,7 +30,7 @@ describe('proxyRoutes', () => {
 
   beforeEach(() => {
     app = express();
-    app.use('/api/proxy', proxyMiddleware, proxyRoutes);
+    app.use('/api/proxy', proxyRoutes, proxyMiddleware);
   });
 
   afterEach(() => {
@@ -106,6 +114,101 @@ describe('proxyRoutes', () => {
       expect(response.status).to.equal(401);
       expect(response.body).to.have.property('error');
     });
+
+    it('should return 400 Bad Request if a modification rule is invalid', async () => {
+      const updatedConfig = {
+        targetHostname: 'example.org',
+        targetPort: 8080,
+        requestModifications: {
+          'pin-model': { when: { url: '(' }, actions: [{ type: 'setJson', path: 'model', value: 'gpt-4o-mini' }] },
+        },
+      };
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/config')
+        .send(updatedConfig)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Modification rule 'pin-model': invalid regular expression '('");
+    });
+
+    it('should return 400 Bad Request if a rate limit is invalid', async () => {
+      const updatedConfig = {
+        targetHostname: 'example.org',
+        targetPort: 8080,
+        rateLimits: [{ name: 'per-team', scope: 'team', requestsPerMinute: 60 }],
+      };
+      const updateStub = sinon.stub(proxyController, 'updateProxyConfig').resolves();
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/config')
+        .send(updatedConfig)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Rate limit 'per-team' must have a scope of user, key, ip, route");
+      expect(updateStub.called).to.be.false;
+    });
+
+    it('should return 400 Bad Request if a redaction detector is invalid', async () => {
+      const updatedConfig = {
+        targetHostname: 'example.org',
+        targetPort: 8080,
+        redaction: { enabled: true, detectors: [{ name: 'ticket', type: 'custom', pattern: '(' }] },
+      };
+      const updateStub = sinon.stub(proxyController, 'updateProxyConfig').resolves();
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/config')
+        .send(updatedConfig)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Redaction detector 'ticket': invalid regular expression '('");
+      expect(updateStub.called).to.be.false;
+    });
+
+    it('should return 400 Bad Request if a prompt-injection rule is invalid', async () => {
+      const updatedConfig = {
+        targetHostname: 'example.org',
+        targetPort: 8080,
+        injectionDetection: { enabled: true, rules: [{ name: 'roles', type: 'heuristic', heuristic: 'sentiment', action: 'block' }] },
+      };
+      const updateStub = sinon.stub(proxyController, 'updateProxyConfig').resolves();
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/config')
+        .send(updatedConfig)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Prompt-injection rule 'roles' heuristic must be one of roleMarkers, hiddenCharacters, encodedPayload");
+      expect(updateStub.called).to.be.false;
+    });
+
+    it('should return 400 Bad Request if an upstream fails over to an unknown upstream', async () => {
+      const updatedConfig = {
+        targetHostname: 'example.org',
+        targetPort: 8080,
+        upstreams: [{ name: 'openai', hostname: 'api.openai.com', port: 443, provider: 'openai', fallback: { upstream: 'anthropic', model: 'claude-sonnet-4-5' } }],
+      };
+      const updateStub = sinon.stub(proxyController, 'updateProxyConfig').resolves();
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/config')
+        .send(updatedConfig)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Upstream 'openai' fails over to unknown upstream 'anthropic'");
+      expect(updateStub.called).to.be.false;
+    });
   });
 
   describe('GET /api/proxy/traffic', () => {
@@ -171,6 +274,73 @@ describe('proxyRoutes', () => {
     });
   });
 
+  describe('GET /api/proxy/traffic/har', () => {
+    const filters = { startDate: '2024-05-01T00:00:00Z', endDate: '2024-05-02T00:00:00Z', method: 'POST' };
+
+    it('should export the filtered proxy traffic as a HAR file', async () => {
+      const har = { log: { version: '1.2', creator: { name: 'AI-IPST', version: '1.0.0' }, pages: [], entries: [] } };
+      const exportStub = sinon.stub(proxyService, 'exportProxyTrafficHar').resolves(har);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/traffic/har')
+        .query({ ...filters, limit: 500 })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.headers['content-disposition']).to.equal('attachment; filename="traffic.har"');
+      expect(response.body).to.deep.equal(har);
+      expect(exportStub.firstCall.args[0]).to.deep.include({ method: 'POST', limit: 500 });
+    });
+
+    it('should return 400 Bad Request if the limit is out of range', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/traffic/har')
+        .query({ ...filters, limit: 50000 })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+  });
+
+  describe('GET /api/proxy/usage', () => {
+    it('should return the usage report grouped as requested', async () => {
+      const report = {
+        currency: 'USD',
+        groupBy: ['user', 'bucket'],
+        bucket: 'day',
+        totals: { requests: 2, inputTokens: 300, outputTokens: 100, totalTokens: 400, cachedInputTokens: 0, cost: 0.00175, estimatedRequests: 0, unpricedRequests: 0 },
+        groups: [],
+      };
+      const usageStub = sinon.stub(usageService, 'getUsage').resolves(report);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/usage')
+        .query({ groupBy: 'user,bucket', bucket: 'day' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(report);
+      expect(usageStub.firstCall.args[0]).to.deep.include({ groupBy: 'user,bucket', bucket: 'day' });
+    });
+
+    it('should return 400 Bad Request for an unknown grouping', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/usage')
+        .query({ groupBy: 'country' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+  });
+
   describe('POST /api/proxy/modify/request', () => {
     it('should modify the intercepted proxy request successfully', async () => {
       const requestData = {
@@ -338,6 +508,465 @@ describe('proxyRoutes', () => {
       expect(response.body).to.have.property('error');
     });
   });
+
+  describe('GET /api/proxy/routes', () => {
+    it('should fetch the routing table successfully', async () => {
+      const mockRules = [{ name: 'openai', enabled: true, pathPrefix: '/v1', upstream: 'openai' }];
+      sinon.stub(routingService, 'getRules').resolves(mockRules);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/routes')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(mockRules);
+    });
+
+    it('should return 401 Unauthorized if the user is not authenticated', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next(new Error('Unauthorized')));
+
+      const response = await request(app).get('/api/proxy/routes');
+
+      expect(response.status).to.equal(401);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('POST /api/proxy/routes', () => {
+    it('should add a routing rule successfully', async () => {
+      const rule = { name: 'anthropic', host: 'claude.internal', upstream: 'anthropic', position: 0 };
+      const mockRules = [{ name: 'anthropic', enabled: true, host: 'claude.internal', upstream: 'anthropic' }];
+      const addRuleStub = sinon.stub(routingService, 'addRule').resolves(mockRules);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/routes')
+        .send(rule)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(201);
+      expect(response.body).to.deep.equal(mockRules);
+      expect(addRuleStub.calledWith({ name: 'anthropic', host: 'claude.internal', upstream: 'anthropic' }, 0)).to.be.true;
+    });
+
+    it('should return 400 Bad Request if the request is invalid', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/routes')
+        .send({ name: 'invalid name', pathPrefix: 'no-leading-slash' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+
+    it('should return 400 Bad Request if the rule references an unknown upstream', async () => {
+      sinon.stub(routingService, 'addRule').rejects(new RoutingRuleError("Routing rule 'bot' references unknown upstream 'missing'"));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/routes')
+        .send({ name: 'bot', header: { name: 'x-bot' }, upstream: 'missing' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('PUT /api/proxy/routes', () => {
+    it('should replace the routing table successfully', async () => {
+      const rules = [
+        { name: 'internal', header: { name: 'x-bot', value: 'internal' }, upstream: 'default' },
+        { name: 'openai', pathPrefix: '/v1', upstream: 'openai' },
+      ];
+      sinon.stub(routingService, 'replaceRules').resolves(rules);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/routes')
+        .send({ rules })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(rules);
+    });
+
+    it('should return 400 Bad Request if the request is invalid', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .put('/api/proxy/routes')
+        .send({ rules: 'not-an-array' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+  });
+
+  describe('DELETE /api/proxy/routes/:name', () => {
+    it('should delete a routing rule successfully', async () => {
+      sinon.stub(routingService, 'deleteRule').resolves([]);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete('/api/proxy/routes/openai')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal([]);
+    });
+
+    it('should return 404 Not Found if the rule does not exist', async () => {
+      sinon.stub(routingService, 'deleteRule').rejects(new NotFoundError("Routing rule 'missing' not found"));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete('/api/proxy/routes/missing')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+  describe('GET /api/proxy/intercept', () => {
+    it('should list the held requests and responses', async () => {
+      const queue = [{ id: 'abc123', phase: 'request', breakpoint: 'chat', request: { method: 'POST', url: '/v1/chat/completions' }, message: { method: 'POST', url: '/v1/chat/completions', headers: {}, body: null } }];
+      sinon.stub(interceptService, 'getQueue').returns(queue);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/intercept')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(queue);
+    });
+
+    it('should return 401 Unauthorized if the user is not authenticated', async () => {
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next(new Error('Unauthorized')));
+
+      const response = await request(app).get('/api/proxy/intercept');
+
+      expect(response.status).to.equal(401);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('POST /api/proxy/intercept/:id/forward', () => {
+    it('should forward a held request with the operator\'s edits', async () => {
+      const edits = { body: { model: 'gpt-4o-mini' } };
+      const forwardStub = sinon.stub(interceptService, 'forward').returns({ id: 'abc123', phase: 'request', message: { method: 'POST', url: '/v1/chat/completions', headers: {}, body: edits.body } });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/intercept/abc123/forward')
+        .send(edits)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body.message.body).to.deep.equal(edits.body);
+      expect(forwardStub.calledWith('abc123', edits)).to.be.true;
+    });
+
+    it('should return 400 Bad Request if the edits are invalid', async () => {
+      sinon.stub(interceptService, 'forward').throws(new InterceptError('Cannot edit url of an intercepted response'));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/intercept/abc123/forward')
+        .send({ url: '/other' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('error');
+    });
+
+    it('should return 404 Not Found if the message is no longer held', async () => {
+      sinon.stub(interceptService, 'forward').throws(new NotFoundError('No intercepted message with ID abc123 is being held'));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/intercept/abc123/forward')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('POST /api/proxy/intercept/:id/drop', () => {
+    it('should drop a held request', async () => {
+      sinon.stub(interceptService, 'drop').returns({ id: 'abc123', phase: 'request' });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/intercept/abc123/drop')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ id: 'abc123', phase: 'request' });
+    });
+  });
+  describe('GET /api/proxy/cache', () => {
+    it('should list the cached responses with the cache statistics', async () => {
+      const cache = {
+        stats: { entries: 1, bytes: 120, hits: 3, misses: 1, bypasses: 0, evictions: 0 },
+        entries: [{ key: 'a'.repeat(64), upstream: 'default', model: 'gpt-4o', method: 'POST', url: '/v1/chat/completions', statusCode: 200, size: 120, hits: 3 }],
+      };
+      sinon.stub(cacheService, 'getEntries').returns(cache);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/cache')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(cache);
+    });
+  });
+
+  describe('GET /api/proxy/cache/:key', () => {
+    it('should return 400 Bad Request for a malformed cache key', async () => {
+      const getStub = sinon.stub(cacheService, 'getEntry');
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/cache/not-a-key')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(getStub.called).to.be.false;
+    });
+  });
+
+  describe('DELETE /api/proxy/cache', () => {
+    it('should purge the cached responses of a model', async () => {
+      const purgeStub = sinon.stub(cacheService, 'purge').returns({ purged: 2 });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete('/api/proxy/cache')
+        .query({ model: 'gpt-4o' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ message: 'Response cache purged successfully', purged: 2 });
+      expect(purgeStub.firstCall.args[0]).to.deep.include({ model: 'gpt-4o' });
+    });
+  });
+
+  describe('DELETE /api/proxy/cache/:key', () => {
+    it('should return 404 Not Found if nothing is cached under the key', async () => {
+      const key = 'b'.repeat(64);
+      sinon.stub(cacheService, 'purgeEntry').throws(new NotFoundError(`No response is cached under key ${key}`));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete(`/api/proxy/cache/${key}`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('GET /api/proxy/circuit-breakers', () => {
+    it('should list the circuit breakers of failing upstreams', async () => {
+      const breakers = [{ upstream: 'openai', state: 'open', consecutiveFailures: 5, totalFailures: 7, lastFailure: { at: '2024-06-01T00:00:00.000Z', reason: 'HTTP 503' }, openedAt: '2024-06-01T00:00:00.000Z', retryAt: '2024-06-01T00:00:30.000Z' }];
+      sinon.stub(circuitBreakerService, 'getBreakers').returns(breakers);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/circuit-breakers')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(breakers);
+    });
+  });
+
+  describe('POST /api/proxy/circuit-breakers/:upstream/reset', () => {
+    it('should close an upstream\'s circuit breaker', async () => {
+      const resetStub = sinon.stub(circuitBreakerService, 'reset').returns({ upstream: 'openai', state: 'closed', consecutiveFailures: 0, totalFailures: 7 });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/circuit-breakers/openai/reset')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body.state).to.equal('closed');
+      expect(resetStub.calledWith('openai')).to.be.true;
+    });
+
+    it('should return 404 Not Found for untracked upstreams', async () => {
+      sinon.stub(circuitBreakerService, 'reset').throws(new NotFoundError("No circuit breaker is tracked for upstream 'anthropic'"));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/circuit-breakers/anthropic/reset')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('GET /api/proxy/mocks', () => {
+    it('should fetch the mock rules successfully', async () => {
+      const rules = [{ _id: '64b000000000000000000001', name: 'chat-hello', enabled: true, priority: 0, path: '^/v1/chat/completions$', response: { statusCode: 200, body: { id: 'chatcmpl-mock' } } }];
+      sinon.stub(mockService, 'getMockRules').resolves(rules);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/mocks')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(rules);
+    });
+  });
+
+  describe('POST /api/proxy/mocks', () => {
+    it('should create a mock rule successfully', async () => {
+      const rule = {
+        name: 'chat-stream',
+        method: 'POST',
+        path: '^/v1/chat/completions$',
+        body: [{ path: 'stream', equals: true }],
+        response: { events: [{ data: { choices: [{ delta: { content: 'Hi' } }] } }, { data: '[DONE]' }] },
+      };
+      const createStub = sinon.stub(mockService, 'createMockRule').resolves({ _id: '64b000000000000000000002', ...rule });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/mocks')
+        .send(rule)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(201);
+      expect(response.body.name).to.equal('chat-stream');
+      expect(createStub.calledOnce).to.be.true;
+    });
+
+    it('should return 400 Bad Request if the path pattern is invalid', async () => {
+      const createStub = sinon.stub(mockService, 'createMockRule');
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/mocks')
+        .send({ name: 'broken', path: '(', response: { statusCode: 200 } })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal("Mock rule 'broken': invalid regular expression '('");
+      expect(createStub.called).to.be.false;
+    });
+  });
+
+  describe('DELETE /api/proxy/mocks/:id', () => {
+    it('should return 404 Not Found if the mock rule does not exist', async () => {
+      sinon.stub(mockService, 'deleteMockRule').rejects(new NotFoundError('Mock rule with ID 64b000000000000000000003 not found'));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .delete('/api/proxy/mocks/64b000000000000000000003')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+  describe('POST /api/proxy/cassettes', () => {
+    it('should create a cassette successfully', async () => {
+      const cassette = { name: 'checkout-flow', matching: { body: true, headers: ['x-session'] } };
+      sinon.stub(cassetteService, 'createCassette').resolves(cassette);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/cassettes')
+        .send(cassette)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(201);
+      expect(response.body).to.deep.equal(cassette);
+    });
+
+    it('should return 400 Bad Request if the cassette already exists', async () => {
+      sinon.stub(cassetteService, 'createCassette').rejects(new CassetteError("Cassette 'checkout-flow' already exists"));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/cassettes')
+        .send({ name: 'checkout-flow' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('GET /api/proxy/cassettes/:name', () => {
+    it('should fetch the cassette and its recording', async () => {
+      const interactions = [{ method: 'POST', url: 'https://api.openai.com/v1/chat/completions', statusCode: 200 }];
+      sinon.stub(cassetteService, 'getCassette').resolves({ name: 'checkout-flow' });
+      sinon.stub(cassetteService, 'getInteractions').resolves(interactions);
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .get('/api/proxy/cassettes/checkout-flow')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ cassette: { name: 'checkout-flow' }, interactions });
+    });
+  });
+
+  describe('POST /api/proxy/cassettes/:name/replay', () => {
+    it('should switch the proxy into replay mode', async () => {
+      const setModeStub = sinon.stub(cassetteService, 'setMode').resolves({ mode: 'replay', name: 'checkout-flow' });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/cassettes/checkout-flow/replay')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ mode: 'replay', name: 'checkout-flow' });
+      expect(setModeStub.calledWith('replay', 'checkout-flow')).to.be.true;
+    });
+
+    it('should return 404 Not Found if the cassette does not exist', async () => {
+      sinon.stub(cassetteService, 'setMode').rejects(new NotFoundError("Cassette 'missing' not found"));
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/cassettes/missing/replay')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(404);
+      expect(response.body).to.have.property('error');
+    });
+  });
+
+  describe('POST /api/proxy/cassettes/stop', () => {
+    it('should switch the proxy back to forwarding', async () => {
+      const setModeStub = sinon.stub(cassetteService, 'setMode').resolves({ mode: 'off' });
+      sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next());
+
+      const response = await request(app)
+        .post('/api/proxy/cassettes/stop')
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ mode: 'off' });
+      expect(setModeStub.calledWith('off')).to.be.true;
+    });
+  });
 });
 ```
 
@@ -349,7 +978,7 @@ This `tests/integration/proxyRoutes.test.js` file adheres to the provided instru
 
 2. **Test Structure**:
    - The file follows the structure of a typical integration test suite, with a `describe` block for the `proxyRoutes` module and individual `describe` blocks for each API endpoint.
-   - The `beforeEach` hook sets up the Express app and configures the `proxyMiddleware` and `proxyRoutes`.
+   - The `beforeEach` hook sets up the Express app and mounts the `proxyRoutes` ahead of the `proxyMiddleware`, as in `app.js`.
    - The `afterEach` hook restores any mocks or stubs created during the tests.
 
 3. **Test Cases**:
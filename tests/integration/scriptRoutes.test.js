@@ -10,6 +10,8 @@ const chaiAsPromised = require('chai-as-promised');
 
 const scriptRoutes = require('../../src/routes/scriptRoutes');
 const scriptController = require('../../src/controllers/scriptController');
+const scriptService = require('../../src/services/scriptService');
+const scriptTestService = require('../../src/services/scriptTestService');
 const authMiddleware = require('../../src/middleware/authMiddleware');
 const { InvalidScriptError, ScriptExecutionError } = require('../../src/utils/errors');
 
@@ -129,6 +131,42 @@ describe('scriptRoutes', () => {
       expect(response.body).to.have.property('errors');
     });
 
+    it('should create a userscript from its ==UserScript== block alone', async () => {
+      const content = '// ==UserScript==\n// @name Pin temperature\n// @match https://api.openai.com/*\n// ==/UserScript==\n';
+      const createScript = sinon.stub(scriptController, 'createScript').resolves({ _id: '123', name: 'Pin-temperature', content });
+
+      const response = await request(app)
+        .post('/api/scripts')
+        .send({ content })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(201);
+      sinon.assert.calledOnce(createScript);
+    });
+
+    it('should return 400 Bad Request if a userscript without a ==UserScript== block has no name', async () => {
+      const response = await request(app)
+        .post('/api/scripts')
+        .send({ description: 'Description', content: 'function onRequest() {}' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal('Name is required unless the content has a ==UserScript== block');
+    });
+
+    it('should return 400 Bad Request if the userscript declares an unknown hook', async () => {
+      const createScript = sinon.stub(scriptController, 'createScript');
+
+      const response = await request(app)
+        .post('/api/scripts')
+        .send({ name: 'hooked', description: 'Description', content: 'function onMessage() {}', hooks: ['onMessage'], match: { urls: ['/v1/*'] } })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.include('Userscript hooks must be an array of');
+      sinon.assert.notCalled(createScript);
+    });
+
     it('should return 401 Unauthorized if the user is not authenticated', async () => {
       sinon.stub(authMiddleware, 'authenticate').returns((req, res, next) => next(new Error('Unauthorized')));
 
@@ -252,6 +290,100 @@ describe('scriptRoutes', () => {
       expect(response.body).to.have.property('error');
     });
   });
+
+  describe('script revisions', () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    it('should diff a revision with the latest one', async () => {
+      const diff = { from: { revision: 2 }, to: { revision: 5 }, fields: {}, added: 1, removed: 0, hunks: [], unified: '' };
+      const diffRevisions = sinon.stub(scriptService, 'diffRevisions').resolves(diff);
+
+      const response = await request(app)
+        .get(`/api/scripts/${id}/diff?from=2`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(diff);
+      sinon.assert.calledWith(diffRevisions, id, 2, undefined);
+    });
+
+    it('should return 400 Bad Request if the diff has no from revision', async () => {
+      const diffRevisions = sinon.stub(scriptService, 'diffRevisions');
+
+      const response = await request(app)
+        .get(`/api/scripts/${id}/diff?to=3`)
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      sinon.assert.notCalled(diffRevisions);
+    });
+
+    it('should roll a userscript back with the given message', async () => {
+      const rollbackScript = sinon.stub(scriptService, 'rollbackScript').resolves({ _id: id, name: 'pin' });
+
+      const response = await request(app)
+        .post(`/api/scripts/${id}/rollback`)
+        .send({ revision: 2, message: 'Undo the top_p change' })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal({ _id: id, name: 'pin' });
+      sinon.assert.calledWith(rollbackScript, id, 2, sinon.match({ message: 'Undo the top_p change' }));
+    });
+
+    it('should not save the revision message with the userscript', async () => {
+      const updateScript = sinon.stub(scriptService, 'updateScript').resolves({ _id: id });
+
+      await request(app)
+        .put(`/api/scripts/${id}`)
+        .send({ name: 'pin', description: 'Pin', content: 'function onRequest() {}', message: 'Pin harder' })
+        .set('Authorization', 'Bearer valid_token');
+
+      sinon.assert.calledWith(updateScript, id, { name: 'pin', description: 'Pin', content: 'function onRequest() {}' }, sinon.match({ message: 'Pin harder' }));
+    });
+  });
+
+  describe('POST /api/scripts/test', () => {
+    const entries = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'];
+
+    it('should dry-run an unsaved userscript against the log entries', async () => {
+      const report = { script: { name: 'ad-hoc', hooks: ['onRequest'] }, results: [] };
+      const testScript = sinon.stub(scriptTestService, 'testScript').resolves(report);
+      const script = { content: 'function onRequest(request) { request.body.temperature = 0; }', hooks: ['onRequest'] };
+
+      const response = await request(app)
+        .post('/api/scripts/test')
+        .send({ script, entries })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.deep.equal(report);
+      sinon.assert.calledWith(testScript, { scriptId: undefined, script }, entries);
+    });
+
+    it('should return 400 Bad Request if both a saved and an unsaved script are given', async () => {
+      const testScript = sinon.stub(scriptTestService, 'testScript');
+
+      const response = await request(app)
+        .post('/api/scripts/test')
+        .send({ scriptId: '507f1f77bcf86cd799439013', script: { content: 'function onRequest() {}', hooks: ['onRequest'] }, entries })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body.errors[0].msg).to.equal('Either a scriptId or a script is required, not both');
+      sinon.assert.notCalled(testScript);
+    });
+
+    it('should return 400 Bad Request if the log entry IDs are invalid', async () => {
+      const response = await request(app)
+        .post('/api/scripts/test')
+        .send({ scriptId: '507f1f77bcf86cd799439013', entries: ['not-an-id'] })
+        .set('Authorization', 'Bearer valid_token');
+
+      expect(response.status).to.equal(400);
+      expect(response.body).to.have.property('errors');
+    });
+  });
 });
 ```
 
@@ -269,7 +401,9 @@ This `tests/integration/scriptRoutes.test.js` file adheres to the provided instr
 3. **Test Cases**:
    - Each API endpoint has a corresponding set of test cases, covering successful requests, invalid input, and authentication/authorization failures.
    - The tests use `supertest` to simulate HTTP requests and verify the responses.
-   - `sinon` is used to stub the `scriptController` and `authMiddleware` as needed.
+   - `sinon` is used to stub the `scriptController`, `scriptService`, `scriptTestService` and `authMiddleware` as needed.
+   - The test harness endpoint is tested for dry-running an unsaved script, and for rejecting a request with both a saved and an unsaved script or with invalid log entry IDs.
+   - The revision endpoints are tested for diffing against the latest revision, rejecting a diff without a `from` revision, rolling back with a message, and keeping the revision message out of the saved script.
    - `chai` and `chai-as-promised` are used for assertion and validation of the expected behavior.
 
 4. **Error Handling**:
@@ -0,0 +1,187 @@
+Here is the complete, production-ready code for `tests/unit/cacheService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Readable } = require('stream');
+const CacheService = require('../../src/services/cacheService');
+const { CacheError, NotFoundError } = require('../../src/utils/errors');
+
+describe('CacheService', () => {
+  const route = { rule: null, upstream: { name: 'default', scheme: 'https', hostname: 'api.openai.com', port: 443 } };
+  const request = {
+    method: 'POST',
+    url: '/v1/chat/completions',
+    headers: { 'content-type': 'application/json' },
+    body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], temperature: 0 },
+  };
+  const response = { statusCode: 200, headers: { 'content-type': 'application/json' }, body: { id: 'chatcmpl-1', choices: [{ message: { role: 'assistant', content: 'Hello.' } }] } };
+  const proxyConfig = { cache: { enabled: true, ttlSeconds: 60, maxEntries: 2, maxBytes: 1024 * 1024, routes: [] } };
+
+  // Look a request up and store the upstream response to a miss
+  const cacheResponse = (req, res = response, config = proxyConfig) => {
+    const cached = CacheService.lookup(req, route, config);
+    return CacheService.store(cached, req, route, res, config);
+  };
+
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date('2024-06-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    CacheService.purge();
+    CacheService.stats = { hits: 0, misses: 0, bypasses: 0, evictions: 0 };
+    sinon.restore();
+  });
+
+  describe('lookup', () => {
+    it('should skip requests the cache is not enabled for', () => {
+      expect(CacheService.lookup(request, route, { cache: { enabled: false } })).to.be.null;
+      expect(CacheService.lookup(request, route, { cache: { enabled: true, routes: ['openai'] } })).to.be.null;
+      expect(CacheService.lookup({ ...request, url: '/v1/models', body: null }, route, proxyConfig)).to.be.null;
+    });
+
+    it('should answer repeated identical prompts from the cache', () => {
+      const first = cacheResponse(request);
+      const cached = CacheService.lookup({
+        ...request,
+        body: JSON.stringify({ temperature: 0, messages: [{ content: 'Hi', role: 'user' }], model: 'gpt-4o', store: false }),
+      }, route, proxyConfig);
+
+      expect(first.headers['x-proxy-cache']).to.equal('MISS');
+      expect(cached.status).to.equal('hit');
+      expect(cached.response.body).to.deep.equal(response.body);
+      expect(cached.response.headers['x-proxy-cache']).to.equal('HIT');
+      expect(CacheService.getEntries().stats).to.deep.include({ entries: 1, hits: 1, misses: 1 });
+    });
+
+    it('should key on the sampling parameters and upstream', () => {
+      cacheResponse(request);
+
+      expect(CacheService.lookup({ ...request, body: { ...request.body, temperature: 1 } }, route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.lookup(request, { ...route, upstream: { name: 'azure' } }, proxyConfig).status).to.equal('miss');
+    });
+
+    it('should only answer the API key and user that cached a response', () => {
+      const withKey = (key, extra = {}) => ({ ...request, headers: { ...request.headers, authorization: `Bearer ${key}`, ...extra } });
+      cacheResponse(withKey('sk-alice'));
+
+      expect(CacheService.lookup(withKey('sk-alice'), route, proxyConfig).status).to.equal('hit');
+      expect(CacheService.lookup(withKey('sk-mallory'), route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.lookup(request, route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.lookup(withKey('sk-alice', { 'x-user-id': 'bob' }), route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.lookup({ ...withKey('sk-alice'), body: { ...request.body, user: 'bob' } }, route, proxyConfig).status).to.equal('miss');
+    });
+
+    it('should let clients bypass the cache', () => {
+      cacheResponse(request);
+
+      const bypassed = CacheService.lookup({ ...request, headers: { 'X-Proxy-Cache-Bypass': '1' } }, route, proxyConfig);
+      const noCache = CacheService.lookup({ ...request, headers: { 'cache-control': 'no-cache' } }, route, proxyConfig);
+
+      expect(bypassed.status).to.equal('bypass');
+      expect(noCache.status).to.equal('bypass');
+      expect(CacheService.store(bypassed, request, route, response, proxyConfig).headers['x-proxy-cache']).to.equal('BYPASS');
+    });
+
+    it('should expire entries after the TTL', () => {
+      cacheResponse(request);
+      clock.tick(61 * 1000);
+
+      expect(CacheService.lookup(request, route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.getEntries().stats.entries).to.equal(0);
+    });
+  });
+
+  describe('store', () => {
+    it('should not store failed responses', () => {
+      cacheResponse(request, { statusCode: 429, headers: {}, body: { error: 'rate limited' } });
+
+      expect(CacheService.getEntries().stats.entries).to.equal(0);
+    });
+
+    it('should evict the least recently used entries beyond the size limits', () => {
+      const prompt = (content) => ({ ...request, body: { ...request.body, messages: [{ role: 'user', content }] } });
+      cacheResponse(prompt('one'));
+      cacheResponse(prompt('two'));
+      CacheService.lookup(prompt('one'), route, proxyConfig);
+      cacheResponse(prompt('three'));
+
+      expect(CacheService.lookup(prompt('one'), route, proxyConfig).status).to.equal('hit');
+      expect(CacheService.lookup(prompt('two'), route, proxyConfig).status).to.equal('miss');
+      expect(CacheService.getEntries().stats.evictions).to.equal(1);
+    });
+
+    it('should store streaming responses once they have been relayed in full', async () => {
+      const events = ['data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n', 'data: [DONE]\n\n'];
+      const streamRequest = { ...request, body: { ...request.body, stream: true } };
+      const relayed = cacheResponse(streamRequest, { statusCode: 200, headers: { 'content-type': 'text/event-stream' }, stream: Readable.from(events) });
+
+      expect(CacheService.getEntries().stats.entries).to.equal(0);
+      const chunks = [];
+      for await (const chunk of relayed.stream) {
+        chunks.push(chunk.toString());
+      }
+      expect(chunks.join('')).to.equal(events.join(''));
+
+      const cached = CacheService.lookup(streamRequest, route, proxyConfig);
+      const replayed = [];
+      for await (const chunk of cached.response.stream) {
+        replayed.push(chunk.toString());
+      }
+      expect(replayed.join('')).to.equal(events.join(''));
+      expect(CacheService.getEntry(cached.key).body).to.equal(events.join(''));
+    });
+  });
+
+  describe('purge', () => {
+    it('should purge the entries of a model', () => {
+      cacheResponse(request);
+      cacheResponse({ ...request, body: { ...request.body, model: 'gpt-4o-mini' } });
+
+      expect(CacheService.purge({ model: 'gpt-4o-mini' })).to.deep.equal({ purged: 1 });
+      expect(CacheService.getEntries().entries.map((entry) => entry.model)).to.deep.equal(['gpt-4o']);
+    });
+
+    it('should mask the credentials of inspected entries', () => {
+      const cached = CacheService.lookup(request, route, proxyConfig);
+      CacheService.store(cached, request, route, { ...response, headers: { ...response.headers, 'set-cookie': 'session=abcdef123456' } }, proxyConfig);
+
+      expect(CacheService.getEntry(cached.key).headers['set-cookie']).to.not.include('abcdef123456');
+    });
+
+    it('should throw NotFoundError for unknown cache keys', () => {
+      expect(() => CacheService.purgeEntry('a'.repeat(64))).to.throw(NotFoundError);
+    });
+  });
+
+  describe('validateCacheConfig', () => {
+    it('should accept valid settings', () => {
+      expect(() => CacheService.validateCacheConfig(proxyConfig.cache)).not.to.throw();
+    });
+
+    it('should reject invalid limits and routes', () => {
+      expect(() => CacheService.validateCacheConfig({ ttlSeconds: 0 })).to.throw(CacheError, 'Cache ttlSeconds must be a positive integer');
+      expect(() => CacheService.validateCacheConfig({ routes: 'openai' })).to.throw(CacheError);
+    });
+  });
+});
+```
+
+This `tests/unit/cacheService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `sinon`, Node's `stream` module, `CacheService`, and custom error classes (`CacheError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `CacheService` class and individual `describe` blocks for each method.
+   - Fake timers control entry expiry, and the `afterEach` hook empties the cache and restores any stubs created during the tests.
+
+3. **Test Cases**:
+   - `lookup` is tested for requests the cache does not apply to, hits on repeated prompts (with reordered keys), keying on the caller's API key and user, sampling parameters and upstreams, bypassing clients, and expiry.
+   - `store` is tested for failed responses, least-recently-used eviction, and streaming responses.
+   - `getEntry`, `purge`, `purgeEntry` and `validateCacheConfig` are tested for masked credentials, filtered purges, unknown keys and invalid settings.
+
+The generated `tests/unit/cacheService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for the response cache in the AI-IPST MVP.
@@ -0,0 +1,181 @@
+Here is the complete, production-ready code for `tests/unit/cassetteService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const CassetteService = require('../../src/services/cassetteService');
+const Cassette = require('../../src/models/Cassette');
+const ProxyConfig = require('../../src/models/ProxyConfig');
+const LogEntry = require('../../src/models/LogEntry');
+const { CassetteError, CassetteMissError, NotFoundError } = require('../../src/utils/errors');
+
+chai.use(chaiAsPromised);
+
+describe('CassetteService', () => {
+  const cassette = { name: 'checkout-flow', matching: { method: true, url: true, body: true, headers: ['x-session'] } };
+  const interaction = (id, reply, overrides = {}) => ({
+    _id: id,
+    type: 'http',
+    method: 'POST',
+    url: 'https://api.openai.com/v1/chat/completions?b=2&a=1',
+    headers: { 'content-type': 'application/json', 'x-session': 'abc' },
+    body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] },
+    statusCode: 200,
+    responseHeaders: { 'content-type': 'application/json' },
+    responseBody: { reply },
+    ...overrides,
+  });
+  const request = {
+    method: 'POST',
+    url: '/v1/chat/completions?a=1&b=2',
+    headers: { 'content-type': 'application/json', 'x-session': 'abc' },
+    body: '{"messages":[{"content":"Hi","role":"user"}], "model":"gpt-4o"}',
+  };
+
+  afterEach(() => {
+    CassetteService.replayed.clear();
+    sinon.restore();
+  });
+
+  describe('replay', () => {
+    it('should answer from the matching interaction, ignoring JSON key order and query parameter order', async () => {
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(LogEntry, 'find').resolves([interaction('1', 'first')]);
+
+      const response = await CassetteService.replay('checkout-flow', request);
+
+      expect(response).to.deep.equal({ statusCode: 200, headers: { 'content-type': 'application/json' }, body: { reply: 'first' } });
+    });
+
+    it('should match requests against a recording stored redacted', async () => {
+      const proxyConfig = { redaction: { enabled: true, detectors: [{ name: 'email', type: 'email', logs: 'mask' }] } };
+      const redacted = interaction('1', 'noted', { body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Mail [EMAIL_1]' }] } });
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(LogEntry, 'find').resolves([redacted]);
+      const withEmail = { ...request, body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Mail jane@example.com' }] } };
+
+      expect((await CassetteService.replay('checkout-flow', withEmail, proxyConfig)).body).to.deep.equal({ reply: 'noted' });
+      await expect(CassetteService.replay('checkout-flow', withEmail)).to.be.rejectedWith(CassetteMissError);
+    });
+
+    it('should replay identical requests in recording order and then repeat the last response', async () => {
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(LogEntry, 'find').resolves([interaction('1', 'first'), interaction('2', 'second')]);
+
+      const replies = [];
+      for (let i = 0; i < 3; i++) {
+        replies.push((await CassetteService.replay('checkout-flow', request)).body.reply);
+      }
+
+      expect(replies).to.deep.equal(['first', 'second', 'second']);
+    });
+
+    it('should only match the selected headers', async () => {
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(LogEntry, 'find').resolves([interaction('1', 'first')]);
+
+      const otherSession = { ...request, headers: { ...request.headers, 'x-session': 'xyz', 'user-agent': 'ci' } };
+
+      await expect(CassetteService.replay('checkout-flow', otherSession)).to.be.rejectedWith(CassetteMissError, "No interaction recorded in cassette 'checkout-flow' matches POST /v1/chat/completions?a=1&b=2");
+    });
+
+    it('should ignore the body when body matching is turned off', async () => {
+      sinon.stub(Cassette, 'findOne').resolves({ name: 'checkout-flow', matching: { body: false } });
+      sinon.stub(LogEntry, 'find').resolves([interaction('1', 'first')]);
+
+      const response = await CassetteService.replay('checkout-flow', { ...request, body: { model: 'other' } });
+
+      expect(response.body).to.deep.equal({ reply: 'first' });
+    });
+
+    it('should replay recorded Server-Sent Events as a stream', async () => {
+      const events = 'data: {"delta":"Hi"}\n\ndata: [DONE]\n\n';
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(LogEntry, 'find').resolves([interaction('1', null, { responseHeaders: { 'content-type': 'text/event-stream' }, responseBody: events })]);
+
+      const response = await CassetteService.replay('checkout-flow', request);
+
+      const chunks = [];
+      for await (const chunk of response.stream) {
+        chunks.push(chunk.toString());
+      }
+      expect(chunks.join('')).to.equal(events);
+    });
+
+    it('should throw NotFoundError if the cassette does not exist', async () => {
+      sinon.stub(Cassette, 'findOne').resolves(null);
+
+      await expect(CassetteService.replay('missing', request)).to.be.rejectedWith(NotFoundError, "Cassette 'missing' not found");
+    });
+  });
+
+  describe('setMode', () => {
+    it('should switch the proxy configuration into record mode', async () => {
+      const proxyConfig = { save: sinon.stub().resolves() };
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(ProxyConfig, 'findOne').resolves(proxyConfig);
+
+      const result = await CassetteService.setMode('record', 'checkout-flow');
+
+      expect(result).to.deep.equal({ mode: 'record', name: 'checkout-flow' });
+      expect(proxyConfig.cassette).to.deep.equal({ mode: 'record', name: 'checkout-flow' });
+      expect(proxyConfig.save.calledOnce).to.be.true;
+    });
+
+    it('should rewind the cassette when a replay starts', async () => {
+      CassetteService.replayed.set('checkout-flow', new Set(['1']));
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+      sinon.stub(ProxyConfig, 'findOne').resolves({ save: sinon.stub().resolves() });
+
+      await CassetteService.setMode('replay', 'checkout-flow');
+
+      expect(CassetteService.replayed.has('checkout-flow')).to.be.false;
+    });
+
+    it('should throw CassetteError for an unknown mode', async () => {
+      await expect(CassetteService.setMode('rewind', 'checkout-flow')).to.be.rejectedWith(CassetteError, 'Cassette mode must be one of off, record, replay');
+    });
+
+    it('should throw CassetteError if the proxy configuration does not exist', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves(null);
+
+      await expect(CassetteService.setMode('off')).to.be.rejectedWith(CassetteError, 'Proxy configuration has not been set up yet');
+    });
+  });
+
+  describe('createCassette', () => {
+    it('should throw CassetteError if a cassette with the name already exists', async () => {
+      sinon.stub(Cassette, 'findOne').resolves(cassette);
+
+      await expect(CassetteService.createCassette({ name: 'checkout-flow' })).to.be.rejectedWith(CassetteError, "Cassette 'checkout-flow' already exists");
+    });
+  });
+
+  describe('validateCassette', () => {
+    it('should reject matching headers that are not names', () => {
+      expect(() => CassetteService.validateCassette({ name: 'a', matching: { headers: [''] } })).to.throw(CassetteError, 'Cassette matching.headers must be an array of header names');
+    });
+  });
+});
+```
+
+This `tests/unit/cassetteService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `chai-as-promised`, `sinon`, `CassetteService`, the `Cassette`, `ProxyConfig` and `LogEntry` models, and custom error classes (`CassetteError`, `CassetteMissError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `CassetteService` class and individual `describe` blocks for each method.
+   - The `afterEach` hook rewinds every cassette and restores any mocks or stubs created during the tests.
+
+3. **Test Cases**:
+   - `replay` is tested against stubbed recordings for normalized URL and JSON body matching, recordings stored redacted, replay order, selected headers, disabled body matching, replayed event streams and unknown cassettes.
+   - `setMode` is tested for recording, rewinding on replay, unknown modes and a missing proxy configuration.
+   - `createCassette` and `validateCassette` are tested for duplicate names and invalid matching settings.
+
+4. **Error Handling**:
+   - The tests ensure that the service throws the appropriate custom error classes (`CassetteError`, `CassetteMissError`, `NotFoundError`) with the expected error messages.
+
+The generated `tests/unit/cassetteService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the record-and-replay functionality in the AI-IPST MVP.
@@ -0,0 +1,277 @@
+Here is the complete, production-ready code for `tests/unit/chatParsers.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chatParsers = require('../../src/utils/chatParsers');
+
+describe('chatParsers', () => {
+  const sse = (events) => events.map(({ event, data }) => `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`).join('');
+
+  describe('OpenAI Chat Completions', () => {
+    const body = {
+      model: 'gpt-4o',
+      messages: [
+        { role: 'developer', content: 'You are terse.' },
+        { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }, { type: 'image_url', image_url: { url: 'data:...' } }] },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '18C' },
+      ],
+      tools: [{ type: 'function', function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object' } } }],
+    };
+
+    it('should normalize the request and a buffered response', () => {
+      const chat = chatParsers.parseChatExchange({
+        url: 'https://api.openai.com/v1/chat/completions',
+        body,
+        responseBody: {
+          id: 'chatcmpl-1',
+          model: 'gpt-4o-2024-08-06',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Mild, 18C.' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 50, completion_tokens: 6, total_tokens: 56, prompt_tokens_details: { cached_tokens: 32 } },
+        },
+      });
+
+      expect(chat).to.deep.equal({
+        provider: 'openai',
+        api: 'chat.completions',
+        model: 'gpt-4o-2024-08-06',
+        responseId: 'chatcmpl-1',
+        stream: false,
+        system: 'You are terse.',
+        messages: [
+          { role: 'system', content: 'You are terse.' },
+          { role: 'user', content: 'Weather in Paris?\n[image]' },
+          { role: 'assistant', toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }] },
+          { role: 'tool', content: '18C', toolCallId: 'call_1' },
+        ],
+        output: [{ role: 'assistant', content: 'Mild, 18C.' }],
+        tools: [{ name: 'get_weather', description: 'Current weather', parameters: { type: 'object' } }],
+        stopReason: 'stop',
+        usage: { inputTokens: 50, outputTokens: 6, totalTokens: 56, cachedInputTokens: 32 },
+      });
+    });
+
+    it('should reassemble a streamed response, including tool call arguments and usage', () => {
+      const transcript = sse([
+        { data: { model: 'gpt-4o', choices: [{ index: 0, delta: { role: 'assistant', tool_calls: [{ index: 0, id: 'call_2', function: { name: 'get_weather', arguments: '' } }] } }] } },
+        { data: { model: 'gpt-4o', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] } }] } },
+        { data: { model: 'gpt-4o', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Rome"}' } }] }, finish_reason: 'tool_calls' }] } },
+        { data: { model: 'gpt-4o', choices: [], usage: { prompt_tokens: 20, completion_tokens: 9, total_tokens: 29 } } },
+        { data: '[DONE]' },
+      ]);
+
+      const chat = chatParsers.parseChatExchange({
+        url: '/v1/chat/completions?x=1',
+        body: JSON.stringify({ ...body, stream: true }),
+        responseBody: transcript,
+      });
+
+      expect(chat.stream).to.be.true;
+      expect(chat.output).to.deep.equal([{ role: 'assistant', toolCalls: [{ id: 'call_2', name: 'get_weather', arguments: '{"city":"Rome"}' }] }]);
+      expect(chat.stopReason).to.equal('tool_calls');
+      expect(chat.usage).to.deep.equal({ inputTokens: 20, outputTokens: 9, totalTokens: 29 });
+    });
+
+    it('should leave the response fields unset for error responses', () => {
+      const chat = chatParsers.parseChatExchange({
+        url: '/v1/chat/completions',
+        body,
+        responseBody: { error: { message: 'Rate limit reached' } },
+      });
+
+      expect(chat.model).to.equal('gpt-4o');
+      expect(chat.output).to.deep.equal([]);
+      expect(chat.stopReason).to.be.undefined;
+      expect(chat.usage).to.be.undefined;
+    });
+  });
+
+  describe('OpenAI Responses', () => {
+    it('should normalize instructions, input items and the output items', () => {
+      const chat = chatParsers.parseChatExchange({
+        url: '/v1/responses',
+        body: {
+          model: 'gpt-4.1',
+          instructions: 'Answer in French.',
+          input: [
+            { role: 'user', content: [{ type: 'input_text', text: 'Weather?' }] },
+            { type: 'function_call', call_id: 'fc_1', name: 'get_weather', arguments: '{}' },
+            { type: 'function_call_output', call_id: 'fc_1', output: 'Sunny' },
+          ],
+          tools: [{ type: 'function', name: 'get_weather', parameters: {} }, { type: 'web_search' }],
+        },
+        responseBody: {
+          model: 'gpt-4.1-2025-04-14',
+          status: 'completed',
+          output: [
+            { type: 'reasoning', summary: [] },
+            { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Ensoleillé.' }] },
+          ],
+          usage: { input_tokens: 30, output_tokens: 4, total_tokens: 34, input_tokens_details: { cached_tokens: 0 } },
+        },
+      });
+
+      expect(chat).to.deep.include({ provider: 'openai', api: 'responses', model: 'gpt-4.1-2025-04-14', system: 'Answer in French.', stopReason: 'stop' });
+      expect(chat.messages).to.deep.equal([
+        { role: 'system', content: 'Answer in French.' },
+        { role: 'user', content: 'Weather?' },
+        { role: 'assistant', toolCalls: [{ id: 'fc_1', name: 'get_weather', arguments: '{}' }] },
+        { role: 'tool', content: 'Sunny', toolCallId: 'fc_1' },
+      ]);
+      expect(chat.tools.map((tool) => tool.name)).to.deep.equal(['get_weather', 'web_search']);
+      expect(chat.output).to.deep.equal([{ role: 'assistant', content: 'Ensoleillé.' }]);
+      expect(chat.usage).to.deep.equal({ inputTokens: 30, outputTokens: 4, totalTokens: 34, cachedInputTokens: 0 });
+    });
+
+    it('should read a streamed response from its final event', () => {
+      const transcript = sse([
+        { event: 'response.created', data: { type: 'response.created', response: { model: 'gpt-4.1', status: 'in_progress', output: [] } } },
+        { event: 'response.output_text.delta', data: { type: 'response.output_text.delta', delta: 'Bon' } },
+        { event: 'response.incomplete', data: { type: 'response.incomplete', response: { model: 'gpt-4.1', status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' }, output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Bon' }] }] } } },
+      ]);
+
+      const chat = chatParsers.parseChatExchange({ url: '/v1/responses', body: { model: 'gpt-4.1', input: 'Hi', stream: true }, responseBody: transcript });
+
+      expect(chat.messages).to.deep.equal([{ role: 'user', content: 'Hi' }]);
+      expect(chat.output).to.deep.equal([{ role: 'assistant', content: 'Bon' }]);
+      expect(chat.stopReason).to.equal('length');
+    });
+  });
+
+  describe('Anthropic Messages', () => {
+    const body = {
+      model: 'claude-sonnet-4-5',
+      system: [{ type: 'text', text: 'You are terse.' }],
+      messages: [
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '18C' }, { type: 'text', text: 'And tomorrow?' }] },
+      ],
+      tools: [{ name: 'get_weather', description: 'Current weather', input_schema: { type: 'object' } }],
+    };
+
+    it('should normalize the system prompt, tool use and tool results', () => {
+      const chat = chatParsers.parseChatExchange({
+        url: 'https://api.anthropic.com/v1/messages',
+        body,
+        responseBody: {
+          model: 'claude-sonnet-4-5-20250929',
+          content: [{ type: 'text', text: 'Rain.' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 10, cache_creation_input_tokens: 5, cache_read_input_tokens: 100, output_tokens: 3 },
+        },
+      });
+
+      expect(chat).to.deep.include({ provider: 'anthropic', api: 'messages', model: 'claude-sonnet-4-5-20250929', system: 'You are terse.', stopReason: 'stop' });
+      expect(chat.messages).to.deep.equal([
+        { role: 'system', content: 'You are terse.' },
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', toolCalls: [{ id: 'toolu_1', name: 'get_weather', arguments: '{"city":"Paris"}' }] },
+        { role: 'tool', content: '18C', toolCallId: 'toolu_1' },
+        { role: 'user', content: 'And tomorrow?' },
+      ]);
+      expect(chat.tools).to.deep.equal([{ name: 'get_weather', description: 'Current weather', parameters: { type: 'object' } }]);
+      expect(chat.usage).to.deep.equal({ inputTokens: 115, outputTokens: 3, totalTokens: 118, cachedInputTokens: 100 });
+    });
+
+    it('should reassemble a streamed response', () => {
+      const transcript = sse([
+        { event: 'message_start', data: { type: 'message_start', message: { id: 'msg_2', model: 'claude-sonnet-4-5', usage: { input_tokens: 40, output_tokens: 1 } } } },
+        { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' now.' } } },
+        { event: 'content_block_start', data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: {} } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city": "Os' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'lo"}' } } },
+        { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 25 } } },
+        { event: 'message_stop', data: { type: 'message_stop' } },
+      ]);
+
+      const chat = chatParsers.parseChatExchange({ url: '/v1/messages', body: { ...body, stream: true }, responseBody: transcript });
+
+      expect(chat.output).to.deep.equal([{ role: 'assistant', content: 'Checking now.', toolCalls: [{ id: 'toolu_2', name: 'get_weather', arguments: '{"city":"Oslo"}' }] }]);
+      expect(chat.stopReason).to.equal('tool_calls');
+      expect(chat.usage).to.deep.equal({ inputTokens: 40, outputTokens: 25, totalTokens: 65 });
+      expect(chat.responseId).to.equal('msg_2');
+    });
+
+    it('should not mistake other APIs under a messages path for chat calls', () => {
+      expect(chatParsers.parseChatExchange({ url: '/v1/threads/thread_1/messages', body: { role: 'user', content: 'Hi' } })).to.be.null;
+    });
+  });
+
+  describe('Gemini generateContent', () => {
+    const body = {
+      systemInstruction: { parts: [{ text: 'You are terse.' }] },
+      contents: [
+        { role: 'user', parts: [{ text: 'Weather in Paris?' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: 18 } } }] },
+      ],
+      tools: [{ functionDeclarations: [{ name: 'get_weather', description: 'Current weather', parameters: { type: 'OBJECT' } }] }],
+    };
+
+    it('should take the model from the URL and normalize contents and function calls', () => {
+      const chat = chatParsers.parseChatExchange({
+        url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=x',
+        body,
+        responseBody: {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'Mild.' }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 2, totalTokenCount: 32 },
+        },
+      });
+
+      expect(chat).to.deep.include({ provider: 'gemini', api: 'generateContent', model: 'gemini-2.5-flash', stream: false, system: 'You are terse.', stopReason: 'stop' });
+      expect(chat.messages).to.deep.equal([
+        { role: 'system', content: 'You are terse.' },
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', toolCalls: [{ id: undefined, name: 'get_weather', arguments: '{"city":"Paris"}' }] },
+        { role: 'tool', content: '{"temp":18}', toolCallId: 'get_weather' },
+      ]);
+      expect(chat.tools).to.deep.equal([{ name: 'get_weather', description: 'Current weather', parameters: { type: 'OBJECT' } }]);
+      expect(chat.usage).to.deep.equal({ inputTokens: 30, outputTokens: 2, totalTokens: 32 });
+    });
+
+    it('should reassemble a streamed response', () => {
+      const transcript = sse([
+        { data: { candidates: [{ content: { role: 'model', parts: [{ text: 'Sunny ' }] } }], modelVersion: 'gemini-2.5-flash' } },
+        { data: { candidates: [{ content: { role: 'model', parts: [{ text: 'and warm.' }] }, finishReason: 'MAX_TOKENS' }], usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 4, totalTokenCount: 34 }, modelVersion: 'gemini-2.5-flash' } },
+      ]);
+
+      const chat = chatParsers.parseChatExchange({
+        url: '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse',
+        body,
+        responseBody: transcript,
+      });
+
+      expect(chat.stream).to.be.true;
+      expect(chat.output).to.deep.equal([{ role: 'assistant', content: 'Sunny and warm.' }]);
+      expect(chat.stopReason).to.equal('length');
+      expect(chat.usage.outputTokens).to.equal(4);
+    });
+  });
+
+  describe('parseChatExchange', () => {
+    it('should return null for requests that are not chat API calls', () => {
+      expect(chatParsers.parseChatExchange({ url: '/v1/embeddings', body: { input: 'Hi', model: 'text-embedding-3-small' } })).to.be.null;
+      expect(chatParsers.parseChatExchange({ url: '/v1/chat/completions', body: 'not json' })).to.be.null;
+    });
+  });
+});
+```
+
+This `tests/unit/chatParsers.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai` and the `chatParsers` utility. No stubs are needed, since the parsers work on plain request and response bodies.
+
+2. **Test Structure**:
+   - The file has a `describe` block for each supported API, plus one for requests that are not chat API calls.
+
+3. **Test Cases**:
+   - OpenAI Chat Completions: request normalization (developer prompts, content parts, tool calls and tool results), buffered responses with cached token usage, streamed tool call arguments and usage, and error responses.
+   - OpenAI Responses: instructions, input items, function call items, built-in tools, output items, and streams read from their final event.
+   - Anthropic Messages: system blocks, tool use and tool results, cache token accounting, streamed text and tool input, and other APIs under a `messages` path.
+   - Gemini: the model taken from the URL, system instructions, function calls and responses, and streamed responses.
+
+The generated `tests/unit/chatParsers.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of chat payload parsing in the AI-IPST MVP.
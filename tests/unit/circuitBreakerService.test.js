@@ -0,0 +1,117 @@
+Here is the complete, production-ready code for `tests/unit/circuitBreakerService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const sinon = require('sinon');
+const CircuitBreakerService = require('../../src/services/circuitBreakerService');
+const { UpstreamUnavailableError, NotFoundError } = require('../../src/utils/errors');
+
+describe('CircuitBreakerService', () => {
+  const upstream = { name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443 };
+  const proxyConfig = { circuitBreaker: { enabled: true, failureThreshold: 2, cooldownMs: 10000 } };
+
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date('2024-06-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    CircuitBreakerService.breakers.clear();
+    sinon.restore();
+  });
+
+  describe('check', () => {
+    it('should let requests through until the failure threshold is reached', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'ECONNREFUSED');
+
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).not.to.throw();
+    });
+
+    it('should fail fast while the breaker is open', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      clock.tick(4000);
+
+      let error;
+      try {
+        CircuitBreakerService.check(upstream, proxyConfig);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(UpstreamUnavailableError);
+      expect(error.message).to.equal("Upstream 'openai' is unavailable after 2 consecutive failures; retry in 6s");
+      expect(error.retryAfter).to.equal(6);
+    });
+
+    it('should let a single trial request through once the cooldown has passed', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      clock.tick(10000);
+
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).not.to.throw();
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).to.throw(UpstreamUnavailableError);
+      expect(CircuitBreakerService.getBreakers()[0].state).to.equal('half-open');
+    });
+
+    it('should close the breaker when the trial request succeeds', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      clock.tick(10000);
+      CircuitBreakerService.check(upstream, proxyConfig);
+      CircuitBreakerService.recordSuccess(upstream);
+
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).not.to.throw();
+      expect(CircuitBreakerService.getBreakers()[0]).to.deep.include({ state: 'closed', consecutiveFailures: 0, totalFailures: 2 });
+    });
+
+    it('should reopen the breaker when the trial request fails', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      clock.tick(10000);
+      CircuitBreakerService.check(upstream, proxyConfig);
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'ECONNRESET');
+
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).to.throw(UpstreamUnavailableError);
+      expect(CircuitBreakerService.getBreakers()[0].retryAt).to.deep.equal(new Date('2024-06-01T00:00:20Z'));
+    });
+
+    it('should not track upstreams when the breaker is disabled', () => {
+      const disabled = { circuitBreaker: { enabled: false, failureThreshold: 1 } };
+      CircuitBreakerService.recordFailure(upstream, disabled, 'HTTP 503');
+
+      expect(() => CircuitBreakerService.check(upstream, disabled)).not.to.throw();
+      expect(CircuitBreakerService.getBreakers()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('reset', () => {
+    it('should close an open breaker', () => {
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+      CircuitBreakerService.recordFailure(upstream, proxyConfig, 'HTTP 503');
+
+      expect(CircuitBreakerService.reset('openai')).to.deep.include({ upstream: 'openai', state: 'closed' });
+      expect(() => CircuitBreakerService.check(upstream, proxyConfig)).not.to.throw();
+    });
+
+    it('should throw NotFoundError for untracked upstreams', () => {
+      expect(() => CircuitBreakerService.reset('anthropic')).to.throw(NotFoundError, "No circuit breaker is tracked for upstream 'anthropic'");
+    });
+  });
+});
+```
+
+This `tests/unit/circuitBreakerService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `sinon`, `CircuitBreakerService`, and custom error classes (`UpstreamUnavailableError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `CircuitBreakerService` class and individual `describe` blocks for each method.
+   - Fake timers control the cooldowns, and the `afterEach` hook clears the breakers and restores the timers.
+
+3. **Test Cases**:
+   - `check` is tested for the failure threshold, failing fast with the time left, the half-open trial request and its outcome, and disabled breakers.
+   - `reset` is tested for open breakers and untracked upstreams.
+
+The generated `tests/unit/circuitBreakerService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for the upstream circuit breakers in the AI-IPST MVP.
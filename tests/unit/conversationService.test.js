@@ -0,0 +1,184 @@
+Here is the complete, production-ready code for `tests/unit/conversationService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const ConversationService = require('../../src/services/conversationService');
+const Conversation = require('../../src/models/Conversation');
+const LogEntry = require('../../src/models/LogEntry');
+const { DatabaseError, NotFoundError } = require('../../src/utils/errors');
+
+chai.use(chaiAsPromised);
+
+describe('ConversationService', () => {
+  const id = '665f1c2e9b1e8a3d4c5b6a70';
+  const firstTurn = {
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Weather in Paris?' }],
+    output: [{ role: 'assistant', toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' }] }],
+  };
+  const secondTurn = {
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: firstTurn.messages.concat([
+      { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{ "city": "Paris" }' }] },
+      { role: 'tool', content: '18C', toolCallId: 'call_1' },
+    ]),
+    output: [{ role: 'assistant', content: 'Mild, 18C.' }],
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('findThreadKey', () => {
+    it('should prefer the conversation header', () => {
+      const request = { headers: { 'X-Conversation-Id': 'chat-42' }, body: { metadata: { thread_id: 'thread-1' } } };
+
+      expect(ConversationService.findThreadKey(request)).to.deep.equal({ key: 'header:chat-42', matchedBy: 'header' });
+    });
+
+    it('should read thread IDs from the payload', () => {
+      expect(ConversationService.findThreadKey({ headers: {}, body: { conversation: { id: 'conv_1' } } }))
+        .to.deep.equal({ key: 'payload:conv_1', matchedBy: 'payload' });
+      expect(ConversationService.findThreadKey({ headers: {}, body: JSON.stringify({ metadata: { conversation_id: 'c-9' } }) }))
+        .to.deep.equal({ key: 'payload:c-9', matchedBy: 'payload' });
+      expect(ConversationService.findThreadKey({ headers: {}, body: { previous_response_id: 'resp_1' } }))
+        .to.deep.equal({ responseId: 'resp_1' });
+    });
+
+    it('should return null when the client supplies no thread ID', () => {
+      expect(ConversationService.findThreadKey({ headers: {}, body: { messages: [] } })).to.be.null;
+    });
+  });
+
+  describe('threadExchange', () => {
+    it('should continue the conversation whose history the request resends', async () => {
+      const previousHash = ConversationService.hashHistory(ConversationService.historyOf(firstTurn));
+      const findStub = sinon.stub(LogEntry, 'findOne').resolves({ conversation: { id, historyHash: previousHash } });
+      const updateStub = sinon.stub(Conversation, 'findByIdAndUpdate').resolves({ _id: id, turns: 2 });
+
+      const thread = await ConversationService.threadExchange({ headers: {}, body: {} }, secondTurn, 'alice');
+
+      expect(findStub.firstCall.args[0]).to.deep.equal({ 'conversation.historyHash': previousHash, 'client.user': 'alice' });
+      expect(findStub.firstCall.args[2]).to.deep.equal({ sort: { createdAt: -1 }, lean: true });
+      expect(updateStub.firstCall.args[0]).to.equal(id);
+      expect(thread).to.deep.include({ id, turn: 2, matchedBy: 'history' });
+      expect(thread.historyHash).to.equal(ConversationService.hashHistory(ConversationService.historyOf(secondTurn)));
+    });
+
+    it('should open a new conversation for the first turn of a chat', async () => {
+      const saveStub = sinon.stub(Conversation.prototype, 'save').resolves();
+
+      const thread = await ConversationService.threadExchange({ headers: {}, body: {} }, firstTurn, 'alice');
+
+      const conversation = saveStub.firstCall.thisValue;
+      expect(conversation.title).to.equal('Weather in Paris?');
+      expect(conversation.user).to.equal('alice');
+      expect(thread).to.deep.include({ turn: 1, matchedBy: 'new' });
+    });
+
+    it('should upsert the conversation named by the client', async () => {
+      const upsertStub = sinon.stub(Conversation, 'findOneAndUpdate').resolves({ _id: id, turns: 5 });
+
+      const thread = await ConversationService.threadExchange({ headers: { 'x-conversation-id': 'chat-42' }, body: {} }, secondTurn);
+
+      expect(upsertStub.firstCall.args[0]).to.deep.equal({ threadKey: 'header:chat-42', user: null });
+      expect(upsertStub.firstCall.args[2]).to.deep.equal({ upsert: true, new: true });
+      expect(thread).to.deep.include({ id, turn: 5, matchedBy: 'header' });
+    });
+
+    it('should only match the history of the same user', async () => {
+      const findStub = sinon.stub(LogEntry, 'findOne').resolves(null);
+      sinon.stub(Conversation.prototype, 'save').resolves();
+
+      const thread = await ConversationService.threadExchange({ headers: {}, body: {} }, secondTurn, 'bob');
+
+      expect(findStub.args.every(([query]) => query['client.user'] === 'bob')).to.equal(true);
+      expect(thread).to.deep.include({ turn: 1, matchedBy: 'new' });
+    });
+
+    it('should throw DatabaseError if an error occurs while threading the exchange', async () => {
+      sinon.stub(LogEntry, 'findOne').rejects(new Error('Database error'));
+
+      await expect(ConversationService.threadExchange({ headers: {}, body: {} }, secondTurn)).to.be.rejectedWith(DatabaseError, 'Error threading chat exchange');
+    });
+  });
+
+  describe('buildTranscript', () => {
+    it('should add only the new messages of each turn', () => {
+      const entries = [
+        { _id: 'e1', conversation: { turn: 1 }, chat: firstTurn },
+        { _id: 'e2', conversation: { turn: 2 }, chat: secondTurn },
+      ];
+
+      const transcript = ConversationService.buildTranscript(entries);
+
+      expect(transcript.map((message) => [message.role, message.turn])).to.deep.equal([
+        ['system', 1], ['user', 1], ['assistant', 1], ['tool', 2], ['assistant', 2],
+      ]);
+      expect(transcript[4]).to.deep.include({ content: 'Mild, 18C.', entryId: 'e2' });
+    });
+
+    it('should keep the turns of clients that only send the new messages', () => {
+      const entries = [
+        { _id: 'e1', conversation: { turn: 1 }, chat: { messages: [{ role: 'user', content: 'Hi' }], output: [{ role: 'assistant', content: 'Hello.' }] } },
+        { _id: 'e2', conversation: { turn: 2 }, chat: { messages: [{ role: 'user', content: 'Bye' }], output: [{ role: 'assistant', content: 'Goodbye.' }] } },
+      ];
+
+      expect(ConversationService.buildTranscript(entries).map((message) => message.content)).to.deep.equal(['Hi', 'Hello.', 'Bye', 'Goodbye.']);
+    });
+  });
+
+  describe('getConversation', () => {
+    it('should throw NotFoundError if the conversation does not exist', async () => {
+      sinon.stub(Conversation, 'findById').resolves(null);
+
+      await expect(ConversationService.getConversation(id)).to.be.rejectedWith(NotFoundError, `Conversation with ID ${id} not found`);
+    });
+  });
+
+  describe('deleteConversation', () => {
+    it('should delete the conversation and its log entries', async () => {
+      sinon.stub(Conversation, 'findByIdAndDelete').resolves({ _id: id });
+      const deleteStub = sinon.stub(LogEntry, 'deleteMany').resolves({ deletedCount: 4 });
+
+      const result = await ConversationService.deleteConversation(id);
+
+      expect(result).to.deep.equal({ deletedEntries: 4 });
+      sinon.assert.calledWith(deleteStub, { 'conversation.id': id });
+    });
+
+    it('should throw NotFoundError if the conversation does not exist', async () => {
+      sinon.stub(Conversation, 'findByIdAndDelete').resolves(null);
+      const deleteStub = sinon.stub(LogEntry, 'deleteMany');
+
+      await expect(ConversationService.deleteConversation(id)).to.be.rejectedWith(NotFoundError);
+      expect(deleteStub.called).to.be.false;
+    });
+  });
+});
+```
+
+This `tests/unit/conversationService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `chai-as-promised`, `sinon`, `ConversationService`, the `Conversation` and `LogEntry` models, and custom error classes (`DatabaseError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `ConversationService` class and individual `describe` blocks for each method.
+   - The `afterEach` hook is used to restore any mocks or stubs created during the tests.
+
+3. **Test Cases**:
+   - `findThreadKey` is tested for the conversation header, payload thread IDs and `previous_response_id`.
+   - `threadExchange` is tested for history matching (including answers echoed back with different argument formatting), scoping to the user, new conversations, client-named conversations and database errors.
+   - `buildTranscript` is tested for clients that resend the whole history and clients that only send the new messages.
+   - `getConversation` and `deleteConversation` are tested for unknown conversations, and deletion of the conversation's log entries.
+
+4. **Error Handling**:
+   - The tests ensure that the service throws the appropriate custom error classes (`DatabaseError`, `NotFoundError`) with the expected error messages.
+
+The generated `tests/unit/conversationService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the conversation threading functionality in the AI-IPST MVP.
@@ -0,0 +1,85 @@
+Here is the complete, production-ready code for `tests/unit/lineDiff.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const lineDiff = require('../../src/utils/lineDiff');
+
+describe('lineDiff', () => {
+  const lines = (count, prefix = 'line') => Array.from({ length: count }, (value, index) => `${prefix} ${index + 1}`);
+
+  describe('diffLines', () => {
+    it('should number the unchanged, removed and added lines', () => {
+      expect(lineDiff.diffLines('a\nb\nc', 'a\nc\nd')).to.deep.equal([
+        { type: 'unchanged', text: 'a', oldLine: 1, newLine: 1 },
+        { type: 'removed', text: 'b', oldLine: 2 },
+        { type: 'unchanged', text: 'c', oldLine: 3, newLine: 2 },
+        { type: 'added', text: 'd', newLine: 3 },
+      ]);
+    });
+
+    it('should find the shortest diff', () => {
+      const diff = lineDiff.diffLines('a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc');
+
+      expect(diff.filter((line) => line.type !== 'unchanged')).to.have.length(5);
+    });
+
+    it('should treat CRLF and LF line endings alike, and an empty text as having no lines', () => {
+      expect(lineDiff.diffLines('a\r\nb', 'a\nb').every((line) => line.type === 'unchanged')).to.equal(true);
+      expect(lineDiff.diffLines('', 'a')).to.deep.equal([{ type: 'added', text: 'a', newLine: 1 }]);
+      expect(lineDiff.diffLines(null, '')).to.deep.equal([]);
+    });
+  });
+
+  describe('buildHunks', () => {
+    it('should keep three lines of context around each change', () => {
+      const after = lines(20);
+      after[9] = 'changed';
+
+      expect(lineDiff.buildHunks(lineDiff.diffLines(lines(20).join('\n'), after.join('\n')))).to.deep.equal([{
+        oldStart: 7,
+        oldLines: 7,
+        newStart: 7,
+        newLines: 7,
+        lines: [' line 7', ' line 8', ' line 9', '-line 10', '+changed', ' line 11', ' line 12', ' line 13'],
+      }]);
+    });
+
+    it('should share a hunk between close changes and split distant ones', () => {
+      const close = lines(20);
+      close.splice(12, 1);
+      close.splice(5, 1);
+      const distant = lines(30);
+      distant.splice(25, 1);
+      distant.splice(2, 1);
+
+      expect(lineDiff.buildHunks(lineDiff.diffLines(lines(20).join('\n'), close.join('\n')))).to.have.length(1);
+      expect(lineDiff.buildHunks(lineDiff.diffLines(lines(30).join('\n'), distant.join('\n'))).map((hunk) => [hunk.oldStart, hunk.newStart]))
+        .to.deep.equal([[1, 1], [23, 22]]);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    it('should write the hunks out as a unified diff', () => {
+      const hunks = lineDiff.buildHunks(lineDiff.diffLines('', 'a\nb'));
+
+      expect(lineDiff.formatUnifiedDiff(hunks, 'pin@1', 'pin@2')).to.equal('--- pin@1\n+++ pin@2\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+    });
+
+    it('should return an empty string when nothing changed', () => {
+      expect(lineDiff.formatUnifiedDiff(lineDiff.buildHunks(lineDiff.diffLines('a', 'a')), 'pin@1', 'pin@2')).to.equal('');
+    });
+  });
+});
+```
+
+This `tests/unit/lineDiff.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai` and the `lineDiff` utility.
+
+2. **Test Cases**:
+   - `diffLines()`: Lines are numbered in both texts, the diff is the shortest one, line endings do not count as changes, and empty texts have no lines.
+   - `buildHunks()`: Changes get three lines of context, and changes close together share a hunk while distant ones get their own, with the hunk ranges of a unified diff.
+   - `formatUnifiedDiff()`: Hunks are written with their `---`, `+++` and `@@` lines, and nothing is written when the texts are the same.
+
+The generated `tests/unit/lineDiff.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for line diffs in the AI-IPST MVP.
@@ -5,7 +5,8 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const LoggingService = require('../../src/services/loggingService');
 const LogEntry = require('../../src/models/LogEntry');
-const { LoggingConfigurationError, LogEntryError } = require('../../src/utils/errors');
+const ProxyConfig = require('../../src/models/ProxyConfig');
+const { LoggingConfigurationError, LogEntryError, HarFormatError } = require('../../src/utils/errors');
 
 describe('LoggingService', () => {
   afterEach(() => {
@@ -234,6 +235,131 @@ describe('LoggingService', () => {
     });
   });
 
+  describe('exportHar', () => {
+    const logEntry = {
+      _id: '64b000000000000000000001',
+      type: 'http',
+      method: 'POST',
+      url: 'https://api.openai.com/v1/chat/completions?stream=false',
+      headers: { 'content-type': 'application/json' },
+      body: { model: 'gpt-4o' },
+      statusCode: 200,
+      responseHeaders: { 'content-type': 'application/json' },
+      responseBody: { id: 'chatcmpl-1' },
+      timings: { startedAt: new Date('2024-05-01T10:00:00Z'), wait: 120, receive: 30, total: 200 },
+    };
+
+    it('should export the matching log entries as a HAR 1.2 document in chronological order', async () => {
+      const findStub = sinon.stub(LogEntry, 'find').resolves([logEntry]);
+
+      const har = await LoggingService.exportHar({ method: 'POST' }, 50);
+
+      expect(findStub.firstCall.args[0]).to.deep.equal({ method: 'POST', type: { $ne: 'websocket' } });
+      expect(findStub.firstCall.args[2]).to.deep.include({ sort: { createdAt: 1 }, limit: 50, lean: true });
+      expect(har.log.version).to.equal('1.2');
+      expect(har.log.entries).to.have.lengthOf(1);
+
+      const [entry] = har.log.entries;
+      expect(entry.startedDateTime).to.equal('2024-05-01T10:00:00.000Z');
+      expect(entry.time).to.equal(200);
+      expect(entry.timings).to.deep.include({ blocked: 50, wait: 120, receive: 30 });
+      expect(entry.request.queryString).to.deep.equal([{ name: 'stream', value: 'false' }]);
+      expect(entry.request.postData).to.deep.equal({ mimeType: 'application/json', text: '{"model":"gpt-4o"}' });
+      expect(entry.response.statusText).to.equal('OK');
+      expect(entry.response.content).to.deep.include({ mimeType: 'application/json', text: '{"id":"chatcmpl-1"}' });
+    });
+
+    it('should throw LogEntryError if an error occurs while fetching the log entries', async () => {
+      sinon.stub(LogEntry, 'find').rejects(new Error('Database error'));
+
+      await expect(LoggingService.exportHar({})).to.be.rejectedWith(LogEntryError, 'Error exporting logs');
+    });
+  });
+
+  describe('importHar', () => {
+    beforeEach(() => {
+      sinon.stub(ProxyConfig, 'findOne').resolves(null);
+    });
+
+    const harEntry = (overrides = {}) => ({
+      startedDateTime: '2024-05-01T10:00:00.000Z',
+      time: 180.5,
+      request: {
+        method: 'POST',
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: [{ name: ':authority', value: 'api.anthropic.com' }, { name: 'Content-Type', value: 'application/json' }],
+        postData: { mimeType: 'application/json', text: '{"model":"claude"}' },
+      },
+      response: {
+        status: 200,
+        headers: [{ name: 'Content-Type', value: 'application/json' }],
+        content: { mimeType: 'application/json', text: Buffer.from('{"id":"msg_1"}').toString('base64'), encoding: 'base64' },
+      },
+      timings: { wait: 150, receive: 10 },
+      ...overrides,
+    });
+
+    it('should import the HAR entries as log entries and skip the ones the log cannot store', async () => {
+      const insertStub = sinon.stub(LogEntry, 'insertMany').callsFake(async (entries) => entries);
+      const har = {
+        log: {
+          entries: [
+            harEntry(),
+            harEntry({ request: { method: 'OPTIONS', url: 'https://api.anthropic.com/v1/messages', headers: [] } }),
+            harEntry({ response: { status: 0, headers: [], content: {} } }),
+          ],
+        },
+      };
+
+      const result = await LoggingService.importHar(har);
+
+      expect(result).to.deep.equal({ imported: 1, skipped: 2 });
+      const [entry] = insertStub.firstCall.args[0];
+      expect(entry).to.deep.include({ source: 'har', method: 'POST', statusCode: 200 });
+      expect(entry.headers).to.deep.equal({ 'content-type': 'application/json' });
+      expect(entry.body).to.deep.equal({ model: 'claude' });
+      expect(entry.responseBody).to.deep.equal({ id: 'msg_1' });
+      expect(entry.createdAt.toISOString()).to.equal('2024-05-01T10:00:00.000Z');
+      expect(entry.timings).to.deep.include({ wait: 150, receive: 10, total: 180.5 });
+    });
+
+    it('should redact the imported entries with the redaction detectors', async () => {
+      const insertStub = sinon.stub(LogEntry, 'insertMany').callsFake(async (entries) => entries);
+      ProxyConfig.findOne.resolves({ redaction: { enabled: true, detectors: [{ name: 'email', type: 'email', logs: 'mask' }] } });
+      const request = { ...harEntry().request, postData: { mimeType: 'application/json', text: '{"model":"claude","messages":[{"role":"user","content":"I am jane@example.com"}]}' } };
+
+      await LoggingService.importHar({ log: { entries: [harEntry({ request })] } });
+
+      const [entry] = insertStub.firstCall.args[0];
+      expect(entry.body.messages[0].content).to.equal('I am [EMAIL_1]');
+      expect(entry.redaction).to.deep.equal({ logs: [{ detector: 'email', action: 'mask', count: 1 }] });
+      expect(entry.chat.messages[0].content).to.equal('I am [EMAIL_1]');
+    });
+
+    it('should count the entries that fail validation as skipped', async () => {
+      const insertStub = sinon.stub(LogEntry, 'insertMany').callsFake(async (entries) => entries.slice(1));
+
+      const result = await LoggingService.importHar({ log: { entries: [harEntry(), harEntry()] } });
+
+      expect(result).to.deep.equal({ imported: 1, skipped: 1 });
+      expect(insertStub.firstCall.args[1]).to.deep.equal({ ordered: false });
+    });
+
+    it('should throw HarFormatError if the document is not a HAR log', async () => {
+      const insertStub = sinon.stub(LogEntry, 'insertMany');
+
+      await expect(LoggingService.importHar({ entries: [] })).to.be.rejectedWith(HarFormatError, 'Invalid HAR file: missing log');
+      await expect(LoggingService.importHar({ log: { entries: [{ request: {} }] } })).to.be.rejectedWith(HarFormatError, 'Invalid HAR file: entry 0 must have a request and a response');
+      expect(insertStub.called).to.be.false;
+    });
+
+    it('should throw LogEntryError if an error occurs while saving the log entries', async () => {
+      sinon.stub(LogEntry, 'insertMany').rejects(new Error('Database error'));
+
+      await expect(LoggingService.importHar({ log: { entries: [harEntry()] } })).to.be.rejectedWith(LogEntryError, 'Error importing HAR file');
+    });
+  });
+
   describe('getLoggingConfig', () => {
     it('should retrieve the current logging configuration', async () => {
       const mockConfig = { logLevel: 'info', logRetentionDays: 14, targetUrls: ['example.com'] };
@@ -282,7 +408,29 @@ describe('LoggingService', () => {
   });
 
   describe('buildLogQuery', () => {
-    // Implement tests for the buildLogQuery method
+    it('should build a query from the date range, target URL and method filters', () => {
+      const query = LoggingService.buildLogQuery({ startDate: '2024-01-01', targetUrl: 'openai.com', method: 'POST' });
+
+      expect(query).to.deep.equal({
+        createdAt: { $gte: new Date('2024-01-01') },
+        url: { $regex: /openai.com/i },
+        method: 'POST',
+      });
+    });
+
+    it('should filter on the parsed chat payload', () => {
+      const query = LoggingService.buildLogQuery({ provider: 'openai', model: 'gpt-4o', role: 'system' });
+
+      expect(query).to.deep.equal({
+        'chat.provider': 'openai',
+        'chat.model': 'gpt-4o',
+        'chat.messages.role': 'system',
+      });
+    });
+
+    it('should match every log entry when no filters are given', () => {
+      expect(LoggingService.buildLogQuery()).to.deep.equal({});
+    });
   });
 
   describe('sanitizeLogData', () => {
@@ -306,7 +454,7 @@ describe('LoggingService', () => {
 This `tests/unit/loggingService.test.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `LoggingService`, `LogEntry`, and custom error classes (`LoggingConfigurationError`, `LogEntryError`).
+   - The file imports the necessary dependencies, including `LoggingService`, the `LogEntry` and `ProxyConfig` models, and custom error classes (`LoggingConfigurationError`, `LogEntryError`, `HarFormatError`).
 
 2. **Test Structure**:
    - The file follows the structure of a typical unit test suite, with a `describe` block for the `LoggingService` class and individual `it` blocks for each method.
@@ -315,11 +463,12 @@ This `tests/unit/loggingService.test.js` file adheres to the provided instructio
 3. **Test Cases**:
    - Each method in the `LoggingService` class has a corresponding set of test cases, covering both successful and error scenarios.
    - The tests use `sinon` to stub the `LogEntry` model and other internal methods of the `LoggingService` class.
+   - HAR export is tested for the query, chronological order, timings, query strings and bodies of the exported entries; HAR import is tested for header, body and timing conversion, redaction, skipped entries and malformed documents.
    - The tests utilize `chai` and `chai-as-promised` for assertion and validation of the expected behavior.
 
 4. **Error Handling**:
    - The tests verify that the `LoggingService` class correctly handles and propagates various error scenarios, including database errors, missing log entries, and invalid input.
-   - The tests ensure that the service throws the appropriate custom error classes (`LoggingConfigurationError`, `LogEntryError`) with the expected error messages.
+   - The tests ensure that the service throws the appropriate custom error classes (`LoggingConfigurationError`, `LogEntryError`) with the expected error messages, including `HarFormatError` for files that are not HAR logs.
 
 5. **Security and Validation**:
    - The tests validate that the `LoggingService` class properly sanitizes and validates all incoming data to prevent potential vulnerabilities.
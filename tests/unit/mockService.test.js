@@ -0,0 +1,216 @@
+Here is the complete, production-ready code for `tests/unit/mockService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const MockService = require('../../src/services/mockService');
+const MockRule = require('../../src/models/MockRule');
+const { DatabaseError, MockRuleError, NotFoundError } = require('../../src/utils/errors');
+
+chai.use(chaiAsPromised);
+
+describe('MockService', () => {
+  const chatRequest = {
+    method: 'POST',
+    url: '/v1/chat/completions?stream=true',
+    headers: { 'content-type': 'application/json' },
+    body: { model: 'gpt-4o', stream: true, messages: [{ role: 'user', content: 'Hello there' }] },
+  };
+  const chatRule = {
+    name: 'chat-hello',
+    method: ['POST'],
+    path: '^/v1/chat/completions$',
+    body: [
+      { path: 'model', equals: 'gpt-4o' },
+      { path: 'messages[0].content', contains: 'Hello' },
+    ],
+    response: { statusCode: 200, headers: { 'content-type': 'application/json' }, body: { id: 'chatcmpl-mock' } },
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('matchesRule', () => {
+    it('should match on method, path pattern and body predicates', () => {
+      expect(MockService.matchesRule(chatRule, chatRequest)).to.be.true;
+    });
+
+    it('should not match requests with another method', () => {
+      expect(MockService.matchesRule(chatRule, { ...chatRequest, method: 'GET' })).to.be.false;
+    });
+
+    it('should ignore the query string when matching the path', () => {
+      expect(MockService.matchesRule({ ...chatRule, path: 'completions$' }, chatRequest)).to.be.true;
+    });
+
+    it('should not match requests that fail a body predicate', () => {
+      const request = { ...chatRequest, body: { ...chatRequest.body, model: 'gpt-4o-mini' } };
+
+      expect(MockService.matchesRule(chatRule, request)).to.be.false;
+    });
+
+    it('should evaluate predicates against JSON bodies that arrive as text', () => {
+      const request = { ...chatRequest, body: JSON.stringify(chatRequest.body) };
+
+      expect(MockService.matchesRule(chatRule, request)).to.be.true;
+    });
+  });
+
+  describe('matchesPredicate', () => {
+    it('should support the exists and matches operators', () => {
+      expect(MockService.matchesPredicate({ path: 'stream', exists: true }, chatRequest.body)).to.be.true;
+      expect(MockService.matchesPredicate({ path: 'tools', exists: false }, chatRequest.body)).to.be.true;
+      expect(MockService.matchesPredicate({ path: 'model', matches: '^gpt-4' }, chatRequest.body)).to.be.true;
+    });
+
+    it('should only match patterns against the first 64 KB of the value', () => {
+      const body = { prompt: `${'x'.repeat(64 * 1024)}needle` };
+
+      expect(MockService.matchesPredicate({ path: 'prompt', matches: 'needle' }, body)).to.be.false;
+      expect(MockService.matchesPredicate({ path: 'prompt', contains: 'needle' }, body)).to.be.true;
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('should return the first enabled rule that matches in evaluation order', async () => {
+      const findStub = sinon.stub(MockRule, 'find').resolves([
+        { ...chatRule, name: 'models', method: ['GET'] },
+        chatRule,
+        { ...chatRule, name: 'catch-all', body: [] },
+      ]);
+
+      const rule = await MockService.findMatchingRule(chatRequest);
+
+      expect(rule.name).to.equal('chat-hello');
+      expect(findStub.firstCall.args[0]).to.deep.equal({ enabled: true });
+      expect(findStub.firstCall.args[2]).to.deep.include({ sort: { priority: 1, createdAt: 1 }, lean: true });
+    });
+
+    it('should skip stored rules whose patterns repeat a repeated group', async () => {
+      sinon.stub(MockRule, 'find').resolves([
+        { ...chatRule, name: 'nested', body: [{ path: 'model', matches: '^(g+p*t?-?\\w*)+$' }] },
+        chatRule,
+      ]);
+
+      const rule = await MockService.findMatchingRule(chatRequest);
+
+      expect(rule.name).to.equal('chat-hello');
+    });
+
+    it('should return null if no rule matches', async () => {
+      sinon.stub(MockRule, 'find').resolves([{ ...chatRule, path: '^/v1/embeddings' }]);
+
+      expect(await MockService.findMatchingRule(chatRequest)).to.be.null;
+    });
+
+    it('should throw DatabaseError if an error occurs while fetching the rules', async () => {
+      sinon.stub(MockRule, 'find').rejects(new Error('Database error'));
+
+      await expect(MockService.findMatchingRule(chatRequest)).to.be.rejectedWith(DatabaseError, 'Error fetching mock rules');
+    });
+  });
+
+  describe('serveMockRule', () => {
+    it('should serve the canned response', async () => {
+      const response = await MockService.serveMockRule(chatRule);
+
+      expect(response).to.deep.equal({ statusCode: 200, headers: { 'content-type': 'application/json' }, body: { id: 'chatcmpl-mock' } });
+    });
+
+    it('should stream canned Server-Sent Events', async () => {
+      const rule = {
+        name: 'chat-stream',
+        response: {
+          events: [
+            { data: { choices: [{ delta: { content: 'Hi' } }] } },
+            { event: 'done', data: '[DONE]' },
+          ],
+        },
+      };
+
+      const response = await MockService.serveMockRule(rule);
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.headers).to.deep.equal({ 'content-type': 'text/event-stream' });
+
+      const chunks = [];
+      for await (const chunk of response.stream) {
+        chunks.push(chunk.toString());
+      }
+      expect(chunks).to.deep.equal([
+        'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+        'event: done\ndata: [DONE]\n\n',
+      ]);
+    });
+  });
+
+  describe('getMockRuleById', () => {
+    it('should throw NotFoundError if the rule does not exist', async () => {
+      sinon.stub(MockRule, 'findById').resolves(null);
+
+      await expect(MockService.getMockRuleById('64b000000000000000000001')).to.be.rejectedWith(NotFoundError, 'Mock rule with ID 64b000000000000000000001 not found');
+    });
+  });
+
+  describe('createMockRule', () => {
+    it('should reject rules with an invalid path pattern before saving', async () => {
+      const saveStub = sinon.stub(MockRule.prototype, 'save');
+
+      await expect(MockService.createMockRule({ ...chatRule, path: '(' })).to.be.rejectedWith(MockRuleError, "Mock rule 'chat-hello': invalid regular expression '('");
+      expect(saveStub.called).to.be.false;
+    });
+  });
+
+  describe('validateMockRule', () => {
+    it('should accept a valid rule', () => {
+      expect(() => MockService.validateMockRule(chatRule)).to.not.throw();
+    });
+
+    it('should reject body predicates without exactly one operator', () => {
+      const rule = { ...chatRule, body: [{ path: 'model', equals: 'gpt-4o', contains: 'gpt' }] };
+
+      expect(() => MockService.validateMockRule(rule)).to.throw(MockRuleError, 'body predicate 0 must use exactly one of equals, contains, matches, exists');
+    });
+
+    it('should reject patterns that repeat a repeated group', () => {
+      expect(() => MockService.validateMockRule({ ...chatRule, path: '^/v1/(\\w+/?)+$' }))
+        .to.throw(MockRuleError, 'repeats a group that repeats');
+      expect(() => MockService.validateMockRule({ ...chatRule, body: [{ path: 'model', matches: '(a|aa)*(b+)+' }] }))
+        .to.throw(MockRuleError, 'repeats a group that repeats');
+    });
+
+    it('should reject responses with both a body and events', () => {
+      const rule = { ...chatRule, response: { body: {}, events: [{ data: 'x' }] } };
+
+      expect(() => MockService.validateMockRule(rule)).to.throw(MockRuleError, 'response cannot have both a body and events');
+    });
+
+    it('should only validate the fields present for partial updates', () => {
+      expect(() => MockService.validateMockRule({ enabled: false }, { partial: true })).to.not.throw();
+    });
+  });
+});
+```
+
+This `tests/unit/mockService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `chai-as-promised`, `sinon`, `MockService`, the `MockRule` model, and custom error classes (`DatabaseError`, `MockRuleError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `MockService` class and individual `describe` blocks for each method.
+   - The `afterEach` hook is used to restore any mocks or stubs created during the tests.
+
+3. **Test Cases**:
+   - `matchesRule` and `matchesPredicate` are tested for method, path pattern and body predicate matching, including JSON bodies that arrive as text and values longer than patterns are matched against.
+   - `findMatchingRule` is tested against a stubbed `MockRule` model for evaluation order, stored rules with unsafe patterns, misses and database errors.
+   - `serveMockRule` is tested for canned JSON responses and canned Server-Sent Events streams.
+   - `validateMockRule` is tested for valid rules, malformed predicates, patterns that repeat a repeated group, conflicting responses and partial updates.
+
+4. **Error Handling**:
+   - The tests ensure that the service throws the appropriate custom error classes (`DatabaseError`, `MockRuleError`, `NotFoundError`) with the expected error messages.
+
+The generated `tests/unit/mockService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the mock rule functionality in the AI-IPST MVP.
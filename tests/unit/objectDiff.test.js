@@ -0,0 +1,46 @@
+Here is the complete, production-ready code for `tests/unit/objectDiff.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const objectDiff = require('../../src/utils/objectDiff');
+
+describe('objectDiff', () => {
+  describe('diffValues', () => {
+    it('should list the added, removed and changed values with their paths', () => {
+      const before = { headers: { 'x-request-id': 'a' }, body: { temperature: 1, messages: [{ content: 'hi' }, { content: 'there' }], user: 'u1' } };
+      const after = { headers: { 'x-request-id': 'b' }, body: { temperature: 0, messages: [{ content: 'hello' }], top_p: 1 } };
+
+      expect(objectDiff.diffValues(before, after)).to.deep.equal([
+        { path: 'headers["x-request-id"]', type: 'changed', from: 'a', to: 'b' },
+        { path: 'body.temperature', type: 'changed', from: 1, to: 0 },
+        { path: 'body.messages[0].content', type: 'changed', from: 'hi', to: 'hello' },
+        { path: 'body.messages[1]', type: 'removed', from: { content: 'there' } },
+        { path: 'body.user', type: 'removed', from: 'u1' },
+        { path: 'body.top_p', type: 'added', to: 1 },
+      ]);
+    });
+
+    it('should report a value that changed type as changed as a whole', () => {
+      expect(objectDiff.diffValues({ body: 'text' }, { body: { text: true } })).to.deep.equal([
+        { path: 'body', type: 'changed', from: 'text', to: { text: true } },
+      ]);
+      expect(objectDiff.diffValues(null, [])).to.deep.equal([{ path: '', type: 'changed', from: null, to: [] }]);
+    });
+
+    it('should report nothing for equal values', () => {
+      expect(objectDiff.diffValues({ a: [1, { b: null }], constructor: 1 }, { a: [1, { b: null }], constructor: 1 })).to.deep.equal([]);
+      expect(objectDiff.diffValues({}, { constructor: 1 })).to.deep.equal([{ path: 'constructor', type: 'added', to: 1 }]);
+    });
+  });
+});
+```
+
+This `tests/unit/objectDiff.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai` and the `objectDiff` utility.
+
+2. **Test Cases**:
+   - `diffValues()`: Nested keys and array items are reported as added, removed or changed with their paths, values that change type are reported as a whole, and equal values, inherited key names included, have no differences.
+
+The generated `tests/unit/objectDiff.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for structured diffs in the AI-IPST MVP.
@@ -0,0 +1,349 @@
+Here is the complete, production-ready code for `tests/unit/providerTranslators.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const providerTranslators = require('../../src/utils/providerTranslators');
+
+describe('providerTranslators', () => {
+  // Run a sequence of events through a stream translator
+  const translateEvents = (translator, events) => {
+    const stream = translator.stream();
+    return events.reduce((output, data) => output.concat(stream.push({ data })), []).concat(stream.flush());
+  };
+
+  describe('getTranslator', () => {
+    it('should find translators from OpenAI Chat Completions to Anthropic and Gemini, and from Anthropic Messages to OpenAI', () => {
+      expect(providerTranslators.getTranslator('chat.completions', 'anthropic').path('claude-sonnet-4-5', true)).to.equal('/v1/messages');
+      expect(providerTranslators.getTranslator('messages', 'openai').path('gpt-4o', false)).to.equal('/v1/chat/completions');
+      expect(providerTranslators.getTranslator('chat.completions', 'gemini')).to.include({ api: 'generateContent' });
+      expect(providerTranslators.getTranslator('responses', 'anthropic')).to.be.null;
+      expect(providerTranslators.getTranslator('messages', 'gemini')).to.be.null;
+      expect(providerTranslators.canTranslate('gemini', 'gemini')).to.be.true;
+      expect(providerTranslators.canTranslate('openai', 'gemini')).to.be.true;
+      expect(providerTranslators.canTranslate('anthropic', 'gemini')).to.be.false;
+    });
+  });
+
+  describe('OpenAI Chat Completions to Anthropic Messages', () => {
+    const translator = providerTranslators.getTranslator('chat.completions', 'anthropic');
+
+    it('should translate the request, including images, tools, tool calls and tool results', () => {
+      const body = translator.request({
+        model: 'gpt-4o',
+        temperature: 1.5,
+        stop: 'END',
+        user: 'alice',
+        messages: [
+          { role: 'developer', content: 'You are terse.' },
+          { role: 'user', content: [{ type: 'text', text: 'Weather here?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0' } }] },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          { role: 'tool', tool_call_id: 'call_1', content: '18C' },
+          { role: 'user', content: 'Thanks' },
+        ],
+        tools: [{ type: 'function', function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object' } } }],
+        tool_choice: 'required',
+      }, 'claude-sonnet-4-5');
+
+      expect(body).to.deep.equal({
+        model: 'claude-sonnet-4-5',
+        max_tokens: 4096,
+        system: 'You are terse.',
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Weather here?' },
+              { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0' } },
+            ],
+          },
+          { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+          {
+            role: 'user',
+            content: [
+              { type: 'tool_result', tool_use_id: 'call_1', content: '18C' },
+              { type: 'text', text: 'Thanks' },
+            ],
+          },
+        ],
+        temperature: 1,
+        stop_sequences: ['END'],
+        tools: [{ name: 'get_weather', description: 'Current weather', input_schema: { type: 'object' } }],
+        tool_choice: { type: 'any' },
+        metadata: { user_id: 'alice' },
+      });
+    });
+
+    it('should translate the answer and errors back', () => {
+      const answer = translator.response({
+        id: 'msg_1',
+        model: 'claude-sonnet-4-5',
+        content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 10, cache_read_input_tokens: 90, output_tokens: 20 },
+      });
+
+      expect(answer.choices).to.deep.equal([{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: 'Checking.',
+          tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+        },
+        finish_reason: 'tool_calls',
+      }]);
+      expect(answer.usage).to.deep.equal({ prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 });
+      expect(translator.error({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, 529)).to.deep.equal({
+        error: { message: 'Overloaded', type: 'overloaded_error', param: null, code: null },
+      });
+    });
+
+    it('should translate streamed text and tool calls into chat completion chunks', () => {
+      const output = translateEvents(translator, [
+        { type: 'message_start', message: { id: 'msg_1', model: 'claude-sonnet-4-5', usage: { input_tokens: 10 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+        { type: 'message_stop' },
+      ]);
+
+      expect(output.map(({ data }) => (data === '[DONE]' ? data : data.choices[0] && data.choices[0].delta))).to.deep.equal([
+        { role: 'assistant', content: '' },
+        { content: 'Checking.' },
+        { tool_calls: [{ index: 0, id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] },
+        {},
+        undefined,
+        '[DONE]',
+      ]);
+      expect(output[5].data.choices[0].finish_reason).to.equal('tool_calls');
+      expect(output[6].data.usage).to.deep.equal({ prompt_tokens: 10, completion_tokens: 20, total_tokens: 30 });
+    });
+  });
+
+  describe('OpenAI Chat Completions to Gemini', () => {
+    const translator = providerTranslators.getTranslator('chat.completions', 'gemini');
+
+    it('should put the model and whether the answer is streamed into the path', () => {
+      expect(translator.path('gemini-2.5-flash', false)).to.equal('/v1beta/models/gemini-2.5-flash:generateContent');
+      expect(translator.path('models/gemini-2.5-flash', true)).to.equal('/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+    });
+
+    it('should translate the request, including images, tools, function calls and function responses', () => {
+      const body = translator.request({
+        model: 'gemini-2.5-flash',
+        max_tokens: 256,
+        temperature: 1.5,
+        stop: ['END'],
+        messages: [
+          { role: 'system', content: 'You are terse.' },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Weather here?' },
+              { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0' } },
+              { type: 'image_url', image_url: { url: 'https://example.com/sky.webp?size=large' } },
+            ],
+          },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          { role: 'tool', tool_call_id: 'call_1', content: '{"celsius":18}' },
+          { role: 'tool', tool_call_id: 'call_2', name: 'get_time', content: 'noon' },
+        ],
+        tools: [{
+          type: 'function',
+          function: {
+            name: 'get_weather',
+            description: 'Current weather',
+            parameters: { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties: { city: { type: 'string' } }, additionalProperties: false },
+          },
+        }],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      }, 'gemini-2.5-flash');
+
+      expect(body).to.deep.equal({
+        systemInstruction: { parts: [{ text: 'You are terse.' }] },
+        contents: [
+          {
+            role: 'user',
+            parts: [
+              { text: 'Weather here?' },
+              { inlineData: { mimeType: 'image/png', data: 'iVBORw0' } },
+              { fileData: { mimeType: 'image/webp', fileUri: 'https://example.com/sky.webp?size=large' } },
+            ],
+          },
+          { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          {
+            role: 'user',
+            parts: [
+              { functionResponse: { name: 'get_weather', response: { celsius: 18 } } },
+              { functionResponse: { name: 'get_time', response: { content: 'noon' } } },
+            ],
+          },
+        ],
+        generationConfig: { maxOutputTokens: 256, temperature: 1.5, stopSequences: ['END'] },
+        tools: [{
+          functionDeclarations: [{
+            name: 'get_weather',
+            description: 'Current weather',
+            parameters: { type: 'object', properties: { city: { type: 'string' } } },
+          }],
+        }],
+        toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] } },
+      });
+    });
+
+    it('should translate the answer and errors back', () => {
+      const answer = translator.response({
+        responseId: 'resp-1',
+        modelVersion: 'gemini-2.5-flash',
+        candidates: [{
+          content: { role: 'model', parts: [{ text: 'Thinking it over', thought: true }, { text: 'Checking.' }, { functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          finishReason: 'STOP',
+        }],
+        usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 20, thoughtsTokenCount: 30, totalTokenCount: 150 },
+      });
+
+      expect(answer).to.include({ id: 'resp-1', object: 'chat.completion', model: 'gemini-2.5-flash' });
+      expect(answer.choices).to.deep.equal([{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: 'Checking.',
+          tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }],
+        },
+        finish_reason: 'tool_calls',
+      }]);
+      expect(answer.usage).to.deep.equal({ prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 });
+      expect(translator.response({ promptFeedback: { blockReason: 'SAFETY' } }).choices[0]).to.deep.include({ finish_reason: 'content_filter' });
+      expect(translator.error({ error: { code: 429, message: 'Resource exhausted', status: 'RESOURCE_EXHAUSTED' } }, 429)).to.deep.equal({
+        error: { message: 'Resource exhausted', type: 'rate_limit_error', param: null, code: null },
+      });
+    });
+
+    it('should translate partial responses into chat completion chunks', () => {
+      const output = translateEvents(translator, [
+        { responseId: 'resp-1', modelVersion: 'gemini-2.5-flash', candidates: [{ content: { role: 'model', parts: [{ text: 'Mild' }] } }] },
+        { responseId: 'resp-1', modelVersion: 'gemini-2.5-flash', candidates: [{ content: { role: 'model', parts: [{ text: ', 18C.' }] }, finishReason: 'MAX_TOKENS' }], usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 6 } },
+      ]);
+
+      expect(output.map(({ data }) => (data === '[DONE]' ? data : data.choices[0] && data.choices[0].delta))).to.deep.equal([
+        { role: 'assistant', content: '' },
+        { content: 'Mild' },
+        { content: ', 18C.' },
+        {},
+        undefined,
+        '[DONE]',
+      ]);
+      expect(output[0].data).to.include({ id: 'resp-1', object: 'chat.completion.chunk', model: 'gemini-2.5-flash' });
+      expect(output[3].data.choices[0].finish_reason).to.equal('length');
+      expect(output[4].data.usage).to.deep.equal({ prompt_tokens: 50, completion_tokens: 6, total_tokens: 56 });
+    });
+  });
+
+  describe('Anthropic Messages to OpenAI Chat Completions', () => {
+    const translator = providerTranslators.getTranslator('messages', 'openai');
+
+    it('should translate the request, including tool use and tool results', () => {
+      const body = translator.request({
+        model: 'claude-sonnet-4-5',
+        max_tokens: 1024,
+        stream: true,
+        system: [{ type: 'text', text: 'You are terse.' }],
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '18C' }] }] },
+        ],
+        tools: [{ name: 'get_weather', description: 'Current weather', input_schema: { type: 'object' } }],
+        tool_choice: { type: 'tool', name: 'get_weather' },
+      }, 'gpt-4o');
+
+      expect(body).to.deep.equal({
+        model: 'gpt-4o',
+        messages: [
+          { role: 'system', content: 'You are terse.' },
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+          { role: 'tool', tool_call_id: 'toolu_1', content: '18C' },
+        ],
+        max_completion_tokens: 1024,
+        stream: true,
+        stream_options: { include_usage: true },
+        tools: [{ type: 'function', function: { name: 'get_weather', description: 'Current weather', parameters: { type: 'object' } } }],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      });
+    });
+
+    it('should translate the answer and errors back', () => {
+      const answer = translator.response({
+        id: 'chatcmpl-1',
+        model: 'gpt-4o',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Mild, 18C.' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 50, completion_tokens: 6, total_tokens: 56 },
+      });
+
+      expect(answer).to.deep.equal({
+        id: 'chatcmpl-1',
+        type: 'message',
+        role: 'assistant',
+        model: 'gpt-4o',
+        content: [{ type: 'text', text: 'Mild, 18C.' }],
+        stop_reason: 'max_tokens',
+        stop_sequence: null,
+        usage: { input_tokens: 50, output_tokens: 6 },
+      });
+      expect(translator.error({ error: { message: 'Rate limit reached' } }, 429)).to.deep.equal({
+        type: 'error',
+        error: { type: 'rate_limit_error', message: 'Rate limit reached' },
+      });
+    });
+
+    it('should translate chat completion chunks into the Anthropic event sequence', () => {
+      const output = translateEvents(translator, [
+        { id: 'chatcmpl-1', model: 'gpt-4o', choices: [{ index: 0, delta: { role: 'assistant', content: 'Mild' } }] },
+        { id: 'chatcmpl-1', model: 'gpt-4o', choices: [{ index: 0, delta: { content: ', 18C.' }, finish_reason: 'stop' }] },
+        { id: 'chatcmpl-1', model: 'gpt-4o', choices: [], usage: { prompt_tokens: 50, completion_tokens: 6 } },
+        '[DONE]',
+      ]);
+
+      expect(output.map(({ event }) => event)).to.deep.equal([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop',
+      ]);
+      expect(output[0].data.message).to.include({ id: 'chatcmpl-1', model: 'gpt-4o', role: 'assistant' });
+      expect(output.slice(2, 4).map(({ data }) => data.delta.text).join('')).to.equal('Mild, 18C.');
+      expect(output[5].data).to.deep.equal({
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn', stop_sequence: null },
+        usage: { input_tokens: 50, output_tokens: 6 },
+      });
+    });
+  });
+});
+```
+
+This `tests/unit/providerTranslators.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai` and the `providerTranslators` utility. No stubs are needed, since the translators work on plain request and response bodies.
+
+2. **Test Structure**:
+   - The file has a `describe` block for finding translators and one for each direction of translation.
+
+3. **Test Cases**:
+   - `getTranslator` and `canTranslate` are tested for the supported and unsupported APIs and providers, and the translators' paths.
+   - OpenAI Chat Completions to Anthropic Messages: requests with system prompts, images, tools, tool calls and tool results (merged into alternating turns), buffered answers with tool use and cached token usage, error envelopes, and streamed text and tool input.
+   - OpenAI Chat Completions to Gemini: the model and streaming in the path, requests with system prompts, inline and linked images, function calls, function responses named after their calls, the generation config, function declarations stripped of unsupported schema keywords and a forced function, buffered answers with thoughts, function calls, thinking tokens and blocked prompts, error envelopes, and streamed partial responses.
+   - Anthropic Messages to OpenAI Chat Completions: requests with system blocks, tool use, tool results and tool choice, streams that ask for their usage, buffered answers, error envelopes, and the event sequence built from chat completion chunks.
+
+The generated `tests/unit/providerTranslators.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for provider schema translation in the AI-IPST MVP.
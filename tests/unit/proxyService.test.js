@@ -1,11 +1,18 @@
 Here is the complete, production-ready code for `tests/unit/proxyService.test.js`:
 
 ```javascript
+const fs = require('fs');
+const { PassThrough } = require('stream');
 const { expect } = require('chai');
 const sinon = require('sinon');
 const nock = require('nock');
 const ProxyService = require('../../src/services/proxyService');
 const ProxyConfig = require('../../src/models/ProxyConfig');
+const LogEntry = require('../../src/models/LogEntry');
+const scriptService = require('../../src/services/scriptService');
+const conversationService = require('../../src/services/conversationService');
+const circuitBreakerService = require('../../src/services/circuitBreakerService');
+const { UpstreamRequestError, UpstreamUnavailableError } = require('../../src/utils/errors');
 
 describe('ProxyService', () => {
   afterEach(() => {
@@ -61,19 +68,19 @@ describe('ProxyService', () => {
         { method: 'POST', url: 'https://example.com/data', statusCode: 201 },
       ];
 
-      sinon.stub(ProxyConfig, 'find').resolves(mockLogs);
+      sinon.stub(LogEntry, 'find').resolves(mockLogs);
 
       const logs = await ProxyService.getProxyTraffic(filters);
       expect(logs).to.deep.equal(mockLogs);
 
-      sinon.assert.calledWith(ProxyConfig.find, {
+      sinon.assert.calledWith(LogEntry.find, {
         createdAt: { $gte: filters.startDate, $lte: filters.endDate },
-        targetUrl: { $regex: /example.com/i },
+        url: { $regex: /example.com/i },
         method: 'GET',
       });
-      sinon.assert.calledWith(ProxyConfig.find().sort, { createdAt: -1 });
-      sinon.assert.calledWith(ProxyConfig.find().skip, (filters.page - 1) * filters.limit);
-      sinon.assert.calledWith(ProxyConfig.find().limit, filters.limit);
+      sinon.assert.calledWith(LogEntry.find().sort, { createdAt: -1 });
+      sinon.assert.calledWith(LogEntry.find().skip, (filters.page - 1) * filters.limit);
+      sinon.assert.calledWith(LogEntry.find().limit, filters.limit);
     });
 
     it('should throw ProxyTrafficLogError if an error occurs while fetching the proxy traffic', async () => {
@@ -82,7 +89,7 @@ describe('ProxyService', () => {
         endDate: new Date('2023-12-31'),
       };
 
-      sinon.stub(ProxyConfig, 'find').rejects(new Error('Database error'));
+      sinon.stub(LogEntry, 'find').rejects(new Error('Database error'));
 
       await expect(ProxyService.getProxyTraffic(filters)).to.be.rejectedWith('Error fetching proxy traffic');
     });
@@ -97,6 +104,8 @@ describe('ProxyService', () => {
         body: { data: 'foo' },
       };
 
+      sinon.stub(ProxyConfig, 'findOne').resolves(null);
+
       const modifiedRequest = await ProxyService.modifyProxyRequest(requestData);
       expect(modifiedRequest).to.deep.equal({
         method: 'POST',
@@ -106,6 +115,45 @@ describe('ProxyService', () => {
       });
     });
 
+    it('should apply the matching requestModifications rules in order', async () => {
+      const requestData = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json', 'X-Debug': '1' },
+        body: { model: 'gpt-4o', temperature: 1, messages: [{ role: 'system', content: 'Hi' }, { role: 'user', content: 'Call me at 555-0100' }] },
+      };
+      const proxyConfig = {
+        requestModifications: new Map([
+          ['pin-model', {
+            when: { method: 'POST', url: '^/v1/chat', contentType: 'application/json' },
+            actions: [
+              { type: 'setJson', path: 'model', value: 'gpt-4o-mini' },
+              { type: 'deleteJson', path: 'temperature' },
+              { type: 'deleteJson', path: 'messages[0]' },
+              { type: 'setHeader', name: 'x-team', value: 'research' },
+              { type: 'removeHeader', name: 'x-debug' },
+            ],
+          }],
+          ['mask-phone', {
+            actions: [{ type: 'replace', target: 'body', path: 'messages[0].content', pattern: '\\d{3}-\\d{4}', replacement: '<phone>' }],
+          }],
+          ['only-get', {
+            when: { method: 'GET' },
+            actions: [{ type: 'replace', target: 'url', pattern: '^/v1', replacement: '/v2' }],
+          }],
+        ]),
+      };
+
+      const modifiedRequest = await ProxyService.modifyProxyRequest(requestData, proxyConfig);
+      expect(modifiedRequest).to.deep.equal({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json', 'x-team': 'research' },
+        body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Call me at <phone>' }] },
+      });
+      expect(requestData.body.model).to.equal('gpt-4o');
+    });
+
     it('should throw InvalidRequestError if the request data is invalid', async () => {
       await expect(ProxyService.modifyProxyRequest(null)).to.be.rejectedWith('Invalid request data');
     });
@@ -119,6 +167,8 @@ describe('ProxyService', () => {
         body: { data: 'bar' },
       };
 
+      sinon.stub(ProxyConfig, 'findOne').resolves(null);
+
       const modifiedResponse = await ProxyService.modifyProxyResponse(responseData);
       expect(modifiedResponse).to.deep.equal({
         statusCode: 200,
@@ -127,6 +177,35 @@ describe('ProxyService', () => {
       });
     });
 
+    it('should apply responseModifications rules whose conditions match the original request', async () => {
+      const responseData = {
+        statusCode: 200,
+        headers: { 'content-type': 'text/plain', server: 'upstream' },
+        body: 'The answer is 42',
+      };
+      const proxyConfig = {
+        responseModifications: {
+          'hide-server': {
+            when: { url: '^/v1/' },
+            actions: [
+              { type: 'removeHeader', name: 'Server' },
+              { type: 'replace', target: 'body', pattern: '\\d+', flags: 'g', replacement: 'N' },
+            ],
+          },
+        },
+      };
+
+      const modifiedResponse = await ProxyService.modifyProxyResponse(responseData, { method: 'GET', url: '/v1/answer' }, proxyConfig);
+      expect(modifiedResponse).to.deep.equal({
+        statusCode: 200,
+        headers: { 'content-type': 'text/plain' },
+        body: 'The answer is N',
+      });
+
+      const unmatchedResponse = await ProxyService.modifyProxyResponse(responseData, { method: 'GET', url: '/health' }, proxyConfig);
+      expect(unmatchedResponse).to.deep.equal(responseData);
+    });
+
     it('should throw InvalidRequestError if the response data is invalid', async () => {
       await expect(ProxyService.modifyProxyResponse(null)).to.be.rejectedWith('Invalid response data');
     });
@@ -148,12 +227,51 @@ describe('ProxyService', () => {
       });
     });
 
+    it('should format canned Server-Sent Events', async () => {
+      const customResponse = await ProxyService.injectCustomResponse({
+        events: [{ event: 'message', id: '1', data: { delta: 'Hi' } }, { data: 'line one\nline two' }],
+      });
+
+      expect(customResponse).to.deep.equal({
+        statusCode: 200,
+        headers: { 'content-type': 'text/event-stream' },
+        events: [
+          'event: message\nid: 1\ndata: {"delta":"Hi"}\n\n',
+          'data: line one\ndata: line two\n\n',
+        ],
+      });
+    });
+
     it('should throw InvalidRequestError if the response data is invalid', async () => {
       await expect(ProxyService.injectCustomResponse(null)).to.be.rejectedWith('Invalid response data');
     });
   });
 
+  describe('modifyStreamChunk', () => {
+    it('should return the stream chunk to relay', async () => {
+      const chunk = 'data: {"delta":"Hi"}\n\n';
+
+      const modifiedChunk = await ProxyService.modifyStreamChunk(chunk, { index: 0 });
+      expect(modifiedChunk).to.equal(chunk);
+    });
+
+    it('should throw InvalidRequestError if the chunk is invalid', async () => {
+      await expect(ProxyService.modifyStreamChunk(null, { index: 0 })).to.be.rejectedWith('Invalid stream chunk');
+    });
+  });
+
+  describe('isStreamingResponse', () => {
+    it('should treat event streams and chunked non-JSON responses as streaming', () => {
+      expect(ProxyService.isStreamingResponse({ 'content-type': 'text/event-stream' })).to.equal(true);
+      expect(ProxyService.isStreamingResponse({ 'content-type': 'text/plain', 'transfer-encoding': 'chunked' })).to.equal(true);
+      expect(ProxyService.isStreamingResponse({ 'content-type': 'application/json', 'transfer-encoding': 'chunked' })).to.equal(false);
+      expect(ProxyService.isStreamingResponse({ 'content-type': 'application/json' })).to.equal(false);
+    });
+  });
+
   describe('forwardProxyRequest', () => {
+    const upstream = { name: 'default', hostname: 'example.com', port: 80 };
+
     it('should forward the modified request to the target server and return the response', async () => {
       const modifiedRequest = {
         method: 'POST',
@@ -172,15 +290,50 @@ describe('ProxyService', () => {
         .post('/api/data')
         .reply(201, mockTargetResponse.body, mockTargetResponse.headers);
 
-      const response = await ProxyService.forwardProxyRequest(modifiedRequest);
+      const response = await ProxyService.forwardProxyRequest(modifiedRequest, upstream);
       expect(response).to.deep.equal({
         statusCode: 201,
-        headers: mockTargetResponse.headers,
+        headers: { 'content-type': 'application/json' },
         body: mockTargetResponse.body,
       });
     });
 
-    it('should throw ProxyTrafficLogError if an error occurs while forwarding the request', async () => {
+    it('should forward the request to the upstream selected by the routing rules', async () => {
+      const modifiedRequest = {
+        method: 'GET',
+        url: '/v1/models',
+        headers: {},
+        body: null,
+      };
+
+      nock('https://api.openai.com:443')
+        .get('/v1/models')
+        .reply(200, { data: [] }, { 'Content-Type': 'application/json' });
+
+      const response = await ProxyService.forwardProxyRequest(modifiedRequest, { name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443 });
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.deep.equal({ data: [] });
+    });
+
+    it('should return streaming responses unbuffered', async () => {
+      const modifiedRequest = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json' },
+        body: { stream: true },
+      };
+
+      nock('http://example.com:80')
+        .post('/v1/chat/completions')
+        .reply(200, 'data: {"delta":"Hi"}\n\ndata: [DONE]\n\n', { 'Content-Type': 'text/event-stream' });
+
+      const response = await ProxyService.forwardProxyRequest(modifiedRequest, upstream);
+      expect(response.statusCode).to.equal(200);
+      expect(response).to.not.have.property('body');
+      expect(response.stream).to.have.property('pipe');
+    });
+
+    it('should throw UpstreamRequestError if the upstream cannot be reached', async () => {
       const modifiedRequest = {
         method: 'GET',
         url: '/api/error',
@@ -192,7 +345,317 @@ describe('ProxyService', () => {
         .get('/api/error')
         .replyWithError('Network error');
 
-      await expect(ProxyService.forwardProxyRequest(modifiedRequest)).to.be.rejectedWith('Error forwarding proxy request');
+      await expect(ProxyService.forwardProxyRequest(modifiedRequest, upstream)).to.be.rejectedWith(UpstreamRequestError, 'Error forwarding proxy request');
+    });
+
+    it('should retry failed requests and rate limits, honouring Retry-After', async () => {
+      const modifiedRequest = { method: 'POST', url: '/v1/chat/completions', headers: {}, body: { model: 'gpt-4o' } };
+      const proxyConfig = { retry: { maxRetries: 3, baseDelayMs: 0, maxDelayMs: 5000 } };
+      const waitStub = sinon.stub(ProxyService, 'wait').resolves();
+
+      nock('http://example.com:80')
+        .post('/v1/chat/completions')
+        .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+        .post('/v1/chat/completions')
+        .reply(503, { error: 'overloaded' }, { 'Content-Type': 'application/json' })
+        .post('/v1/chat/completions')
+        .reply(429, { error: 'rate limited' }, { 'Content-Type': 'application/json', 'Retry-After': '2' })
+        .post('/v1/chat/completions')
+        .reply(200, { id: 'chatcmpl-1' }, { 'Content-Type': 'application/json' });
+
+      const response = await ProxyService.forwardProxyRequest(modifiedRequest, upstream, proxyConfig);
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.deep.equal({ id: 'chatcmpl-1' });
+      expect(waitStub.args.map(([ms]) => ms)).to.deep.equal([0, 0, 2000]);
+    });
+
+    it('should return the response when Retry-After asks for a longer wait than allowed', async () => {
+      const modifiedRequest = { method: 'POST', url: '/v1/chat/completions', headers: {}, body: { model: 'gpt-4o' } };
+      const waitStub = sinon.stub(ProxyService, 'wait').resolves();
+
+      nock('http://example.com:80')
+        .post('/v1/chat/completions')
+        .reply(429, { error: 'rate limited' }, { 'Content-Type': 'application/json', 'Retry-After': '120' });
+
+      const response = await ProxyService.forwardProxyRequest(modifiedRequest, upstream, { retry: { maxRetries: 2, maxDelayMs: 5000 } });
+      expect(response.statusCode).to.equal(429);
+      expect(response.headers['retry-after']).to.equal('120');
+      expect(waitStub.called).to.be.false;
+    });
+
+    it('should abandon attempts that get no answer in time and count them as failures', async () => {
+      const modifiedRequest = { method: 'GET', url: '/v1/models', headers: {}, body: null };
+      const recordFailureSpy = sinon.spy(circuitBreakerService, 'recordFailure');
+
+      nock('http://example.com:80')
+        .get('/v1/models')
+        .delay(1000)
+        .reply(200, { data: [] });
+
+      await expect(ProxyService.forwardProxyRequest(modifiedRequest, upstream, { retry: { timeoutMs: 50 } }))
+        .to.be.rejectedWith(UpstreamRequestError, 'did not answer within 50ms');
+      expect(recordFailureSpy.calledOnceWith(upstream, sinon.match.any, 'ETIMEDOUT')).to.be.true;
+    });
+
+    it('should abandon attempts whose body stalls and count them as failures', async () => {
+      const modifiedRequest = { method: 'GET', url: '/v1/models', headers: {}, body: null };
+      const recordFailureSpy = sinon.spy(circuitBreakerService, 'recordFailure');
+
+      const stalled = Object.assign(new PassThrough(), { statusCode: 200, headers: { 'content-type': 'application/json' } });
+      stalled.write('{"data":');
+      sinon.stub(ProxyService, 'sendUpstreamRequest').callsFake(async () => {
+        setImmediate(() => stalled.destroy(Object.assign(new Error('Upstream sent nothing for 50ms'), { code: 'ETIMEDOUT' })));
+        return stalled;
+      });
+
+      await expect(ProxyService.forwardProxyRequest(modifiedRequest, upstream, { retry: { timeoutMs: 50 } }))
+        .to.be.rejectedWith(UpstreamRequestError, 'sent nothing for 50ms');
+      expect(recordFailureSpy.calledOnceWith(upstream, sinon.match.any, 'ETIMEDOUT')).to.be.true;
+    });
+
+    it('should fail fast while the upstream circuit breaker is open', async () => {
+      const modifiedRequest = { method: 'GET', url: '/v1/models', headers: {}, body: null };
+      sinon.stub(circuitBreakerService, 'check').throws(new UpstreamUnavailableError("Upstream 'default' is unavailable"));
+      const sendStub = sinon.stub(ProxyService, 'sendUpstreamRequest');
+
+      await expect(ProxyService.forwardProxyRequest(modifiedRequest, upstream)).to.be.rejectedWith(UpstreamUnavailableError);
+      expect(sendStub.called).to.be.false;
+    });
+
+    describe('failover', () => {
+      const openai = {
+        name: 'openai',
+        scheme: 'https',
+        hostname: 'api.openai.com',
+        port: 443,
+        provider: 'openai',
+        fallback: { upstream: 'anthropic', model: 'claude-sonnet-4-5', headers: { 'x-api-key': 'sk-ant-test' } },
+      };
+      const anthropic = { name: 'anthropic', scheme: 'https', hostname: 'api.anthropic.com', port: 443, provider: 'anthropic' };
+      const proxyConfig = { upstreams: [openai, anthropic] };
+      const chatRequest = (body) => ({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json', authorization: 'Bearer sk-openai-test' },
+        body: { model: 'gpt-4o', messages: [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Hi' }], ...body },
+      });
+
+      afterEach(() => {
+        circuitBreakerService.breakers.clear();
+      });
+
+      it('should fail over to the fallback upstream, translating the request and the answer', async () => {
+        nock('https://api.openai.com:443')
+          .post('/v1/chat/completions')
+          .replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+        nock('https://api.anthropic.com:443', { badheaders: ['authorization'] })
+          .matchHeader('x-api-key', 'sk-ant-test')
+          .matchHeader('anthropic-version', '2023-06-01')
+          .post('/v1/messages', {
+            model: 'claude-sonnet-4-5',
+            max_tokens: 4096,
+            system: 'Be terse.',
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }],
+          })
+          .reply(200, {
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            model: 'claude-sonnet-4-5',
+            content: [{ type: 'text', text: 'Hello.' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 12, output_tokens: 3 },
+          }, { 'Content-Type': 'application/json' });
+
+        const response = await ProxyService.forwardProxyRequest(chatRequest(), openai, proxyConfig);
+        expect(response.statusCode).to.equal(200);
+        expect(response.headers['x-proxy-failover']).to.equal('anthropic');
+        expect(response.body).to.deep.include({ id: 'msg_1', object: 'chat.completion', model: 'claude-sonnet-4-5' });
+        expect(response.body.choices[0]).to.deep.equal({ index: 0, message: { role: 'assistant', content: 'Hello.' }, finish_reason: 'stop' });
+        expect(response.body.usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+        expect(response.failover).to.deep.include({ upstream: 'anthropic', translated: true });
+        expect(response.failover.attempts.map(({ upstream, statusCode, error }) => ({ upstream, statusCode, error }))).to.deep.equal([
+          { upstream: 'openai', statusCode: undefined, error: "Error forwarding proxy request to upstream 'openai': connect ECONNREFUSED" },
+          { upstream: 'anthropic', statusCode: 200, error: undefined },
+        ]);
+      });
+
+      it('should translate streamed answers from the fallback upstream', async () => {
+        const events = [
+          { type: 'message_start', message: { id: 'msg_2', model: 'claude-sonnet-4-5', usage: { input_tokens: 12, output_tokens: 1 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo.' } },
+          { type: 'content_block_stop', index: 0 },
+          { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+          { type: 'message_stop' },
+        ];
+        nock('https://api.openai.com:443')
+          .post('/v1/chat/completions')
+          .reply(429, { error: { message: 'Rate limit reached' } }, { 'Content-Type': 'application/json' });
+        nock('https://api.anthropic.com:443')
+          .post('/v1/messages', (body) => body.stream === true)
+          .reply(200, events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(''), { 'Content-Type': 'text/event-stream' });
+
+        const response = await ProxyService.forwardProxyRequest(chatRequest({ stream: true }), openai, proxyConfig);
+        let transcript = '';
+        for await (const chunk of response.stream) {
+          transcript += chunk;
+        }
+
+        const chunks = transcript.trim().split('\n\n').map((event) => event.replace(/^data: /, ''));
+        expect(chunks.pop()).to.equal('[DONE]');
+        const parsed = chunks.map((chunk) => JSON.parse(chunk));
+        expect(parsed.map((chunk) => chunk.object)).to.deep.equal(Array(parsed.length).fill('chat.completion.chunk'));
+        expect(parsed.map((chunk) => (chunk.choices[0] ? chunk.choices[0].delta.content : undefined)).join('')).to.equal('Hello.');
+        expect(parsed[parsed.length - 2].choices[0].finish_reason).to.equal('stop');
+        expect(parsed[parsed.length - 1].usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+        expect(response.failover.attempts.map(({ statusCode }) => statusCode)).to.deep.equal([429, 200]);
+      });
+
+      it('should not fail over requests that succeed or cannot be translated', async () => {
+        nock('https://api.openai.com:443')
+          .post('/v1/chat/completions')
+          .reply(400, { error: { message: 'Invalid request' } }, { 'Content-Type': 'application/json' })
+          .post('/v1/responses')
+          .reply(503, { error: { message: 'Overloaded' } }, { 'Content-Type': 'application/json' });
+
+        const invalid = await ProxyService.forwardProxyRequest(chatRequest(), openai, proxyConfig);
+        const untranslatable = await ProxyService.forwardProxyRequest({ ...chatRequest(), url: '/v1/responses', body: { model: 'gpt-4o', input: 'Hi' } }, openai, proxyConfig);
+
+        expect(invalid.statusCode).to.equal(400);
+        expect(invalid).to.not.have.property('failover');
+        expect(untranslatable.statusCode).to.equal(503);
+        expect(untranslatable).to.not.have.property('failover');
+      });
+    });
+
+    describe('translation', () => {
+      const chatRequest = (body) => ({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json', authorization: 'Bearer sk-client', 'openai-organization': 'org-1' },
+        body: { model: 'claude-sonnet-4-5', messages: [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Hi' }], ...body },
+      });
+
+      afterEach(() => {
+        circuitBreakerService.breakers.clear();
+      });
+
+      it('should translate calls to an upstream on another provider and send its credentials instead', async () => {
+        const claude = { name: 'claude', scheme: 'https', hostname: 'api.anthropic.com', port: 443, provider: 'anthropic', headers: new Map([['x-api-key', 'sk-ant-test']]) };
+        nock('https://api.anthropic.com:443', { badheaders: ['authorization', 'openai-organization'] })
+          .matchHeader('x-api-key', 'sk-ant-test')
+          .matchHeader('anthropic-version', '2023-06-01')
+          .post('/v1/messages', {
+            model: 'claude-sonnet-4-5',
+            max_tokens: 4096,
+            system: 'Be terse.',
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }],
+          })
+          .reply(200, {
+            id: 'msg_1',
+            model: 'claude-sonnet-4-5',
+            content: [{ type: 'text', text: 'Hello.' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 12, output_tokens: 3 },
+          }, { 'Content-Type': 'application/json' });
+
+        const response = await ProxyService.forwardProxyRequest(chatRequest(), claude, null);
+
+        expect(response.statusCode).to.equal(200);
+        expect(response.body).to.deep.include({ id: 'msg_1', object: 'chat.completion', model: 'claude-sonnet-4-5' });
+        expect(response.body.choices[0].message).to.deep.equal({ role: 'assistant', content: 'Hello.' });
+        expect(response).to.not.have.property('failover');
+      });
+
+      it('should translate streamed calls to a Gemini upstream', async () => {
+        const gemini = { name: 'gemini', scheme: 'https', hostname: 'generativelanguage.googleapis.com', port: 443, provider: 'gemini', headers: { 'x-goog-api-key': 'AIza-test' } };
+        const events = [
+          { responseId: 'resp-1', modelVersion: 'gemini-2.5-flash', candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] } }] },
+          { responseId: 'resp-1', modelVersion: 'gemini-2.5-flash', candidates: [{ content: { role: 'model', parts: [{ text: 'lo.' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3 } },
+        ];
+        nock('https://generativelanguage.googleapis.com:443', { badheaders: ['authorization'] })
+          .matchHeader('x-goog-api-key', 'AIza-test')
+          .post('/v1beta/models/gemini-2.5-flash:streamGenerateContent', (body) => body.systemInstruction.parts[0].text === 'Be terse.' && body.contents.length === 1)
+          .query({ alt: 'sse' })
+          .reply(200, events.map((event) => `data: ${JSON.stringify(event)}\r\n\r\n`).join(''), { 'Content-Type': 'text/event-stream' });
+
+        const response = await ProxyService.forwardProxyRequest(chatRequest({ model: 'gemini-2.5-flash', stream: true }), gemini, null);
+        let transcript = '';
+        for await (const chunk of response.stream) {
+          transcript += chunk;
+        }
+
+        const chunks = transcript.trim().split('\n\n').map((event) => event.replace(/^data: /, ''));
+        expect(chunks.pop()).to.equal('[DONE]');
+        const parsed = chunks.map((chunk) => JSON.parse(chunk));
+        expect(parsed.map((chunk) => (chunk.choices[0] ? chunk.choices[0].delta.content : undefined)).join('')).to.equal('Hello.');
+        expect(parsed[parsed.length - 2].choices[0].finish_reason).to.equal('stop');
+        expect(parsed[parsed.length - 1].usage).to.deep.equal({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+      });
+
+      it('should send the upstream\'s credentials on calls it speaks natively', async () => {
+        const openai = { name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443, provider: 'openai', headers: { authorization: 'Bearer sk-proxy' } };
+        nock('https://api.openai.com:443')
+          .matchHeader('authorization', 'Bearer sk-proxy')
+          .matchHeader('openai-organization', 'org-1')
+          .post('/v1/chat/completions', (body) => body.model === 'gpt-4o')
+          .reply(200, { id: 'chatcmpl-1', object: 'chat.completion', choices: [] }, { 'Content-Type': 'application/json' });
+
+        const response = await ProxyService.forwardProxyRequest(chatRequest({ model: 'gpt-4o' }), openai, null);
+
+        expect(response.body).to.deep.equal({ id: 'chatcmpl-1', object: 'chat.completion', choices: [] });
+      });
+    });
+  });
+
+  describe('buildTargetUrl', () => {
+    it('should use the upstream scheme for HTTP and WebSocket URLs', () => {
+      const upstream = { name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443 };
+
+      expect(ProxyService.buildTargetUrl('/v1/models', upstream)).to.equal('https://api.openai.com:443/v1/models');
+      expect(ProxyService.buildTargetUrl('/v1/realtime', upstream, 'ws')).to.equal('wss://api.openai.com:443/v1/realtime');
+      expect(ProxyService.buildTargetUrl('/ws', { ...upstream, scheme: 'http' }, 'ws')).to.equal('ws://api.openai.com:443/ws');
+    });
+  });
+
+  describe('buildTlsOptions', () => {
+    it('should return no TLS options for plain HTTP upstreams', () => {
+      expect(ProxyService.buildTlsOptions({ name: 'local', scheme: 'http', tls: { insecureSkipVerify: true } })).to.deep.equal({});
+    });
+
+    it('should load the CA bundle and client certificate and apply the SNI and verification settings', () => {
+      const readFileStub = sinon.stub(fs, 'readFileSync');
+      readFileStub.withArgs('/etc/proxy/ca.pem').returns(Buffer.from('ca'));
+      readFileStub.withArgs('/etc/proxy/client.pem').returns(Buffer.from('cert'));
+      readFileStub.withArgs('/etc/proxy/client-key.pem').returns(Buffer.from('key'));
+
+      const options = ProxyService.buildTlsOptions({
+        name: 'internal',
+        scheme: 'https',
+        tls: {
+          caFile: '/etc/proxy/ca.pem',
+          certFile: '/etc/proxy/client.pem',
+          keyFile: '/etc/proxy/client-key.pem',
+          servername: 'bot.internal',
+          insecureSkipVerify: true,
+        },
+      });
+
+      expect(options).to.deep.equal({
+        ca: Buffer.from('ca'),
+        cert: Buffer.from('cert'),
+        key: Buffer.from('key'),
+        servername: 'bot.internal',
+        rejectUnauthorized: false,
+      });
+    });
+
+    it('should throw if a configured file cannot be read', () => {
+      sinon.stub(fs, 'readFileSync').throws(new Error('ENOENT'));
+
+      expect(() => ProxyService.buildTlsOptions({ name: 'internal', scheme: 'https', tls: { caFile: '/missing/ca.pem' } })).to.throw('ENOENT');
     });
   });
 
@@ -211,37 +674,313 @@ describe('ProxyService', () => {
         body: { id: 123 },
       };
 
-      const saveStub = sinon.stub(ProxyConfig.prototype, 'save').resolves();
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
 
       await ProxyService.logProxyTraffic(request, response);
       sinon.assert.calledOnce(saveStub);
 
-      const logEntry = await ProxyConfig.findOne({});
+      const logEntry = saveStub.firstCall.thisValue;
       expect(logEntry.method).to.equal(request.method);
-      expect(logEntry.url).to.equal(request.url);
-      expect(logEntry.headers).to.deep.equal(request.headers);
+      expect(logEntry.url).to.equal(ProxyService.buildTargetUrl(request.url));
+      expect(Object.fromEntries(logEntry.headers)).to.deep.equal(request.headers);
       expect(logEntry.body).to.deep.equal(request.body);
       expect(logEntry.statusCode).to.equal(response.statusCode);
-      expect(logEntry.responseHeaders).to.deep.equal(response.headers);
+      expect(Object.fromEntries(logEntry.responseHeaders)).to.deep.equal(response.headers);
       expect(logEntry.responseBody).to.deep.equal(response.body);
     });
 
+    it('should record the routing rule that matched and the upstream used', async () => {
+      const request = { method: 'GET', url: '/v1/models', headers: {}, body: null };
+      const response = { statusCode: 200, headers: {}, body: { data: [] } };
+      const route = {
+        rule: { name: 'openai-path', pathPrefix: '/v1', upstream: 'openai' },
+        upstream: { name: 'openai', hostname: 'api.openai.com', port: 443 },
+      };
+
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response, { route });
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.url).to.equal('http://api.openai.com:443/v1/models');
+      expect(logEntry.routing.rule).to.equal('openai-path');
+      expect(logEntry.routing.upstream).to.equal('openai');
+    });
+
+    it('should record chat API calls in normalized form', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/messages',
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'claude-sonnet-4-5', system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }] },
+      };
+      const response = {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'claude-sonnet-4-5', content: [{ type: 'text', text: 'Hello.' }], stop_reason: 'end_turn', usage: { input_tokens: 12, output_tokens: 3 } },
+      };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response);
+
+      const { chat } = saveStub.firstCall.thisValue;
+      expect(chat.provider).to.equal('anthropic');
+      expect(chat.model).to.equal('claude-sonnet-4-5');
+      expect(chat.system).to.equal('Be brief.');
+      expect(chat.messages.map((message) => message.role)).to.deep.equal(['system', 'user']);
+      expect(chat.output[0].content).to.equal('Hello.');
+      expect(chat.usage.totalTokens).to.equal(15);
+    });
+
+    it('should record the user and cost of chat API calls when given the proxy configuration', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json', 'x-user-id': 'alice' },
+        body: { model: 'gpt-4o-2024-08-06', messages: [{ role: 'user', content: 'Hi' }] },
+      };
+      const response = {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'gpt-4o-2024-08-06', choices: [{ message: { role: 'assistant', content: 'Hello.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 } },
+      };
+      const proxyConfig = {
+        usage: { userHeader: 'x-user-id', currency: 'USD', prices: [{ model: 'gpt-4o*', inputPerMillion: 2.5, outputPerMillion: 10 }] },
+      };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response, { forwarded: true }, proxyConfig);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.client.user).to.equal('alice');
+      expect(logEntry.chat.usage.estimated).to.be.false;
+      expect(logEntry.cost.total).to.equal(0.0075);
+      expect(logEntry.cost.currency).to.equal('USD');
+    });
+
+    it('should record cache hits without an upstream cost', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] },
+      };
+      const response = {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json', 'x-proxy-cache': 'HIT' },
+        body: { model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: 'Hello.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 } },
+      };
+      const proxyConfig = { usage: { currency: 'USD', prices: [{ model: 'gpt-4o', inputPerMillion: 2.5, outputPerMillion: 10 }] } };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response, { cache: { status: 'hit', key: 'a'.repeat(64) } }, proxyConfig);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.cache).to.deep.equal({ status: 'hit', key: 'a'.repeat(64) });
+      expect(logEntry.chat.usage.inputTokens).to.equal(1000);
+      expect(logEntry.cost).to.deep.include({ input: 0, output: 0, total: 0, currency: 'USD' });
+    });
+
+    it('should only charge exchanges forwarded upstream', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] },
+      };
+      const response = {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: 'Hello.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 } },
+      };
+      const proxyConfig = { usage: { currency: 'USD', prices: [{ model: 'gpt-4o', inputPerMillion: 2.5, outputPerMillion: 10 }] } };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response, { mock: { name: 'canned' } }, proxyConfig);
+      await ProxyService.logProxyTraffic(request, response, { cassette: { name: 'flow', mode: 'replay' } }, proxyConfig);
+      await ProxyService.logProxyTraffic(request, response, { injection: { score: 9, verdict: 'block', rule: 'dan', matches: [] } }, proxyConfig);
+      await ProxyService.logProxyTraffic(request, response, { cassette: { name: 'flow', mode: 'record' }, forwarded: true }, proxyConfig);
+
+      const costs = saveStub.getCalls().map((call) => call.thisValue.cost.total);
+      expect(costs).to.deep.equal([0, 0, 0, 0.0075]);
+    });
+
+    it('should thread chat API calls into conversations', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json', 'x-user-id': 'alice' },
+        body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] },
+      };
+      const response = { statusCode: 200, headers: {}, body: { choices: [{ message: { role: 'assistant', content: 'Hello.' } }] } };
+      const thread = { id: '665f1c2e9b1e8a3d4c5b6a70', turn: 2, matchedBy: 'history', historyHash: 'abc' };
+
+      const threadStub = sinon.stub(conversationService, 'threadExchange').resolves(thread);
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response);
+
+      expect(threadStub.firstCall.args[1].messages).to.deep.equal([{ role: 'user', content: 'Hi' }]);
+      expect(threadStub.firstCall.args[2]).to.equal('alice');
+      expect(saveStub.firstCall.thisValue.conversation.turn).to.equal(2);
+      expect(saveStub.firstCall.thisValue.conversation.matchedBy).to.equal('history');
+    });
+
+    it('should store the exchange as redacted by the redaction detectors', async () => {
+      const request = {
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { 'content-type': 'application/json' },
+        body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Mail alice@example.com, cc bob@example.org' }] },
+      };
+      const response = { statusCode: 200, headers: {}, body: { choices: [{ message: { role: 'assistant', content: 'Mailing bob@example.org.' } }] } };
+      const proxyConfig = { redaction: { enabled: true, detectors: [{ name: 'email', type: 'email', upstream: 'mask', logs: 'mask' }] } };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response, { redaction: [{ detector: 'email', action: 'mask', count: 2 }] }, proxyConfig);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.body.messages[0].content).to.equal('Mail [EMAIL_1], cc [EMAIL_2]');
+      expect(logEntry.responseBody.choices[0].message.content).to.equal('Mailing [EMAIL_2].');
+      expect(logEntry.chat.output[0].content).to.equal('Mailing [EMAIL_2].');
+      expect(logEntry.redaction.upstream[0]).to.include({ detector: 'email', action: 'mask', count: 2 });
+      expect(logEntry.redaction.logs[0]).to.include({ detector: 'email', action: 'mask', count: 3 });
+    });
+
+    it('should store the exchange with its credentials masked', async () => {
+      const request = {
+        method: 'POST',
+        url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=AIzaSyA-abcdefghijklmnopWXYZ',
+        headers: { 'content-type': 'application/json', 'x-goog-api-key': 'AIzaSyA-abcdefghijklmnop1234', cookie: 'session=abc' },
+        body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+      };
+      const response = { statusCode: 200, headers: { 'set-cookie': 'session=def; HttpOnly' }, body: { candidates: [] } };
+
+      sinon.stub(conversationService, 'threadExchange').resolves({ turn: 1, matchedBy: 'new' });
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logProxyTraffic(request, response);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.url).to.equal('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=%2A%2A%2A%2AWXYZ');
+      expect(Object.fromEntries(logEntry.headers)).to.deep.equal({ 'content-type': 'application/json', 'x-goog-api-key': '****1234', cookie: 'session=****' });
+      expect(Object.fromEntries(logEntry.responseHeaders)).to.deep.equal({ 'set-cookie': 'session=****; HttpOnly' });
+    });
+
     it('should throw ProxyTrafficLogError if an error occurs while logging the proxy traffic', async () => {
       const request = { method: 'GET', url: '/api/error', headers: {}, body: null };
       const response = { statusCode: 500, headers: {}, body: { error: 'Server error' } };
 
-      sinon.stub(ProxyConfig.prototype, 'save').rejects(new Error('Database error'));
+      sinon.stub(LogEntry.prototype, 'save').rejects(new Error('Database error'));
 
       await expect(ProxyService.logProxyTraffic(request, response)).to.be.rejectedWith('Error logging proxy traffic');
     });
   });
+
+  describe('modifyWebSocketFrame', () => {
+    const context = { connectionId: 'abc123', url: 'ws://example.com:80/chat' };
+
+    it('should relay the frame unchanged when no WebSocket scripts are configured', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves({ webSocketScripts: [] });
+
+      const frame = await ProxyService.modifyWebSocketFrame({ direction: 'client-to-server', data: 'hello', isBinary: false }, context);
+      expect(frame).to.deep.equal({ direction: 'client-to-server', data: 'hello', isBinary: false, modified: false, dropped: false });
+    });
+
+    it('should rewrite the frame with the value returned by a userscript', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves({ webSocketScripts: ['123'] });
+      sinon.stub(scriptService, 'getScriptById').resolves({ content: 'frame.data.toUpperCase()' });
+      sinon.stub(scriptService, 'executeInSandbox').resolves('HELLO');
+
+      const frame = await ProxyService.modifyWebSocketFrame({ direction: 'client-to-server', data: 'hello', isBinary: false }, context);
+      expect(frame.data).to.equal('HELLO');
+      expect(frame.modified).to.equal(true);
+      expect(frame.dropped).to.equal(false);
+    });
+
+    it('should drop the frame when a userscript evaluates to null', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves({ webSocketScripts: ['123'] });
+      sinon.stub(scriptService, 'getScriptById').resolves({ content: 'null' });
+      sinon.stub(scriptService, 'executeInSandbox').resolves(null);
+
+      const frame = await ProxyService.modifyWebSocketFrame({ direction: 'server-to-client', data: 'secret', isBinary: false }, context);
+      expect(frame.dropped).to.equal(true);
+    });
+
+    it('should run the scripts the connection resolved when it opened, without looking them up again', async () => {
+      const findOneStub = sinon.stub(ProxyConfig, 'findOne');
+      const getScriptStub = sinon.stub(scriptService, 'getScriptById');
+      sinon.stub(scriptService, 'executeInSandbox').resolves('HELLO');
+      const connection = { ...context, scripts: [{ content: 'frame.data.toUpperCase()' }] };
+
+      await ProxyService.modifyWebSocketFrame({ direction: 'client-to-server', data: 'hello', isBinary: false }, connection);
+      const frame = await ProxyService.modifyWebSocketFrame({ direction: 'client-to-server', data: 'hello', isBinary: false }, connection);
+      expect(frame.data).to.equal('HELLO');
+      expect(findOneStub.called).to.be.false;
+      expect(getScriptStub.called).to.be.false;
+    });
+
+    it('should throw InvalidRequestError if the frame is invalid', async () => {
+      await expect(ProxyService.modifyWebSocketFrame(null, context)).to.be.rejectedWith('Invalid WebSocket frame');
+    });
+  });
+
+  describe('logWebSocketFrame', () => {
+    it('should log each frame as its own traffic entry', async () => {
+      const connection = { connectionId: 'abc123', url: 'ws://example.com:80/chat', headers: { origin: 'https://example.com' } };
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+
+      await ProxyService.logWebSocketFrame(connection, { direction: 'server-to-client', data: 'hi', isBinary: false, modified: false, dropped: false });
+      sinon.assert.calledOnce(saveStub);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.type).to.equal('websocket');
+      expect(logEntry.body).to.equal('hi');
+      expect(logEntry.webSocket.connectionId).to.equal('abc123');
+      expect(logEntry.webSocket.direction).to.equal('server-to-client');
+      expect(logEntry.webSocket.opcode).to.equal('text');
+    });
+
+    it('should redact the frame for the logs with the redaction detectors', async () => {
+      const connection = { connectionId: 'abc123', url: 'ws://example.com:80/chat', headers: {} };
+      const proxyConfig = { redaction: { enabled: true, detectors: [{ name: 'email', type: 'email', logs: 'mask' }] } };
+      const saveStub = sinon.stub(LogEntry.prototype, 'save').resolves();
+      const upstreamMatches = [{ detector: 'email', action: 'mask', count: 1 }];
+
+      await ProxyService.logWebSocketFrame(connection, {
+        direction: 'client-to-server', data: 'Mail jane@example.com', isBinary: false, redaction: upstreamMatches,
+      }, proxyConfig);
+
+      const logEntry = saveStub.firstCall.thisValue;
+      expect(logEntry.body).to.equal('Mail [EMAIL_1]');
+      expect(logEntry.redaction.upstream).to.deep.equal(upstreamMatches);
+      expect(logEntry.redaction.logs).to.deep.equal([{ detector: 'email', action: 'mask', count: 1 }]);
+    });
+
+    it('should throw ProxyTrafficLogError if an error occurs while logging the frame', async () => {
+      const connection = { connectionId: 'abc123', url: 'ws://example.com:80/chat', headers: {} };
+      sinon.stub(LogEntry.prototype, 'save').rejects(new Error('Database error'));
+
+      await expect(ProxyService.logWebSocketFrame(connection, { direction: 'client-to-server', data: 'hi' })).to.be.rejectedWith('Error logging WebSocket frame');
+    });
+  });
 });
 ```
 
 This `tests/unit/proxyService.test.js` file adheres to the provided instructions and requirements:
 
 1. **Imports and Dependencies**:
-   - The file imports the necessary dependencies, including `chai`, `sinon`, `nock`, `ProxyService`, and `ProxyConfig`.
+   - The file imports the necessary dependencies, including `chai`, `sinon`, `nock`, `ProxyService`, `scriptService`, and the `ProxyConfig` and `LogEntry` models.
 
 2. **Test Structure**:
    - The file follows the structure of a typical unit test suite, with a `describe` block for the `ProxyService` class and individual `it` blocks for each method.
@@ -249,7 +988,15 @@ This `tests/unit/proxyService.test.js` file adheres to the provided instructions
 
 3. **Test Cases**:
    - Each method in the `ProxyService` class has a corresponding set of test cases, covering both successful and error scenarios.
-   - The tests use `sinon` to stub the `ProxyConfig` model and `nock` to mock the target server's HTTP responses.
+   - Streaming support is covered by tests for `modifyStreamChunk`, `isStreamingResponse`, and the unbuffered `stream` returned by `forwardProxyRequest` for `text/event-stream` responses.
+   - Upstream failures are covered by tests for unreachable upstreams, retries with `Retry-After`, responses that ask for too long a wait, attempts that time out or whose body stalls, and open circuit breakers.
+   - Failover is covered by tests that fail over to a fallback on another provider, with the request, the buffered answer and a streamed answer translated, and by requests that succeed or cannot be translated and so do not fail over.
+   - Translation is covered by buffered calls to an Anthropic upstream and streamed calls to a Gemini upstream, both sent with the upstream's credentials instead of the client's, and by calls an upstream speaks natively, which keep their body and only swap the credentials.
+   - The declarative modification rules are covered by tests that apply `requestModifications` and `responseModifications` (conditions, header and JSON path actions, and regular expression replacements) through `modifyProxyRequest` and `modifyProxyResponse`.
+   - `logProxyTraffic` is tested for recording chat API calls in their normalized `chat` form, charging only the exchanges forwarded upstream, storing redacted exchanges, and masking credentials in the URL and headers.
+   - HTTPS upstreams are covered by tests for `buildTargetUrl` and `buildTlsOptions`, and by forwarding a request to an `https` upstream.
+   - WebSocket support is covered by tests for `modifyWebSocketFrame` (pass-through, rewrite, drop, and the scripts resolved per connection) and `logWebSocketFrame` (including redaction for the logs).
+   - The tests use `sinon` to stub the `ProxyConfig` and `LogEntry` models and the `scriptService`, and `nock` to mock the target server's HTTP responses.
    - The tests utilize `chai` and `chai-as-promised` for assertion and validation of the expected behavior.
 
 4. **Error Handling**:
@@ -0,0 +1,145 @@
+Here is the complete, production-ready code for `tests/unit/rateLimitService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const sinon = require('sinon');
+const RateLimitService = require('../../src/services/rateLimitService');
+const { RateLimitExceededError, RateLimitRuleError } = require('../../src/utils/errors');
+
+describe('RateLimitService', () => {
+  const route = { rule: { name: 'openai' }, upstream: { name: 'openai' } };
+  const context = (headers = {}, clientIp = '10.0.0.1') => ({
+    request: { url: '/v1/chat/completions', headers: { 'x-user-id': 'alice', ...headers }, body: { model: 'gpt-4o' } },
+    route,
+    clientIp,
+  });
+  const configWith = (...rateLimits) => ({ usage: { userHeader: 'x-user-id', trustUserHeader: true }, rateLimits });
+
+  // Acquire a lease and catch the error of a refused request
+  const refusal = (ctx, proxyConfig) => {
+    try {
+      RateLimitService.acquire(ctx, proxyConfig);
+    } catch (err) {
+      return err;
+    }
+    return null;
+  };
+
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: new Date('2024-06-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    RateLimitService.windows.clear();
+    sinon.restore();
+  });
+
+  describe('acquire', () => {
+    it('should admit requests when no limit applies', () => {
+      expect(RateLimitService.acquire(context(), configWith())).to.be.null;
+      expect(RateLimitService.acquire(context(), configWith({ name: 'bob', scope: 'user', value: 'bob', requestsPerMinute: 1 }))).to.be.null;
+    });
+
+    it('should limit requests per minute for each user, with RateLimit headers', () => {
+      const proxyConfig = configWith({ name: 'per-user', scope: 'user', requestsPerMinute: 2 });
+
+      const first = RateLimitService.acquire(context(), proxyConfig);
+      clock.tick(20000);
+      const second = RateLimitService.acquire(context(), proxyConfig);
+      const refused = refusal(context(), proxyConfig);
+
+      expect(first.headers).to.deep.equal({ 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Reset': '60', 'RateLimit-Policy': '2;w=60' });
+      expect(second.headers['RateLimit-Remaining']).to.equal('0');
+      expect(refused).to.be.instanceOf(RateLimitExceededError);
+      expect(refused.message).to.equal("Rate limit 'per-user' exceeded for user 'alice': 2 requests per minute");
+      expect(refused.retryAfter).to.equal(40);
+      expect(RateLimitService.acquire(context({ 'x-user-id': 'bob' }), proxyConfig)).to.not.be.null;
+
+      clock.tick(40000);
+      expect(refusal(context(), proxyConfig)).to.be.null;
+    });
+
+    it('should count users by API key or IP unless the user header is trusted', () => {
+      const proxyConfig = { ...configWith({ name: 'per-user', scope: 'user', requestsPerMinute: 1 }), usage: { userHeader: 'x-user-id' } };
+
+      RateLimitService.acquire(context({ authorization: 'Bearer sk-test-1' }), proxyConfig);
+      const refused = refusal(context({ authorization: 'Bearer sk-test-1', 'x-user-id': 'mallory' }), proxyConfig);
+      RateLimitService.acquire(context(), proxyConfig);
+
+      expect(refused).to.be.instanceOf(RateLimitExceededError);
+      expect(refused.message).to.match(/for user 'key:[0-9a-f]{12}'/);
+      expect(refusal(context({ 'x-user-id': 'mallory' }), proxyConfig).message).to.include("for user '10.0.0.1'");
+    });
+
+    it('should limit concurrent requests until their leases are released', () => {
+      const proxyConfig = configWith({ name: 'per-ip', scope: 'ip', concurrentRequests: 1 });
+
+      const lease = RateLimitService.acquire(context(), proxyConfig);
+      expect(refusal(context({}, '10.0.0.1'), proxyConfig)).to.be.instanceOf(RateLimitExceededError);
+      expect(refusal(context({}, '10.0.0.2'), proxyConfig)).to.be.null;
+
+      RateLimitService.release(lease);
+      expect(refusal(context({}, '10.0.0.1'), proxyConfig)).to.be.null;
+    });
+
+    it('should limit tokens per minute for each API key', () => {
+      const proxyConfig = configWith({ name: 'per-key', scope: 'key', tokensPerMinute: 1000 });
+      const withKey = context({ authorization: 'Bearer sk-test-1' });
+
+      const lease = RateLimitService.acquire(withKey, proxyConfig);
+      RateLimitService.release(lease, {
+        request: { url: '/v1/chat/completions', body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] } },
+        response: { statusCode: 200, body: { model: 'gpt-4o', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi!' } }], usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 } } },
+      });
+      const refused = refusal(withKey, proxyConfig);
+
+      expect(refused).to.be.instanceOf(RateLimitExceededError);
+      expect(refused.message).to.match(/for key 'key:[0-9a-f]{12}': 1000 tokens per minute$/);
+      expect(refused.headers['RateLimit-Remaining']).to.equal('0');
+      expect(refusal(context({ authorization: 'Bearer sk-test-2' }), proxyConfig)).to.be.null;
+    });
+
+    it('should apply route limits to the matching routing rule only', () => {
+      const proxyConfig = configWith({ name: 'openai-route', scope: 'route', value: 'openai', requestsPerMinute: 1 });
+
+      RateLimitService.acquire(context(), proxyConfig);
+
+      expect(refusal(context(), proxyConfig)).to.be.instanceOf(RateLimitExceededError);
+      expect(RateLimitService.acquire({ ...context(), route: { rule: null } }, proxyConfig)).to.be.null;
+    });
+  });
+
+  describe('validateRateLimits', () => {
+    it('should accept valid rules', () => {
+      expect(() => RateLimitService.validateRateLimits([
+        { name: 'per-user', scope: 'user', requestsPerMinute: 60, tokensPerMinute: 100000 },
+        { name: 'ci-key', scope: 'key', value: 'key:0123456789ab', concurrentRequests: 4 },
+      ])).not.to.throw();
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => RateLimitService.validateRateLimits([{ name: 'x', scope: 'team', requestsPerMinute: 1 }])).to.throw(RateLimitRuleError, "Rate limit 'x' must have a scope of user, key, ip, route");
+      expect(() => RateLimitService.validateRateLimits([{ name: 'x', scope: 'ip' }])).to.throw(RateLimitRuleError);
+      expect(() => RateLimitService.validateRateLimits([{ name: 'x', scope: 'ip', requestsPerMinute: 0 }])).to.throw(RateLimitRuleError, "Rate limit 'x' requestsPerMinute must be a positive integer");
+      expect(() => RateLimitService.validateRateLimits([{ name: 'x', scope: 'ip', concurrentRequests: 1 }, { name: 'x', scope: 'user', concurrentRequests: 1 }])).to.throw(RateLimitRuleError, "Duplicate rate limit name 'x'");
+    });
+  });
+});
+```
+
+This `tests/unit/rateLimitService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `sinon`, `RateLimitService`, and custom error classes (`RateLimitExceededError`, `RateLimitRuleError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `RateLimitService` class and individual `describe` blocks for each method.
+   - Fake timers move the sliding windows along, and the `afterEach` hook clears the tracked usage and restores the timers.
+
+3. **Test Cases**:
+   - `acquire` is tested for requests no limit applies to, requests per minute per user (with the `RateLimit-*` headers and `Retry-After`), users counted by API key or IP while the user header is not trusted, concurrent requests per client IP, tokens per minute per API key, and limits on a single route.
+   - `validateRateLimits` is tested for valid rules, unknown scopes, missing and invalid limits, and duplicate names.
+
+The generated `tests/unit/rateLimitService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for rate limiting in the AI-IPST MVP.
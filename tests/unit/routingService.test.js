@@ -0,0 +1,223 @@
+Here is the complete, production-ready code for `tests/unit/routingService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const RoutingService = require('../../src/services/routingService');
+const ProxyConfig = require('../../src/models/ProxyConfig');
+const { DatabaseError, RoutingRuleError, NotFoundError } = require('../../src/utils/errors');
+
+chai.use(chaiAsPromised);
+
+describe('RoutingService', () => {
+  const mockConfig = () => ({
+    targetScheme: 'http',
+    targetHostname: 'default.example.com',
+    targetPort: 80,
+    upstreams: [
+      { name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443 },
+      { name: 'anthropic', scheme: 'https', hostname: 'api.anthropic.com', port: 443 },
+    ],
+    routingRules: [
+      { name: 'openai-path', enabled: true, pathPrefix: '/v1/chat', upstream: 'openai' },
+      { name: 'anthropic-host', enabled: true, host: '*.anthropic.local', upstream: 'anthropic' },
+      { name: 'internal-header', enabled: true, header: { name: 'x-bot', value: 'internal' }, upstream: 'default' },
+    ],
+    save: sinon.stub().resolves(),
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('resolveRoute', () => {
+    it('should select the upstream of the first matching rule', () => {
+      const route = RoutingService.resolveRoute({ url: '/v1/chat/completions', headers: {} }, mockConfig());
+
+      expect(route.rule.name).to.equal('openai-path');
+      expect(route.upstream).to.deep.equal({ name: 'openai', scheme: 'https', hostname: 'api.openai.com', port: 443 });
+    });
+
+    it('should match wildcard Host rules and ignore the port', () => {
+      const route = RoutingService.resolveRoute({ url: '/messages', headers: { host: 'eu.anthropic.local:8080' } }, mockConfig());
+
+      expect(route.rule.name).to.equal('anthropic-host');
+      expect(route.upstream.name).to.equal('anthropic');
+    });
+
+    it('should match custom header rules', () => {
+      const route = RoutingService.resolveRoute({ url: '/ask', headers: { 'x-bot': 'internal' } }, mockConfig());
+
+      expect(route.rule.name).to.equal('internal-header');
+      expect(route.upstream).to.deep.equal({ name: 'default', scheme: 'http', hostname: 'default.example.com', port: 80, tls: {} });
+    });
+
+    it('should match model rules exactly or by name prefix', () => {
+      const proxyConfig = mockConfig();
+      proxyConfig.routingRules = [
+        { name: 'claude-models', enabled: true, model: 'claude-*', upstream: 'anthropic' },
+        { name: 'gpt-4o', enabled: true, model: 'gpt-4o', upstream: 'openai' },
+      ];
+
+      expect(RoutingService.resolveRoute({ url: '/v1/chat/completions', headers: {}, body: { model: 'claude-sonnet-4-5' } }, proxyConfig).upstream.name).to.equal('anthropic');
+      expect(RoutingService.resolveRoute({ url: '/v1/chat/completions', headers: {}, body: { model: 'gpt-4o' } }, proxyConfig).upstream.name).to.equal('openai');
+      expect(RoutingService.resolveRoute({ url: '/v1/chat/completions', headers: {}, body: { model: 'gpt-4o-mini' } }, proxyConfig).rule).to.be.null;
+      expect(RoutingService.resolveRoute({ url: '/v1/models', headers: {} }, proxyConfig).rule).to.be.null;
+    });
+
+    it('should skip disabled rules', () => {
+      const proxyConfig = mockConfig();
+      proxyConfig.routingRules[0].enabled = false;
+
+      const route = RoutingService.resolveRoute({ url: '/v1/chat/completions', headers: {} }, proxyConfig);
+
+      expect(route.rule).to.be.null;
+      expect(route.upstream.name).to.equal('default');
+    });
+
+    it('should fall back to the default upstream when no rule matches', () => {
+      const route = RoutingService.resolveRoute({ url: '/other', headers: { 'x-bot': 'external' } }, mockConfig());
+
+      expect(route.rule).to.be.null;
+      expect(route.upstream).to.deep.equal({ name: 'default', scheme: 'http', hostname: 'default.example.com', port: 80, tls: {} });
+    });
+
+    it('should throw RoutingRuleError if the matched rule references an unknown upstream', () => {
+      const proxyConfig = mockConfig();
+      proxyConfig.routingRules[0].upstream = 'missing';
+
+      expect(() => RoutingService.resolveRoute({ url: '/v1/chat', headers: {} }, proxyConfig)).to.throw(RoutingRuleError, "unknown upstream 'missing'");
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should accept a valid routing table', () => {
+      const proxyConfig = mockConfig();
+
+      expect(() => RoutingService.validateRules(proxyConfig.routingRules, proxyConfig.upstreams)).to.not.throw();
+    });
+
+    it('should reject duplicate rule names', () => {
+      const rules = [
+        { name: 'a', pathPrefix: '/a', upstream: 'default' },
+        { name: 'a', pathPrefix: '/b', upstream: 'default' },
+      ];
+
+      expect(() => RoutingService.validateRules(rules, [])).to.throw(RoutingRuleError, "Duplicate routing rule name 'a'");
+    });
+
+    it('should accept rules that only match on a model', () => {
+      expect(() => RoutingService.validateRules([{ name: 'a', model: 'claude-*', upstream: 'default' }], [])).to.not.throw();
+    });
+
+    it('should reject rules without a condition', () => {
+      expect(() => RoutingService.validateRules([{ name: 'a', upstream: 'default' }], [])).to.throw(RoutingRuleError, 'must match on a path prefix, host, header or model');
+    });
+
+    it('should reject rules that reference an unknown upstream', () => {
+      expect(() => RoutingService.validateRules([{ name: 'a', pathPrefix: '/a', upstream: 'openai' }], [])).to.throw(RoutingRuleError, "unknown upstream 'openai'");
+    });
+  });
+
+  describe('validateFallbacks', () => {
+    const openai = { name: 'openai', hostname: 'api.openai.com', port: 443, provider: 'openai' };
+    const anthropic = { name: 'anthropic', hostname: 'api.anthropic.com', port: 443, provider: 'anthropic' };
+    const gemini = { name: 'gemini', hostname: 'generativelanguage.googleapis.com', port: 443, provider: 'gemini' };
+
+    it('should accept fallbacks to the same or a translatable provider', () => {
+      expect(() => RoutingService.validateFallbacks([
+        { ...openai, fallback: { upstream: 'anthropic', model: 'claude-sonnet-4-5' } },
+        { ...anthropic, fallback: { upstream: 'default' } },
+      ])).to.not.throw();
+    });
+
+    it('should reject fallbacks to unknown upstreams or to the upstream itself', () => {
+      expect(() => RoutingService.validateFallbacks([{ ...openai, fallback: { upstream: 'azure' } }])).to.throw(RoutingRuleError, "Upstream 'openai' fails over to unknown upstream 'azure'");
+      expect(() => RoutingService.validateFallbacks([{ ...openai, fallback: { upstream: 'openai' } }])).to.throw(RoutingRuleError, 'cannot fail over to itself');
+    });
+
+    it('should reject fallbacks between untranslatable providers or without a model', () => {
+      expect(() => RoutingService.validateFallbacks([{ ...anthropic, fallback: { upstream: 'gemini', model: 'gemini-2.5-pro' } }, gemini])).to.throw(RoutingRuleError, "Upstream 'anthropic' cannot fail over from anthropic to gemini");
+      expect(() => RoutingService.validateFallbacks([{ ...openai, fallback: { upstream: 'anthropic' } }, anthropic])).to.throw(RoutingRuleError, "Upstream 'openai' must name the model to request from 'anthropic'");
+    });
+  });
+
+  describe('addRule', () => {
+    it('should insert the rule at the given position and save the configuration', async () => {
+      const proxyConfig = mockConfig();
+      sinon.stub(ProxyConfig, 'findOne').resolves(proxyConfig);
+
+      const rules = await RoutingService.addRule({ name: 'first', pathPrefix: '/', upstream: 'anthropic' }, 0);
+
+      expect(rules.map((rule) => rule.name)).to.deep.equal(['first', 'openai-path', 'anthropic-host', 'internal-header']);
+      expect(proxyConfig.save.calledOnce).to.be.true;
+    });
+
+    it('should throw RoutingRuleError if the proxy configuration does not exist', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves(null);
+
+      await expect(RoutingService.addRule({ name: 'first', pathPrefix: '/', upstream: 'default' })).to.be.rejectedWith(RoutingRuleError, 'Proxy configuration has not been set up yet');
+    });
+  });
+
+  describe('updateRule', () => {
+    it('should update the rule in place', async () => {
+      const proxyConfig = mockConfig();
+      sinon.stub(ProxyConfig, 'findOne').resolves(proxyConfig);
+
+      const rules = await RoutingService.updateRule('openai-path', { enabled: false });
+
+      expect(rules[0]).to.include({ name: 'openai-path', enabled: false, upstream: 'openai' });
+      expect(proxyConfig.save.calledOnce).to.be.true;
+    });
+
+    it('should throw NotFoundError if the rule does not exist', async () => {
+      sinon.stub(ProxyConfig, 'findOne').resolves(mockConfig());
+
+      await expect(RoutingService.updateRule('missing', { enabled: false })).to.be.rejectedWith(NotFoundError, "Routing rule 'missing' not found");
+    });
+  });
+
+  describe('deleteRule', () => {
+    it('should remove the rule and save the configuration', async () => {
+      const proxyConfig = mockConfig();
+      sinon.stub(ProxyConfig, 'findOne').resolves(proxyConfig);
+
+      const rules = await RoutingService.deleteRule('anthropic-host');
+
+      expect(rules.map((rule) => rule.name)).to.deep.equal(['openai-path', 'internal-header']);
+      expect(proxyConfig.save.calledOnce).to.be.true;
+    });
+
+    it('should throw DatabaseError if an error occurs while saving the routing rules', async () => {
+      const proxyConfig = mockConfig();
+      proxyConfig.save.rejects(new Error('Database error'));
+      sinon.stub(ProxyConfig, 'findOne').resolves(proxyConfig);
+
+      await expect(RoutingService.deleteRule('anthropic-host')).to.be.rejectedWith(DatabaseError, 'Error saving routing rules');
+    });
+  });
+});
+```
+
+This `tests/unit/routingService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `chai-as-promised`, `sinon`, `RoutingService`, `ProxyConfig`, and custom error classes (`DatabaseError`, `RoutingRuleError`, `NotFoundError`).
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `RoutingService` class and individual `describe` blocks for each method.
+   - The `afterEach` hook is used to restore any mocks or stubs created during the tests.
+
+3. **Test Cases**:
+   - `resolveRoute` is tested for path prefix, wildcard `Host`, custom header and model rules, disabled rules, the default upstream fallback, and dangling upstream references.
+   - `validateRules` is tested for valid tables, model-only rules, duplicate names, condition-less rules and unknown upstreams.
+   - `validateFallbacks` is tested for valid fallbacks, unknown and self-referencing fallbacks, untranslatable providers and missing fallback models.
+   - The rule management methods are tested against a stubbed `ProxyConfig` document, covering both successful and error scenarios.
+
+4. **Error Handling**:
+   - The tests ensure that the service throws the appropriate custom error classes (`DatabaseError`, `RoutingRuleError`, `NotFoundError`) with the expected error messages.
+
+The generated `tests/unit/routingService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the multi-upstream routing functionality in the AI-IPST MVP.
@@ -0,0 +1,96 @@
+Here is the complete, production-ready code for `tests/unit/sandboxService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const sandboxService = require('../../src/services/sandboxService');
+const { ScriptExecutionError } = require('../../src/utils/errors');
+
+describe('sandboxService', () => {
+  after(async () => {
+    await sandboxService.close();
+  });
+
+  describe('run', () => {
+    it('should return the result and copy the globals back out', async () => {
+      const run = await sandboxService.run('request.body.temperature = 0; console.log("pinned", request.body); "done";', {
+        request: { body: { model: 'gpt-4o', temperature: 1 } },
+      });
+
+      expect(run.result).to.equal('done');
+      expect(run.globals).to.deep.equal({ request: { body: { model: 'gpt-4o', temperature: 0 } } });
+      expect(run.console).to.deep.equal([{ level: 'log', message: 'pinned {"model":"gpt-4o","temperature":0}' }]);
+    });
+
+    it('should wait for a script that evaluates to a promise', async () => {
+      const run = await sandboxService.run('(async () => { await null; state.calls += 1; return state.calls; })()', { state: { calls: 1 } });
+
+      expect(run.result).to.equal(2);
+      expect(run.globals.state.calls).to.equal(2);
+    });
+
+    it('should reject scripts that throw or reject, with their console output', async () => {
+      const error = await sandboxService.run('console.warn("about to fail"); throw new Error("boom");').catch((err) => err);
+      expect(error).to.be.instanceOf(ScriptExecutionError);
+      expect(error.message).to.equal('boom');
+      expect(error.console).to.deep.equal([{ level: 'warn', message: 'about to fail' }]);
+
+      await expect(sandboxService.run('Promise.reject(new TypeError("later"))')).to.be.rejectedWith(ScriptExecutionError, 'later');
+      await expect(sandboxService.run('new Promise(() => {})')).to.be.rejectedWith(ScriptExecutionError, 'never settles');
+    });
+
+    it('should stop synchronous and asynchronous loops at the run time limit', async () => {
+      await expect(sandboxService.run('while (true) {}', {}, { cpuTimeMs: 100 })).to.be.rejectedWith(ScriptExecutionError, 'timed out after 100ms');
+      await expect(sandboxService.run('(async () => { while (true) { await null; } })()', {}, { cpuTimeMs: 100 }))
+        .to.be.rejectedWith(ScriptExecutionError, 'timed out after 100ms');
+
+      expect((await sandboxService.run('1 + 1')).result).to.equal(2);
+    });
+
+    it('should terminate a worker that overruns the wall-clock limit', async () => {
+      await expect(sandboxService.run('while (true) {}', {}, { cpuTimeMs: 5000, wallTimeMs: 100 }))
+        .to.be.rejectedWith(ScriptExecutionError, 'timed out after 100ms');
+
+      expect((await sandboxService.run('1 + 1')).result).to.equal(2);
+    });
+
+    it('should replace a worker that runs out of memory', async () => {
+      const code = 'const chunks = []; while (true) { chunks.push(new Array(100000).fill(chunks.length)); }';
+      await expect(sandboxService.run(code, {}, { cpuTimeMs: 10000, wallTimeMs: 20000 })).to.be.rejectedWith(ScriptExecutionError, 'memory limit');
+
+      expect((await sandboxService.run('1 + 1')).result).to.equal(2);
+    });
+
+    it('should give scripts no way out of the sandbox', async () => {
+      const { result } = await sandboxService.run('[typeof process, typeof require, typeof setTimeout, typeof WebAssembly]');
+      expect(result).to.deep.equal(['undefined', 'undefined', 'undefined', 'undefined']);
+
+      await expect(sandboxService.run('this.constructor.constructor("return process")()')).to.be.rejectedWith(ScriptExecutionError, 'Code generation from strings disallowed');
+      await expect(sandboxService.run('eval("1 + 1")')).to.be.rejectedWith(ScriptExecutionError, 'Code generation from strings disallowed');
+    });
+
+    it('should freeze the built-ins', async () => {
+      const { result } = await sandboxService.run('Array.prototype.push = null; JSON.stringify = null; [Object.isFrozen(Array.prototype), typeof JSON.stringify]');
+      expect(result).to.deep.equal([true, 'function']);
+
+      await expect(sandboxService.run('"use strict"; JSON = null;')).to.be.rejectedWith(ScriptExecutionError, 'read only');
+    });
+
+    it('should reject data that cannot be copied out of the sandbox', async () => {
+      await expect(sandboxService.run('const loop = {}; loop.self = loop; loop')).to.be.rejectedWith(ScriptExecutionError, 'cannot be copied');
+    });
+  });
+});
+```
+
+This `tests/unit/sandboxService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai`, the `sandboxService` and the `ScriptExecutionError` error class.
+
+2. **Test Structure**:
+   - A `describe` block for `sandboxService.run()` with individual `it` blocks for each behavior; the `after` hook terminates the pool.
+
+3. **Test Cases**:
+   - The tests run scripts on real worker threads: copying globals in and out, awaiting promises, console output, errors and rejections, promises that never settle, the run time and wall-clock limits, the memory cap and the replacement of the worker, escape attempts, the frozen built-ins, and data that cannot be copied out.
+
+The generated `tests/unit/sandboxService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for the userscript sandbox in the AI-IPST MVP.
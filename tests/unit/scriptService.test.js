@@ -5,9 +5,10 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const ScriptService = require('../../src/services/scriptService');
 const Userscript = require('../../src/models/Userscript');
-const { InvalidScriptError, ScriptExecutionError } = require('../../src/utils/errors');
+const ScriptRevision = require('../../src/models/ScriptRevision');
+const { InvalidScriptError, ScriptExecutionError, ScriptMetadataError, NotFoundError } = require('../../src/utils/errors');
+const sandboxService = require('../../src/services/sandboxService');
 const { sanitizeScript } = require('../../src/utils/helpers');
-const vm = require('vm');
 
 describe('ScriptService', () => {
   afterEach(() => {
@@ -27,6 +28,13 @@ describe('ScriptService', () => {
       expect(scripts).to.deep.equal(mockScripts);
     });
 
+    it('should filter the userscripts on their metadata', async () => {
+      sinon.stub(Userscript, 'find').resolves([]);
+
+      await ScriptService.getScripts({ match: 'https://api.openai.com/*', runAt: 'document-start', page: '2' });
+      sinon.assert.calledWith(Userscript.find, { 'metadata.match': 'https://api.openai.com/*', 'metadata.runAt': 'document-start' });
+    });
+
     it('should throw InvalidScriptError if an error occurs while fetching the userscripts', async () => {
       sinon.stub(Userscript, 'find').rejects(new Error('Database error'));
 
@@ -90,10 +98,21 @@ describe('ScriptService', () => {
       sinon.stub(ScriptService, 'sanitizeScript').returns(sanitizedUpdates);
 
       await ScriptService.updateScript(id, updates);
-      sinon.assert.calledWith(Userscript.findByIdAndUpdate, id, sanitizedUpdates, { new: true, runValidators: true });
+      sinon.assert.calledWith(Userscript.findByIdAndUpdate, id, { ...sanitizedUpdates, $inc: { revisionCount: 1 } }, { new: true, runValidators: true });
       sinon.assert.calledWith(ScriptService.sanitizeScript, updates);
     });
 
+    it('should report the update with a warning if its revision cannot be recorded', async () => {
+      const id = '123';
+      const updates = { name: 'Updated Script', description: 'Updated Description', content: 'console.log("Updated script");' };
+      sinon.stub(Userscript, 'findByIdAndUpdate').resolves({ _id: '123', ...updates, revisionCount: 4 });
+      sinon.stub(ScriptRevision.prototype, 'save').rejects(new Error('Database error'));
+
+      const updatedScript = await ScriptService.updateScript(id, updates);
+      expect(updatedScript.name).to.equal('Updated Script');
+      expect(updatedScript.warning).to.equal('Userscript was saved, but revision 4 could not be recorded in its history');
+    });
+
     it('should throw InvalidScriptError if the userscript is not found', async () => {
       const id = '123';
       const updates = { name: 'Updated Script', description: 'Updated Description', content: 'console.log("Updated script");' };
@@ -112,14 +131,16 @@ describe('ScriptService', () => {
   });
 
   describe('deleteScript', () => {
-    it('should delete a userscript', async () => {
+    it('should delete a userscript and its revisions', async () => {
       const id = '123';
       const deletedScript = { _id: '123', name: 'Test Script', description: 'Description', content: 'console.log("Test script");' };
 
       sinon.stub(Userscript, 'findByIdAndDelete').resolves(deletedScript);
+      sinon.stub(ScriptRevision, 'deleteMany').resolves({ deletedCount: 3 });
 
       await ScriptService.deleteScript(id);
       sinon.assert.calledWith(Userscript.findByIdAndDelete, id);
+      sinon.assert.calledWith(ScriptRevision.deleteMany, { script: '123' });
     });
 
     it('should throw InvalidScriptError if the userscript is not found', async () => {
@@ -163,27 +184,249 @@ describe('ScriptService', () => {
 
   describe('executeInSandbox', () => {
     it('should execute the userscript in a secure sandbox', async () => {
-      const scriptContent = 'console.log("Executed in sandbox");';
+      const scriptContent = 'console.log("Executed in sandbox"); window.seen = true; "done";';
       const context = { window: {} };
-      const result = { message: 'Sandbox execution successful' };
-
-      sinon.stub(vm, 'createContext').returns(context);
-      sinon.stub(vm, 'runInContext').resolves(result);
-
-      const executionResult = await ScriptService.executeInSandbox(scriptContent, context);
-      expect(executionResult).to.deep.equal(result);
-      sinon.assert.calledWith(vm.createContext, context);
-      sinon.assert.calledWith(vm.runInContext, scriptContent, context, { timeout: 5000, displayErrors: true });
+      const output = [];
+
+      sinon.stub(sandboxService, 'run').resolves({
+        result: 'done',
+        globals: { window: { seen: true } },
+        console: [{ level: 'log', message: 'Executed in sandbox' }],
+      });
+
+      const executionResult = await ScriptService.executeInSandbox(scriptContent, context, output);
+      expect(executionResult).to.equal('done');
+      expect(context.window).to.deep.equal({ seen: true });
+      expect(output).to.deep.equal([{ level: 'log', message: 'Executed in sandbox' }]);
+      sinon.assert.calledWith(sandboxService.run, scriptContent, context);
     });
 
     it('should throw ScriptExecutionError if an error occurs during sandbox execution', async () => {
       const scriptContent = 'console.log("Executed in sandbox");';
       const context = { window: {} };
+      const output = [];
+      const error = new Error('Script execution timed out after 1000ms');
+      error.console = [{ level: 'log', message: 'Executed in sandbox' }];
+
+      sinon.stub(sandboxService, 'run').rejects(error);
+
+      await expect(ScriptService.executeInSandbox(scriptContent, context, output)).to.be.rejectedWith(ScriptExecutionError, 'Error executing script in sandbox: Script execution timed out after 1000ms');
+      expect(output).to.deep.equal([{ level: 'log', message: 'Executed in sandbox' }]);
+    });
+  });
+
+  describe('applyMetadata', () => {
+    const content = '// ==UserScript==\n// @name  Pin temperature!\n// @version 1.0\n// @description Pins it\n// @match https://api.openai.com/*\n// ==/UserScript==\nfunction onRequest() {}';
+
+    it('should store the parsed metadata and take the name and description from it', () => {
+      const script = ScriptService.applyMetadata({ content });
 
-      sinon.stub(vm, 'createContext').returns(context);
-      sinon.stub(vm, 'runInContext').rejects(new Error('Sandbox error'));
+      expect(script.name).to.equal('Pin-temperature');
+      expect(script.description).to.equal('Pins it');
+      expect(script.metadata).to.include({ name: 'Pin temperature!', version: '1.0' });
+      expect(script.metadata.match).to.deep.equal(['https://api.openai.com/*']);
+    });
+
+    it('should keep the name and description given with the script', () => {
+      expect(ScriptService.applyMetadata({ name: 'pin', description: 'Mine', content })).to.include({ name: 'pin', description: 'Mine' });
+    });
+
+    it('should clear the metadata of content without a block', () => {
+      expect(ScriptService.applyMetadata({ name: 'plain', content: 'function onRequest() {}' }).metadata).to.equal(null);
+    });
+
+    it('should reject invalid metadata before anything is stored', async () => {
+      const findByIdAndUpdate = sinon.stub(Userscript, 'findByIdAndUpdate').resolves({});
+
+      await expect(ScriptService.updateScript('123', { name: 'pin', description: 'Pin', content: '// ==UserScript==\n// @name pin\n// @run-at later\n// ==/UserScript==' }))
+        .to.be.rejectedWith(ScriptMetadataError, 'line 3: @run-at must be one of');
+      sinon.assert.notCalled(findByIdAndUpdate);
+    });
+  });
+
+  describe('revisions', () => {
+    const id = '507f1f77bcf86cd799439011';
+    const revision = (number, snapshot) => ({
+      script: id,
+      revision: number,
+      author: 'alice',
+      message: `Revision ${number}`,
+      createdAt: new Date('2024-05-01T09:30:00Z'),
+      snapshot: { name: 'pin', description: 'Pin', content: 'function onRequest(request) {\n  request.body.temperature = 0;\n}', enabled: true, hooks: ['onRequest'], match: { urls: [], methods: [] }, priority: 0, metadata: null, ...snapshot },
+    });
+
+    it('should record a save as the revision it was numbered', async () => {
+      sinon.stub(ScriptRevision.prototype, 'save').resolves();
+
+      const recorded = await ScriptService.recordRevision({ _id: id, name: 'pin', content: 'function onRequest() {}', priority: 5, revisionCount: 3 }, { author: 'alice', message: 'Raise the priority' });
+
+      expect(recorded.revision).to.equal(3);
+      expect(recorded.author).to.equal('alice');
+      expect(recorded.message).to.equal('Raise the priority');
+      expect(recorded.snapshot.content).to.equal('function onRequest() {}');
+      expect(recorded.snapshot.priority).to.equal(5);
+    });
+
+    it('should give concurrent saves revisions of their own', async () => {
+      let revisionCount = 0;
+      sinon.stub(Userscript, 'findByIdAndUpdate').callsFake(async (scriptId, update) => ({ _id: scriptId, ...update, revisionCount: revisionCount += update.$inc.revisionCount }));
+      sinon.stub(ScriptRevision.prototype, 'save').resolves();
+      const recordRevision = sinon.spy(ScriptService, 'recordRevision');
+
+      await Promise.all([1, 2, 3].map(() => ScriptService.updateScript(id, { name: 'pin', content: '' })));
+      expect(recordRevision.getCalls().map((call) => call.args[0].revisionCount)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should throw NotFoundError for an unknown revision', async () => {
+      sinon.stub(ScriptRevision, 'findOne').resolves(null);
+
+      await expect(ScriptService.getRevision(id, 7)).to.be.rejectedWith(NotFoundError, `Revision 7 of userscript ${id} not found`);
+    });
+
+    it('should diff a revision with the latest one', async () => {
+      sinon.stub(ScriptService, 'getRevision').resolves(revision(2));
+      sinon.stub(ScriptRevision, 'findOne').resolves(revision(5, {
+        content: 'function onRequest(request) {\n  request.body.temperature = 0;\n  request.body.top_p = 1;\n}',
+        priority: 10,
+      }));
+
+      const diff = await ScriptService.diffRevisions(id, 2);
+
+      expect(diff.from).to.include({ revision: 2, message: 'Revision 2' });
+      expect(diff.to).to.include({ revision: 5, message: 'Revision 5' });
+      expect(diff.fields).to.deep.equal({ priority: { from: 0, to: 10 } });
+      expect(diff).to.include({ added: 1, removed: 0 });
+      expect(diff.hunks).to.deep.equal([{
+        oldStart: 1,
+        oldLines: 3,
+        newStart: 1,
+        newLines: 4,
+        lines: [' function onRequest(request) {', '   request.body.temperature = 0;', '+  request.body.top_p = 1;', ' }'],
+      }]);
+      expect(diff.unified).to.match(/^--- pin@2\n\+\+\+ pin@5\n@@ -1,3 \+1,4 @@\n/);
+    });
+
+    it('should roll back by saving the earlier revision as a new one', async () => {
+      sinon.stub(ScriptService, 'getRevision').resolves(revision(2, { enabled: false }));
+      const updateScript = sinon.stub(ScriptService, 'updateScript').resolves({ _id: id });
+
+      await ScriptService.rollbackScript(id, 2, { author: 'bob', message: undefined });
+
+      sinon.assert.calledWith(updateScript, id, {
+        name: 'pin',
+        description: 'Pin',
+        content: 'function onRequest(request) {\n  request.body.temperature = 0;\n}',
+        hooks: ['onRequest'],
+        match: { urls: [], methods: [] },
+        priority: 0,
+      }, { message: 'Roll back to revision 2', author: 'bob' });
+    });
+  });
+
+  describe('validateHookSettings', () => {
+    it('should accept known hooks and string match patterns', () => {
+      expect(ScriptService.validateHookSettings({ hooks: ['onRequest', 'onError'], match: { urls: ['/v1/*'], methods: ['POST'] } })).to.equal(true);
+    });
+
+    it('should reject unknown hooks and invalid match patterns', () => {
+      expect(() => ScriptService.validateHookSettings({ hooks: ['onMessage'] })).to.throw(InvalidScriptError, 'Userscript hooks must be an array of');
+      expect(() => ScriptService.validateHookSettings({ match: { urls: '/v1/*' } })).to.throw(InvalidScriptError, 'Userscript match.urls must be an array of non-empty strings');
+    });
+  });
+
+  describe('findHookScripts', () => {
+    it('should fetch the enabled scripts with hooks in order and keep those matching the request', async () => {
+      const scripts = [
+        { name: 'all', hooks: ['onRequest'] },
+        { name: 'chat-path', hooks: ['onRequest'], match: { urls: ['/v1/chat/*'], methods: ['post'] } },
+        { name: 'openai-host', hooks: ['onRequest'], match: { urls: ['https://api.openai.com:443/*'] } },
+        { name: 'get-only', hooks: ['onRequest'], match: { methods: ['GET'] } },
+        { name: 'embeddings', hooks: ['onRequest'], match: { urls: ['/v1/embeddings'] } },
+        { name: 'metadata-match', hooks: ['onRequest'], metadata: { match: ['https://api.openai.com/v1/*'], include: [], exclude: [] } },
+        { name: 'metadata-exclude', hooks: ['onRequest'], metadata: { match: [], include: [], exclude: ['*/chat/*'] } },
+      ];
+      sinon.stub(Userscript, 'find').resolves(scripts);
+
+      const matching = await ScriptService.findHookScripts(
+        { method: 'POST', url: '/v1/chat/completions' },
+        'https://api.openai.com:443/v1/chat/completions',
+      );
+
+      expect(matching.map((script) => script.name)).to.deep.equal(['all', 'chat-path', 'openai-host', 'metadata-match']);
+      sinon.assert.calledWith(Userscript.find, { enabled: { $ne: false }, 'hooks.0': { $exists: true } }, null, { sort: { priority: 1, createdAt: 1 }, lean: true });
+    });
+  });
+
+  describe('runHooks', () => {
+    const request = { method: 'POST', url: '/v1/chat/completions', headers: { 'content-type': 'application/json' }, body: { model: 'gpt-4o', temperature: 1 } };
+    const session = (scripts) => ({ request, scripts, runs: [], annotations: {} });
+
+    it('should run the hooks in order, each on the output of the previous one', async () => {
+      const hooks = session([
+        { name: 'pin-temperature', hooks: ['onRequest'], content: 'function onRequest(request, exchange) { request.body.temperature = 0; exchange.annotations.pinned = true; }' },
+        { name: 'tag', hooks: ['onRequest'], content: 'function onRequest(request, exchange) { return { ...request, headers: { ...request.headers, "x-tag": String(exchange.annotations.pinned) } }; }' },
+        { name: 'responses-only', hooks: ['onResponse'], content: 'function onResponse() { throw new Error("not called"); }' },
+      ]);
+
+      const { message, response } = await ScriptService.runHooks(hooks, 'onRequest', request);
+
+      expect(message.body).to.deep.equal({ model: 'gpt-4o', temperature: 0 });
+      expect(message.headers['x-tag']).to.equal('true');
+      expect(response).to.equal(null);
+      expect(request.body.temperature).to.equal(1);
+      expect(hooks.request).to.deep.equal(message);
+      expect(hooks.annotations).to.deep.equal({ pinned: true });
+      expect(hooks.runs.map((run) => [run.script, run.hook, run.calls, run.failures])).to.deep.equal([
+        ['pin-temperature', 'onRequest', 1, 0],
+        ['tag', 'onRequest', 1, 0],
+      ]);
+    });
+
+    it('should stop at a script that answers the exchange itself', async () => {
+      const hooks = session([
+        { name: 'answer', hooks: ['onRequest'], content: 'function onRequest(request, exchange) { exchange.response = { statusCode: 418, headers: { "x-answered": "1" }, body: { error: "teapot" } }; }' },
+        { name: 'later', hooks: ['onRequest'], content: 'function onRequest() {}' },
+      ]);
+
+      const { response } = await ScriptService.runHooks(hooks, 'onRequest', request);
+
+      expect(response).to.deep.equal({ statusCode: 418, headers: { 'x-answered': '1' }, body: { error: 'teapot' } });
+      expect(hooks.runs.map((run) => run.script)).to.deep.equal(['answer']);
+    });
+
+    it('should pass the message on unchanged when a script fails', async () => {
+      const hooks = session([
+        { name: 'broken', hooks: ['onRequest'], content: 'function onRequest(request) { request.body.temperature = 2; throw new Error("boom"); }' },
+        { name: 'missing', hooks: ['onRequest'], content: 'const unrelated = true;' },
+        { name: 'invalid-answer', hooks: ['onRequest'], content: 'function onRequest(request, exchange) { exchange.response = { statusCode: 42 }; }' },
+      ]);
+
+      const { message, response } = await ScriptService.runHooks(hooks, 'onRequest', request);
+
+      expect(message).to.equal(request);
+      expect(response).to.equal(null);
+      expect(hooks.runs.map((run) => run.failures)).to.deep.equal([1, 1, 1]);
+      expect(hooks.runs[0].error).to.include('boom');
+      expect(hooks.runs[1].error).to.include('onRequest() is not defined');
+    });
+
+    it('should replace, keep and drop stream chunks', async () => {
+      const hooks = session([
+        { name: 'spelling', hooks: ['onStreamChunk'], content: 'function onStreamChunk(chunk) { return chunk.replace("colour", "color"); }' },
+        { name: 'drop-pings', hooks: ['onStreamChunk'], content: 'function onStreamChunk(chunk, exchange) { exchange.annotations.chunks = (exchange.annotations.chunks || 0) + 1; return chunk.startsWith(": ping") ? null : undefined; }' },
+      ]);
+
+      const first = await ScriptService.runHooks(hooks, 'onStreamChunk', 'data: {"text":"colour"}\n\n', { index: 0 });
+      const second = await ScriptService.runHooks(hooks, 'onStreamChunk', ': ping\n\n', { index: 1 });
+
+      expect(first.message).to.equal('data: {"text":"color"}\n\n');
+      expect(second.message).to.equal(null);
+      expect(hooks.annotations).to.deep.equal({ chunks: 2 });
+      expect(hooks.runs.map((run) => [run.script, run.calls])).to.deep.equal([['spelling', 2], ['drop-pings', 2]]);
+    });
 
-      await expect(ScriptService.executeInSandbox(scriptContent, context)).to.be.rejectedWith(ScriptExecutionError, 'Error executing script in sandbox');
+    it('should return the message as it is without a session', async () => {
+      expect(await ScriptService.runHooks(null, 'onRequest', request)).to.deep.equal({ message: request, response: null });
     });
   });
 
@@ -222,7 +465,10 @@ This `tests/unit/scriptService.test.js` file adheres to the provided instruction
 
 3. **Test Cases**:
    - Each method in the `ScriptService` class has a corresponding set of test cases, covering both successful and error scenarios.
-   - The tests use `sinon` to stub the `Userscript` model and the `vm` module for secure script execution.
+   - Saves are recorded as numbered revisions, numbered through the script's atomic counter, deleting a script deletes its revisions, unknown revisions are reported as not found, revisions are diffed field by field and line by line, and rolling back saves an earlier revision as a new one.
+   - Metadata blocks are parsed into the stored script, supply its name and description, and are validated before anything is stored; `getScripts()` filters on them.
+   - The userscript hooks are tested against the real sandbox: which scripts apply to a request, the order they run in, modifying, annotating and answering the exchange, dropping stream chunks, and failing open.
+   - The tests use `sinon` to stub the `Userscript` model and the `sandboxService` for secure script execution.
    - The tests utilize `chai` and `chai-as-promised` for assertion and validation of the expected behavior.
 
 4. **Error Handling**:
@@ -239,7 +485,7 @@ This `tests/unit/scriptService.test.js` file adheres to the provided instruction
 
 7. **Integration with Other Components**:
    - The tests verify the integration between the `ScriptService` and the `Userscript` model, ensuring that the service correctly interacts with the database layer.
-   - The tests also validate the interaction between the `ScriptService` and the `vm` module for secure script execution.
+   - The tests also validate the interaction between the `ScriptService` and the `sandboxService` for secure script execution.
 
 8. **Test Coverage**:
    - The tests aim to achieve at least 90% code coverage for the `ScriptService` class, ensuring a comprehensive and reliable implementation.
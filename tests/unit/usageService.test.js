@@ -0,0 +1,185 @@
+Here is the complete, production-ready code for `tests/unit/usageService.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const UsageService = require('../../src/services/usageService');
+const LogEntry = require('../../src/models/LogEntry');
+const ProxyConfig = require('../../src/models/ProxyConfig');
+const { DatabaseError, UsageError } = require('../../src/utils/errors');
+
+chai.use(chaiAsPromised);
+
+describe('UsageService', () => {
+  const prices = [
+    { model: 'gpt-4o-mini*', inputPerMillion: 0.15, outputPerMillion: 0.6 },
+    { model: 'gpt-4o*', inputPerMillion: 2.5, outputPerMillion: 10, cachedInputPerMillion: 1.25 },
+    { model: 'claude-sonnet-4-5', inputPerMillion: 3, outputPerMillion: 15 },
+  ];
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('resolveUser', () => {
+    it('should prefer the configured user header', () => {
+      const request = { url: '/v1/chat/completions', headers: { 'X-Team-User': 'alice' }, body: { user: 'bob' } };
+
+      expect(UsageService.resolveUser(request, 'x-team-user')).to.equal('alice');
+    });
+
+    it('should fall back to the user fields of the chat APIs', () => {
+      expect(UsageService.resolveUser({ url: '/v1/chat/completions', headers: {}, body: { user: 'bob' } })).to.equal('bob');
+      expect(UsageService.resolveUser({ url: '/v1/messages', headers: {}, body: JSON.stringify({ metadata: { user_id: 'carol' } }) })).to.equal('carol');
+    });
+
+    it('should identify the client by an API key fingerprint without storing the key', () => {
+      const user = UsageService.resolveUser({ url: '/v1/messages', headers: { 'x-api-key': 'sk-ant-secret' }, body: {} });
+
+      expect(user).to.match(/^key:[0-9a-f]{12}$/);
+      expect(user).to.not.include('secret');
+      expect(UsageService.resolveUser({ url: '/v1/chat/completions', headers: { authorization: 'Bearer sk-ant-secret' }, body: {} })).to.equal(user);
+    });
+
+    it('should return undefined for anonymous requests', () => {
+      expect(UsageService.resolveUser({ url: '/v1/chat/completions', headers: {}, body: null })).to.be.undefined;
+    });
+  });
+
+  describe('measureUsage', () => {
+    it('should keep the token counts reported by the provider', () => {
+      const usage = UsageService.measureUsage({ messages: [], output: [], usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150, cachedInputTokens: 100 } });
+
+      expect(usage).to.deep.equal({ inputTokens: 120, outputTokens: 30, totalTokens: 150, cachedInputTokens: 100, estimated: false });
+    });
+
+    it('should estimate the counts the provider did not report', () => {
+      const usage = UsageService.measureUsage({
+        messages: [{ role: 'user', content: 'a'.repeat(40) }],
+        output: [{ role: 'assistant', content: 'b'.repeat(18) }],
+        usage: { inputTokens: 10 },
+      });
+
+      expect(usage).to.deep.equal({ inputTokens: 10, outputTokens: 5, totalTokens: 15, estimated: true });
+    });
+  });
+
+  describe('findPrice', () => {
+    it('should return the first matching price, with trailing wildcards matching prefixes', () => {
+      expect(UsageService.findPrice('gpt-4o-mini-2024-07-18', prices).inputPerMillion).to.equal(0.15);
+      expect(UsageService.findPrice('gpt-4o-2024-08-06', prices).inputPerMillion).to.equal(2.5);
+      expect(UsageService.findPrice('claude-sonnet-4-5', prices).outputPerMillion).to.equal(15);
+    });
+
+    it('should return null for unpriced models', () => {
+      expect(UsageService.findPrice('claude-sonnet-4-5-20250929', prices)).to.be.null;
+      expect(UsageService.findPrice(undefined, prices)).to.be.null;
+    });
+  });
+
+  describe('computeCost', () => {
+    it('should charge cached input tokens at the cached price', () => {
+      const cost = UsageService.computeCost({ inputTokens: 1000000, cachedInputTokens: 400000, outputTokens: 200000 }, prices[1], 'USD');
+
+      expect(cost).to.deep.equal({ input: 2, output: 2, total: 4, currency: 'USD' });
+    });
+
+    it('should charge cached input tokens at the input price when no cached price is set', () => {
+      const cost = UsageService.computeCost({ inputTokens: 1000, cachedInputTokens: 500, outputTokens: 100 }, prices[2]);
+
+      expect(cost).to.deep.equal({ input: 0.003, output: 0.0015, total: 0.0045, currency: 'USD' });
+    });
+  });
+
+  describe('accountUsage', () => {
+    const request = { url: '/v1/messages', headers: { 'x-user-id': 'alice' }, body: {} };
+    const chat = { model: 'claude-sonnet-4-5', messages: [], output: [], usage: { inputTokens: 1000, outputTokens: 100, totalTokens: 1100 } };
+
+    it('should return the user, usage and cost of a chat exchange', () => {
+      const result = UsageService.accountUsage(request, chat, { usage: { userHeader: 'x-user-id', currency: 'EUR', prices } });
+
+      expect(result.user).to.equal('alice');
+      expect(result.usage.totalTokens).to.equal(1100);
+      expect(result.cost).to.deep.equal({ input: 0.003, output: 0.0015, total: 0.0045, currency: 'EUR' });
+    });
+
+    it('should leave the cost unset when the model has no price or there is no configuration', () => {
+      expect(UsageService.accountUsage(request, { ...chat, model: 'claude-opus-4-1' }, { usage: { prices } }).cost).to.be.undefined;
+      expect(UsageService.accountUsage(request, chat, null).cost).to.be.undefined;
+    });
+
+    it('should only resolve the user for traffic that is not a chat exchange', () => {
+      expect(UsageService.accountUsage(request, null, null)).to.deep.equal({ user: 'alice', usage: undefined, cost: undefined });
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should aggregate the chat traffic by the requested dimensions', async () => {
+      const aggregateStub = sinon.stub(LogEntry, 'aggregate').resolves([
+        { _id: { user: 'alice', bucket: new Date('2024-05-01T00:00:00Z') }, requests: 2, inputTokens: 300, outputTokens: 100, totalTokens: 400, cachedInputTokens: 0, cost: 0.00175, estimatedRequests: 1, unpricedRequests: 0 },
+        { _id: { bucket: new Date('2024-05-01T00:00:00Z') }, requests: 1, inputTokens: 50, outputTokens: 10, totalTokens: 60, cachedInputTokens: 0, cost: 0, estimatedRequests: 0, unpricedRequests: 1 },
+      ]);
+      sinon.stub(ProxyConfig, 'findOne').resolves({ usage: { currency: 'EUR' } });
+
+      const report = await UsageService.getUsage({ groupBy: 'user,bucket', bucket: 'day', model: 'gpt-4o', startDate: '2024-05-01T00:00:00Z' });
+
+      const [{ $match }, { $group }] = aggregateStub.firstCall.args[0];
+      expect($match).to.deep.include({ 'chat.model': 'gpt-4o', createdAt: { $gte: new Date('2024-05-01T00:00:00Z') } });
+      expect($group._id).to.deep.equal({ user: '$client.user', bucket: { $dateTrunc: { date: '$createdAt', unit: 'day' } } });
+      expect(report.currency).to.equal('EUR');
+      expect(report.groups[1].user).to.be.null;
+      expect(report.totals).to.deep.equal({ requests: 3, inputTokens: 350, outputTokens: 110, totalTokens: 460, cachedInputTokens: 0, cost: 0.00175, estimatedRequests: 1, unpricedRequests: 1 });
+    });
+
+    it('should throw UsageError for an unknown grouping or bucket', async () => {
+      await expect(UsageService.getUsage({ groupBy: 'country' })).to.be.rejectedWith(UsageError, 'Usage can only be grouped by');
+      await expect(UsageService.getUsage({ bucket: 'year' })).to.be.rejectedWith(UsageError, 'Usage bucket must be one of');
+    });
+
+    it('should throw DatabaseError if an error occurs while aggregating the traffic', async () => {
+      sinon.stub(LogEntry, 'aggregate').rejects(new Error('Database error'));
+
+      await expect(UsageService.getUsage()).to.be.rejectedWith(DatabaseError, 'Error aggregating usage');
+    });
+  });
+
+  describe('validateUsageConfig', () => {
+    it('should accept a valid price table', () => {
+      expect(() => UsageService.validateUsageConfig({ userHeader: 'x-user-id', currency: 'USD', prices })).to.not.throw();
+    });
+
+    it('should throw UsageError for invalid prices', () => {
+      expect(() => UsageService.validateUsageConfig({ prices: [{ model: 'gpt-4o', inputPerMillion: -1, outputPerMillion: 10 }] }))
+        .to.throw(UsageError, "Price for 'gpt-4o': inputPerMillion must be a non-negative number");
+      expect(() => UsageService.validateUsageConfig({ prices: [{ inputPerMillion: 1, outputPerMillion: 1 }] }))
+        .to.throw(UsageError, 'Price at position 0: must have a model');
+      expect(() => UsageService.validateUsageConfig({ currency: 'dollars' })).to.throw(UsageError, 'three-letter currency code');
+      expect(() => UsageService.validateUsageConfig({ trustUserHeader: 'yes' })).to.throw(UsageError, 'trustUserHeader must be a boolean');
+    });
+  });
+});
+```
+
+This `tests/unit/usageService.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports the necessary dependencies, including `chai`, `chai-as-promised`, `sinon`, `UsageService`, the `LogEntry` and `ProxyConfig` models, and the `DatabaseError` and `UsageError` error classes.
+
+2. **Test Structure**:
+   - The file follows the structure of a typical unit test suite, with a `describe` block for the `UsageService` class and individual `describe` blocks for each method.
+   - The `afterEach` hook is used to restore any mocks or stubs created during the tests.
+
+3. **Test Cases**:
+   - `resolveUser` is tested for the configured user header, the chat APIs' user fields, API key fingerprints and anonymous requests.
+   - `measureUsage` is tested for reported and estimated token counts.
+   - `findPrice` and `computeCost` are tested for exact and wildcard price matches and cached input pricing.
+   - `accountUsage` is tested for priced, unpriced and non-chat exchanges.
+   - `getUsage` is tested against a stubbed `LogEntry` aggregation for the pipeline it builds and the report totals.
+   - `validateUsageConfig` is tested for valid and invalid usage settings.
+
+4. **Error Handling**:
+   - The tests ensure that the service throws `UsageError` with the expected error messages for invalid groupings and invalid settings, and `DatabaseError` for database errors.
+
+The generated `tests/unit/usageService.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable implementation of the usage and cost accounting functionality in the AI-IPST MVP.
@@ -0,0 +1,120 @@
+Here is the complete, production-ready code for `tests/unit/userscriptMetadata.test.js`:
+
+```javascript
+const { expect } = require('chai');
+const userscriptMetadata = require('../../src/utils/userscriptMetadata');
+const { ScriptMetadataError } = require('../../src/utils/errors');
+
+describe('userscriptMetadata', () => {
+  const tampermonkeyScript = [
+    '// ==UserScript==',
+    '// @name         Pin temperature',
+    '// @name:de      Temperatur festlegen',
+    '// @namespace    http://tampermonkey.net/',
+    '// @version      1.2.0',
+    '// @description  Pin the temperature of chat completions',
+    '// @author       ops',
+    '// @match        https://api.openai.com/v1/*',
+    '// @match        *://*.anthropic.com/*',
+    '// @include      /^https://generativelanguage\\.googleapis\\.com/.*$/',
+    '// @exclude      https://api.openai.com/v1/models*',
+    '// @grant        GM_xmlhttpRequest',
+    '// @grant        GM.setValue',
+    '// @require      https://cdn.jsdelivr.net/npm/lodash@4.17.21/lodash.min.js',
+    '// @run-at       document-start',
+    '//',
+    '// ==/UserScript==',
+    '',
+    'function onRequest(request) { request.body.temperature = 0; }',
+  ].join('\n');
+
+  describe('parseMetadata', () => {
+    it('should parse a Tampermonkey metadata block and ignore the keys it does not use', () => {
+      expect(userscriptMetadata.parseMetadata(tampermonkeyScript)).to.deep.equal({
+        name: 'Pin temperature',
+        version: '1.2.0',
+        description: 'Pin the temperature of chat completions',
+        runAt: 'document-start',
+        match: ['https://api.openai.com/v1/*', '*://*.anthropic.com/*'],
+        include: ['/^https://generativelanguage\\.googleapis\\.com/.*$/'],
+        exclude: ['https://api.openai.com/v1/models*'],
+        grant: ['GM_xmlhttpRequest', 'GM.setValue'],
+        require: ['https://cdn.jsdelivr.net/npm/lodash@4.17.21/lodash.min.js'],
+      });
+    });
+
+    it('should return null for scripts without a metadata block', () => {
+      expect(userscriptMetadata.parseMetadata('function onRequest() {}')).to.equal(null);
+      expect(userscriptMetadata.hasMetadataBlock('function onRequest() {}')).to.equal(false);
+      expect(userscriptMetadata.hasMetadataBlock(tampermonkeyScript)).to.equal(true);
+    });
+
+    it('should report every problem with its line number', () => {
+      const content = [
+        '/* A script with a broken block */',
+        '// ==UserScript==',
+        '// @name    Broken',
+        '// @name    Broken again',
+        '// @version',
+        '// @run-at  document-later',
+        '// @match   api.openai.com/*',
+        '// @include /([a-z]/',
+        '// @require not a url',
+        'const stray = true;',
+        '// ==/UserScript==',
+      ].join('\n');
+
+      let error;
+      try {
+        userscriptMetadata.parseMetadata(content);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(ScriptMetadataError);
+      expect(error.problems.map((problem) => problem.line)).to.deep.equal([4, 5, 6, 7, 8, 9, 10]);
+      expect(error.problems[0].message).to.equal('@name is given more than once');
+      expect(error.problems[1].message).to.equal('@version needs a value');
+      expect(error.problems[6].message).to.equal('expected a "// @key value" line');
+      expect(error.message).to.match(/^Invalid userscript metadata: line 4: @name is given more than once; line 5: /);
+    });
+
+    it('should report an unclosed block and a missing @name on the line the block starts', () => {
+      expect(() => userscriptMetadata.parseMetadata('\n// ==UserScript==\n// @version 1.0\n'))
+        .to.throw(ScriptMetadataError, 'line 2: the metadata block is never closed with "// ==/UserScript=="; line 2: the metadata block has no @name');
+    });
+  });
+
+  describe('matchesUrl', () => {
+    const metadata = userscriptMetadata.parseMetadata(tampermonkeyScript);
+
+    it('should match the @match and @include patterns, ignoring default ports', () => {
+      expect(userscriptMetadata.matchesUrl(metadata, 'https://api.openai.com:443/v1/chat/completions')).to.equal(true);
+      expect(userscriptMetadata.matchesUrl(metadata, 'https://api.anthropic.com:443/v1/messages')).to.equal(true);
+      expect(userscriptMetadata.matchesUrl(metadata, 'http://anthropic.com:8080/v1/messages')).to.equal(true);
+      expect(userscriptMetadata.matchesUrl(metadata, 'https://generativelanguage.googleapis.com/v1beta/models')).to.equal(true);
+      expect(userscriptMetadata.matchesUrl(metadata, 'https://api.mistral.ai:443/v1/chat/completions')).to.equal(false);
+    });
+
+    it('should leave out the URLs matching an @exclude pattern', () => {
+      expect(userscriptMetadata.matchesUrl(metadata, 'https://api.openai.com:443/v1/models?limit=10')).to.equal(false);
+    });
+
+    it('should match every URL for scripts without patterns or metadata', () => {
+      expect(userscriptMetadata.matchesUrl({ match: [], include: [], exclude: [] }, 'http://localhost:8080/v1/models')).to.equal(true);
+      expect(userscriptMetadata.matchesUrl(null, 'http://localhost:8080/v1/models')).to.equal(true);
+    });
+  });
+});
+```
+
+This `tests/unit/userscriptMetadata.test.js` file adheres to the provided instructions and requirements:
+
+1. **Imports and Dependencies**:
+   - The file imports `chai`, the `userscriptMetadata` utility and the `ScriptMetadataError` error class.
+
+2. **Test Cases**:
+   - `parseMetadata()`: A Tampermonkey block is parsed with its unused and localized keys ignored, scripts without a block have no metadata, and invalid blocks are rejected with every problem and its line number.
+   - `matchesUrl()`: `@match` patterns (with wildcard schemes, subdomains and ports) and `@include` regular expressions select URLs, `@exclude` patterns leave them out, and scripts without patterns match everything.
+
+The generated `tests/unit/userscriptMetadata.test.js` file is complete, production-ready, and fully integrated with the existing MVP components and file structure. It adheres to best practices, industry standards, and the provided instructions, ensuring a robust and maintainable test suite for userscript metadata parsing in the AI-IPST MVP.